@@ -0,0 +1,129 @@
+/**
+ * Local stand-in for network label printers, for offline development and tests:
+ * a raw TCP listener (like a Zebra on port 9100) and an IPP endpoint that
+ * accepts Print-Job requests. Every job lands in `jobs`; nothing is printed.
+ *
+ *   npm run fake-printer     # raw on FAKE_PRINTER_RAW_PORT (9101), IPP on FAKE_PRINTER_IPP_PORT (6310)
+ *
+ * Point data/printers.json at it:
+ *   { "printers": [
+ *       { "id": "zebra", "type": "raw", "host": "127.0.0.1", "port": 9101 },
+ *       { "id": "laser", "type": "ipp", "url": "ipp://127.0.0.1:6310/ipp/print" } ] }
+ *
+ * failNext({ status, message }) makes the next IPP job fail with that IPP status.
+ */
+
+import http from 'http';
+import net from 'net';
+import { pathToFileURL } from 'url';
+import { IPP_PRINT_JOB, decodeIppMessage, encodeIppMessage } from '../lib/printers.js';
+
+const IPP_OK = 0x0000;
+const IPP_OPERATION_NOT_SUPPORTED = 0x0501;
+
+function ippReply(requestId, status, { message, jobId } = {}) {
+  const groups = [
+    {
+      tag: 'operation',
+      attributes: [
+        ['charset', 'attributes-charset', 'utf-8'],
+        ['language', 'attributes-natural-language', 'en'],
+        ...(message ? [['text', 'status-message', message]] : [])
+      ]
+    }
+  ];
+  if (jobId != null) {
+    groups.push({ tag: 'job', attributes: [['integer', 'job-id', jobId], ['enum', 'job-state', 9]] });
+  }
+  return encodeIppMessage({ code: status, requestId, groups });
+}
+
+/**
+ * Start both listeners. Returns { rawPort, ippUrl, jobs, failNext, close }.
+ * Use port 0 for random free ports (tests).
+ */
+export function startFakePrinter({ host = '127.0.0.1', rawPort = 0, ippPort = 0 } = {}) {
+  const jobs = [];
+  const faults = [];
+  let nextJobId = 1;
+
+  const rawServer = net.createServer((socket) => {
+    const chunks = [];
+    socket.on('data', (chunk) => chunks.push(chunk));
+    socket.on('end', () => {
+      jobs.push({ type: 'raw', data: Buffer.concat(chunks), at: new Date().toISOString() });
+      socket.end();
+    });
+    socket.on('error', () => {});
+  });
+
+  const ippServer = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      let request;
+      try {
+        request = decodeIppMessage(Buffer.concat(chunks));
+      } catch (e) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' }).end(e.message);
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/ipp' });
+
+      if (request.code !== IPP_PRINT_JOB) {
+        res.end(ippReply(request.requestId, IPP_OPERATION_NOT_SUPPORTED, { message: 'Only Print-Job is supported.' }));
+        return;
+      }
+      const fault = faults.shift();
+      if (fault) {
+        res.end(ippReply(request.requestId, fault.status || 0x0500, { message: fault.message || 'Printer error.' }));
+        return;
+      }
+      const jobId = nextJobId++;
+      jobs.push({
+        type: 'ipp',
+        jobId,
+        path: req.url,
+        attributes: request.attributes,
+        data: Buffer.from(request.data),
+        at: new Date().toISOString()
+      });
+      res.end(ippReply(request.requestId, IPP_OK, { jobId }));
+    });
+  });
+
+  const listen = (server, port) =>
+    new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => resolve(server.address().port));
+    });
+
+  return Promise.all([listen(rawServer, rawPort), listen(ippServer, ippPort)]).then(([rawActual, ippActual]) => ({
+    rawPort: rawActual,
+    ippUrl: `ipp://${host}:${ippActual}/ipp/print`,
+    jobs,
+    failNext: (fault = {}) => faults.push(fault),
+    close: () => Promise.all([
+      new Promise((done) => rawServer.close(done)),
+      new Promise((done) => ippServer.close(done))
+    ])
+  }));
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  const host = process.env.FAKE_PRINTER_HOST || '127.0.0.1';
+  startFakePrinter({
+    host,
+    rawPort: Number(process.env.FAKE_PRINTER_RAW_PORT) || 9101,
+    ippPort: Number(process.env.FAKE_PRINTER_IPP_PORT) || 6310
+  }).then(({ rawPort, ippUrl, jobs }) => {
+    console.log(`🧪 Fake printer: raw on ${host}:${rawPort}, IPP at ${ippUrl}`);
+    const seen = { count: 0 };
+    setInterval(() => {
+      for (const job of jobs.slice(seen.count)) {
+        console.log(`🖨️  ${job.type} job${job.jobId ? ` #${job.jobId}` : ''}: ${job.data.length} bytes`);
+      }
+      seen.count = jobs.length;
+    }, 1000);
+  });
+}
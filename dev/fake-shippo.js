@@ -0,0 +1,551 @@
+/**
+ * Local fake of the Shippo endpoints the bot uses, for offline development and
+ * end-to-end tests. State lives in memory; restart to reset.
+ *
+ *   npm run fake-shippo            # listens on FAKE_SHIPPO_PORT (default 4010)
+ *   SHIPPO_BASE_URL=http://127.0.0.1:4010 SHIPPO_API_TOKEN=anything npm start
+ *
+ * Rates are priced from the parcel weight, purchases return real (tiny) label
+ * files served from /labels/, multi-parcel purchases create one transaction per
+ * parcel, refunds settle on the first status check and tracking advances one
+ * step (PRE_TRANSIT → TRANSIT → DELIVERED) every time a track is fetched.
+ * Batches move one status per GET (VALIDATING → VALID, PURCHASING → PURCHASED)
+ * and end with one merged PDF of all their labels.
+ *
+ * Outages are simulated with faults queued on state.faults (or POST /_fake/faults):
+ *   { method: 'POST', path: '/transactions/', status: 503, retryAfter: 2 }
+ *   { method: 'POST', path: '/transactions/', afterProcessing: true, delayMs: 5000 }
+ * Each fault fails the next matching request once. afterProcessing lets the
+ * request go through (the label is bought) and only loses the response.
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import { pathToFileURL } from 'url';
+
+const DOMESTIC_SERVICES = [
+  { provider: 'UPS', name: 'Ground', token: 'ups_ground', base: 9.5, perLb: 0.85, days: 3 },
+  { provider: 'UPS', name: 'Ground Saver', token: 'ups_ground_saver', base: 8.1, perLb: 0.7, days: 5 },
+  { provider: 'UPS', name: '2nd Day Air', token: 'ups_second_day_air', base: 21, perLb: 1.9, days: 2 },
+  { provider: 'UPS', name: 'Next Day Air', token: 'ups_next_day_air', base: 38, perLb: 2.6, days: 1 },
+  { provider: 'USPS', name: 'Ground Advantage', token: 'usps_ground_advantage', base: 7.2, perLb: 0.6, days: 4 },
+  { provider: 'USPS', name: 'Priority Mail', token: 'usps_priority', base: 10.4, perLb: 0.9, days: 2 },
+  { provider: 'FedEx', name: 'Ground', token: 'fedex_ground', base: 10.1, perLb: 0.8, days: 3 }
+];
+
+const INTERNATIONAL_SERVICES = [
+  { provider: 'UPS', name: 'Worldwide Saver', token: 'ups_saver', base: 58, perLb: 4.1, days: 3 },
+  { provider: 'USPS', name: 'Priority Mail International', token: 'usps_priority_mail_international', base: 44, perLb: 3.2, days: 8 },
+  { provider: 'FedEx', name: 'International Economy', token: 'fedex_international_economy', base: 61, perLb: 3.9, days: 5 }
+];
+
+const TRACKING_STEPS = [
+  { status: 'PRE_TRANSIT', status_details: 'Label created; the carrier is awaiting the package.' },
+  { status: 'TRANSIT', status_details: 'Package is in transit.' },
+  { status: 'DELIVERED', status_details: 'Delivered.' }
+];
+
+const LABEL_EXTENSIONS = { PNG: 'png', 'PNG_2.3x7.5': 'png', ZPLII: 'zpl' };
+const LABEL_CONTENT_TYPES = { pdf: 'application/pdf', png: 'image/png', zpl: 'text/plain' };
+
+// 1x1 white PNG
+const TINY_PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8/5+hHgAHggJ/PchI7wAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+const newId = () => crypto.randomUUID().replace(/-/g, '');
+const nowIso = () => new Date().toISOString();
+
+function randomDigits(n) {
+  let out = '';
+  while (out.length < n) out += crypto.randomInt(0, 10);
+  return out;
+}
+
+function fakeTrackingNumber(provider) {
+  if (provider === 'UPS') return `1Z${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+  if (provider === 'USPS') return `9400${randomDigits(18)}`;
+  return randomDigits(12);
+}
+
+/**
+ * A 4x6 PDF with one page per entry of `pages`, each a few lines of text
+ * (batches get all their labels merged into one file, like Shippo's).
+ */
+function labelPdf(pages) {
+  const escape = (t) => String(t).replace(/[\\()]/g, (c) => `\\${c}`);
+  // 1: catalog, 2: pages, 3: font, then a page + content object per page
+  const pageRef = (i) => `${4 + i * 2} 0 R`;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((_, i) => pageRef(i)).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+  pages.forEach((lines, i) => {
+    const content = lines
+      .map((line, j) => `BT /F1 ${j === 0 ? 18 : 11} Tf 18 ${396 - j * 22} Td (${escape(line)}) Tj ET`)
+      .join('\n');
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 288 432] /Contents ${5 + i * 2} 0 R /Resources << /Font << /F1 3 0 R >> >> >>`,
+      `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+    );
+  });
+
+  let out = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((obj, i) => {
+    offsets.push(Buffer.byteLength(out, 'latin1'));
+    out += `${i + 1} 0 obj\n${obj}\nendobj\n`;
+  });
+  const xref = Buffer.byteLength(out, 'latin1');
+  out +=
+    `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+    offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n \n`).join('') +
+    `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(out, 'latin1');
+}
+
+function labelZpl(lines) {
+  const fields = lines.map((line, i) => `^FO40,${40 + i * 50}^A0N,${i === 0 ? 40 : 28},${i === 0 ? 40 : 28}^FD${line}^FS`);
+  return `^XA\n${fields.join('\n')}\n^XZ\n`;
+}
+
+function totalWeightLb(parcels) {
+  return (parcels || []).reduce((sum, p) => {
+    const w = Number(p.weight) || 0;
+    return sum + (String(p.mass_unit || 'lb').toLowerCase() === 'oz' ? w / 16 : w);
+  }, 0);
+}
+
+/**
+ * Build the Express app. `token` (optional) pins the accepted ShippoToken;
+ * otherwise any non-empty token is accepted. The returned app exposes its
+ * in-memory `state` for tests.
+ */
+export function createFakeShippoApp({ token } = {}) {
+  const state = {
+    shipments: new Map(),
+    rates: new Map(),
+    transactions: new Map(),
+    refunds: new Map(),
+    tracks: new Map(),
+    customs: new Map(),
+    addresses: new Map(),
+    batches: new Map(),
+    faults: []
+  };
+
+  const app = express();
+  app.use(express.json({ limit: '5mb' }));
+
+  const baseUrlOf = (req) => `${req.protocol}://${req.get('host')}`;
+
+  // Label files are fetched by URL (like Shippo's S3 links), no auth
+  const labelLines = (tx) => ['FAKE SHIPPO LABEL', `${tx._provider} ${tx._service}`, `Tracking: ${tx.tracking_number}`, `Transaction: ${tx.object_id}`];
+
+  app.get('/labels/:file', (req, res) => {
+    const [id, ext] = req.params.file.split('.');
+    const batch = id.startsWith('batch-') ? state.batches.get(id.slice('batch-'.length)) : null;
+    if (batch && ext === 'pdf') {
+      const txs = batch._shipments.map((s) => state.transactions.get(s.transaction)).filter(Boolean);
+      return res.type('application/pdf').send(labelPdf(txs.map(labelLines)));
+    }
+    const tx = state.transactions.get(id);
+    if (!tx || !LABEL_CONTENT_TYPES[ext]) return res.status(404).send('Not found');
+    const lines = labelLines(tx);
+    res.type(LABEL_CONTENT_TYPES[ext]);
+    if (ext === 'pdf') return res.send(labelPdf([lines]));
+    if (ext === 'png') return res.send(TINY_PNG);
+    return res.send(labelZpl(lines));
+  });
+
+  app.use((req, res, next) => {
+    const match = String(req.get('authorization') || '').match(/^ShippoToken\s+(\S+)$/);
+    if (!match || (token && match[1] !== token)) {
+      return res.status(401).json({ detail: 'Authentication credentials were not provided.' });
+    }
+    next();
+  });
+
+  app.post('/_fake/faults', (req, res) => {
+    const faults = Array.isArray(req.body) ? req.body : [req.body];
+    state.faults.push(...faults.filter((f) => f && f.path));
+    res.status(201).json({ queued: state.faults.length });
+  });
+
+  app.use((req, res, next) => {
+    const index = state.faults.findIndex(
+      (f) => (!f.method || f.method.toUpperCase() === req.method) && req.path.startsWith(f.path)
+    );
+    if (index === -1) return next();
+    const [fault] = state.faults.splice(index, 1);
+
+    const send = res.json.bind(res);
+    const fail = () => {
+      if (fault.retryAfter != null) res.set('Retry-After', String(fault.retryAfter));
+      res.status(fault.status || 503);
+      send({ detail: 'Simulated Shippo outage.' });
+    };
+    if (!fault.afterProcessing) return setTimeout(fail, fault.delayMs || 0);
+
+    res.json = () => {
+      setTimeout(fail, fault.delayMs || 0);
+      return res;
+    };
+    next();
+  });
+
+  /**
+   * Rate a shipment body like POST /shipments/ does. Returns the stored shipment,
+   * or { error } (a 400 body) when the address or parcels are missing.
+   */
+  function rateShipment(body) {
+    const from = body.address_from || {};
+    const to = body.address_to || {};
+    const parcels = Array.isArray(body.parcels) ? body.parcels : [];
+    if (!to.street1 || !to.zip || parcels.length === 0) {
+      return { error: { address_to: ['Street, ZIP and at least one parcel are required.'] } };
+    }
+
+    const shipmentId = newId();
+    const international = (from.country || 'US') !== (to.country || 'US');
+    const messages = [];
+    let services = international ? INTERNATIONAL_SERVICES : DOMESTIC_SERVICES;
+    if (international && !body.customs_declaration) {
+      services = [];
+      messages.push({ source: 'Shippo', code: 'customs_declaration', text: 'A customs declaration is required for international shipments.' });
+    }
+
+    const weight = totalWeightLb(parcels);
+    const signatureFee = body.extra?.signature_confirmation ? 3.1 : 0;
+    const rates = services.map((svc) => {
+      const rate = {
+        object_id: newId(),
+        object_created: nowIso(),
+        shipment: shipmentId,
+        provider: svc.provider,
+        servicelevel: { name: svc.name, token: svc.token, terms: '' },
+        amount: (svc.base * parcels.length + svc.perLb * weight + signatureFee).toFixed(2),
+        currency: 'USD',
+        amount_local: null,
+        estimated_days: svc.days,
+        duration_terms: `Delivery in ${svc.days} business day${svc.days === 1 ? '' : 's'}.`,
+        carrier_account: newId(),
+        attributes: [],
+        messages: []
+      };
+      state.rates.set(rate.object_id, rate);
+      return rate;
+    });
+
+    const shipment = {
+      object_id: shipmentId,
+      object_created: nowIso(),
+      status: 'SUCCESS',
+      address_from: from,
+      address_to: to,
+      parcels: parcels.map((p) => ({ object_id: newId(), ...p })),
+      extra: body.extra || {},
+      customs_declaration: body.customs_declaration || null,
+      rates,
+      messages
+    };
+    state.shipments.set(shipmentId, shipment);
+    return shipment;
+  }
+
+  app.post('/shipments/', (req, res) => {
+    const shipment = rateShipment(req.body || {});
+    if (shipment.error) return res.status(400).json(shipment.error);
+    res.status(201).json(shipment);
+  });
+
+  app.get('/shipments/:id', (req, res) => {
+    const shipment = state.shipments.get(req.params.id);
+    if (!shipment) return res.status(404).json({ detail: 'Not found.' });
+    res.json(shipment);
+  });
+
+  app.get('/rates/:id', (req, res) => {
+    const rate = state.rates.get(req.params.id);
+    if (!rate) return res.status(404).json({ detail: 'Not found.' });
+    res.json(rate);
+  });
+
+  function publicTransaction(tx) {
+    return Object.fromEntries(Object.entries(tx).filter(([key]) => !key.startsWith('_')));
+  }
+
+  /**
+   * Buy a rate: one transaction per parcel of its shipment. Returns them, master first.
+   */
+  function buyRate(rate, { fileType = 'PDF_4x6', metadata = '', base }) {
+    const shipment = state.shipments.get(rate.shipment);
+    const ext = LABEL_EXTENSIONS[fileType] || 'pdf';
+    const pieces = Math.max(1, shipment?.parcels?.length || 1);
+
+    const created = [];
+    for (let i = 0; i < pieces; i++) {
+      const id = newId();
+      const trackingNumber = fakeTrackingNumber(rate.provider);
+      const tx = {
+        object_id: id,
+        object_created: nowIso(),
+        object_state: 'VALID',
+        status: 'SUCCESS',
+        rate: rate.object_id,
+        tracking_number: trackingNumber,
+        tracking_status: 'UNKNOWN',
+        tracking_url_provider: `${base}/track/${trackingNumber}`,
+        label_url: `${base}/labels/${id}.${ext}`,
+        label_file_type: fileType,
+        metadata,
+        parcel: shipment?.parcels?.[i]?.object_id || null,
+        messages: [],
+        _provider: rate.provider,
+        _service: rate.servicelevel.name
+      };
+      state.transactions.set(id, tx);
+      created.push(tx);
+    }
+    return created;
+  }
+
+  app.post('/transactions/', (req, res) => {
+    const body = req.body || {};
+    const rate = state.rates.get(body.rate);
+    if (!rate) return res.status(400).json({ rate: ['Rate not found.'] });
+    const [master] = buyRate(rate, { fileType: body.label_file_type || 'PDF_4x6', metadata: body.metadata || '', base: baseUrlOf(req) });
+    res.status(201).json(publicTransaction(master));
+  });
+
+  app.get('/transactions/', (req, res) => {
+    const results = [...state.transactions.values()]
+      .filter((tx) => !req.query.rate || tx.rate === req.query.rate)
+      .slice(0, Number(req.query.results) || 25)
+      .map(publicTransaction);
+    res.json({ count: results.length, next: null, previous: null, results });
+  });
+
+  app.get('/transactions/:id', (req, res) => {
+    const tx = state.transactions.get(req.params.id);
+    if (!tx) return res.status(404).json({ detail: 'Not found.' });
+    res.json(publicTransaction(tx));
+  });
+
+  /**
+   * Batches settle one step per status check, like Shippo's background jobs:
+   * VALIDATING → VALID (or INVALID when a shipment can't be rated for its
+   * service) and PURCHASING → PURCHASED (every valid shipment bought, labels
+   * merged into one PDF).
+   */
+  function publicBatch(batch, { results } = {}) {
+    const list = batch._shipments.map((s) => ({ ...s }));
+    const limit = Number(results) || 5;
+    return {
+      ...Object.fromEntries(Object.entries(batch).filter(([key]) => !key.startsWith('_'))),
+      batch_shipments: { count: list.length, next: list.length > limit ? 'page=2' : null, previous: null, results: list.slice(0, limit) }
+    };
+  }
+
+  function advanceBatch(batch) {
+    if (batch.status === 'VALIDATING') {
+      batch.status = batch._shipments.every((s) => s.status === 'VALID') ? 'VALID' : 'INVALID';
+    } else if (batch.status === 'PURCHASING') {
+      for (const entry of batch._shipments) {
+        const rate = state.shipments.get(entry.shipment)?.rates.find((r) => r.servicelevel.token === entry.servicelevel_token);
+        const [master] = buyRate(rate, { fileType: batch.label_filetype, metadata: entry.metadata, base: batch._base });
+        entry.transaction = master.object_id;
+      }
+      batch.object_results = { ...batch.object_results, purchase_succeeded: batch._shipments.length, purchase_failed: 0 };
+      batch.label_url = [`${batch._base}/labels/batch-${batch.object_id}.pdf`];
+      batch.status = 'PURCHASED';
+    }
+    batch.object_updated = nowIso();
+  }
+
+  app.post('/batches/', (req, res) => {
+    const body = req.body || {};
+    const entries = Array.isArray(body.batch_shipments) ? body.batch_shipments : [];
+    if (entries.length === 0) return res.status(400).json({ batch_shipments: ['At least one shipment is required.'] });
+
+    const batch = {
+      object_id: newId(),
+      object_created: nowIso(),
+      object_updated: nowIso(),
+      status: 'VALIDATING',
+      default_carrier_account: body.default_carrier_account || null,
+      default_servicelevel_token: body.default_servicelevel_token || null,
+      label_filetype: body.label_filetype || 'PDF_4x6',
+      metadata: body.metadata || '',
+      label_url: [],
+      object_results: { creation_succeeded: 0, creation_failed: 0, purchase_succeeded: 0, purchase_failed: 0 },
+      _base: baseUrlOf(req),
+      _shipments: []
+    };
+    for (const entry of entries) {
+      const token = entry.servicelevel_token || batch.default_servicelevel_token;
+      const shipment = rateShipment(entry.shipment || {});
+      const rated = !shipment.error && shipment.rates.some((r) => r.servicelevel.token === token);
+      batch._shipments.push({
+        object_id: newId(),
+        status: rated ? 'VALID' : 'INVALID',
+        carrier_account: entry.carrier_account || batch.default_carrier_account,
+        servicelevel_token: token,
+        shipment: shipment.object_id || null,
+        transaction: null,
+        metadata: entry.metadata || '',
+        messages: rated ? [] : [{ text: shipment.error ? 'Street, ZIP and at least one parcel are required.' : `Service ${token} is not available.` }]
+      });
+      batch.object_results[rated ? 'creation_succeeded' : 'creation_failed'] += 1;
+    }
+    state.batches.set(batch.object_id, batch);
+    res.status(201).json(publicBatch(batch));
+  });
+
+  app.get('/batches/:id', (req, res) => {
+    const batch = state.batches.get(req.params.id);
+    if (!batch) return res.status(404).json({ detail: 'Not found.' });
+    advanceBatch(batch);
+    res.json(publicBatch(batch, req.query));
+  });
+
+  app.post('/batches/:id/purchase', (req, res) => {
+    const batch = state.batches.get(req.params.id);
+    if (!batch) return res.status(404).json({ detail: 'Not found.' });
+    if (batch.status !== 'VALID') return res.status(400).json({ detail: `Batch is ${batch.status}; only VALID batches can be purchased.` });
+    batch.status = 'PURCHASING';
+    batch.object_updated = nowIso();
+    res.json(publicBatch(batch));
+  });
+
+  app.post('/refunds/', (req, res) => {
+    const tx = state.transactions.get(req.body?.transaction);
+    if (!tx) return res.status(400).json({ transaction: ['Transaction not found.'] });
+    const refund = {
+      object_id: newId(),
+      object_created: nowIso(),
+      status: 'QUEUED',
+      transaction: tx.object_id,
+      test: true
+    };
+    state.refunds.set(refund.object_id, refund);
+    res.status(201).json(refund);
+  });
+
+  app.get('/refunds/', (req, res) => {
+    const results = [...state.refunds.values()].reverse().slice(0, Number(req.query.results) || 25);
+    res.json({ count: results.length, next: null, previous: null, results });
+  });
+
+  app.get('/refunds/:id', (req, res) => {
+    const refund = state.refunds.get(req.params.id);
+    if (!refund) return res.status(404).json({ detail: 'Not found.' });
+    refund.status = 'SUCCESS';
+    res.json(refund);
+  });
+
+  function trackResponse(track) {
+    const step = TRACKING_STEPS[Math.min(track.step, TRACKING_STEPS.length - 1)];
+    const statusDate = nowIso();
+    const tracking_status = {
+      ...step,
+      status_date: statusDate,
+      location: { city: 'Staten Island', state: 'NY', zip: '10309', country: 'US' }
+    };
+    track.history.push(tracking_status);
+    return {
+      carrier: track.carrier,
+      tracking_number: track.tracking_number,
+      metadata: track.metadata,
+      tracking_status,
+      tracking_history: [...track.history]
+    };
+  }
+
+  app.post('/tracks/', (req, res) => {
+    const { carrier, tracking_number: trackingNumber, metadata } = req.body || {};
+    if (!carrier || !trackingNumber) return res.status(400).json({ detail: 'carrier and tracking_number are required.' });
+    const key = `${carrier}/${trackingNumber}`;
+    const track = state.tracks.get(key) || { carrier, tracking_number: trackingNumber, metadata: metadata || '', step: 0, history: [] };
+    state.tracks.set(key, track);
+    res.status(201).json(trackResponse(track));
+  });
+
+  app.get('/tracks/:carrier/:trackingNumber', (req, res) => {
+    const key = `${req.params.carrier}/${req.params.trackingNumber}`;
+    const track = state.tracks.get(key) || { carrier: req.params.carrier, tracking_number: req.params.trackingNumber, metadata: '', step: -1, history: [] };
+    track.step += 1;
+    state.tracks.set(key, track);
+    res.json(trackResponse(track));
+  });
+
+  app.post('/addresses/', (req, res) => {
+    const body = req.body || {};
+    const upper = (v) => String(v || '').toUpperCase();
+    const isValid = Boolean(body.street1 && body.city && (body.zip || body.country !== 'US'));
+    const address = {
+      object_id: newId(),
+      object_created: nowIso(),
+      ...body,
+      name: body.name || '',
+      company: body.company || '',
+      street1: upper(body.street1),
+      street2: upper(body.street2),
+      city: upper(body.city),
+      state: upper(body.state),
+      zip: String(body.zip || ''),
+      country: body.country || 'US',
+      is_residential: !body.company,
+      validation_results: {
+        is_valid: isValid,
+        messages: isValid ? [] : [{ source: 'Shippo', code: 'Unknown Street', type: 'address_error', text: 'The address could not be found.' }]
+      }
+    };
+    state.addresses.set(address.object_id, address);
+    res.status(201).json(address);
+  });
+
+  app.post('/customs/declarations/', (req, res) => {
+    const body = req.body || {};
+    if (!Array.isArray(body.items) || body.items.length === 0) {
+      return res.status(400).json({ items: ['At least one customs item is required.'] });
+    }
+    const declaration = { object_id: newId(), object_created: nowIso(), object_state: 'VALID', ...body };
+    state.customs.set(declaration.object_id, declaration);
+    res.status(201).json(declaration);
+  });
+
+  app.use((req, res) => res.status(404).json({ detail: 'Not found.' }));
+
+  app.locals.state = state;
+  return app;
+}
+
+/**
+ * Start the fake server. Returns { url, server, state, close }.
+ * Use port 0 for a random free port (tests).
+ */
+export function startFakeShippo({ port = 0, host = '127.0.0.1', token } = {}) {
+  const app = createFakeShippoApp({ token });
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, host, () => {
+      const { port: actualPort } = server.address();
+      resolve({
+        url: `http://${host}:${actualPort}`,
+        server,
+        state: app.locals.state,
+        close: () => new Promise((done) => server.close(done))
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  const port = Number(process.env.FAKE_SHIPPO_PORT) || 4010;
+  startFakeShippo({ port, host: process.env.FAKE_SHIPPO_HOST || '127.0.0.1' }).then(({ url }) => {
+    console.log(`🧪 Fake Shippo listening on ${url} (set SHIPPO_BASE_URL=${url})`);
+  });
+}
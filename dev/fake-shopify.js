@@ -0,0 +1,197 @@
+/**
+ * Local stand-in for the Shopify Admin REST endpoints the bot uses, for offline
+ * development and tests. State lives in memory; restart to reset.
+ *
+ *   npm run fake-shopify           # listens on FAKE_SHOPIFY_PORT (default 4030)
+ *   SHOPIFY_STORE_DOMAIN=carismo.myshopify.com SHOPIFY_ADMIN_TOKEN=anything \
+ *     SHOPIFY_BASE_URL=http://127.0.0.1:4030 npm start
+ *
+ * Seeded with a domestic order (#1001), a Canadian one whose second item has no
+ * weight on the line item (#1002, the variant has it) and an already fulfilled
+ * one (#1003). Fulfilling closes the order's fulfillment orders, so a second
+ * fulfillment is rejected with 422 like Shopify does.
+ */
+
+import express from 'express';
+import { pathToFileURL } from 'url';
+
+const nowIso = () => new Date().toISOString();
+
+function seedOrders() {
+  return [
+    {
+      id: 5500000001,
+      name: '#1001',
+      order_number: 1001,
+      email: 'jane@example.com',
+      phone: null,
+      customer: { id: 77001, email: 'jane@example.com', phone: '+15125550100' },
+      shipping_address: {
+        first_name: 'Jane', last_name: 'Doe', name: 'Jane Doe', company: null,
+        address1: '1 Main St', address2: 'Apt 4', city: 'Austin', province_code: 'TX', zip: '78701',
+        country: 'United States', country_code: 'US', phone: '(512) 555-0100'
+      },
+      line_items: [
+        { id: 1, variant_id: 9001, title: 'Carbon Fiber Spoiler', variant_title: 'Gloss', sku: 'CF-SPL-G', quantity: 1, grams: 2948, price: '450.00', requires_shipping: true },
+        { id: 2, variant_id: 9002, title: 'Mounting Kit', variant_title: null, sku: 'MNT-1', quantity: 2, grams: 227, price: '25.00', requires_shipping: true },
+        { id: 3, variant_id: 9003, title: 'Gift Card', variant_title: null, sku: '', quantity: 1, grams: 0, price: '50.00', requires_shipping: false }
+      ],
+      fulfillment_orders: [{ id: 8800000001, status: 'open' }]
+    },
+    {
+      id: 5500000002,
+      name: '#1002',
+      order_number: 1002,
+      email: 'sam@example.ca',
+      customer: { id: 77002, email: 'sam@example.ca', phone: null },
+      shipping_address: {
+        first_name: 'Sam', last_name: 'Tremblay', name: 'Sam Tremblay', company: 'Tremblay Motors Inc',
+        address1: '200 Queen St W', address2: '', city: 'Toronto', province_code: 'ON', zip: 'M5V 2T6',
+        country: 'Canada', country_code: 'CA', phone: '+1 416 555 0199'
+      },
+      line_items: [
+        { id: 4, variant_id: 9004, title: 'Front Lip', variant_title: null, sku: 'LIP-1', quantity: 1, grams: 1814, price: '320.00', requires_shipping: true },
+        { id: 5, variant_id: 9005, title: 'Side Skirts', variant_title: 'Pair', sku: 'SKT-2', quantity: 1, grams: 0, price: '280.00', requires_shipping: true }
+      ],
+      fulfillment_orders: [{ id: 8800000002, status: 'open' }, { id: 8800000003, status: 'open' }]
+    },
+    {
+      id: 5500000003,
+      name: '#1003',
+      order_number: 1003,
+      email: 'old@example.com',
+      shipping_address: {
+        name: 'Al Old', address1: '9 Elm St', city: 'Denver', province_code: 'CO', zip: '80202', country_code: 'US'
+      },
+      line_items: [{ id: 6, variant_id: 9001, title: 'Carbon Fiber Spoiler', quantity: 1, grams: 2948, price: '450.00', requires_shipping: true }],
+      fulfillment_orders: [{ id: 8800000004, status: 'closed' }]
+    }
+  ];
+}
+
+const SEED_VARIANTS = {
+  9005: { id: 9005, weight: 6.5, weight_unit: 'lb' },
+  9001: { id: 9001, weight: 2.948, weight_unit: 'kg' }
+};
+
+const publicOrder = ({ fulfillment_orders: _fo, ...order }) => order;
+
+export function createFakeShopifyApp({ token } = {}) {
+  const state = {
+    orders: seedOrders(),
+    variants: { ...SEED_VARIANTS },
+    fulfillments: [],
+    faults: []
+  };
+
+  const app = express();
+  app.use(express.json());
+
+  app.use((req, res, next) => {
+    const provided = req.get('x-shopify-access-token');
+    if (!provided || (token && provided !== token)) {
+      return res.status(401).json({ errors: '[API] Invalid API key or access token (unrecognized login or wrong password)' });
+    }
+    next();
+  });
+
+  // Faults: { method, path, status, retryAfter } fail the next matching request once
+  app.post('/_fake/faults', (req, res) => {
+    const faults = Array.isArray(req.body) ? req.body : [req.body];
+    state.faults.push(...faults.filter((f) => f && f.path));
+    res.status(201).json({ queued: state.faults.length });
+  });
+  app.use((req, res, next) => {
+    const i = state.faults.findIndex((f) => (!f.method || f.method === req.method) && req.path.endsWith(f.path));
+    if (i === -1) return next();
+    const [fault] = state.faults.splice(i, 1);
+    if (fault.retryAfter != null) res.set('Retry-After', String(fault.retryAfter));
+    res.status(fault.status || 503).json({ errors: 'Fake fault' });
+  });
+
+  const api = express.Router();
+
+  api.get('/orders.json', (req, res) => {
+    const name = String(req.query.name || '').replace(/^#/, '');
+    const orders = state.orders.filter((o) => !name || String(o.order_number) === name);
+    res.json({ orders: orders.map(publicOrder) });
+  });
+
+  api.get('/orders/:id.json', (req, res) => {
+    const order = state.orders.find((o) => String(o.id) === req.params.id);
+    if (!order) return res.status(404).json({ errors: 'Not Found' });
+    res.json({ order: { ...publicOrder(order), fulfillments: state.fulfillments.filter((f) => f.order_id === order.id) } });
+  });
+
+  api.get('/orders/:id/fulfillment_orders.json', (req, res) => {
+    const order = state.orders.find((o) => String(o.id) === req.params.id);
+    if (!order) return res.status(404).json({ errors: 'Not Found' });
+    res.json({ fulfillment_orders: order.fulfillment_orders.map((fo) => ({ ...fo, order_id: order.id })) });
+  });
+
+  api.get('/variants/:id.json', (req, res) => {
+    const variant = state.variants[req.params.id];
+    if (!variant) return res.status(404).json({ errors: 'Not Found' });
+    res.json({ variant });
+  });
+
+  api.post('/fulfillments.json', (req, res) => {
+    const body = req.body?.fulfillment || {};
+    const ids = (body.line_items_by_fulfillment_order || []).map((x) => x.fulfillment_order_id);
+    const order = state.orders.find((o) => o.fulfillment_orders.some((fo) => ids.includes(fo.id)));
+    const targets = order ? order.fulfillment_orders.filter((fo) => ids.includes(fo.id)) : [];
+    if (!order || targets.length !== ids.length || ids.length === 0) {
+      return res.status(422).json({ errors: ['Fulfillment order does not exist.'] });
+    }
+    if (targets.some((fo) => fo.status !== 'open' && fo.status !== 'in_progress')) {
+      return res.status(422).json({ errors: ['Fulfillment order is not in a fulfillable state.'] });
+    }
+    for (const fo of targets) fo.status = 'closed';
+    const fulfillment = {
+      id: 6600000000 + state.fulfillments.length + 1,
+      order_id: order.id,
+      status: 'success',
+      created_at: nowIso(),
+      tracking_company: body.tracking_info?.company || null,
+      tracking_number: body.tracking_info?.number || null,
+      tracking_numbers: body.tracking_info?.number ? [body.tracking_info.number] : [],
+      tracking_url: body.tracking_info?.url || null,
+      notify_customer: Boolean(body.notify_customer)
+    };
+    state.fulfillments.push(fulfillment);
+    res.status(201).json({ fulfillment });
+  });
+
+  app.use('/admin/api/:version', api);
+  app.use((req, res) => res.status(404).json({ errors: 'Not Found' }));
+
+  app.locals.state = state;
+  return app;
+}
+
+/**
+ * Start the stand-in. Returns { url, server, state, close }.
+ * Use port 0 for a random free port (tests).
+ */
+export function startFakeShopify({ port = 0, host = '127.0.0.1', token } = {}) {
+  const app = createFakeShopifyApp({ token });
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, host, () => {
+      const { port: actualPort } = server.address();
+      resolve({
+        url: `http://${host}:${actualPort}`,
+        server,
+        state: app.locals.state,
+        close: () => new Promise((done) => server.close(done))
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  const port = Number(process.env.FAKE_SHOPIFY_PORT) || 4030;
+  startFakeShopify({ port, host: process.env.FAKE_SHOPIFY_HOST || '127.0.0.1' }).then(({ url }) => {
+    console.log(`🧪 Fake Shopify listening on ${url} (set SHOPIFY_BASE_URL=${url})`);
+  });
+}
@@ -0,0 +1,102 @@
+/**
+ * Local stand-in for the Slack Web API methods the bot calls, for end-to-end
+ * tests (SLACK_API_URL points the bot at it). It answers every method with ok
+ * (plus the ids callers read back) and records the calls. Socket Mode is not
+ * faked: tests feed events in with slackApp.processEvent.
+ *
+ * Arguments Slack takes as JSON (blocks, view, files, …) are decoded, so a
+ * recorded call looks like { method: 'views.update', args: { view: {...} } }.
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+
+const newId = (prefix) => `${prefix}${crypto.randomUUID().replace(/-/g, '').slice(0, 10).toUpperCase()}`;
+
+function decodeArgs(body) {
+  const args = {};
+  for (const [key, value] of Object.entries(body || {})) {
+    if (typeof value === 'string' && /^[[{]/.test(value)) {
+      try {
+        args[key] = JSON.parse(value);
+        continue;
+      } catch {}
+    }
+    args[key] = value;
+  }
+  return args;
+}
+
+/**
+ * Build the Express app. The returned app exposes its in-memory `state` for
+ * tests: { calls: [{ method, args }], uploads: { [fileId]: Buffer } }.
+ */
+export function createFakeSlackApp() {
+  const state = { calls: [], uploads: {} };
+  let ts = 1700000000;
+  const nextTs = () => `${++ts}.000100`;
+
+  const app = express();
+  const baseUrlOf = (req) => `${req.protocol}://${req.get('host')}`;
+
+  app.post('/_upload/:fileId', express.raw({ type: () => true, limit: '20mb' }), (req, res) => {
+    state.uploads[req.params.fileId] = req.body;
+    res.status(200).send(`OK - ${req.body.length}`);
+  });
+
+  const replies = {
+    'auth.test': () => ({ user_id: 'UBOT', bot_id: 'BBOT', team_id: 'T1', team: 'Carismo' }),
+    'chat.postMessage': (args) => ({ channel: args.channel, ts: nextTs(), message: { text: args.text } }),
+    'chat.postEphemeral': () => ({ message_ts: nextTs() }),
+    'chat.update': (args) => ({ channel: args.channel, ts: args.ts }),
+    'conversations.open': (args) => ({ channel: { id: `D${String(args.users || 'X').replace(/^U/, '')}` } }),
+    'views.open': (args) => ({ view: { ...args.view, id: newId('V') } }),
+    'views.push': (args) => ({ view: { ...args.view, id: newId('V') } }),
+    'views.update': (args) => ({ view: { ...args.view, id: args.view_id } }),
+    'files.getUploadURLExternal': (args, req) => {
+      const fileId = newId('F');
+      return { file_id: fileId, upload_url: `${baseUrlOf(req)}/_upload/${fileId}` };
+    },
+    'files.completeUploadExternal': (args) => ({ files: (args.files || []).map((f) => ({ id: f.id, title: f.title })) })
+  };
+
+  app.post(
+    '/api/:method',
+    express.urlencoded({ extended: false, limit: '5mb' }),
+    express.json({ limit: '5mb' }),
+    (req, res) => {
+      const { method } = req.params;
+      const args = decodeArgs(req.body);
+      state.calls.push({ method, args });
+      res.json({ ok: true, ...(replies[method]?.(args, req) || {}) });
+    }
+  );
+
+  app.use((req, res) => res.status(404).json({ ok: false, error: 'unknown_method' }));
+
+  app.locals.state = state;
+  return app;
+}
+
+/**
+ * Start the stand-in. Returns { url, apiUrl, server, state, close }; point the
+ * bot's SLACK_API_URL at apiUrl. Use port 0 for a random free port (tests).
+ */
+export function startFakeSlack({ port = 0, host = '127.0.0.1' } = {}) {
+  const app = createFakeSlackApp();
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, host, () => {
+      const { port: actualPort } = server.address();
+      const url = `http://${host}:${actualPort}`;
+      resolve({
+        url,
+        apiUrl: `${url}/api/`,
+        server,
+        state: app.locals.state,
+        close: () => new Promise((done) => server.close(done))
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
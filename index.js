@@ -1,10 +1,39 @@
 import 'dotenv/config';
+import crypto from 'crypto';
 import fs from 'fs';
 import fsp from 'fs/promises';
 import path from 'path';
+import { pathToFileURL } from 'url';
 import express from 'express';
 import boltPkg from '@slack/bolt';
-import fetch from 'node-fetch';
+import {
+  isValidEmail,
+  normalizePhone,
+  readContactInputs,
+  findAddressInText,
+  parseAddressMultiline,
+  parseAddressText,
+  parsedAddressErrors,
+  resolveAddressCountry
+} from './lib/address-parser.js';
+import {
+  SEED_PACKAGE_PRESETS,
+  parcelBlockId,
+  readParcelInputs,
+  readSignatureRequirement,
+  buildShipmentAddress,
+  buildShipmentBody,
+  toSelectedRate
+} from './lib/shipment.js';
+import { describeRatePolicy, normalizeRatePolicy, resolveRatePolicy, selectRate, validateRatePolicyConfig } from './lib/rate-policy.js';
+import { createShippoClient } from './lib/shippo.js';
+import { transitionFlow } from './lib/flow-state.js';
+import { defaultPrinterFor, parsePrinterConfig, printLabel, printerSupports } from './lib/printers.js';
+import { MAX_BULK_ROWS, bulkResultsCsv, readBulkRows } from './lib/bulk-csv.js';
+import { labelCommandPrefill, slackPlainText } from './lib/command-args.js';
+import { createShopifyClient, readShopifyOrder, shopifyCustomsText } from './lib/shopify.js';
+import { RMA_CONDITIONS, RMA_REASONS, claimRmaNumber, nextRmaNumber, normalizeRmaNumber, readRmaInputs, rmaCondition, rmaReason, searchRmas, transitionRma } from './lib/rma.js';
+import { LABEL_FORMATS, defaultLabelFormat, labelFilename, labelFormat, readLabelFormatInputs, resolveLabelFormat } from './lib/label-format.js';
 
 const { App } = boltPkg;
 
@@ -16,9 +45,24 @@ const {
   SLACK_BOT_TOKEN,
   SLACK_APP_TOKEN,       // xapp-... (Socket Mode app-level token)
   SLACK_SIGNING_SECRET,  // not strictly required for Socket Mode, but we keep it wired
+  SLACK_API_URL,         // optional: Slack Web API base URL (default https://slack.com/api/; tests point it at dev/fake-slack.js)
   WATCH_CHANNEL_ID,      // optional: default channel to post into
   PORT,                  // Express port (healthcheck / future webhooks)
-  SHIPPO_API_TOKEN       // Shippo API token (test or live)
+  SHIPPO_API_TOKEN,      // Shippo API token (test or live)
+  SHIPPO_BASE_URL,       // optional: Shippo API base URL (default https://api.goshippo.com; point at dev/fake-shippo.js offline)
+  SHIPPO_TIMEOUT_SECONDS, // optional: per-request Shippo timeout (default 20)
+  SHIPPO_MAX_RETRIES,    // optional: retries on 429/5xx/timeouts, with backoff and Retry-After (default 3)
+  TRACKING_POLL_MINUTES, // optional: how often to poll Shippo for tracking changes (default 30, 0 disables)
+  SHIPPO_WEBHOOK_TOKEN,  // shared secret Shippo must send to POST /webhooks/shippo (?token=... or X-Webhook-Token)
+  PACKAGE_ADMIN_USER_IDS, // optional: comma-separated Slack user ids allowed to manage package presets (default: everyone)
+  DEFAULT_CONTACT_PHONE, // optional: company phone used when an address has none (default: Carismo's)
+  DEFAULT_CONTACT_EMAIL, // optional: company email used when an address has none (default: Carismo's)
+  PENDING_FLOW_TTL_HOURS, // optional: how long rate choosers / review modals stay usable (default 24)
+  SHOPIFY_STORE_DOMAIN,  // optional: e.g. carismo.myshopify.com; with SHOPIFY_ADMIN_TOKEN enables order lookup
+  SHOPIFY_ADMIN_TOKEN,   // Admin API access token (read_orders, write_merchant_managed_fulfillment_orders, read_products)
+  SHOPIFY_API_VERSION,   // optional: Admin API version (default 2024-07)
+  SHOPIFY_BASE_URL,      // optional: Admin API base URL (default https://<store domain>; point at dev/fake-shopify.js offline)
+  SHOPIFY_NOTIFY_CUSTOMER // optional: "true" to have Shopify email the customer when a label fulfills their order
 } = process.env;
 
 function mustHave(name) {
@@ -32,12 +76,41 @@ mustHave('SLACK_BOT_TOKEN');
 mustHave('SLACK_APP_TOKEN');
 mustHave('SHIPPO_API_TOKEN');
 
+const shippoTimeoutSeconds = Number(SHIPPO_TIMEOUT_SECONDS);
+const shippoMaxRetries = Number.parseInt(SHIPPO_MAX_RETRIES, 10);
+const shippo = createShippoClient({
+  token: SHIPPO_API_TOKEN,
+  baseUrl: SHIPPO_BASE_URL,
+  timeoutMs: shippoTimeoutSeconds > 0 ? shippoTimeoutSeconds * 1000 : undefined,
+  maxRetries: shippoMaxRetries >= 0 ? shippoMaxRetries : undefined
+});
+
+// Shopify is optional: without a store and token, order numbers are only recorded
+const shopify = SHOPIFY_STORE_DOMAIN && SHOPIFY_ADMIN_TOKEN
+  ? createShopifyClient({
+      shop: SHOPIFY_STORE_DOMAIN,
+      token: SHOPIFY_ADMIN_TOKEN,
+      apiVersion: SHOPIFY_API_VERSION || undefined,
+      baseUrl: SHOPIFY_BASE_URL || null
+    })
+  : null;
+
 /* =========================
    Paths & Persistence (./data)
 ========================= */
 
 const DATA_DIR = path.resolve('./data');
 const COMMAND_LOG_PATH = path.join(DATA_DIR, 'commands-log.json'); // [{ type, userId, channelId, text, ts }, ...]
+const LABELS_PATH = path.join(DATA_DIR, 'labels.json'); // [{ id, transactionId, trackingNumber, status, ... }, ...]
+const WEBHOOK_EVENTS_PATH = path.join(DATA_DIR, 'webhook-events.json'); // [{ key, event, receivedAt }, ...]
+const ADDRESS_BOOK_PATH = path.join(DATA_DIR, 'address-book.json'); // [{ id, name, company, street1, ..., country, phone, email }, ...]
+const PACKAGE_PRESETS_PATH = path.join(DATA_DIR, 'package-presets.json'); // [{ id, name, length, width, height, boxWeight, defaultContentsWeight, template }, ...]
+const PENDING_FLOWS_PATH = path.join(DATA_DIR, 'pending-flows.json'); // { [flowId]: { id, flow, shipment, rates, ..., expiresAt } }
+const PRINTERS_PATH = path.join(DATA_DIR, 'printers.json'); // { printers: [{ id, name, type: 'raw'|'ipp', host, port, url, formats }], channels: { [channelId]: printerId } }
+const LABEL_FORMATS_PATH = path.join(DATA_DIR, 'label-formats.json'); // { default, flows: { shippinglabel, returnlabel }, users: { [userId]: { shippinglabel, returnlabel } } }
+const BULK_JOBS_PATH = path.join(DATA_DIR, 'bulk-jobs.json'); // [{ id, status, fileName, rows: [{ line, address, shipment, rate, status, ... }], batchId, ... }, ...]
+const RMAS_PATH = path.join(DATA_DIR, 'rmas.json'); // { counters: { [year]: lastSeq }, rmas: [{ number, status, orderNumber, customer, reason, items, condition, trackingNumber, ... }, ...] }
+const RATE_POLICIES_PATH = path.join(DATA_DIR, 'rate-policies.json'); // { default, flows: { shippinglabel, returnlabel }, channels: { [channelId]: { default, shippinglabel, returnlabel } } }
 
 async function ensureDataDir() {
   await fsp.mkdir(DATA_DIR, { recursive: true });
@@ -52,6 +125,25 @@ async function readJson(file, fallback) {
   }
 }
 
+/**
+ * Like readJson, but only a missing file reads as `fallback`: a file that can't
+ * be read or parsed throws, so a caller that writes it back can't wipe it.
+ */
+async function readJsonStrict(file, fallback) {
+  let txt;
+  try {
+    txt = await fsp.readFile(file, 'utf8');
+  } catch (e) {
+    if (e?.code === 'ENOENT') return fallback;
+    throw e;
+  }
+  try {
+    return JSON.parse(txt);
+  } catch (e) {
+    throw new Error(`${path.basename(file)} is not valid JSON: ${e.message}`);
+  }
+}
+
 async function writeJsonAtomic(file, value) {
   const tmp = `${file}.tmp-${Date.now()}-${Math.random().toString(36).slice(2)}`;
   await fsp.writeFile(tmp, JSON.stringify(value, null, 2), 'utf8');
@@ -75,2253 +167,6204 @@ async function appendCommandLog(entry) {
   }
 }
 
-const DEFAULT_FROM_ADDRESS_TEXT = `Carismo Design
-71 Winant Place (Suite B)
-Staten Island, NY 10309`;
+/**
+ * Serialize read-modify-write cycles on a JSON file within this process,
+ * so two handlers finishing at the same time don't drop each other's writes.
+ */
+const fileLocks = new Map();
 
-const DEFAULT_TO_ADDRESS_TEXT = `Returns Department
-Carismo Design
-71 Winant Place (Suite B)
-Staten Island, NY 10309`;
+function withFileLock(file, fn) {
+  const prev = fileLocks.get(file) || Promise.resolve();
+  const next = prev.then(fn, fn);
+  fileLocks.set(file, next.catch(() => {}));
+  return next;
+}
 
-const DEFAULT_PARCEL = {
-  length: '17',
-  width: '17',
-  height: '7',
-  weight: '8'
-};
+/* =========================
+   Label Ledger (./data/labels.json)
+========================= */
 
 /**
- * DM the user reminding them to track labels in Parcel App.
- * Includes tracking number and both addresses for context.
+ * Every purchased label gets one record, keyed by the Shippo transaction object_id.
+ * Records are never deleted; voids/refunds and tracking changes update `status`
+ * and append to `history`. A missing ledger is empty; an unreadable or corrupt
+ * one throws instead of being overwritten.
  */
-async function sendParcelReminderDm(client, userId, shipment, trackingNumber, labelKind) {
-  if (!client || !userId || !shipment) return;
-
-  const kindText = labelKind === 'return' ? 'return label' : 'shipping label';
-
-  const from = shipment.address_from || {};
-  const to = shipment.address_to || {};
+async function readLabelLedger() {
+  const labels = await readJsonStrict(LABELS_PATH, []);
+  if (!Array.isArray(labels)) throw new Error(`${path.basename(LABELS_PATH)} is not a list of labels.`);
+  return labels;
+}
 
-  const lines = [
-    `<@${userId}> heads up: a ${kindText} was just created by shipping-label-maker-bot.`,
-    '',
-    'If this label needs to be tracked (for example, a return label or any shipment incoming to HQ), please add it to the shared *Parcel App*.',
-    'The SOP for this is in the pinned messages in #shipment-updates.',
-    '',
-    `*Tracking number:* ${trackingNumber || 'N/A'}`,
-    '',
-    '*Ship From:*',
-    `• Name: ${from.name || 'N/A'}`,
-    `• Company: ${from.company || 'N/A'}`,
-    `• Street: ${from.street1 || 'N/A'}`,
-    `• Street 2: ${from.street2 || 'N/A'}`,
-    `• City: ${from.city || 'N/A'}`,
-    `• State: ${from.state || 'N/A'}`,
-    `• ZIP: ${from.zip || 'N/A'}`,
-    '',
-    '*Ship To:*',
-    `• Name: ${to.name || 'N/A'}`,
-    `• Company: ${to.company || 'N/A'}`,
-    `• Street: ${to.street1 || 'N/A'}`,
-    `• Street 2: ${to.street2 || 'N/A'}`,
-    `• City: ${to.city || 'N/A'}`,
-    `• State: ${to.state || 'N/A'}`,
-    `• ZIP: ${to.zip || 'N/A'}`
-  ];
+/**
+ * Persist a freshly purchased label. Never throws: a ledger failure must not
+ * hide a label that was already paid for, so we only log it.
+ */
+async function recordLabelPurchase({
+  flow, label, selectedRate, shipment, userId, channelId, threadTs, batchId = null, orderNumber = null, shopifyOrderId = null,
+  rmaNumber = null, shipmentId = selectedRate?.shipmentId || null
+}) {
+  const nowIso = new Date().toISOString();
+  const record = {
+    id: label.transactionId || `local-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    flow,
+    status: 'purchased',
+    transactionId: label.transactionId || null,
+    rateId: label.rateId || selectedRate?.id || null,
+    shipmentId,
+    trackingNumber: label.trackingNumber || null,
+    trackingUrl: label.trackingUrl || null,
+    labelUrl: label.labelUrl || null,
+    pieces: Array.isArray(label.pieces) && label.pieces.length > 1 ? label.pieces : null,
+    labelFormat: label.labelFormat || null,
+    carrier: selectedRate?.provider || label.carrierName || null,
+    service: selectedRate?.service || label.serviceName || null,
+    servicelevelToken: selectedRate?.servicelevelToken || label.servicelevelToken || null,
+    amount: selectedRate?.amount || label.amount || null,
+    currency: selectedRate?.currency || label.currency || 'USD',
+    etaDays: typeof selectedRate?.etaDays === 'number'
+      ? selectedRate.etaDays
+      : (typeof label.etaDays === 'number' ? label.etaDays : null),
+    addressFrom: shipment?.address_from || null,
+    addressTo: shipment?.address_to || null,
+    parcels: shipment?.parcels || [],
+    extra: shipment?.extra || null,
+    customsDeclarationId: shipment?.customs_declaration || null,
+    ratePolicy: selectedRate?.policy || null,
+    batchId,
+    orderNumber,
+    shopifyOrderId,
+    rmaNumber,
+    purchasedBy: userId || null,
+    channelId: channelId || null,
+    threadTs: threadTs || null,
+    createdAt: nowIso,
+    updatedAt: nowIso,
+    history: [{ at: nowIso, status: 'purchased', by: userId || null }]
+  };
 
   try {
-    await client.chat.postMessage({
-      channel: userId,
-      text: lines.join('\n')
+    await ensureDataDir();
+    await withFileLock(LABELS_PATH, async () => {
+      const labels = await readLabelLedger();
+      labels.push(record);
+      await writeJsonAtomic(LABELS_PATH, labels);
     });
   } catch (e) {
-    console.warn('⚠️ Failed to send Parcel reminder DM:', e?.stack || e?.message || e);
+    console.error('⚠️ Failed to record label in ledger:', e?.stack || e?.message || e);
   }
+
+  return record;
 }
 
 /**
- * More flexible US multi-line address parser.
- *
- * Heuristics:
- *  - Last line is assumed to be "City, ST ZIP" or "City ST ZIP".
- *  - Among the remaining lines, the first line that "looks like a street"
- *    (contains a common street keyword, optionally with digits) is treated as street1.
- *  - Lines before street1:
- *      - If street1 is at index 0 → no explicit name/company.
- *      - If street1 is at index 1 → [0] is name, no company.
- *      - If street1 is at index >= 2 → [0] is name, [1] is company.
- *  - Lines between street1 and city/state/zip are joined into street2
- *    (e.g., "Bsmt", "Apt 3B", "Suite 500").
- *
- * This version avoids treating any line with a digit as a street; it requires
- * a street keyword (St, Ave, Blvd, Rd, etc.), so company names like "127 Labs Inc"
- * are not misclassified as street lines.
- */
-function parseAddressMultiline(raw) {
-  const empty = {
-    name: '',
-    company: '',
-    street1: '',
-    street2: '',
-    city: '',
-    state: '',
-    zip: ''
-  };
-
-  if (!raw || typeof raw !== 'string') {
-    return empty;
-  }
-
-  const lines = raw
-    .split('\n')
-    .map((l) => l.trim())
-    .filter((l) => l.length > 0);
-
-  if (lines.length === 0) {
-    return empty;
-  }
-
-  // --- Parse city/state/zip from the last line ---
-  const cityStateZipLine = lines[lines.length - 1];
-  let city = '';
-  let state = '';
-  let zip = '';
+ * Apply `patch` to the ledger record with the given id. When `patch.status`
+ * changes, a history entry is appended. Returns the updated record or null.
+ */
+async function updateLabelRecord(id, patch, historyNote) {
+  if (!id) return null;
+  await ensureDataDir();
+  return withFileLock(LABELS_PATH, async () => {
+    const labels = await readLabelLedger();
+    const idx = labels.findIndex((l) => l.id === id);
+    if (idx === -1) return null;
+
+    const nowIso = new Date().toISOString();
+    const current = labels[idx];
+    const updated = { ...current, ...patch, updatedAt: nowIso };
+    if (patch.status && patch.status !== current.status) {
+      updated.history = [
+        ...(current.history || []),
+        { at: nowIso, status: patch.status, ...(historyNote || {}) }
+      ];
+    }
+    labels[idx] = updated;
+    await writeJsonAtomic(LABELS_PATH, labels);
+    return updated;
+  });
+}
 
-  // Try "City, ST ZIP"
-  const commaIdx = cityStateZipLine.indexOf(',');
-  if (commaIdx !== -1) {
-    city = cityStateZipLine.slice(0, commaIdx).trim();
-    const stateZipPart = cityStateZipLine.slice(commaIdx + 1).trim();
-    const parts = stateZipPart.split(/\s+/);
-    if (parts.length >= 2) {
-      state = parts[0];
-      zip = parts[parts.length - 1];
-    } else if (parts.length === 1) {
-      state = parts[0];
+/**
+ * Claim a label for voiding: under the ledger lock, re-check the stored record
+ * and mark it refund_pending before anyone talks to Shippo, so two clicks on
+ * "Void label" (or a click and /voidlabel) can't both request a refund.
+ * Returns { ok: true, record, previousStatus } or { ok: false, record, reason }
+ * with reason 'missing', 'refunded', 'refund_pending' or 'no_transaction'.
+ */
+async function claimLabelVoid(id, userId) {
+  await ensureDataDir();
+  return withFileLock(LABELS_PATH, async () => {
+    const labels = await readLabelLedger();
+    const idx = labels.findIndex((l) => l.id === id);
+    if (idx === -1) return { ok: false, record: null, reason: 'missing' };
+
+    const current = labels[idx];
+    if (current.status === 'refunded' || current.status === 'refund_pending') {
+      return { ok: false, record: current, reason: current.status };
     }
-  } else {
-    // Fallback: maybe "City ST ZIP" or similar
-    const parts = cityStateZipLine.split(/\s+/);
-    if (parts.length >= 3) {
-      city = parts.slice(0, parts.length - 2).join(' ');
-      state = parts[parts.length - 2];
-      zip = parts[parts.length - 1];
-    }
-  }
-
-  // Everything before the last line is "head" (name/company/street)
-  const head = lines.slice(0, lines.length - 1);
-  if (head.length === 0) {
-    return {
-      ...empty,
-      city: city || '',
-      state: state || '',
-      zip: zip || ''
+    if (!current.transactionId) return { ok: false, record: current, reason: 'no_transaction' };
+
+    const nowIso = new Date().toISOString();
+    const claimed = {
+      ...current,
+      status: 'refund_pending',
+      refundStatus: 'REQUESTED',
+      refundId: null,
+      refundRequestedAt: nowIso,
+      statusBeforeVoid: current.status,
+      voidedBy: userId || null,
+      updatedAt: nowIso,
+      history: [...(current.history || []), { at: nowIso, status: 'refund_pending', by: userId || null, refundStatus: 'REQUESTED' }]
     };
-  }
-
-  // Heuristic for "looks like a street" (typical street words, maybe digits)
-  const streetKeywords = [
-    ' st', ' street',
-    ' ave', ' avenue',
-    ' blvd', ' boulevard',
-    ' rd', ' road',
-    ' dr', ' drive',
-    ' ln', ' lane',
-    ' ter', ' terrace',
-    ' way',
-    ' hwy', ' highway',
-    ' pkwy', ' parkway',
-    ' ct', ' court',
-    ' cir', ' circle',
-    ' pl', ' place'
-  ];
+    labels[idx] = claimed;
+    await writeJsonAtomic(LABELS_PATH, labels);
+    return { ok: true, record: claimed, previousStatus: current.status };
+  });
+}
 
-  function looksLikeStreet(line) {
-    const lower = line.toLowerCase();
-    const hasDigit = /\d/.test(line);
-    const hasStreetKeyword = streetKeywords.some((kw) => lower.includes(kw));
+/**
+ * Undo a void claim when Shippo surely has no refund for the label (it rejected
+ * the request, or never listed one): back to the status it had before, so it
+ * can be voided again. Only a claim still waiting for its refund is released,
+ * under the ledger lock. Returns the updated record or null.
+ */
+async function releaseLabelVoid(id, { by = null, note } = {}) {
+  await ensureDataDir();
+  return withFileLock(LABELS_PATH, async () => {
+    const labels = await readLabelLedger();
+    const idx = labels.findIndex((l) => l.id === id);
+    const current = labels[idx];
+    if (!current || current.status !== 'refund_pending' || current.refundId) return null;
+
+    const nowIso = new Date().toISOString();
+    const status = current.statusBeforeVoid || 'purchased';
+    labels[idx] = {
+      ...current,
+      status,
+      refundStatus: null,
+      refundRequestedAt: null,
+      statusBeforeVoid: null,
+      voidedBy: null,
+      updatedAt: nowIso,
+      history: [...(current.history || []), { at: nowIso, status, by, note }]
+    };
+    await writeJsonAtomic(LABELS_PATH, labels);
+    return labels[idx];
+  });
+}
 
-    // Primary rule: must have a street keyword.
-    // - If it also has a digit → classic "123 Main St" style.
-    // - If no digit, but has street word → still acceptable (e.g., "Main Street").
-    if (hasStreetKeyword) return true;
+// A request whose response was lost may still be processing at Shippo, so a
+// lookup that finds nothing only counts once this much time has passed.
+const SHIPPO_LOOKUP_GRACE_MS = 2 * 60 * 1000;
 
-    // No street keyword → do NOT treat as street.
-    // This prevents "127 Labs Inc" from being misclassified.
-    return false;
-  }
+function normalizeTrackingNumber(value) {
+  return String(value || '').replace(/\s+/g, '').toUpperCase();
+}
 
-  let streetIndex = head.findIndex(looksLikeStreet);
-  if (streetIndex === -1) {
-    // No obvious street; assume last head line is street
-    streetIndex = head.length - 1;
+/**
+ * Find the most recent ledger record for a tracking number (whitespace/case-insensitive).
+ */
+async function findLabelByTracking(trackingNumber) {
+  const wanted = normalizeTrackingNumber(trackingNumber);
+  if (!wanted) return null;
+  const labels = await readLabelLedger();
+  for (let i = labels.length - 1; i >= 0; i--) {
+    if (normalizeTrackingNumber(labels[i].trackingNumber) === wanted) return labels[i];
   }
+  return null;
+}
 
-  // Decide name & company based on where the street starts
-  let name = '';
-  let company = '';
+async function findLabelByTransaction(transactionId) {
+  if (!transactionId) return null;
+  const labels = await readLabelLedger();
+  return labels.find((l) => l.transactionId === transactionId) || null;
+}
 
-  if (streetIndex === 0) {
-    // No explicit name/company; only street-ish stuff
-    name = '';
-    company = '';
-  } else if (streetIndex === 1) {
-    // [0] is name, no company
-    name = head[0];
-    company = '';
-  } else {
-    // [0] is name, [1] is company
-    name = head[0];
-    company = head[1];
+/**
+ * Free-text search over tracking number, names, companies, cities and ZIPs.
+ * Newest first, capped at `limit` results.
+ */
+async function searchLabels(query, limit = 20) {
+  const q = String(query || '').trim().toLowerCase();
+  const labels = await readLabelLedger();
+  const matches = [];
+  for (let i = labels.length - 1; i >= 0 && matches.length < limit; i--) {
+    const l = labels[i];
+    if (!q) {
+      matches.push(l);
+      continue;
+    }
+    const haystack = [
+      l.trackingNumber,
+      l.orderNumber,
+      l.rmaNumber,
+      l.carrier,
+      l.service,
+      l.addressTo?.name, l.addressTo?.company, l.addressTo?.city, l.addressTo?.zip,
+      l.addressFrom?.name, l.addressFrom?.company, l.addressFrom?.city, l.addressFrom?.zip
+    ].filter(Boolean).join(' ').toLowerCase();
+    if (haystack.includes(q)) matches.push(l);
   }
+  return matches;
+}
 
-  const street1 = head[streetIndex] || '';
-  const extraStreetLines = head.slice(streetIndex + 1);
-  const street2 = extraStreetLines.length > 0 ? extraStreetLines.join(', ') : '';
+/* =========================
+   Return Authorizations (./data/rmas.json)
+========================= */
 
+/**
+ * One RMA per return label, written when the label is bought. The number goes
+ * on the label's reference field, so a return is rated with the next free one
+ * (upcomingRmaNumber) and takes it right before it's bought (reserveRmaNumber,
+ * from LABEL_FLOWS.returnlabel.beforePurchase).
+ */
+async function readRmaStore() {
+  const store = await readJson(RMAS_PATH, {});
   return {
-    name: name || '',
-    company: company || '',
-    street1: street1 || '',
-    street2: street2 || '',
-    city: city || '',
-    state: state || '',
-    zip: zip || ''
+    counters: store?.counters && typeof store.counters === 'object' ? store.counters : {},
+    rmas: Array.isArray(store?.rmas) ? store.rmas : []
   };
 }
 
+async function upcomingRmaNumber() {
+  return nextRmaNumber((await readRmaStore()).counters).number;
+}
+
+/** Take `number` for a return being bought; false when another return has it. */
+async function reserveRmaNumber(number) {
+  await ensureDataDir();
+  return withFileLock(RMAS_PATH, async () => {
+    const store = await readRmaStore();
+    const { ok, counters } = claimRmaNumber(store.counters, number);
+    if (ok) await writeJsonAtomic(RMAS_PATH, { ...store, counters });
+    return ok;
+  });
+}
+
 /**
- * Create a Shippo shipment and return available rates (no purchase).
- * Returns { shipment, rates } where rates is an array as returned by Shippo.
+ * Persist the RMA of a freshly bought return label. Like recordLabelPurchase,
+ * never throws: the label is paid for either way, so a failure is only logged.
  */
-async function createShipmentAndGetRates(shipmentBody, logger) {
-  const log = logger || console;
-  const headers = {
-    Authorization: `ShippoToken ${SHIPPO_API_TOKEN}`,
-    'Content-Type': 'application/json'
+async function recordReturnAuthorization(rma, labelRecord) {
+  if (!rma?.number || !labelRecord) return null;
+  const nowIso = new Date().toISOString();
+  const record = {
+    number: rma.number,
+    status: 'open',
+    orderNumber: rma.orderNumber || null,
+    shopifyOrderId: labelRecord.shopifyOrderId || null,
+    customer: rma.customer || null,
+    reason: rma.reason || null,
+    items: Array.isArray(rma.items) ? rma.items : [],
+    condition: rma.condition || null,
+    labelId: labelRecord.id,
+    trackingNumber: labelRecord.trackingNumber || null,
+    carrier: labelRecord.carrier || null,
+    createdBy: labelRecord.purchasedBy || null,
+    channelId: labelRecord.channelId || null,
+    threadTs: labelRecord.threadTs || null,
+    createdAt: nowIso,
+    updatedAt: nowIso,
+    history: [{ at: nowIso, status: 'open', by: labelRecord.purchasedBy || null }]
   };
 
-  let shipment;
   try {
-    const res = await fetch('https://api.goshippo.com/shipments/', {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(shipmentBody)
+    await ensureDataDir();
+    await withFileLock(RMAS_PATH, async () => {
+      const store = await readRmaStore();
+      store.rmas.push(record);
+      await writeJsonAtomic(RMAS_PATH, store);
     });
-    const txt = await res.text();
-    if (!res.ok) {
-      throw new Error(`Shippo /shipments failed ${res.status}: ${txt}`);
-    }
-    shipment = JSON.parse(txt);
   } catch (e) {
-    log.error?.('Shippo error while creating shipment for rates:', e?.stack || e?.message || e);
-    throw e;
+    console.error('⚠️ Failed to record RMA:', e?.stack || e?.message || e);
   }
-
-  const rates = Array.isArray(shipment?.rates) ? shipment.rates : [];
-  return { shipment, rates };
+  return record;
 }
 
 /**
- * Purchase a label for a specific rate object_id.
- * Returns { trackingNumber, labelUrl, trackingUrl }.
+ * Move an RMA to 'received' or 'closed' (transitionRma). Returns { ok, rma };
+ * rma is null when there's no such RMA.
  */
-async function buyLabelForRate(rateObjectId, logger) {
-  const log = logger || console;
-  const headers = {
-    Authorization: `ShippoToken ${SHIPPO_API_TOKEN}`,
-    'Content-Type': 'application/json'
-  };
-  const txBody = {
-    rate: rateObjectId,
-    label_file_type: 'PDF_4x6',
-    async: false
-  };
-
-  let transaction;
-  try {
-    const res = await fetch('https://api.goshippo.com/transactions/', {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(txBody)
-    });
-    const txt = await res.text();
-    if (!res.ok) {
-      throw new Error(`Shippo /transactions failed ${res.status}: ${txt}`);
+async function updateRmaStatus(number, to, { by = null, note = '' } = {}) {
+  await ensureDataDir();
+  return withFileLock(RMAS_PATH, async () => {
+    const store = await readRmaStore();
+    const idx = store.rmas.findIndex((r) => r.number === number);
+    if (idx === -1) return { ok: false, rma: null };
+    const result = transitionRma(store.rmas[idx], to, { by, note });
+    if (result.ok) {
+      store.rmas[idx] = result.rma;
+      await writeJsonAtomic(RMAS_PATH, store);
     }
-    transaction = JSON.parse(txt);
-  } catch (e) {
-    log.error?.('Shippo error while buying label for selected rate:', e?.stack || e?.message || e);
-    throw e;
-  }
+    return result;
+  });
+}
 
-  if (transaction.status !== 'SUCCESS') {
-    const messages = transaction.messages ? JSON.stringify(transaction.messages) : '';
-    throw new Error(`Shippo transaction not successful. Status: ${transaction.status}. Messages: ${messages}`);
-  }
+/* =========================
+   Address Book (./data/address-book.json)
+========================= */
 
-  return {
-    trackingNumber: transaction.tracking_number || null,
-    labelUrl: transaction.label_url || transaction.label_file || null,
-    trackingUrl: transaction.tracking_url_provider || null
-  };
+const ADDRESS_FIELDS = ['name', 'company', 'street1', 'street2', 'city', 'state', 'zip', 'country', 'phone', 'email'];
+
+async function readAddressBook() {
+  const entries = await readJson(ADDRESS_BOOK_PATH, []);
+  return Array.isArray(entries) ? entries : [];
+}
+
+async function getAddressBookEntry(id) {
+  if (!id) return null;
+  const entries = await readAddressBook();
+  return entries.find((e) => e.id === id) || null;
 }
 
 /**
- * Create a return label via Shippo using the provided shipment data.
- * Returns { trackingNumber, labelUrl, trackingUrl, carrierName, serviceName, etaDays } on success.
- *
- * Uses Shippo's "create shipment -> buy label" flow:
- *  1) POST /shipments
- *  2) Take first rate
- *  3) POST /transactions
+ * Insert (no id) or update (existing id) a contact. Returns the saved entry.
  */
-async function createReturnLabelWithShippo(shipmentBody, logger) {
-  const log = logger || console;
-
-  const headers = {
-    Authorization: `ShippoToken ${SHIPPO_API_TOKEN}`,
-    'Content-Type': 'application/json'
-  };
-
-  // 1) Create a Shipment with the provided data
-  let shipment;
-  try {
-    const shipmentRes = await fetch('https://api.goshippo.com/shipments/', {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(shipmentBody)
-    });
-
-    const shipmentText = await shipmentRes.text();
-    if (!shipmentRes.ok) {
-      throw new Error(`Shippo /shipments failed ${shipmentRes.status}: ${shipmentText}`);
+async function saveAddressBookEntry(fields, userId) {
+  await ensureDataDir();
+  return withFileLock(ADDRESS_BOOK_PATH, async () => {
+    const entries = await readAddressBook();
+    const nowIso = new Date().toISOString();
+    const clean = {};
+    for (const f of ADDRESS_FIELDS) clean[f] = String(fields[f] || '').trim();
+    clean.country = (clean.country || 'US').toUpperCase();
+
+    const idx = fields.id ? entries.findIndex((e) => e.id === fields.id) : -1;
+    let saved;
+    if (idx === -1) {
+      saved = {
+        id: `ab_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        ...clean,
+        createdBy: userId || null,
+        createdAt: nowIso,
+        updatedAt: nowIso
+      };
+      entries.push(saved);
+    } else {
+      saved = { ...entries[idx], ...clean, updatedBy: userId || null, updatedAt: nowIso };
+      entries[idx] = saved;
     }
+    await writeJsonAtomic(ADDRESS_BOOK_PATH, entries);
+    return saved;
+  });
+}
 
-    shipment = JSON.parse(shipmentText);
-  } catch (e) {
-    log.error?.('Shippo error while creating shipment:', e?.stack || e?.message || e);
-    throw e;
-  }
+async function deleteAddressBookEntry(id) {
+  await ensureDataDir();
+  return withFileLock(ADDRESS_BOOK_PATH, async () => {
+    const entries = await readAddressBook();
+    const remaining = entries.filter((e) => e.id !== id);
+    if (remaining.length === entries.length) return false;
+    await writeJsonAtomic(ADDRESS_BOOK_PATH, remaining);
+    return true;
+  });
+}
 
-  const rates = shipment?.rates;
-  if (!Array.isArray(rates) || rates.length === 0) {
-    throw new Error('Shippo returned no rates for shipment.');
-  }
+/**
+ * Case-insensitive search by name, company or city. Every word of the query
+ * must match somewhere, so "acme brooklyn" finds Acme's Brooklyn warehouse.
+ */
+async function searchAddressBook(query, limit = 50) {
+  const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const entries = await readAddressBook();
+  const matches = entries.filter((e) => {
+    const haystack = [e.name, e.company, e.city].filter(Boolean).join(' ').toLowerCase();
+    return words.every((w) => haystack.includes(w));
+  });
+  matches.sort((a, b) => (a.company || a.name || '').localeCompare(b.company || b.name || ''));
+  return matches.slice(0, limit);
+}
 
-  const chosenRate = rates[0];
+function addressBookEntryLabel(entry) {
+  const who = [entry.name, entry.company].filter(Boolean).join(' — ') || entry.street1 || 'Unnamed';
+  const where = [entry.city, entry.state, entry.country && entry.country !== 'US' ? entry.country : '']
+    .filter(Boolean)
+    .join(', ');
+  return where ? `${who} (${where})` : who;
+}
 
-  // 2) Buy a label (transaction) for that rate
-  const transactionBody = {
-    rate: chosenRate.object_id,
-    label_file_type: 'PDF_4x6',
-    async: false
-  };
+const DEFAULT_FROM_ADDRESS_TEXT = `Carismo Design
+71 Winant Place (Suite B)
+Staten Island, NY 10309`;
 
-  let transaction;
-  try {
-    const txRes = await fetch('https://api.goshippo.com/transactions/', {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(transactionBody)
-    });
+const DEFAULT_TO_ADDRESS_TEXT = `Returns Department
+Carismo Design
+71 Winant Place (Suite B)
+Staten Island, NY 10309`;
 
-    const txText = await txRes.text();
-    if (!txRes.ok) {
-      throw new Error(`Shippo /transactions failed ${txRes.status}: ${txText}`);
-    }
+// Company contact details: used for our own addresses and whenever a recipient
+// or custom sender gave no phone/email (carriers reject blank contact fields).
+const COMPANY_CONTACT_PHONE = (DEFAULT_CONTACT_PHONE || '').trim() || '+1 646 374 8865';
+const COMPANY_CONTACT_EMAIL = (DEFAULT_CONTACT_EMAIL || '').trim() || 'shop@carismodesign.com';
+
+// Per-field fallbacks for shipment addresses (see buildShipmentAddress)
+const CARISMO_ADDRESS = {
+  name: 'Carismo Design',
+  street1: '71 Winant Place (Suite B)',
+  city: 'Staten Island',
+  state: 'NY',
+  zip: '10309',
+  country: 'US',
+  phone: COMPANY_CONTACT_PHONE,
+  email: COMPANY_CONTACT_EMAIL
+};
+const CARISMO_RETURNS_ADDRESS = { ...CARISMO_ADDRESS, name: 'Returns Department', company: 'Carismo Design' };
+const COMPANY_CONTACT_FALLBACK = { phone: COMPANY_CONTACT_PHONE, email: COMPANY_CONTACT_EMAIL };
 
-    transaction = JSON.parse(txText);
-  } catch (e) {
-    log.error?.('Shippo error while creating transaction:', e?.stack || e?.message || e);
-    throw e;
-  }
+/* =========================
+   Package Presets (./data/package-presets.json)
+========================= */
 
-  if (transaction.status !== 'SUCCESS') {
-    // Shippo may still return a JSON with messages if something went wrong
-    const messages = transaction.messages ? JSON.stringify(transaction.messages) : '';
-    throw new Error(`Shippo transaction not successful. Status: ${transaction.status}. Messages: ${messages}`);
-  }
+/**
+ * The first preset in the list is the default selection in the label modals.
+ */
+async function readPackagePresets() {
+  const presets = await readJson(PACKAGE_PRESETS_PATH, null);
+  return Array.isArray(presets) && presets.length > 0 ? presets : SEED_PACKAGE_PRESETS;
+}
+
+async function savePackagePreset(fields, userId) {
+  await ensureDataDir();
+  return withFileLock(PACKAGE_PRESETS_PATH, async () => {
+    const presets = [...(await readPackagePresets())];
+    const nowIso = new Date().toISOString();
+    const clean = {
+      name: String(fields.name || '').trim(),
+      length: String(fields.length || '').trim(),
+      width: String(fields.width || '').trim(),
+      height: String(fields.height || '').trim(),
+      boxWeight: String(fields.boxWeight || '0').trim(),
+      defaultContentsWeight: String(fields.defaultContentsWeight || '0').trim(),
+      template: String(fields.template || '').trim()
+    };
 
-  const trackingNumber = transaction.tracking_number || null;
-  const labelUrl = transaction.label_url || transaction.label_file || null;
-  const trackingUrl = transaction.tracking_url_provider || null;
+    const idx = fields.id ? presets.findIndex((p) => p.id === fields.id) : -1;
+    let saved;
+    if (idx === -1) {
+      saved = {
+        id: `pkg_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        ...clean,
+        createdBy: userId || null,
+        createdAt: nowIso,
+        updatedAt: nowIso
+      };
+      presets.push(saved);
+    } else {
+      saved = { ...presets[idx], ...clean, updatedBy: userId || null, updatedAt: nowIso };
+      presets[idx] = saved;
+    }
+    await writeJsonAtomic(PACKAGE_PRESETS_PATH, presets);
+    return saved;
+  });
+}
 
-  const carrierName =
-    chosenRate.provider ||
-    chosenRate.carrier ||
-    (chosenRate.carrier_account && chosenRate.carrier_account.carrier) ||
-    'Unknown carrier';
+async function deletePackagePreset(id) {
+  await ensureDataDir();
+  return withFileLock(PACKAGE_PRESETS_PATH, async () => {
+    const presets = await readPackagePresets();
+    const remaining = presets.filter((p) => p.id !== id);
+    if (remaining.length === presets.length) return false;
+    // An empty file falls back to the seed list, which is what we want.
+    await writeJsonAtomic(PACKAGE_PRESETS_PATH, remaining);
+    return true;
+  });
+}
 
-  const serviceName =
-    (chosenRate.servicelevel && chosenRate.servicelevel.name) ||
-    chosenRate.servicelevel_name ||
-    chosenRate.service ||
-    'Unknown service';
+function packagePresetLabel(preset) {
+  const total = (Number(preset.boxWeight) || 0) + (Number(preset.defaultContentsWeight) || 0);
+  const dims = `${preset.length}" x ${preset.width}" x ${preset.height}"`;
+  return `${preset.name} (${dims}, ${total} lb${preset.template ? `, ${preset.template}` : ''})`;
+}
 
-  const etaDays =
-    typeof chosenRate.estimated_days === 'number'
-      ? chosenRate.estimated_days
-      : null;
+/* =========================
+   Rate Policies (./data/rate-policies.json)
+========================= */
 
-  if (!labelUrl) {
-    throw new Error('Shippo transaction succeeded but label URL is missing.');
+/**
+ * The policy that picks the service in "Use default" mode for a flow
+ * ('shippinglabel' | 'returnlabel') started from a channel (where the slash
+ * command was typed, not WATCH_CHANNEL_ID). See lib/rate-policy.js for
+ * the file format; without a file every flow keeps the UPS Ground default.
+ * A broken file is logged and ignored rather than blocking label creation.
+ */
+async function ratePolicyFor(flow, channelId) {
+  const config = await readJson(RATE_POLICIES_PATH, null);
+  const errors = validateRatePolicyConfig(config);
+  if (errors.length > 0) {
+    console.warn(`⚠️ Ignoring ${RATE_POLICIES_PATH}:`, errors.join('; '));
+    return resolveRatePolicy(null, flow, channelId);
   }
+  return resolveRatePolicy(config, flow, channelId);
+}
 
-  return {
-    trackingNumber,
-    labelUrl,
-    trackingUrl,
-    carrierName,
-    serviceName,
-    etaDays
-  };
+/**
+ * ratePolicyFor, unless the slash command named a service (--service=usps/priority):
+ * then a one-service policy for it, which falls back to choosing manually.
+ */
+async function flowRatePolicy(flow, channelId, service = null) {
+  return service ? normalizeRatePolicy({ name: service, preferred: [service] }) : ratePolicyFor(flow, channelId);
+}
+
+/**
+ * Run the flow's policy (or the command's --service) over the rates.
+ * Returns { policy, rate, reason }.
+ */
+async function pickRateByPolicy(flow, channelId, rates, service = null) {
+  const policy = await flowRatePolicy(flow, channelId, service);
+  return { policy, ...selectRate(rates, policy) };
 }
 
 /* =========================
-   Slack App (Socket Mode)
+   Label Formats (./data/label-formats.json)
 ========================= */
 
-const slackApp = new App({
-  token: SLACK_BOT_TOKEN,
-  appToken: SLACK_APP_TOKEN,
-  signingSecret: SLACK_SIGNING_SECRET,
-  socketMode: true,
-  processBeforeResponse: true
-});
+/**
+ * The label file format a user's edit modal starts on for a flow: their own
+ * default, else the flow's, else PDF_4x6 (see lib/label-format.js).
+ */
+async function labelFormatFor(flow, userId) {
+  return defaultLabelFormat(await readJson(LABEL_FORMATS_PATH, null), flow, userId);
+}
 
-slackApp.error((e) => {
-  console.error('⚠️ Bolt error:', e?.stack || e?.message || e);
-});
+/** Save a user's default label format for one flow ("Make this my default"). */
+async function saveUserLabelFormat(userId, flow, value) {
+  if (!userId || !labelFormat(value)) return;
+  await ensureDataDir();
+  await withFileLock(LABEL_FORMATS_PATH, async () => {
+    const config = (await readJson(LABEL_FORMATS_PATH, null)) || {};
+    const users = config.users || {};
+    users[userId] = { ...(users[userId] || {}), [flow]: labelFormat(value).value };
+    await writeJsonAtomic(LABEL_FORMATS_PATH, { ...config, users });
+  });
+}
 
 /* =========================
-   Slash Commands Baseline
+   Printers (./data/printers.json)
 ========================= */
 
 /**
- * /shippinglabel handler
- * Behaves like /returnlabel, but:
- *  - Ship TO is a required multi-line address (no default option)
- *  - Ship FROM uses Carismo default (with optional custom override)
- *  - Order in the modal: Ship To first, then Ship From
+ * Configured label printers and per-channel defaults (see lib/printers.js).
+ * Without the file there are no printers and the printing UI stays hidden.
+ * Bad entries are logged and skipped.
  */
-slackApp.command('/shippinglabel', async ({ ack, body, client, logger }) => {
-  await ack();
+async function readPrinters() {
+  const { printers, channels, errors } = parsePrinterConfig(await readJson(PRINTERS_PATH, null));
+  if (errors.length > 0) console.warn(`⚠️ Problems in ${PRINTERS_PATH}:`, errors.join('; '));
+  return { printers, channels };
+}
+
+/**
+ * The review modal's printer choice for a pending flow: every configured printer
+ * plus the default of the channel the flow was started from (or posts to).
+ */
+async function reviewPrinterOptions(record) {
+  const config = await readPrinters();
+  const printer = defaultPrinterFor(config, [record.userChannelId, record.channelId], resolveLabelFormat(record.labelFormat).value);
+  return { printers: config.printers, defaultPrinterId: printer?.id || null };
+}
+
+/**
+ * "Print to" select over the printers that can take `format`, starting on
+ * `initialPrinterId`. With allowNone a "Don't print" option comes first (and is
+ * the default). No blocks when no printer can take the format.
+ */
+function printerChoiceBlocks(printers, format, initialPrinterId, { allowNone = true } = {}) {
+  const usable = (printers || []).filter((p) => printerSupports(p, format));
+  if (usable.length === 0) return [];
+  const pairs = [...(allowNone ? [['none', 'Don’t print']] : []), ...usable.slice(0, 99).map((p) => [p.id, p.name])];
+  const initial = usable.some((p) => p.id === initialPrinterId) ? initialPrinterId : pairs[0][0];
+  return [
+    {
+      type: 'input',
+      block_id: 'printer_block',
+      optional: allowNone,
+      label: { type: 'plain_text', text: 'Print to', emoji: true },
+      element: staticSelectElement('printer_select', pairs, initial)
+    }
+  ];
+}
+
+function readPrinterChoice(values) {
+  const value = values?.['printer_block']?.['printer_select']?.selected_option?.value;
+  return value && value !== 'none' ? value : null;
+}
+
+/**
+ * Send a label's files (`buffers`, one per parcel) to a printer and report it in
+ * the label's thread: "Printing…" first, then the outcome in the same message.
+ * The last print is kept on the ledger record ("Print again" reuses its printer).
+ * Never throws; returns whether every file was accepted.
+ */
+async function printLabelFiles({ client, record, buffers, printerId, userId, logger }) {
+  const log = logger || console;
+  const tracking = record.trackingNumber || 'N/A';
+  const format = resolveLabelFormat(record.labelFormat);
+  const { printers } = await readPrinters();
+  const printer = printers.find((p) => p.id === printerId);
+
+  let statusTs = null;
+  const report = async (text) => {
+    try {
+      if (statusTs) {
+        await client.chat.update({ channel: record.channelId, ts: statusTs, text });
+      } else {
+        const res = await client.chat.postMessage({ channel: record.channelId, thread_ts: record.threadTs || undefined, text });
+        statusTs = res?.ts || null;
+      }
+    } catch (e) {
+      log.warn?.('Failed to report print status:', e?.data || e?.message || e);
+    }
+  };
+
+  if (!printer) {
+    await report(`❌ Printer \`${printerId}\` is no longer configured, so label \`${tracking}\` was not printed.`);
+    return false;
+  }
+
+  const what = buffers.length > 1 ? `${buffers.length} labels for \`${tracking}\`` : `label \`${tracking}\``;
+  await report(`🖨️ Printing ${what} on *${printer.name}*${userId ? ` for <@${userId}>` : ''}…`);
+
+  const jobIds = [];
+  let error = null;
+  for (let i = 0; i < buffers.length; i++) {
+    try {
+      const job = await printLabel(printer, {
+        data: buffers[i],
+        format: format.value,
+        jobName: `Label ${record.pieces?.[i]?.trackingNumber || tracking}`,
+        userName: userId || undefined
+      });
+      if (job.jobId != null) jobIds.push(job.jobId);
+    } catch (e) {
+      error = e?.message || String(e);
+      log.error?.(`Failed to print label ${tracking} on ${printer.id}:`, error);
+      break;
+    }
+  }
+
+  await report(error
+    ? `❌ Printing ${what} on *${printer.name}* failed: ${error}`
+    : `✅ Sent ${what} to *${printer.name}*${jobIds.length ? ` (job ${jobIds.join(', ')})` : ''}.`);
+
+  await updateLabelRecord(record.id, {
+    lastPrint: { at: new Date().toISOString(), printerId: printer.id, by: userId || null, ok: !error, jobIds, error }
+  });
+  return !error;
+}
+
+/* =========================
+   Pending Flows (./data/pending-flows.json)
+========================= */
+
+/**
+ * A label flow that has been rated but not bought yet. Rate buttons and review
+ * modals only carry its opaque id (and the chosen rate id); the shipment, customs,
+ * address checks and the rates we offered stay here. That keeps us under Slack's
+ * 2000/3000-character value/metadata limits and means a crafted payload can only
+ * pick one of the rates we actually offered. Entries survive restarts and expire
+ * after PENDING_FLOW_TTL_HOURS — except while "purchasing": Shippo may have bought
+ * that label, so the flow stays until "Check again" settles it.
+ */
+const PENDING_FLOW_TTL_MS = (Number(PENDING_FLOW_TTL_HOURS) > 0 ? Number(PENDING_FLOW_TTL_HOURS) : 24) * 60 * 60 * 1000;
+
+function pendingFlowLive(flow, nowMs = Date.now()) {
+  return !!flow && (flow.state === 'purchasing' || Date.parse(flow.expiresAt) > nowMs);
+}
+
+function withoutExpiredFlows(flows, nowMs = Date.now()) {
+  const kept = {};
+  for (const [id, flow] of Object.entries(flows || {})) {
+    if (pendingFlowLive(flow, nowMs)) kept[id] = flow;
+  }
+  return kept;
+}
+
+/**
+ * Store a rated flow: { flow, channelId, userChannelId, userId, threadTs, shipment,
+ * shipmentId, customs, addressChecks, addressWarnings, rates, policyPick, chooserRateIds }.
+ * `rates` are toSelectedRate() objects; `chooserRateIds` limits the chooser to some
+ * of them. New flows start out "rated" unless `state` says otherwise (e.g. straight
+ * to "reviewing" when the rate policy picked the service). Returns the stored record.
+ */
+async function createPendingFlow(fields) {
+  await ensureDataDir();
+  const now = Date.now();
+  const at = new Date(now).toISOString();
+  const state = fields.state || 'rated';
+  const record = {
+    ...fields,
+    id: `pf_${crypto.randomBytes(12).toString('hex')}`,
+    state,
+    stateBy: fields.stateBy || fields.userId || null,
+    stateAt: at,
+    history: [{ at, state, by: fields.stateBy || fields.userId || null, ...(fields.rateId ? { rateId: fields.rateId } : {}) }],
+    choosers: [],
+    createdAt: at,
+    expiresAt: new Date(now + PENDING_FLOW_TTL_MS).toISOString()
+  };
+  await withFileLock(PENDING_FLOWS_PATH, async () => {
+    const flows = withoutExpiredFlows(await readJson(PENDING_FLOWS_PATH, {}), now);
+    flows[record.id] = record;
+    await writeJsonAtomic(PENDING_FLOWS_PATH, flows);
+  });
+  return record;
+}
+
+async function getPendingFlow(id) {
+  if (typeof id !== 'string' || !id) return null;
+  const flows = await readJson(PENDING_FLOWS_PATH, {});
+  const record = flows?.[id];
+  return pendingFlowLive(record) ? record : null;
+}
+
+/**
+ * Move a flow to its next state (see lib/flow-state.js) under the file lock, so two
+ * clicks or submits can't both win. Returns { ok, record }: the updated record, or
+ * ok=false with the current record (or null when it's gone/expired) so the caller
+ * can say who holds it.
+ */
+async function transitionPendingFlow(id, to, { by = null, rateId, patch } = {}) {
+  if (typeof id !== 'string' || !id) return { ok: false, record: null };
+  return withFileLock(PENDING_FLOWS_PATH, async () => {
+    const flows = withoutExpiredFlows(await readJson(PENDING_FLOWS_PATH, {}));
+    const current = flows[id];
+    if (!current) return { ok: false, record: null };
+    const result = transitionFlow(current, to, { by, rateId, patch });
+    if (result.ok) {
+      flows[id] = result.record;
+      await writeJsonAtomic(PENDING_FLOWS_PATH, flows);
+    }
+    return result;
+  });
+}
+
+/**
+ * Remember where a flow's rate chooser was posted, so it can be re-rendered as the
+ * flow moves on: { channel, ts } for thread messages, { responseUrl } for ephemeral
+ * ones (Slack only lets us replace those through the click's response_url).
+ */
+async function addPendingFlowChooser(id, chooser) {
+  if (typeof id !== 'string' || !id || !chooser) return;
+  await withFileLock(PENDING_FLOWS_PATH, async () => {
+    const flows = withoutExpiredFlows(await readJson(PENDING_FLOWS_PATH, {}));
+    if (!flows[id]) return;
+    const choosers = (flows[id].choosers || []).filter((c) =>
+      chooser.ts ? c.ts !== chooser.ts : !c.responseUrl
+    );
+    flows[id] = { ...flows[id], choosers: [...choosers, chooser] };
+    await writeJsonAtomic(PENDING_FLOWS_PATH, flows);
+  });
+}
+
+/**
+ * Merge `patch` into a stored flow without changing its state (e.g. what a
+ * purchase Shippo hasn't confirmed yet was for). Returns the updated record or null.
+ */
+async function updatePendingFlow(id, patch) {
+  if (typeof id !== 'string' || !id) return null;
+  return withFileLock(PENDING_FLOWS_PATH, async () => {
+    const flows = withoutExpiredFlows(await readJson(PENDING_FLOWS_PATH, {}));
+    if (!flows[id]) return null;
+    flows[id] = { ...flows[id], ...patch };
+    await writeJsonAtomic(PENDING_FLOWS_PATH, flows);
+    return flows[id];
+  });
+}
+
+/**
+ * Why a click or submit on a flow was refused, for the person who tried
+ * (`kindText` is "shipping label" or "return label").
+ */
+function pendingFlowConflictText(record, kindText, userId) {
+  if (!record) return `⚠️ This ${kindText} has expired or was already used. Please start the label again.`;
+  const status = pendingFlowStatusText(record);
+  switch (record.state) {
+    case 'purchased':
+      return `⚠️ This ${kindText} was already bought, so nothing else was bought. ${status}`;
+    case 'purchasing':
+      return `⚠️ This ${kindText} is already being bought, so nothing else was bought. ${status}`;
+    case 'reviewing':
+      return record.stateBy === userId
+        ? `⚠️ That review is out of date (you picked another service since), so nothing was bought. ${status}`
+        : `⚠️ Someone else is on this ${kindText}: ${status} Try again once they’re done.`;
+    default:
+      return `⚠️ That ${kindText} review is out of date, so nothing was bought. Please pick a service again.`;
+  }
+}
+
+/**
+ * After a purchase attempt: mark the flow purchased when a label was bought, and
+ * hand it back to "rated" (so a service can be picked again) only when Shippo
+ * surely bought nothing: `purchase` is 'rejected' or 'not_sent' (see buyLabelForRate).
+ * Anything else leaves it "purchasing", since a label may exist; nobody can buy
+ * another until purchase_status_check settles it. Re-renders its choosers.
+ */
+async function settlePendingFlowPurchase(client, record, { by = null, label = null, labelRecord = null, purchase = null, logger } = {}) {
+  let result;
+  if (label) {
+    result = await transitionPendingFlow(record.id, 'purchased', {
+      by,
+      patch: { trackingNumber: label.trackingNumber || null, labelId: labelRecord?.id || null }
+    });
+  } else if (purchase === 'rejected' || purchase === 'not_sent') {
+    result = await transitionPendingFlow(record.id, 'rated', { by });
+  } else {
+    return;
+  }
+  if (result.ok) await refreshPendingFlowChoosers(client, result.record, logger);
+}
+
+/**
+ * A purchase stopped because the flow was rated again at a new price: post its
+ * chooser in the thread, so the new rate is reviewed before anything is bought.
+ */
+async function offerPendingFlowRereview(client, record, reason, { userId = null, logger } = {}) {
+  const text = `${reason} Nothing was bought; pick the service again to review the new price.`;
+  try {
+    const posted = await client.chat.postMessage({
+      channel: record.channelId,
+      text: `${userId ? `<@${userId}> ` : ''}${text}`,
+      blocks: [
+        { type: 'section', text: { type: 'mrkdwn', text } },
+        ...buildRateBlocks(record, chooserRates(record), userId)
+      ],
+      thread_ts: record.threadTs || undefined
+    });
+    await addPendingFlowChooser(record.id, { channel: posted.channel || record.channelId, ts: posted.ts });
+  } catch (e) {
+    logger?.warn?.('Failed to post the rate chooser for a new review', record.id, e?.data || e?.message || e);
+  }
+}
+
+/**
+ * The selected rate for a flow, only if it's one we offered. Adds the policy
+ * note when the flow's rate policy picked it. Returns null otherwise.
+ */
+function pendingFlowRate(record, rateId) {
+  const offered = (record?.rates || []).find((r) => r.id === rateId);
+  if (!offered) return null;
+  return record.policyPick?.rateId === rateId ? { ...offered, policy: record.policyPick.policy } : { ...offered };
+}
+
+/**
+ * Re-check an offered rate with Shippo right before buying: it must still exist
+ * and belong to the shipment we rated. Throws with a user-facing message.
+ */
+async function verifyPendingFlowRate(record, rateId, options = {}) {
+  let rate;
+  try {
+    rate = await shippo.getRate(rateId, options);
+  } catch (e) {
+    if (e?.status === 404) throw new Error('Shippo no longer knows this rate. Please start the label again.');
+    throw e;
+  }
+  if (record.shipmentId && rate?.shipment && rate.shipment !== record.shipmentId) {
+    throw new Error('This rate belongs to a different shipment. Please start the label again.');
+  }
+  return rate;
+}
+
+/**
+ * DM the user reminding them to track labels in Parcel App.
+ * Includes tracking number and both addresses for context.
+ */
+async function sendParcelReminderDm(client, userId, shipment, trackingNumber, labelKind) {
+  if (!client || !userId || !shipment) return;
+
+  const kindText = labelKind === 'return' ? 'return label' : 'shipping label';
+
+  const from = shipment.address_from || {};
+  const to = shipment.address_to || {};
+
+  const lines = [
+    `<@${userId}> heads up: a ${kindText} was just created by shipping-label-maker-bot.`,
+    '',
+    'If this label needs to be tracked (for example, a return label or any shipment incoming to HQ), please add it to the shared *Parcel App*.',
+    'The SOP for this is in the pinned messages in #shipment-updates.',
+    '',
+    `*Tracking number:* ${trackingNumber || 'N/A'}`,
+    '',
+    '*Ship From:*',
+    `• Name: ${from.name || 'N/A'}`,
+    `• Company: ${from.company || 'N/A'}`,
+    `• Street: ${from.street1 || 'N/A'}`,
+    `• Street 2: ${from.street2 || 'N/A'}`,
+    `• City: ${from.city || 'N/A'}`,
+    `• State: ${from.state || 'N/A'}`,
+    `• ZIP: ${from.zip || 'N/A'}`,
+    `• Country: ${from.country || 'N/A'}`,
+    '',
+    '*Ship To:*',
+    `• Name: ${to.name || 'N/A'}`,
+    `• Company: ${to.company || 'N/A'}`,
+    `• Street: ${to.street1 || 'N/A'}`,
+    `• Street 2: ${to.street2 || 'N/A'}`,
+    `• City: ${to.city || 'N/A'}`,
+    `• State: ${to.state || 'N/A'}`,
+    `• ZIP: ${to.zip || 'N/A'}`,
+    `• Country: ${to.country || 'N/A'}`
+  ];
+
+  try {
+    await client.chat.postMessage({
+      channel: userId,
+      text: lines.join('\n')
+    });
+  } catch (e) {
+    console.warn('⚠️ Failed to send Parcel reminder DM:', e?.stack || e?.message || e);
+  }
+}
+
+/* =========================
+   Bulk Label Jobs (./data/bulk-jobs.json)
+========================= */
+
+/**
+ * One record per uploaded bulk CSV: the validated rows with their rated shipments
+ * and picked rates, then the Shippo batch that bought them. Status moves
+ * previewed → purchasing → purchased (or failed / cancelled) under the file lock,
+ * so only one click ever starts a purchase. Previews can be bought for
+ * PENDING_FLOW_TTL_HOURS (the rates go stale); the newest 200 jobs are kept.
+ */
+const BULK_JOB_TRANSITIONS = {
+  previewed: ['purchasing', 'cancelled'],
+  purchasing: ['purchased', 'failed'],
+  purchased: [],
+  failed: [],
+  cancelled: []
+};
+
+async function readBulkJobs() {
+  const jobs = await readJson(BULK_JOBS_PATH, []);
+  return Array.isArray(jobs) ? jobs : [];
+}
+
+async function createBulkJob(fields) {
+  await ensureDataDir();
+  const now = Date.now();
+  const at = new Date(now).toISOString();
+  const job = {
+    ...fields,
+    id: `bulk_${crypto.randomBytes(12).toString('hex')}`,
+    status: 'previewed',
+    batchId: null,
+    history: [{ at, status: 'previewed', by: fields.userId || null }],
+    createdAt: at,
+    updatedAt: at,
+    expiresAt: new Date(now + PENDING_FLOW_TTL_MS).toISOString()
+  };
+  await withFileLock(BULK_JOBS_PATH, async () => {
+    const jobs = await readBulkJobs();
+    jobs.push(job);
+    const MAX_RECORDS = 200;
+    await writeJsonAtomic(BULK_JOBS_PATH, jobs.length > MAX_RECORDS ? jobs.slice(jobs.length - MAX_RECORDS) : jobs);
+  });
+  return job;
+}
+
+async function getBulkJob(id) {
+  if (typeof id !== 'string' || !id) return null;
+  return (await readBulkJobs()).find((j) => j.id === id) || null;
+}
+
+async function findBulkJobByBatch(batchId) {
+  if (!batchId) return null;
+  return (await readBulkJobs()).find((j) => j.batchId === batchId) || null;
+}
+
+/**
+ * Apply `patch` to a bulk job and, with `to`, move it to that status. The move
+ * only happens from a status that allows it (out of "previewed" only while the
+ * rates are fresh). Returns { ok, job }: the updated job, or ok=false with the
+ * current job (null when it's gone) so the caller can say why.
+ */
+async function updateBulkJob(id, { to = null, by = null, patch = {} } = {}) {
+  if (typeof id !== 'string' || !id) return { ok: false, job: null };
+  return withFileLock(BULK_JOBS_PATH, async () => {
+    const jobs = await readBulkJobs();
+    const idx = jobs.findIndex((j) => j.id === id);
+    if (idx === -1) return { ok: false, job: null };
+    const current = jobs[idx];
+    if (to) {
+      const allowed = (BULK_JOB_TRANSITIONS[current.status] || []).includes(to);
+      const fresh = current.status !== 'previewed' || Date.parse(current.expiresAt) > Date.now();
+      if (!allowed || !fresh) return { ok: false, job: current };
+    }
+    const at = new Date().toISOString();
+    const job = {
+      ...current,
+      ...patch,
+      ...(to ? { status: to, history: [...(current.history || []), { at, status: to, by }] } : {}),
+      updatedAt: at
+    };
+    jobs[idx] = job;
+    await writeJsonAtomic(BULK_JOBS_PATH, jobs);
+    return { ok: true, job };
+  });
+}
+
+/* =========================
+   Shippo API
+========================= */
+
+/**
+ * Tell the thread when Shippo is slow. Pass `onRetry` to any Shippo call: the
+ * first retry posts "Shippo is slow/unavailable, retrying…" in the thread, later
+ * retries edit that same message, and done() notes that the call went through.
+ * Without a thread the notice goes to `user` as an ephemeral (not edited).
+ */
+function shippoProgressReporter({ client, channel, threadTs, user, logger }) {
+  const log = logger || console;
+  let messageTs = null;
+  let retries = 0;
+
+  async function say(text) {
+    if (!client || !channel) return;
+    try {
+      if (messageTs) {
+        await client.chat.update({ channel, ts: messageTs, text });
+      } else if (threadTs) {
+        const res = await client.chat.postMessage({ channel, thread_ts: threadTs, text });
+        messageTs = res?.ts || null;
+      } else if (user) {
+        await client.chat.postEphemeral({ channel, user, text });
+      }
+    } catch (e) {
+      log.warn?.('Failed to post Shippo retry notice:', e?.message || e);
+    }
+  }
+
+  return {
+    async onRetry({ attempt, maxAttempts, delayMs, error }) {
+      retries += 1;
+      const reason = error?.timeout ? 'timed out' : error?.status ? `HTTP ${error.status}` : 'network error';
+      log.warn?.(`Shippo retry ${attempt}/${maxAttempts - 1} in ${delayMs}ms:`, error?.message || error);
+      await say(
+        `⏳ Shippo is slow/unavailable (${reason}), retrying in ${Math.max(1, Math.ceil(delayMs / 1000))}s… ` +
+          `(attempt ${attempt + 1} of ${maxAttempts})`
+      );
+    },
+    async done(ok = true) {
+      if (!messageTs) return;
+      const times = `${retries} ${retries === 1 ? 'retry' : 'retries'}`;
+      await say(ok ? `✅ Shippo came back after ${times}.` : `❌ Shippo still failing after ${times}.`);
+    }
+  };
+}
+
+/**
+ * Create a Shippo shipment and return available rates (no purchase).
+ * Returns { shipment, rates } where rates is an array as returned by Shippo.
+ * `options.onRetry` is told about each retry (see shippoProgressReporter).
+ */
+async function createShipmentAndGetRates(shipmentBody, logger, options = {}) {
+  const log = logger || console;
+
+  let shipment;
+  try {
+    shipment = await shippo.createShipment(shipmentBody, { onRetry: options.onRetry });
+  } catch (e) {
+    log.error?.('Shippo error while creating shipment for rates:', e?.stack || e?.message || e);
+    throw e;
+  }
+
+  const rates = Array.isArray(shipment?.rates) ? shipment.rates : [];
+  return { shipment, rates };
+}
+
+/**
+ * Purchase a label for a specific rate object_id.
+ * Returns { transactionId, rateId, trackingNumber, labelUrl, trackingUrl, labelFormat }.
+ * options: { parcelCount, onRetry, labelFormat } (a Shippo label_file_type, PDF_4x6
+ * by default). Retries never buy the same rate twice. Errors carry `purchase`
+ * ('rejected', 'not_sent' or 'pending'; see purchaseLabel in lib/shippo.js):
+ * a transaction that settled as ERROR is 'rejected'.
+ */
+async function buyLabelForRate(rateObjectId, logger, options = {}) {
+  const log = logger || console;
+  const format = resolveLabelFormat(options.labelFormat);
+  const txBody = {
+    rate: rateObjectId,
+    label_file_type: format.value,
+    async: false
+  };
+
+  let transaction;
+  try {
+    transaction = await shippo.purchaseLabel(txBody, { onRetry: options.onRetry });
+  } catch (e) {
+    log.error?.('Shippo error while buying label for selected rate:', e?.stack || e?.message || e);
+    throw e;
+  }
+
+  if (transaction.status !== 'SUCCESS') {
+    const messages = transaction.messages ? JSON.stringify(transaction.messages) : '';
+    const err = new Error(`Shippo transaction not successful. Status: ${transaction.status}. Messages: ${messages}`);
+    err.purchase = 'rejected';
+    throw err;
+  }
+
+  return labelFromTransaction(transaction, rateObjectId, log, { ...options, labelFormat: format.value });
+}
+
+/**
+ * The label of a successful Shippo transaction, shaped like buyLabelForRate's
+ * result (multi-piece shipments list every parcel's label in `pieces`).
+ */
+async function labelFromTransaction(transaction, rateObjectId, logger, options = {}) {
+  const label = {
+    transactionId: transaction.object_id || null,
+    rateId: transaction.rate || rateObjectId,
+    trackingNumber: transaction.tracking_number || null,
+    labelUrl: transaction.label_url || transaction.label_file || null,
+    trackingUrl: transaction.tracking_url_provider || null,
+    labelFormat: resolveLabelFormat(transaction.label_file_type, options.labelFormat).value
+  };
+
+  if ((options.parcelCount || 1) > 1) {
+    label.pieces = await listLabelPiecesForRate(label.rateId, label, logger);
+  }
+
+  return label;
+}
+
+/**
+ * Multi-piece shipments produce one transaction (and label) per parcel, all
+ * bought against the same rate. Returns [{ transactionId, trackingNumber, labelUrl }]
+ * with the master (the transaction we bought) first.
+ */
+async function listLabelPiecesForRate(rateObjectId, master, logger) {
+  const log = logger || console;
+
+  const masterPiece = {
+    transactionId: master.transactionId,
+    trackingNumber: master.trackingNumber,
+    labelUrl: master.labelUrl
+  };
+
+  try {
+    const list = await shippo.listTransactions({ rate: rateObjectId, results: 100 });
+    const results = list?.results || [];
+    const others = results
+      .filter((t) => t.object_id !== master.transactionId && (t.status || t.object_status) === 'SUCCESS')
+      .map((t) => ({
+        transactionId: t.object_id,
+        trackingNumber: t.tracking_number || null,
+        labelUrl: t.label_url || t.label_file || null
+      }));
+    return [masterPiece, ...others];
+  } catch (e) {
+    // The master label is already paid for; report what we have instead of failing the flow.
+    log.error?.('Shippo error while listing multi-piece labels:', e?.stack || e?.message || e);
+    return [masterPiece];
+  }
+}
+
+/**
+ * Request a refund (void) for a purchased label's transaction.
+ * Returns the Shippo refund object ({ object_id, status, transaction, ... }).
+ * Status is one of QUEUED, PENDING, SUCCESS or ERROR.
+ */
+async function requestShippoRefund(transactionId, logger) {
+  const log = logger || console;
+
+  try {
+    return await shippo.createRefund(transactionId);
+  } catch (e) {
+    log.error?.('Shippo error while requesting refund:', e?.stack || e?.message || e);
+    throw e;
+  }
+}
+
+/**
+ * Fetch the current state of a refund previously requested with requestShippoRefund.
+ */
+async function getShippoRefund(refundId, logger) {
+  const log = logger || console;
+
+  try {
+    return await shippo.getRefund(refundId);
+  } catch (e) {
+    log.error?.('Shippo error while fetching refund:', e?.stack || e?.message || e);
+    throw e;
+  }
+}
+
+/**
+ * Register a tracking number with Shippo tracking so it follows the package
+ * (and sends track_updated webhooks when configured). Returns the track object,
+ * which already contains the current tracking_status.
+ */
+async function registerShippoTrack(carrierToken, trackingNumber, metadata, logger) {
+  const log = logger || console;
+
+  try {
+    return await shippo.registerTrack(carrierToken, trackingNumber, metadata || '');
+  } catch (e) {
+    log.error?.('Shippo error while registering tracking:', e?.stack || e?.message || e);
+    throw e;
+  }
+}
+
+/**
+ * Fetch the current tracking state for a carrier/tracking number pair.
+ */
+async function getShippoTrack(carrierToken, trackingNumber, logger) {
+  const log = logger || console;
+
+  try {
+    return await shippo.getTrack(carrierToken, trackingNumber);
+  } catch (e) {
+    log.error?.('Shippo error while fetching tracking:', e?.stack || e?.message || e);
+    throw e;
+  }
+}
+
+/**
+ * Create a Shippo customs declaration from a validated customs summary
+ * (see readCustomsInputs). Returns the declaration object; attach its
+ * object_id as shipment.customs_declaration before rating.
+ */
+async function createShippoCustomsDeclaration(customs, signer, logger, options = {}) {
+  const log = logger || console;
+
+  const body = {
+    certify: true,
+    certify_signer: signer || 'Carismo Design',
+    contents_type: customs.contents_type,
+    contents_explanation: customs.contents_type === 'OTHER' ? customs.items.map((i) => i.description).join(', ') : undefined,
+    non_delivery_option: 'RETURN',
+    incoterm: customs.incoterm,
+    eel_pfc: customs.eel_pfc,
+    aes_itn: customs.aes_itn || undefined,
+    items: customs.items
+  };
+
+  try {
+    return await shippo.createCustomsDeclaration(body, { onRetry: options.onRetry });
+  } catch (e) {
+    log.error?.('Shippo error while creating customs declaration:', e?.stack || e?.message || e);
+    throw e;
+  }
+}
+
+/**
+ * Run Shippo address validation for one address.
+ * Returns the Shippo address object (normalized fields, is_residential,
+ * validation_results: { is_valid, messages: [{ code, text, ... }] }).
+ */
+async function validateAddressWithShippo(address, logger, options = {}) {
+  const log = logger || console;
+
+  try {
+    return await shippo.validateAddress(address, { onRetry: options.onRetry });
+  } catch (e) {
+    log.error?.('Shippo error while validating address:', e?.stack || e?.message || e);
+    throw e;
+  }
+}
+
+const ADDRESS_COMPARE_ABBREVIATIONS = {
+  STREET: 'ST', AVENUE: 'AVE', ROAD: 'RD', DRIVE: 'DR', BOULEVARD: 'BLVD', LANE: 'LN',
+  PLACE: 'PL', COURT: 'CT', TERRACE: 'TER', PARKWAY: 'PKWY', HIGHWAY: 'HWY', CIRCLE: 'CIR',
+  SUITE: 'STE', APARTMENT: 'APT', FLOOR: 'FL', BUILDING: 'BLDG',
+  NORTH: 'N', SOUTH: 'S', EAST: 'E', WEST: 'W'
+};
+
+function normalizeForCompare(value) {
+  return String(value || '')
+    .toUpperCase()
+    .replace(/[.,#()]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((w) => ADDRESS_COMPARE_ABBREVIATIONS[w] || w)
+    .join(' ');
+}
+
+/**
+ * Compare what the user entered with Shippo's validated version.
+ * Returns { status, isResidential, messages, changes, original, suggestion } where
+ * status is 'verified', 'corrected', 'unverifiable' or 'unavailable' (validation call failed).
+ * Formatting-only differences (case, abbreviations, ZIP+4 on the same ZIP) don't count as changes.
+ */
+function summarizeAddressValidation(original, validated) {
+  const results = validated?.validation_results || {};
+  const messages = (results.messages || []).map((m) => m.text || m.code).filter(Boolean).slice(0, 3);
+  const isResidential = typeof validated?.is_residential === 'boolean' ? validated.is_residential : null;
+  const fields = ['street1', 'street2', 'city', 'state', 'zip'];
+
+  const suggestion = {};
+  for (const f of fields) suggestion[f] = validated?.[f] != null ? String(validated[f]) : (original[f] || '');
+
+  if (results.is_valid === false) {
+    return { status: 'unverifiable', isResidential, messages, changes: [], original: null, suggestion: null };
+  }
+
+  const changes = fields.filter((f) => {
+    if (f === 'zip') {
+      return String(original.zip || '').slice(0, 5) !== String(suggestion.zip || '').slice(0, 5);
+    }
+    return normalizeForCompare(original[f]) !== normalizeForCompare(suggestion[f]);
+  });
+
+  if (changes.length === 0) {
+    return { status: 'verified', isResidential, messages, changes, original: null, suggestion };
+  }
+
+  const originalFields = {};
+  for (const f of fields) originalFields[f] = original[f] || '';
+  return { status: 'corrected', isResidential, messages, changes, original: originalFields, suggestion };
+}
+
+/**
+ * Validate the requested sides of a shipment ({ to, from } booleans) before rating.
+ * Suggestions are applied to the shipment that gets rated and the originals
+ * are kept in the returned checks so the review modal can offer both.
+ * Also sets address.is_residential when Shippo knows it.
+ */
+async function checkShipmentAddresses(shipment, sides, logger, options = {}) {
+  const checks = {};
+  for (const side of ['to', 'from']) {
+    if (!sides?.[side]) continue;
+    const key = side === 'to' ? 'address_to' : 'address_from';
+    const address = shipment[key];
+
+    let check;
+    try {
+      const validated = await validateAddressWithShippo(address, logger, options);
+      check = summarizeAddressValidation(address, validated);
+    } catch (e) {
+      check = { status: 'unavailable', isResidential: null, messages: [e?.message || String(e)], changes: [], original: null, suggestion: null };
+    }
+
+    if (check.suggestion && (check.status === 'verified' || check.status === 'corrected')) {
+      Object.assign(address, check.suggestion);
+    }
+    if (typeof check.isResidential === 'boolean') {
+      address.is_residential = check.isResidential;
+    }
+    // The rated shipment already carries the suggestion; keep the checks compact.
+    delete check.suggestion;
+    checks[side] = check;
+  }
+  return checks;
+}
+
+function addressChecksNeedReview(addressChecks) {
+  return Object.values(addressChecks || {}).some((c) => c.status === 'corrected' || c.status === 'unverifiable');
+}
+
+/**
+ * Apply the review modal's "suggested vs original" choices. The shipment was rated
+ * with the suggested addresses, so picking an original means re-rating
+ * (rerateForService). Returns { shipment, changed }.
+ */
+function applyAddressChoices(shipment, addressChecks, values) {
+  let changed = false;
+  for (const side of ['to', 'from']) {
+    const check = addressChecks?.[side];
+    const choice = values?.[`address_choice_${side}_block`]?.['address_choice']?.selected_option?.value;
+    if (check?.status !== 'corrected' || !check.original || choice !== 'original') continue;
+    const key = side === 'to' ? 'address_to' : 'address_from';
+    shipment = { ...shipment, [key]: { ...shipment[key], ...check.original } };
+    changed = true;
+  }
+  return { shipment, changed };
+}
+
+/** Is the Shippo rate `r` the same service level as the selected rate? */
+function sameRateService(r, selectedRate) {
+  return selectedRate.servicelevelToken
+    ? r.servicelevel?.token === selectedRate.servicelevelToken
+    : (r.provider || '') === selectedRate.provider && (r.servicelevel?.name || '') === selectedRate.service;
+}
+
+/**
+ * Rate a changed shipment again and find the same service level on it. Returns
+ * the selected rate pointing at the new rate (and its price/ETA); throws when
+ * the service isn't offered any more.
+ */
+async function rerateForService(shipment, selectedRate, logger, options = {}) {
+  const { rates } = await createShipmentAndGetRates(shipment, logger, options);
+  const match = (rates || []).find((r) => sameRateService(r, selectedRate));
+  if (!match) {
+    throw new Error(`${selectedRate.provider} ${selectedRate.service} is no longer offered for this shipment.`);
+  }
+  return {
+    ...selectedRate,
+    id: match.object_id,
+    shipmentId: match.shipment || null,
+    amount: match.amount || null,
+    currency: match.currency || selectedRate.currency,
+    etaDays: typeof match.estimated_days === 'number' ? match.estimated_days : selectedRate.etaDays
+  };
+}
+
+/**
+ * Replace a pending flow's shipment with a changed one (plus `patch`): rate it
+ * again and store the new rates in place of the old ones, keeping the policy
+ * pick and a narrowed chooser on the same services. Returns { record,
+ * selectedRate } with the selected rate moved to its service's new rate; throws
+ * when that service isn't offered any more.
+ */
+async function rerateFlowShipment(record, shipment, selectedRate, patch, logger, options = {}) {
+  const rated = await createShipmentAndGetRates(shipment, logger, options);
+  const match = rated.rates.find((r) => sameRateService(r, selectedRate));
+  if (!match) {
+    throw new Error(`${selectedRate.provider} ${selectedRate.service} is no longer offered for this shipment.`);
+  }
+  const rates = rated.rates.map(toSelectedRate);
+  const moved = (rateId) => {
+    const old = (record.rates || []).find((r) => r.id === rateId);
+    return (old && rated.rates.find((r) => sameRateService(r, old)))?.object_id || null;
+  };
+  const fields = {
+    ...patch,
+    shipment,
+    shipmentId: rated.shipment?.object_id || null,
+    rates,
+    rateId: match.object_id,
+    policyPick: record.policyPick ? { ...record.policyPick, rateId: moved(record.policyPick.rateId) } : null,
+    ...(Array.isArray(record.chooserRateIds) ? { chooserRateIds: record.chooserRateIds.map(moved).filter(Boolean) } : {})
+  };
+  const updated = await updatePendingFlow(record.id, fields) || { ...record, ...fields };
+  return { record: updated, selectedRate: { ...selectedRate, ...toSelectedRate(match) } };
+}
+
+/* =========================
+   Slack App (Socket Mode)
+========================= */
+
+const slackApp = new App({
+  token: SLACK_BOT_TOKEN,
+  appToken: SLACK_APP_TOKEN,
+  signingSecret: SLACK_SIGNING_SECRET,
+  socketMode: true,
+  processBeforeResponse: true,
+  ...(SLACK_API_URL ? { clientOptions: { slackApiUrl: SLACK_API_URL } } : {})
+});
+
+slackApp.error((e) => {
+  console.error('⚠️ Bolt error:', e?.stack || e?.message || e);
+});
+
+/* =========================
+   Modal Builders
+========================= */
+
+// Destinations we ship to most. Slack static_select caps options at 100.
+const COUNTRY_OPTIONS = [
+  ['US', 'United States'],
+  ['CA', 'Canada'],
+  ['MX', 'Mexico'],
+  ['PR', 'Puerto Rico'],
+  ['GB', 'United Kingdom'],
+  ['IE', 'Ireland'],
+  ['DE', 'Germany'],
+  ['FR', 'France'],
+  ['IT', 'Italy'],
+  ['ES', 'Spain'],
+  ['PT', 'Portugal'],
+  ['NL', 'Netherlands'],
+  ['BE', 'Belgium'],
+  ['LU', 'Luxembourg'],
+  ['AT', 'Austria'],
+  ['CH', 'Switzerland'],
+  ['DK', 'Denmark'],
+  ['SE', 'Sweden'],
+  ['NO', 'Norway'],
+  ['FI', 'Finland'],
+  ['PL', 'Poland'],
+  ['CZ', 'Czech Republic'],
+  ['GR', 'Greece'],
+  ['IL', 'Israel'],
+  ['AE', 'United Arab Emirates'],
+  ['SA', 'Saudi Arabia'],
+  ['AU', 'Australia'],
+  ['NZ', 'New Zealand'],
+  ['JP', 'Japan'],
+  ['KR', 'South Korea'],
+  ['SG', 'Singapore'],
+  ['HK', 'Hong Kong'],
+  ['TW', 'Taiwan'],
+  ['CN', 'China'],
+  ['IN', 'India'],
+  ['BR', 'Brazil'],
+  ['CL', 'Chile'],
+  ['ZA', 'South Africa']
+];
+
+const CUSTOMS_CONTENTS_TYPES = [
+  ['MERCHANDISE', 'Merchandise'],
+  ['RETURN_MERCHANDISE', 'Return merchandise'],
+  ['GIFT', 'Gift'],
+  ['SAMPLE', 'Sample'],
+  ['DOCUMENTS', 'Documents'],
+  ['HUMANITARIAN_DONATION', 'Humanitarian donation'],
+  ['OTHER', 'Other']
+];
+
+const CUSTOMS_INCOTERMS = [
+  ['DDU', 'DDU — recipient pays duties'],
+  ['DDP', 'DDP — we pay duties'],
+  ['FCA', 'FCA — free carrier']
+];
+
+const CUSTOMS_EEL_PFC = [
+  ['NOEEI_30_37_a', 'NOEEI 30.37(a) — under $2,500 per schedule B'],
+  ['NOEEI_30_37_h', 'NOEEI 30.37(h) — returned goods'],
+  ['NOEEI_30_37_f', 'NOEEI 30.37(f) — to Canada'],
+  ['NOEEI_30_36', 'NOEEI 30.36 — Canada (non-licensed)'],
+  ['AES_ITN', 'AES ITN — filed EEI (enter ITN below)']
+];
+
+function plainOption(value, text) {
+  return { text: { type: 'plain_text', text, emoji: true }, value };
+}
+
+function staticSelectElement(actionId, pairs, initialValue) {
+  const options = pairs.map(([value, text]) => plainOption(value, text));
+  const initial = options.find((o) => o.value === initialValue);
+  return {
+    type: 'static_select',
+    action_id: actionId,
+    options,
+    ...(initial ? { initial_option: initial } : {})
+  };
+}
+
+function countrySelectBlock(blockId, actionId, label, initialCountry = 'US') {
+  return {
+    type: 'input',
+    block_id: blockId,
+    label: { type: 'plain_text', text: label, emoji: true },
+    element: staticSelectElement(actionId, COUNTRY_OPTIONS, initialCountry),
+    optional: true
+  };
+}
+
+/**
+ * Searchable picker over the address book (options served by slackApp.options).
+ * Picking a contact bypasses free-text parsing entirely.
+ */
+function addressBookSelectBlock(blockId, actionId, label) {
+  return {
+    type: 'input',
+    block_id: blockId,
+    label: { type: 'plain_text', text: label, emoji: true },
+    element: {
+      type: 'external_select',
+      action_id: actionId,
+      placeholder: { type: 'plain_text', text: 'Search by name, company or city', emoji: true },
+      min_query_length: 0
+    },
+    optional: true
+  };
+}
+
+function contactInputBlocks(side, labelPrefix) {
+  const input = (field, label, placeholder) => ({
+    type: 'input',
+    block_id: `${side}_${field}_block`,
+    label: { type: 'plain_text', text: `${labelPrefix} ${label}`, emoji: true },
+    element: {
+      type: 'plain_text_input',
+      action_id: `${side}_${field}`,
+      placeholder: { type: 'plain_text', text: placeholder }
+    },
+    optional: true
+  });
+  return [
+    input('phone', 'phone', '+1 212 555 0100'),
+    input('email', 'email', 'name@example.com')
+  ];
+}
+
+function shipToBlocks(initialAddress = '') {
+  return [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: '*Ship To Address*'
+      }
+    },
+    addressBookSelectBlock('to_address_book_block', 'to_address_book', 'Ship To saved contact'),
+    {
+      type: 'input',
+      block_id: 'to_address_multiline_block',
+      label: { type: 'plain_text', text: 'Ship To (multi-line address)', emoji: true },
+      element: {
+        type: 'plain_text_input',
+        action_id: 'to_address_multiline',
+        multiline: true,
+        ...(initialAddress ? { initial_value: initialAddress } : {})
+      },
+      hint: {
+        type: 'plain_text',
+        text: 'Lines: Name, Company (optional), Street 1, Street 2 (Optional), City, ST ZIP (abroad: postcode and city, e.g. 75001 Paris, then the country), or one comma-separated line. "Ship to:"/"Attn:" labels and phone/email are picked up. Not needed when a saved contact is picked.'
+      },
+      optional: true
+    },
+    ...contactInputBlocks('to', 'Ship To'),
+    countrySelectBlock('to_country_block', 'to_country', 'Ship To country')
+  ];
+}
+
+function shipFromBlocks(initialAddress = '') {
+  const modeOptions = [
+    plainOption('default', 'Use default Carismo address'),
+    plainOption('custom', 'Enter a custom address')
+  ];
+  return [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: '*Ship From Address*'
+      }
+    },
+    {
+      type: 'section',
+      block_id: 'from_address_mode_block',
+      text: { type: 'mrkdwn', text: '*Ship From mode*' },
+      accessory: {
+        type: 'radio_buttons',
+        action_id: 'from_address_mode',
+        initial_option: modeOptions[initialAddress ? 1 : 0],
+        options: modeOptions
+      }
+    },
+    addressBookSelectBlock('from_address_book_block', 'from_address_book', 'Custom Ship From saved contact'),
+    {
+      type: 'input',
+      block_id: 'from_address_multiline_block',
+      label: { type: 'plain_text', text: 'Custom Ship From (multi-line)', emoji: true },
+      element: {
+        type: 'plain_text_input',
+        action_id: 'from_address_multiline',
+        multiline: true,
+        initial_value: initialAddress
+      },
+      hint: {
+        type: 'plain_text',
+        text: 'Lines: Name, Company (optional), Street 1, Street 2 (Optional), City, ST ZIP (abroad: postcode and city, e.g. 75001 Paris, then the country), or one comma-separated line. Labels and phone/email are picked up.'
+      },
+      optional: true
+    },
+    ...contactInputBlocks('from', 'Custom Ship From'),
+    countrySelectBlock('from_country_block', 'from_country', 'Custom Ship From country')
+  ];
+}
+
+const MAX_PARCELS = 6;
+
+function parcelDimensionInputs(index, { weight = '' } = {}) {
+  const prefix = `Parcel ${index + 1}`;
+  return [
+    ['length', 'Length (in)'],
+    ['width', 'Width (in)'],
+    ['height', 'Height (in)'],
+    ['weight', 'Weight (lb)']
+  ].map(([field, text]) => ({
+    type: 'input',
+    block_id: parcelBlockId(index, field),
+    label: { type: 'plain_text', text: `${prefix} ${text}`, emoji: true },
+    element: { type: 'plain_text_input', action_id: `parcel_${field}`, initial_value: field === 'weight' ? String(weight) : '' },
+    ...(field === 'weight'
+      ? { hint: { type: 'plain_text', text: 'With a preset: contents weight (box weight is added). Custom: total weight.' } }
+      : {}),
+    optional: true
+  }));
+}
+
+function parcelPresetSelectBlock(index, presets, initialPresetId = null) {
+  const options = [
+    ...presets.slice(0, 99).map((p) => plainOption(p.id, packagePresetLabel(p).slice(0, 75))),
+    plainOption('custom', 'Custom dimensions')
+  ];
+  return {
+    type: 'input',
+    block_id: parcelBlockId(index, 'preset'),
+    label: { type: 'plain_text', text: `Parcel ${index + 1} package`, emoji: true },
+    element: {
+      type: 'static_select',
+      action_id: 'parcel_preset',
+      options,
+      initial_option: options.find((o) => o.value === initialPresetId) || options[0]
+    },
+    optional: true
+  };
+}
+
+function packageBlocks(parcelCount = 1, presets = SEED_PACKAGE_PRESETS, initialPresetId = null, initialWeight = '') {
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: '*Package Info*\nPick a package preset, or type dimensions to use a custom box.'
+      }
+    }
+  ];
+
+  for (let i = 0; i < parcelCount; i++) {
+    blocks.push(
+      parcelPresetSelectBlock(i, presets, initialPresetId),
+      ...parcelDimensionInputs(i, { weight: i === 0 ? initialWeight : '' })
+    );
+  }
+
+  const buttons = [];
+  if (parcelCount < MAX_PARCELS) {
+    buttons.push({
+      type: 'button',
+      action_id: 'parcel_add',
+      text: { type: 'plain_text', text: '➕ Add parcel', emoji: true },
+      value: 'add'
+    });
+  }
+  if (parcelCount > 1) {
+    buttons.push({
+      type: 'button',
+      action_id: 'parcel_remove',
+      text: { type: 'plain_text', text: '➖ Remove last parcel', emoji: true },
+      value: 'remove'
+    });
+  }
+  if (buttons.length > 0) {
+    blocks.push({ type: 'actions', block_id: 'parcel_count_actions_block', elements: buttons });
+  }
+
+  return blocks;
+}
+
+function serviceBlocks(ratePolicy, { requireSignature = true } = {}) {
+  const noSignature = plainOption('no_signature', 'Check to REMOVE signature requirement (required by default)');
+  const policyName = ratePolicy?.name || 'UPS Ground';
+  const defaultText = `Use default (${policyName.length > 40 ? `${policyName.slice(0, 39)}…` : policyName} policy)`;
+  return [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: '*Shipping Service*'
+      }
+    },
+    {
+      type: 'section',
+      block_id: 'service_mode_block',
+      text: { type: 'mrkdwn', text: '*Service mode*' },
+      accessory: {
+        type: 'radio_buttons',
+        action_id: 'service_mode',
+        initial_option: plainOption('default', defaultText),
+        options: [
+          plainOption('default', defaultText),
+          plainOption('choose', 'Choose from available services')
+        ]
+      }
+    },
+    {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: `Default policy: ${ratePolicy ? describeRatePolicy(ratePolicy) : 'UPS Ground if available, else choose manually'}`
+        }
+      ]
+    },
+    {
+      type: 'input',
+      block_id: 'signature_block',
+      label: {
+        type: 'plain_text',
+        text: 'Remove Signature Requirement?',
+        emoji: true
+      },
+      element: {
+        type: 'checkboxes',
+        action_id: 'signature_toggle',
+        options: [noSignature],
+        ...(requireSignature ? {} : { initial_options: [noSignature] })
+      },
+      optional: true
+    }
+  ];
+}
+
+/**
+ * Label file format select, starting on the user's/flow's default
+ * (labelFormatFor), plus a checkbox to make the choice the user's default.
+ */
+function labelFormatBlocks(flow, initialFormat) {
+  const kindText = flow === 'shippinglabel' ? 'shipping' : 'return';
+  return [
+    {
+      type: 'input',
+      block_id: 'label_format_block',
+      label: { type: 'plain_text', text: 'Label format', emoji: true },
+      element: staticSelectElement(
+        'label_format',
+        LABEL_FORMATS.map((f) => [f.value, f.name]),
+        resolveLabelFormat(initialFormat).value
+      )
+    },
+    {
+      type: 'input',
+      block_id: 'label_format_default_block',
+      label: { type: 'plain_text', text: 'Default format', emoji: true },
+      element: {
+        type: 'checkboxes',
+        action_id: 'label_format_default',
+        options: [plainOption('remember', `Make this my default for ${kindText} labels`)]
+      },
+      optional: true
+    }
+  ];
+}
+
+/**
+ * Return authorization inputs (return modal only). The reason is required; the
+ * RMA number is assigned on submit and printed in the label's reference field.
+ */
+function rmaBlocks({ order = '', customer = '', reason = null, items = [], condition = null } = {}) {
+  const text = (field, label, value, extra = {}) => ({
+    type: 'input',
+    block_id: `rma_${field}_block`,
+    label: { type: 'plain_text', text: label, emoji: true },
+    element: { type: 'plain_text_input', action_id: `rma_${field}`, initial_value: value || '', ...extra },
+    optional: true
+  });
+  return [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: '*Return authorization (RMA)*\nHow the box gets matched up when it arrives.' }
+    },
+    text('order', 'Order number', order, { placeholder: { type: 'plain_text', text: '1042' } }),
+    {
+      ...text('customer', 'Customer', customer),
+      hint: { type: 'plain_text', text: 'Leave blank to use the Ship From name.' }
+    },
+    {
+      type: 'input',
+      block_id: 'rma_reason_block',
+      label: { type: 'plain_text', text: 'Reason', emoji: true },
+      element: staticSelectElement('rma_reason', RMA_REASONS.map((r) => [r.value, r.label]), reason)
+    },
+    text('items', 'Items being returned (one per line)', items.join('\n'), {
+      multiline: true,
+      placeholder: { type: 'plain_text', text: '1 × Carbon Fiber Spoiler – Gloss' }
+    }),
+    {
+      type: 'input',
+      block_id: 'rma_condition_block',
+      label: { type: 'plain_text', text: 'Expected condition', emoji: true },
+      element: staticSelectElement('rma_condition', RMA_CONDITIONS.map((c) => [c.value, c.label]), condition),
+      optional: true
+    }
+  ];
+}
+
+/**
+ * Customs inputs. Only required when Ship From and Ship To are in different
+ * countries; ignored for domestic shipments.
+ */
+function customsBlocks(flow, initialItems = '') {
+  return [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: '*Customs (international only)*\nLeave blank for domestic shipments.'
+      }
+    },
+    {
+      type: 'input',
+      block_id: 'customs_items_block',
+      label: { type: 'plain_text', text: 'Customs items (one per line)', emoji: true },
+      element: {
+        type: 'plain_text_input',
+        action_id: 'customs_items',
+        multiline: true,
+        ...(initialItems ? { initial_value: initialItems } : {}),
+        placeholder: {
+          type: 'plain_text',
+          text: 'Carbon fiber spoiler | 1 | 450 | 6.5 | 8708.29 | US'
+        }
+      },
+      hint: {
+        type: 'plain_text',
+        text: 'Description | Quantity | Total value (USD) | Total weight (lb) | HS tariff code | Origin country'
+      },
+      optional: true
+    },
+    {
+      type: 'input',
+      block_id: 'customs_contents_type_block',
+      label: { type: 'plain_text', text: 'Contents type', emoji: true },
+      element: staticSelectElement(
+        'customs_contents_type',
+        CUSTOMS_CONTENTS_TYPES,
+        flow === 'returnlabel' ? 'RETURN_MERCHANDISE' : 'MERCHANDISE'
+      ),
+      optional: true
+    },
+    {
+      type: 'input',
+      block_id: 'customs_incoterm_block',
+      label: { type: 'plain_text', text: 'Incoterm', emoji: true },
+      element: staticSelectElement('customs_incoterm', CUSTOMS_INCOTERMS, 'DDU'),
+      optional: true
+    },
+    {
+      type: 'input',
+      block_id: 'customs_eel_pfc_block',
+      label: { type: 'plain_text', text: 'EEL / PFC', emoji: true },
+      element: staticSelectElement(
+        'customs_eel_pfc',
+        CUSTOMS_EEL_PFC,
+        flow === 'returnlabel' ? 'NOEEI_30_37_h' : 'NOEEI_30_37_a'
+      ),
+      optional: true
+    },
+    {
+      type: 'input',
+      block_id: 'customs_aes_itn_block',
+      label: { type: 'plain_text', text: 'AES ITN (only for AES_ITN)', emoji: true },
+      element: { type: 'plain_text_input', action_id: 'customs_aes_itn', initial_value: '' },
+      optional: true
+    }
+  ];
+}
+
+/**
+ * The "Create Shipping/Return Label" edit modal. Pass the current package
+ * presets (readPackagePresets) so the package dropdowns are up to date, and
+ * the flow's rate policy (flowRatePolicy) so "Use default" says what it buys,
+ * and the user's default label format (labelFormatFor).
+ *  - shippinglabel: Ship To first, then Ship From (Carismo default with optional override)
+ *  - returnlabel: Ship From only; Ship To is always the Carismo returns address
+ * `prefill` comes from the slash command text (labelCommandPrefill): the
+ * address, package preset and signature inputs start on it, and the command's
+ * problems are listed on top. A --service/--order from private_metadata is noted there too.
+ * A Shopify order adds `weight` (parcel 1), `customsText` and `notes` about its items.
+ * Return modals also get the RMA inputs (order, `reason`, `rmaItems`).
+ */
+function buildLabelEditView(flow, privateMetadata, { presets, ratePolicy, labelFormat: initialFormat, prefill = {} } = {}) {
+  const isShipping = flow === 'shippinglabel';
+  let meta = {};
+  try {
+    meta = privateMetadata ? JSON.parse(privateMetadata) : {};
+  } catch {}
+  const parcelCount = Math.min(Math.max(Number(meta.parcelCount) || 1, 1), MAX_PARCELS);
+  const divider = [{ type: 'divider' }, { type: 'divider' }];
+
+  const notes = [
+    ...(prefill.errors || []).map((e) => `⚠️ ${e}`),
+    ...(prefill.notes || []),
+    ...(meta.order && !prefill.notes?.length ? [`Order: *${meta.order}*`] : []),
+    ...(meta.service ? [`Service from the command: *${meta.service}*`] : [])
+  ];
+  const blocks = notes.length > 0
+    ? [{ type: 'context', elements: [{ type: 'mrkdwn', text: notes.join('\n') }] }]
+    : [];
+
+  blocks.push(...(isShipping
+    ? [...shipToBlocks(prefill.address), ...divider, ...shipFromBlocks()]
+    : [
+        ...shipFromBlocks(prefill.address),
+        ...divider,
+        ...rmaBlocks({ order: meta.order, reason: prefill.reason, items: prefill.rmaItems || [] })
+      ]));
+
+  // (Return flow: Ship To fixed is hidden from the UI but still used in the backend)
+  blocks.push(
+    ...divider,
+    ...packageBlocks(parcelCount, presets, prefill.preset?.id, prefill.weight ?? ''),
+    ...divider,
+    ...serviceBlocks(ratePolicy, { requireSignature: prefill.requireSignature !== false }),
+    ...labelFormatBlocks(flow, initialFormat),
+    ...divider,
+    ...customsBlocks(flow, prefill.customsText)
+  );
+
+  return {
+    type: 'modal',
+    callback_id: isShipping ? 'shippinglabel_edit_modal' : 'returnlabel_edit_modal',
+    private_metadata: privateMetadata,
+    title: {
+      type: 'plain_text',
+      text: isShipping ? 'Create Shipping Label' : 'Create Return Label',
+      emoji: true
+    },
+    submit: {
+      type: 'plain_text',
+      text: 'Next',
+      emoji: true
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Cancel',
+      emoji: true
+    },
+    blocks
+  };
+}
+
+/**
+ * A one-message modal with only a Close button. Used to ack a submission
+ * right away ("Fetching rates…") and to swap in the outcome once slow Shippo
+ * calls finish (client.views.update with the same view id).
+ */
+function statusView(title, text) {
+  return {
+    type: 'modal',
+    title: { type: 'plain_text', text: title, emoji: true },
+    close: { type: 'plain_text', text: 'Close', emoji: true },
+    blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }]
+  };
+}
+
+function addressReviewLines(addr) {
+  return [
+    `Name: ${addr.name || 'N/A'}`,
+    `Company: ${addr.company || 'N/A'}`,
+    `Street: ${addr.street1 || 'N/A'}`,
+    `Street 2: ${addr.street2 || 'N/A'}`,
+    `City: ${addr.city || 'N/A'}`,
+    `State: ${addr.state || 'N/A'}`,
+    `ZIP: ${addr.zip || 'N/A'}`,
+    `Country: ${addr.country || 'N/A'}`,
+    `Phone: ${addr.phone || 'N/A'}`,
+    `Email: ${addr.email || 'N/A'}`
+  ];
+}
+
+const ADDRESS_CHECK_DISPLAY = {
+  verified: '✅ Verified by Shippo',
+  corrected: '✏️ Shippo suggested a correction',
+  unverifiable: '⚠️ Shippo could not verify this address',
+  unavailable: '⚠️ Address validation unavailable'
+};
+
+/**
+ * Review-modal blocks for one address validation result. A corrected address
+ * gets a required radio (block `address_choice_<side>_block`) so the user picks
+ * the suggested or original version before buying. `parseWarnings` are the
+ * address parser's notes for a pasted address.
+ */
+function addressCheckBlocks(side, check, parseWarnings = []) {
+  const blocks = [];
+  if (parseWarnings.length > 0) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: ['⚠️ *Check the parsed address:*', ...parseWarnings.map((w) => `• ${w}`)].join('\n') }]
+    });
+  }
+  if (!check) return blocks;
+
+  const parts = [ADDRESS_CHECK_DISPLAY[check.status] || check.status];
+  if (check.isResidential === true) parts.push('Residential');
+  if (check.isResidential === false) parts.push('Commercial');
+  const lines = [parts.join(' • ')];
+  for (const m of check.messages || []) lines.push(`_${m}_`);
+
+  blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: lines.join('\n') }] });
+
+  if (check.status === 'corrected' && check.original) {
+    const o = check.original;
+    const originalText = [o.street1, o.street2, o.city, o.state, o.zip].filter(Boolean).join(', ');
+    blocks.push({
+      type: 'input',
+      block_id: `address_choice_${side}_block`,
+      label: { type: 'plain_text', text: 'Which address should the label use?', emoji: true },
+      element: {
+        type: 'radio_buttons',
+        action_id: 'address_choice',
+        initial_option: plainOption('suggested', 'Suggested (shown above)'),
+        options: [
+          plainOption('suggested', 'Suggested (shown above)'),
+          plainOption('original', `Original: ${originalText}`.slice(0, 75))
+        ]
+      }
+    });
+  }
+  return blocks;
+}
+
+/**
+ * Body blocks of the review modal (shared by the default-service path and the
+ * service chooser button). `customs` is the summary kept next to the shipment;
+ * `addressChecks` holds the address validation results and `addressWarnings`
+ * the parser warnings for pasted addresses (both keyed { to, from }).
+ */
+function buildReviewBlocks(shipment, selectedRate, customs, addressChecks = null, addressWarnings = null) {
+  const priceStr = selectedRate.amount
+    ? (selectedRate.currency === 'USD'
+        ? `$${Number(selectedRate.amount).toFixed(2)}`
+        : `${Number(selectedRate.amount).toFixed(2)} ${selectedRate.currency}`)
+    : 'N/A';
+  const etaStr =
+    selectedRate.etaDays != null
+      ? `${selectedRate.etaDays} business day${selectedRate.etaDays === 1 ? '' : 's'}`
+      : 'N/A';
+
+  const parcelLines = shipment.parcels.map((p, idx) => {
+    const preset = typeof p.metadata === 'string' && p.metadata.startsWith('Preset: ')
+      ? `${p.metadata.slice('Preset: '.length)}${p.template ? ` [${p.template}]` : ''} — `
+      : '';
+    return `${shipment.parcels.length > 1 ? `Parcel ${idx + 1}: ` : ''}${preset}${p.length}" x ${p.width}" x ${p.height}" (${p.weight} lb)`;
+  });
+
+  const serviceLines = [
+    `${selectedRate.provider} — ${selectedRate.service} — ${priceStr} — ETA: ${etaStr}`,
+    selectedRate.policy
+      ? `_Picked by the *${selectedRate.policy.name}* policy: ${selectedRate.policy.reason}_`
+      : '_Chosen manually._'
+  ];
+
+  const blocks = [
+    { type: 'section', text: { type: 'mrkdwn', text: 'Please review the details below.' } },
+    { type: 'divider' },
+
+    /* Ship From section */
+    { type: 'section', text: { type: 'mrkdwn', text: '*Ship From Address*' } },
+    { type: 'section', text: { type: 'mrkdwn', text: addressReviewLines(shipment.address_from).join('\n') } },
+    ...addressCheckBlocks('from', addressChecks?.from, addressWarnings?.from),
+
+    { type: 'divider' },
+    { type: 'divider' },
+
+    /* Ship To section */
+    { type: 'section', text: { type: 'mrkdwn', text: '*Ship To Address*' } },
+    { type: 'section', text: { type: 'mrkdwn', text: addressReviewLines(shipment.address_to).join('\n') } },
+    ...addressCheckBlocks('to', addressChecks?.to, addressWarnings?.to),
+
+    { type: 'divider' },
+    { type: 'divider' },
+
+    /* Package section */
+    { type: 'section', text: { type: 'mrkdwn', text: '*Package Info*' } },
+    { type: 'section', text: { type: 'mrkdwn', text: parcelLines.join('\n') } },
+
+    { type: 'divider' },
+    { type: 'divider' },
+
+    /* Service section */
+    { type: 'section', text: { type: 'mrkdwn', text: '*Shipping Service*' } },
+    { type: 'section', text: { type: 'mrkdwn', text: serviceLines.join('\n') } }
+  ];
+
+  if (customs && Array.isArray(customs.items) && customs.items.length > 0) {
+    const itemLines = customs.items.map((it) =>
+      `• ${it.description} — qty ${it.quantity} — $${Number(it.value_amount).toFixed(2)} — ${it.net_weight} lb — HS ${it.tariff_number || 'N/A'} — ${it.origin_country}`
+    );
+    blocks.push(
+      { type: 'divider' },
+      { type: 'divider' },
+      { type: 'section', text: { type: 'mrkdwn', text: '*Customs*' } },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: [
+            `Contents: ${customs.contents_type} — Incoterm: ${customs.incoterm} — EEL/PFC: ${customs.eel_pfc}${customs.aes_itn ? ` (${customs.aes_itn})` : ''}`,
+            ...itemLines
+          ].join('\n')
+        }
+      }
+    );
+  }
+
+  return blocks;
+}
+
+/**
+ * The "Review Shipping/Return Label" modal for a pending flow (see createPendingFlow).
+ * Its private_metadata only holds the flow id, the chosen rate id and who is reviewing.
+ * Slack tells us when it's closed (notify_on_close), so the flow goes back to "rated".
+ * `printers`/`defaultPrinterId` (reviewPrinterOptions) add the "Print to" select.
+ */
+function buildReviewView(record, selectedRate, { userId = null, close = 'Back', printers = [], defaultPrinterId = null } = {}) {
+  const isShipping = record.flow === 'shippinglabel';
+  return {
+    type: 'modal',
+    callback_id: isShipping ? 'shippinglabel_review_modal' : 'returnlabel_review_modal',
+    private_metadata: JSON.stringify({ flowId: record.id, rateId: selectedRate.id, userId: userId || record.userId || null }),
+    notify_on_close: true,
+    title: { type: 'plain_text', text: isShipping ? 'Review Shipping Label' : 'Review Return Label', emoji: true },
+    submit: { type: 'plain_text', text: 'Create Label', emoji: true },
+    close: { type: 'plain_text', text: close, emoji: true },
+    blocks: [
+      ...buildReviewBlocks(record.shipment, selectedRate, record.customs, record.addressChecks, record.addressWarnings),
+      {
+        type: 'context',
+        elements: [{
+          type: 'mrkdwn',
+          text: `Label format: *${resolveLabelFormat(record.labelFormat).name}*${record.orderNumber ? ` · Order: *${record.orderNumber}*` : ''}` +
+            (record.rma ? ` · RMA: *${record.rma.number || 'numbered when bought'}* (${rmaReason(record.rma.reason)?.label || 'no reason'})` : '')
+        }]
+      },
+      ...printerChoiceBlocks(printers, record.labelFormat || 'PDF_4x6', defaultPrinterId)
+    ]
+  };
+}
+
+function formatSelectedRatePrice(rate) {
+  const amountNum = rate?.amount ? Number(rate.amount) : null;
+  if (amountNum == null || Number.isNaN(amountNum)) return 'N/A';
+  return rate.currency === 'USD' ? `$${amountNum.toFixed(2)}` : `${amountNum.toFixed(2)} ${rate.currency || ''}`.trim();
+}
+
+/**
+ * One line saying where a flow stands ("<@U> is reviewing UPS Ground ($12.00)…"),
+ * or null while it's still waiting for someone to pick a rate.
+ */
+function pendingFlowStatusText(record) {
+  const rate = (record?.rates || []).find((r) => r.id === record.rateId);
+  const service = rate ? `*${rate.provider} ${rate.service}* (${formatSelectedRatePrice(rate)})` : 'a service';
+  const who = record?.stateBy ? `<@${record.stateBy}>` : 'Someone';
+  switch (record?.state) {
+    case 'reviewing':
+      return `🔎 ${who} is reviewing ${service}…`;
+    case 'purchasing':
+      return `⏳ ${who} is buying ${service}…`;
+    case 'purchased':
+      return `✅ ${who} bought ${service}${record.trackingNumber ? ` — tracking \`${record.trackingNumber}\`` : ''}.`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Rate chooser for a pending flow: a numbered list plus one button per rate.
+ * `rates` are toSelectedRate() objects from the flow; each button's value is
+ * just { flowId, rateId } (service_option_select looks the rest up).
+ * Once a rate is picked the buttons give way to a status line (who is
+ * reviewing/buying/bought what) until the review is closed without buying.
+ */
+function buildRateBlocks(record, rates, userIdTag) {
+  const kindText = record.flow === 'shippinglabel' ? 'shipping label' : 'return label';
+  const lines = rates.map((r, idx) => {
+    const eta = typeof r.etaDays === 'number'
+      ? `${r.etaDays} business day${r.etaDays === 1 ? '' : 's'}`
+      : 'ETA N/A';
+    return `${idx + 1}. *${r.provider}* — ${r.service} — ${formatSelectedRatePrice(r)} — ${eta}`;
+  });
+
+  const statusText = pendingFlowStatusText(record);
+  const actionBlocks = statusText
+    ? [{ type: 'context', elements: [{ type: 'mrkdwn', text: statusText }] }]
+    : rates.map((r) => ({
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          action_id: 'service_option_select',
+          text: { type: 'plain_text', text: `${r.provider} – ${r.service}`, emoji: true },
+          value: JSON.stringify({ flowId: record.id, rateId: r.id })
+        }
+      ]
+    }));
+
+  const headingText = userIdTag
+    ? `*Select a shipping service for this ${kindText}, <@${userIdTag}>:*`
+    : `*Select a shipping service for this ${kindText}:*`;
+
+  return [
+    { type: 'section', text: { type: 'mrkdwn', text: headingText } },
+    { type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') || '_No services available._' } },
+    ...actionBlocks
+  ];
+}
+
+/** The rates a flow's chooser lists (all offered rates unless it was narrowed). */
+function chooserRates(record) {
+  const ids = record?.chooserRateIds;
+  return Array.isArray(ids) ? (record.rates || []).filter((r) => ids.includes(r.id)) : record?.rates || [];
+}
+
+/**
+ * Re-render every chooser posted for a flow so it shows the flow's current state
+ * (buttons while "rated", a status line otherwise). Best effort: a chooser that was
+ * deleted, or an ephemeral one whose response_url ran out, is only logged.
+ */
+async function refreshPendingFlowChoosers(client, record, logger) {
+  if (!record?.choosers?.length) return;
+  const blocks = buildRateBlocks(record, chooserRates(record), record.userId);
+  const text = pendingFlowStatusText(record) || 'Select a shipping service';
+  for (const chooser of record.choosers) {
+    try {
+      if (chooser.ts) {
+        await client.chat.update({ channel: chooser.channel, ts: chooser.ts, text, blocks });
+      } else if (chooser.responseUrl) {
+        const res = await fetch(chooser.responseUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ replace_original: true, text, blocks })
+        });
+        if (!res.ok) throw new Error(`response_url returned HTTP ${res.status}`);
+      }
+    } catch (e) {
+      logger?.warn?.('Failed to update rate chooser', record.id, e?.data || e?.message || e);
+    }
+  }
+}
+
+/**
+ * Read the customs inputs of an edit modal.
+ * Returns { customs, errors }:
+ *  - customs is null for domestic shipments (inputs are ignored)
+ *  - errors is keyed by block_id, ready for response_action: 'errors'
+ * Item lines: "Description | Qty | Total value (USD) | Total weight (lb) | HS code | Origin".
+ */
+function readCustomsInputs(values, isInternational) {
+  if (!isInternational) return { customs: null, errors: {} };
+
+  const sel = (b, a) => values[b]?.[a]?.selected_option?.value || '';
+  const itemsRaw = (values['customs_items_block']?.['customs_items']?.value || '').trim();
+  const errors = {};
+
+  if (!itemsRaw) {
+    errors['customs_items_block'] = 'Customs items are required for international shipments.';
+    return { customs: null, errors };
+  }
+
+  const items = [];
+  const lines = itemsRaw.split('\n').map((l) => l.trim()).filter(Boolean);
+  for (let i = 0; i < lines.length; i++) {
+    const [description, qty, value, weight, tariff, origin] = lines[i].split('|').map((p) => (p || '').trim());
+    const quantity = Number(qty);
+    const valueAmount = Number(value);
+    const netWeight = Number(weight);
+    const originCountry = (origin || 'US').toUpperCase();
+
+    if (!description || !Number.isInteger(quantity) || quantity <= 0 ||
+        !(valueAmount > 0) || !(netWeight > 0) || !/^[A-Z]{2}$/.test(originCountry)) {
+      errors['customs_items_block'] =
+        `Line ${i + 1} should be "Description | Qty | Value | Weight | HS code | Origin" with a whole quantity, positive value/weight and a 2-letter origin.`;
+      return { customs: null, errors };
+    }
+    if (tariff && !/^[0-9.]{4,14}$/.test(tariff)) {
+      errors['customs_items_block'] = `Line ${i + 1}: HS tariff code "${tariff}" should be digits (e.g. 8708.29).`;
+      return { customs: null, errors };
+    }
+
+    items.push({
+      description,
+      quantity,
+      net_weight: String(netWeight),
+      mass_unit: 'lb',
+      value_amount: valueAmount.toFixed(2),
+      value_currency: 'USD',
+      origin_country: originCountry,
+      ...(tariff ? { tariff_number: tariff } : {})
+    });
+  }
+
+  const eelPfc = sel('customs_eel_pfc_block', 'customs_eel_pfc') || 'NOEEI_30_37_a';
+  const aesItn = (values['customs_aes_itn_block']?.['customs_aes_itn']?.value || '').trim();
+  if (eelPfc === 'AES_ITN' && !aesItn) {
+    errors['customs_aes_itn_block'] = 'An AES ITN is required when EEL/PFC is AES_ITN.';
+    return { customs: null, errors };
+  }
+
+  return {
+    customs: {
+      contents_type: sel('customs_contents_type_block', 'customs_contents_type') || 'MERCHANDISE',
+      incoterm: sel('customs_incoterm_block', 'customs_incoterm') || 'DDU',
+      eel_pfc: eelPfc,
+      aes_itn: eelPfc === 'AES_ITN' ? aesItn : null,
+      items
+    },
+    errors
+  };
+}
+
+/* =========================
+   Slash Commands Baseline
+========================= */
+
+/**
+ * The edit modal's state values for a complete command line, as if the
+ * prefilled modal had been submitted unchanged (see labelCommandPrefill).
+ */
+function prefilledEditValues(flow, prefill) {
+  const [addressBlock, addressAction] = flow === 'shippinglabel'
+    ? ['to_address_multiline_block', 'to_address_multiline']
+    : ['from_address_multiline_block', 'from_address_multiline'];
+  return {
+    [addressBlock]: { [addressAction]: { type: 'plain_text_input', value: prefill.address } },
+    [parcelBlockId(0, 'preset')]: { parcel_preset: { type: 'static_select', selected_option: { value: prefill.preset.id } } },
+    [parcelBlockId(0, 'weight')]: { parcel_weight: { type: 'plain_text_input', value: prefill.weight != null ? String(prefill.weight) : '' } },
+    customs_items_block: { customs_items: { type: 'plain_text_input', value: prefill.customsText || '' } },
+    service_mode_block: { service_mode: { type: 'radio_buttons', selected_option: { value: 'default' } } },
+    signature_block: {
+      signature_toggle: { type: 'checkboxes', selected_options: prefill.requireSignature ? [] : [{ value: 'no_signature' }] }
+    },
+    ...(flow === 'returnlabel'
+      ? {
+          rma_order_block: { rma_order: { type: 'plain_text_input', value: prefill.order || '' } },
+          rma_reason_block: { rma_reason: { type: 'static_select', selected_option: prefill.reason ? { value: prefill.reason } : null } },
+          rma_items_block: { rma_items: { type: 'plain_text_input', value: (prefill.rmaItems || []).join('\n') } }
+        }
+      : {})
+  };
+}
+
+/**
+ * Open the edit modal for /shippinglabel or /returnlabel, prefilled from the
+ * command text (address, --box, --service, --no-signature, --order). With
+ * Shopify set up, an order number first shows "Looking up order…" while the
+ * order is fetched; its address fills in when the text has none, its items'
+ * weight goes on parcel 1 and, outside the US, its items become the customs
+ * lines. Returns also need a --reason to skip the modal (the RMA's reason code).
+ * When the text (and order) has everything the modal asks for, skip it:
+ * show "Fetching rates…" and run the edit modal's own submit handler on the
+ * prefilled values, so the review replaces it. Returns never auto-buy from
+ * here; the policy's pick goes to review too. If the handler rejects the
+ * values after all, the prefilled edit modal opens with its errors listed on top.
+ */
+async function openLabelCommandModal({ flow, body, client, logger, channelId, threadTs }) {
+  const presets = await readPackagePresets();
+  const title = flow === 'shippinglabel' ? 'Create Shipping Label' : 'Create Return Label';
+  let prefill = labelCommandPrefill(body.text, presets);
+  let viewId = null;
+  let shopifyOrderId = null;
+
+  if (prefill.order && shopify) {
+    const opened = await client.views.open({
+      trigger_id: body.trigger_id,
+      view: statusView(title, `⏳ Looking up order *${prefill.order}* in Shopify…`)
+    });
+    viewId = opened.view.id;
+
+    let info = null;
+    let lookupError = null;
+    try {
+      info = await lookupShopifyOrder(prefill.order);
+    } catch (e) {
+      (logger || console).warn?.('Shopify order lookup failed:', e?.message || e);
+      lookupError = e?.message || String(e);
+    }
+    if (info) {
+      shopifyOrderId = info.id;
+      const fromOrder = labelCommandPrefill(body.text, presets, { address: info.addressText });
+      prefill = {
+        ...fromOrder,
+        weight: info.weightLb,
+        customsText: info.country !== 'US' ? shopifyCustomsText(info) : '',
+        notes: shopifyOrderNotes(info),
+        rmaItems: info.items.map((it) => `${it.quantity} × ${it.title}`),
+        // Without every item's weight the parcel weight is a guess; let someone look first
+        complete: fromOrder.complete && info.missingWeights.length === 0
+      };
+    } else {
+      const problem = lookupError
+        ? `Couldn't look up order ${prefill.order} in Shopify: ${lookupError}`
+        : `Shopify has no order ${prefill.order}.`;
+      prefill = { ...prefill, errors: [...prefill.errors, problem], complete: false };
+    }
+  }
+
+  if (flow === 'shippinglabel' && prefill.reason) {
+    prefill = { ...prefill, errors: [...prefill.errors, '--reason is only for /returnlabel.'], complete: false };
+  } else if (flow === 'returnlabel' && !prefill.reason) {
+    prefill = { ...prefill, complete: false };
+  }
+
+  const meta = {
+    channelId,
+    userChannelId: body.channel_id,
+    userId: body.user_id,
+    threadTs,
+    ...(prefill.service ? { service: prefill.service } : {}),
+    ...(prefill.order ? { order: prefill.order } : {}),
+    ...(shopifyOrderId ? { shopifyOrderId } : {})
+  };
+  const editView = async (errors = prefill.errors) =>
+    buildLabelEditView(flow, JSON.stringify(meta), {
+      presets,
+      ratePolicy: await flowRatePolicy(flow, body.channel_id, prefill.service),
+      labelFormat: (await labelFormatFor(flow, body.user_id)).value,
+      prefill: { ...prefill, errors }
+    });
+
+  if (!prefill.complete) {
+    if (viewId) await client.views.update({ view_id: viewId, view: await editView() });
+    else await client.views.open({ trigger_id: body.trigger_id, view: await editView() });
+    return;
+  }
+
+  const fetching = statusView(title, '⏳ Checking addresses and fetching rates from Shippo…');
+  if (viewId) await client.views.update({ view_id: viewId, view: fetching });
+  else viewId = (await client.views.open({ trigger_id: body.trigger_id, view: fetching })).view.id;
+  const view = {
+    id: viewId,
+    callback_id: `${flow}_edit_modal`,
+    private_metadata: JSON.stringify({ ...meta, ...(flow === 'returnlabel' ? { review: true } : {}) }),
+    state: { values: prefilledEditValues(flow, prefill) }
+  };
+  // Stand-in for the view_submission ack: the modal is already open, so
+  // "update" and "errors" become views.update calls.
+  const ack = async (response) => {
+    if (response?.response_action === 'update') {
+      await client.views.update({ view_id: view.id, view: response.view });
+    } else if (response?.response_action === 'errors') {
+      await client.views.update({ view_id: view.id, view: await editView(Object.values(response.errors || {})) });
+    }
+  };
+  await submitLabelEdit({ ack, body: { user: { id: body.user_id }, team: { id: body.team_id } }, view, client, logger });
+}
+
+/**
+ * /shippinglabel handler
+ * Behaves like /returnlabel, but:
+ *  - Ship TO is a required multi-line address (no default option)
+ *  - Ship FROM uses Carismo default (with optional custom override)
+ *  - Order in the modal: Ship To first, then Ship From
+ * The command text prefills the modal or skips it (openLabelCommandModal):
+ *   /shippinglabel --box=flat --order=1042 Jane Doe, 1 Main St, Austin, TX 78701
+ */
+slackApp.command('/shippinglabel', async ({ ack, body, client, logger }) => {
+  await ack();
+
+  const nowIso = new Date().toISOString();
+  const targetChannel = WATCH_CHANNEL_ID || body.channel_id;
+
+  const entry = {
+    type: 'shippinglabel',
+    userId: body.user_id,
+    userName: body.user_name,
+    channelId: body.channel_id,
+    teamId: body.team_id,
+    text: (body.text || '').trim(),
+    ts: nowIso
+  };
+
+  try {
+    await appendCommandLog(entry);
+  } catch (e) {
+    logger?.warn?.('Failed to log /shippinglabel command:', e);
+  }
+
+  // Post a root message so everything else can live in this thread
+  let threadTs = null;
+  try {
+    const rootMessage = await client.chat.postMessage({
+      channel: targetChannel,
+      text: `📦 Shipping label flow started by <@${body.user_id}>`
+    });
+    threadTs = rootMessage.ts || null;
+  } catch (e) {
+    logger?.error?.('Failed to post root message for /shippinglabel:', e?.stack || e?.message || e);
+  }
+
+  try {
+    await openLabelCommandModal({ flow: 'shippinglabel', body, client, logger, channelId: targetChannel, threadTs });
+  } catch (e) {
+    console.error('Failed to open /shippinglabel edit modal:', e?.stack || e?.message || e);
+  }
+});
+
+/**
+ * /returnlabel handler
+ * Now:
+ *  - Acks promptly
+ *  - Logs command usage into ./data/commands-log.json
+ *  - Opens a "Create Return Label" modal with address + RMA + package + shipping service mode,
+ *    prefilled from the command text (the address is the custom Ship From):
+ *   /returnlabel --box=default --reason=damaged --order=1042 Jane Doe, 1 Main St, Austin, TX 78701
+ */
+slackApp.command('/returnlabel', async ({ ack, body, client, logger }) => {
+  await ack();
+
+  const nowIso = new Date().toISOString();
+  const targetChannel = WATCH_CHANNEL_ID || body.channel_id;
+
+  const entry = {
+    type: 'returnlabel',
+    userId: body.user_id,
+    userName: body.user_name,
+    channelId: body.channel_id,
+    teamId: body.team_id,
+    text: (body.text || '').trim(),
+    ts: nowIso
+  };
+
+  try {
+    await appendCommandLog(entry);
+  } catch (e) {
+    logger?.warn?.('Failed to log /returnlabel command:', e);
+  }
+
+  // Post a root message so everything else can live in this thread
+  let threadTs = null;
+  try {
+    const rootMessage = await client.chat.postMessage({
+      channel: targetChannel,
+      text: `📦 Return label flow started by <@${body.user_id}>`
+    });
+    threadTs = rootMessage.ts || null;
+  } catch (e) {
+    logger?.error?.('Failed to post root message for /returnlabel:', e?.stack || e?.message || e);
+  }
+
+  try {
+    await openLabelCommandModal({ flow: 'returnlabel', body, client, logger, channelId: targetChannel, threadTs });
+  } catch (e) {
+    console.error('Failed to open /returnlabel edit modal:', e?.stack || e?.message || e);
+  }
+});
+
+/* =========================
+   Label Shortcuts
+========================= */
+
+// Messages asking for a return label rather than an outgoing shipment
+const RETURN_MESSAGE_RE = /\b(?:returns?|rma|exchange|send(?:ing)? (?:it|them) back)\b/i;
+
+/**
+ * First modal of the shortcuts: shipping or return label, plus the address
+ * found in the message (message shortcut only). Next swaps in the edit modal
+ * with that address prefilled (Ship To, or the custom Ship From for returns).
+ */
+function labelStartView(privateMetadata, { flow = 'shippinglabel', address = '', fromMessage = false } = {}) {
+  const kinds = [plainOption('shippinglabel', 'Shipping label'), plainOption('returnlabel', 'Return label')];
+  const blocks = [
+    {
+      type: 'input',
+      block_id: 'label_kind_block',
+      label: { type: 'plain_text', text: 'Label', emoji: true },
+      element: {
+        type: 'radio_buttons',
+        action_id: 'label_kind',
+        options: kinds,
+        initial_option: kinds.find((k) => k.value === flow)
+      }
+    }
+  ];
+  if (fromMessage) {
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: address
+          ? `*Address found in the message:*\n\`\`\`${address}\`\`\`\nYou can fix it on the next screen.`
+          : '_No address found in the message; paste it on the next screen._'
+      }
+    });
+  }
+  return {
+    type: 'modal',
+    callback_id: 'label_start_modal',
+    private_metadata: privateMetadata,
+    title: { type: 'plain_text', text: 'Create Label', emoji: true },
+    submit: { type: 'plain_text', text: 'Next', emoji: true },
+    close: { type: 'plain_text', text: 'Cancel', emoji: true },
+    blocks
+  };
+}
+
+/**
+ * "Create label from this message" (message shortcut, callback_id
+ * label_from_message): the label thread is a reply to the message, and the
+ * address found in it (findAddressInText) is prefilled. Messages that talk
+ * about a return start on "Return label".
+ */
+slackApp.shortcut('label_from_message', async ({ ack, shortcut, client, logger }) => {
+  await ack();
+
+  const message = shortcut.message || {};
+  const text = slackPlainText(
+    [message.text, ...(message.attachments || []).map((a) => a.text || a.fallback)].filter(Boolean).join('\n')
+  );
+  const address = findAddressInText(text).slice(0, 1000);
+
+  await appendCommandLog({
+    type: 'label_from_message',
+    userId: shortcut.user?.id,
+    userName: shortcut.user?.username || shortcut.user?.name,
+    channelId: shortcut.channel?.id,
+    teamId: shortcut.team?.id,
+    text: address,
+    ts: new Date().toISOString()
+  });
+
+  const privateMetadata = JSON.stringify({
+    channelId: shortcut.channel?.id || null,
+    userChannelId: shortcut.channel?.id || null,
+    messageTs: message.thread_ts || message.ts || null,
+    address
+  });
+  try {
+    await client.views.open({
+      trigger_id: shortcut.trigger_id,
+      view: labelStartView(privateMetadata, {
+        flow: RETURN_MESSAGE_RE.test(text) ? 'returnlabel' : 'shippinglabel',
+        address,
+        fromMessage: true
+      })
+    });
+  } catch (e) {
+    (logger || console).error?.('Failed to open label-from-message modal:', e?.stack || e?.message || e);
+  }
+});
+
+/**
+ * "Create a label" (global shortcut, callback_id create_label): no channel
+ * context, so the thread goes to WATCH_CHANNEL_ID, else the user's DM with the bot.
+ */
+slackApp.shortcut('create_label', async ({ ack, shortcut, client, logger }) => {
+  await ack();
+
+  await appendCommandLog({
+    type: 'create_label',
+    userId: shortcut.user?.id,
+    userName: shortcut.user?.username || shortcut.user?.name,
+    channelId: null,
+    teamId: shortcut.team?.id,
+    text: '',
+    ts: new Date().toISOString()
+  });
+
+  try {
+    await client.views.open({ trigger_id: shortcut.trigger_id, view: labelStartView(JSON.stringify({})) });
+  } catch (e) {
+    (logger || console).error?.('Failed to open create-label modal:', e?.stack || e?.message || e);
+  }
+});
+
+/**
+ * Shortcut modal submitted: start the label thread (a reply to the original
+ * message, or a new root message) and swap in the prefilled edit modal.
+ */
+slackApp.view('label_start_modal', async ({ ack, body, view, client, logger }) => {
+  const log = logger || console;
+  let meta = {};
+  try {
+    meta = view.private_metadata ? JSON.parse(view.private_metadata) : {};
+  } catch {}
+  const flow = view.state.values?.['label_kind_block']?.['label_kind']?.selected_option?.value === 'returnlabel'
+    ? 'returnlabel'
+    : 'shippinglabel';
+  const userId = body.user?.id;
+  const kindText = flow === 'shippinglabel' ? 'Shipping' : 'Return';
+
+  let channelId = meta.channelId || null;
+  let threadTs = null;
+  if (channelId && meta.messageTs) {
+    try {
+      await client.chat.postMessage({
+        channel: channelId,
+        thread_ts: meta.messageTs,
+        text: `📦 ${kindText} label flow started by <@${userId}> from this message`
+      });
+      threadTs = meta.messageTs;
+    } catch (e) {
+      // e.g. not_in_channel: fall back to a thread of our own
+      log.warn?.('Failed to reply to the original message:', e?.data?.error || e?.message || e);
+      channelId = null;
+    }
+  }
+  if (!threadTs) {
+    try {
+      channelId = WATCH_CHANNEL_ID || channelId || (await client.conversations.open({ users: userId })).channel.id;
+      const root = await client.chat.postMessage({
+        channel: channelId,
+        text: `📦 ${kindText} label flow started by <@${userId}>${meta.messageTs ? ' (couldn’t reply to the original message; is the bot in that channel?)' : ''}`
+      });
+      threadTs = root.ts || null;
+    } catch (e) {
+      log.error?.('Failed to post root message for the label shortcut:', e?.stack || e?.message || e);
+    }
+  }
+
+  const privateMetadata = JSON.stringify({ channelId, userChannelId: meta.userChannelId || null, userId, threadTs });
+  await ack({
+    response_action: 'update',
+    view: buildLabelEditView(flow, privateMetadata, {
+      presets: await readPackagePresets(),
+      ratePolicy: await flowRatePolicy(flow, meta.userChannelId || channelId),
+      labelFormat: (await labelFormatFor(flow, userId)).value,
+      prefill: { address: meta.address || '' }
+    })
+  });
+});
+
+/**
+ * Add / remove parcel buttons inside either edit modal. We keep the count in
+ * private_metadata and rebuild the view; Slack preserves what was already typed
+ * into inputs whose block_id/action_id stay the same.
+ */
+async function changeParcelCount({ ack, body, client, logger }, delta) {
+  await ack();
+
+  const view = body.view;
+  if (!view) return;
+
+  let meta = {};
+  try {
+    meta = view.private_metadata ? JSON.parse(view.private_metadata) : {};
+  } catch {}
+  const current = Number(meta.parcelCount) || 1;
+  meta.parcelCount = Math.min(Math.max(current + delta, 1), MAX_PARCELS);
+  if (meta.parcelCount === current) return;
+
+  const flow = view.callback_id === 'returnlabel_edit_modal' ? 'returnlabel' : 'shippinglabel';
+
+  try {
+    await client.views.update({
+      view_id: view.id,
+      hash: view.hash,
+      view: buildLabelEditView(flow, JSON.stringify(meta), {
+        presets: await readPackagePresets(),
+        ratePolicy: await flowRatePolicy(flow, meta.userChannelId || meta.channelId, meta.service),
+        labelFormat: readLabelFormatInputs(view.state?.values).labelFormat || (await labelFormatFor(flow, body.user?.id)).value
+      })
+    });
+  } catch (e) {
+    (logger || console).error?.('Failed to update parcel count in edit modal:', e?.stack || e?.message || e);
+  }
+}
+
+slackApp.action('parcel_add', (args) => changeParcelCount(args, 1));
+slackApp.action('parcel_remove', (args) => changeParcelCount(args, -1));
+
+/**
+ * What the shipping and return label flows do differently. Both edit modals
+ * (submitLabelEdit) and both review modals (submitLabelReview) share one path;
+ * these are its per-flow parts:
+ *  - readShipTo: the Ship To input (shipping) or the fixed returns address
+ *  - readFlowInputs: order number, Shopify order id and the return's RMA inputs
+ *  - prepareShipment: metadata and references printed on the label
+ *  - beforePurchase: what the flow settles right before buying (the return's
+ *    RMA number); returns the flow record, through rerate(shipment, patch, reason)
+ *    when the rated shipment has to change
+ *  - autoBuy: the policy's pick is bought right away, without a review
+ *  - ledgerFields / afterPurchase: what a bought label adds to the ledger and stores
+ */
+const LABEL_FLOWS = {
+  shippinglabel: {
+    kind: 'shipping',
+    noun: 'shipping label',
+    title: 'Create Shipping Label',
+    autoBuy: false,
+    shipToFallback: COMPANY_CONTACT_FALLBACK,
+    readShipTo: (values) => readAddressSide(values, 'to'),
+    readFlowInputs: (values, meta) => ({
+      fields: { orderNumber: meta.order || null, shopifyOrderId: meta.shopifyOrderId || null },
+      errors: {}
+    }),
+    async prepareShipment(shipment, fields) {
+      if (fields.orderNumber) shipment.metadata = `Order ${fields.orderNumber}`;
+    }
+  },
+  returnlabel: {
+    kind: 'return',
+    noun: 'return label',
+    title: 'Create Return Label',
+    autoBuy: true,
+    shipToFallback: CARISMO_RETURNS_ADDRESS,
+    // Returns always come back to Carismo
+    readShipTo: async () => fixedAddressSide(DEFAULT_TO_ADDRESS_TEXT),
+    // A reason is required; the customer defaults to the Ship From name. The
+    // modal's order number is the one that counts; an edited one drops the Shopify order.
+    readFlowInputs(values, meta, from) {
+      const { rma, errors } = readRmaInputs(values, {
+        customer: from.custom ? from.parsed.name || from.parsed.company || '' : ''
+      });
+      const orderNumber = rma.orderNumber;
+      return {
+        fields: {
+          orderNumber,
+          shopifyOrderId: orderNumber && orderNumber === meta.order ? meta.shopifyOrderId || null : null,
+          rma
+        },
+        errors
+      };
+    },
+    // The RMA number is printed in the label's reference field, so the return is
+    // rated with the next free number already on it (see beforePurchase).
+    async prepareShipment(shipment, fields) {
+      if (fields.orderNumber) shipment.extra = { ...shipment.extra, reference_2: `Order ${fields.orderNumber}` };
+      const number = await upcomingRmaNumber();
+      Object.assign(shipment, withRmaReference(shipment, number, fields.orderNumber));
+      fields.rma = { ...fields.rma, number };
+    },
+    // The number is only taken right before buying (and kept when a failed
+    // purchase is retried), so only labels Shippo then fails to buy leave a gap
+    // in the numbers. When another return was bought with it in the meantime,
+    // the shipment is rated again with the next one.
+    async beforePurchase(record, { rerate }) {
+      const rma = record.rma || {};
+      if (rma.reserved) return record;
+      const reserve = async (number) => {
+        try {
+          return await reserveRmaNumber(number);
+        } catch (e) {
+          throw new Error(`Failed to assign an RMA number: ${e?.message || e}`);
+        }
+      };
+      if (!rma.number || !(await reserve(rma.number))) {
+        const number = await upcomingRmaNumber();
+        const reason = rma.number ? `${rma.number} went to another return` : 'it had no RMA number yet';
+        record = await rerate(withRmaReference(record.shipment, number, record.orderNumber), { rma: { ...rma, number } }, reason);
+        if (!(await reserve(number))) throw new Error(`RMA number ${number} went to another return as well. Please try again.`);
+      }
+      return await updatePendingFlow(record.id, { rma: { ...record.rma, reserved: true } }) || record;
+    },
+    ledgerFields: (record) => ({ rmaNumber: record.rma?.number || null }),
+    afterPurchase: (record, labelRecord) => recordReturnAuthorization(record.rma, labelRecord)
+  }
+};
+
+/** A return shipment with its RMA number in the label's reference field and metadata. */
+function withRmaReference(shipment, number, orderNumber) {
+  return {
+    ...shipment,
+    extra: { ...shipment.extra, reference_1: number },
+    metadata: orderNumber ? `${number} · Order ${orderNumber}` : number
+  };
+}
+
+/** The carrier's Ship From default or the returns address, as an edit-modal side. */
+function fixedAddressSide(text) {
+  return {
+    parsed: parseAddressText(text, { country: 'US' }),
+    country: 'US',
+    custom: false,
+    contactInputs: { phone: '', email: '' },
+    warnings: [],
+    errors: {}
+  };
+}
+
+/**
+ * Read one address side (`to` or `from`) of an edit modal: a saved contact, or
+ * the pasted address parsed for the picked country (a pasted Canadian address is
+ * detected when the picker was left on US). Ship From falls back to the Carismo
+ * default unless something was typed or picked. Returns { parsed, country,
+ * custom, contactInputs, warnings, errors }, or { missing: true, errors } when
+ * a required Ship To was left empty.
+ */
+async function readAddressSide(values, side, { defaultText = null } = {}) {
+  const contact = await getAddressBookEntry(
+    values[`${side}_address_book_block`]?.[`${side}_address_book`]?.selected_option?.value
+  );
+  const raw = (values[`${side}_address_multiline_block`]?.[`${side}_address_multiline`]?.value || '').trim();
+  const mode = values[`${side}_address_mode_block`]?.[`${side}_address_mode`]?.selected_option?.value || 'default';
+  const pickedCountry = values[`${side}_country_block`]?.[`${side}_country`]?.selected_option?.value;
+
+  if (!defaultText && !contact && !raw) {
+    return { missing: true, errors: { [`${side}_address_multiline_block`]: 'Ship To address is required (or pick a saved contact).' } };
+  }
+  // Typing something (or picking a contact) means custom, whatever the radio says
+  if (defaultText && !contact && !raw && mode === 'default') return fixedAddressSide(defaultText);
+
+  const parsed = contact || parseAddressText(raw || defaultText, { country: pickedCountry });
+  const country = contact?.country || resolveAddressCountry(pickedCountry, parsed);
+  // Phone/email typed in the modal win over ones found in the pasted address or
+  // saved contact; company contact details are the last resort.
+  const { phone, email, errors: contactErrors } = readContactInputs(values, side);
+  return {
+    parsed,
+    country,
+    custom: true,
+    contactInputs: { phone, email },
+    // Pasted addresses must at least yield a street, city and ZIP; softer
+    // uncertainty (unknown state, guessed street line) is shown in review.
+    warnings: contact ? [] : parsed.warnings || [],
+    errors: {
+      ...(contact ? {} : parsedAddressErrors(parsed, `${side}_address_multiline_block`, country)),
+      ...contactErrors
+    }
+  };
+}
+
+/**
+ * View submission handler for both "Edit Details" modals (shippinglabel_edit_modal
+ * and returnlabel_edit_modal; LABEL_FLOWS has what differs). Once the inputs are
+ * valid we ack with a loading modal, then rate the shipment and keep it as a
+ * pending flow. "Choose" posts the rate chooser in the thread. Otherwise the
+ * flow's rate policy picks a rate: returns buy it right away and upload the label
+ * into the thread (flagged Ship From addresses get a one-button chooser instead),
+ * shipping labels open the review for it. Runs started by openLabelCommandModal
+ * (meta.review) always review first.
+ */
+async function submitLabelEdit({ ack, body, view, client, logger }) {
+  const log = logger || console;
+  const flow = view.callback_id === 'returnlabel_edit_modal' ? 'returnlabel' : 'shippinglabel';
+  const spec = LABEL_FLOWS[flow];
+
+  // channelId, userChannelId, userId, threadTs, parcelCount; service/order from the command
+  let meta = {};
+  try {
+    meta = view.private_metadata ? JSON.parse(view.private_metadata) : {};
+  } catch (e) {
+    log.error?.(`Failed to parse private_metadata in ${spec.kind} edit modal:`, e?.stack || e?.message || e);
+  }
+  const channelId = meta.channelId || null;
+  const userChannelId = meta.userChannelId || null;
+  const userIdFromMeta = meta.userId || null;
+  const threadTs = meta.threadTs || undefined;
+  // We want ephemerals in the same channel as the root thread, if available
+  const ephemeralChannelId = channelId || userChannelId || body.channel?.id || body.team?.id || undefined;
+  const ephemeralUserId = userIdFromMeta || body.user?.id;
+
+  const values = view.state.values;
+
+  // Addresses: Ship To per flow, Ship From is the Carismo default unless overridden
+  const to = await spec.readShipTo(values);
+  if (to.missing) {
+    await ack({ response_action: 'errors', errors: to.errors });
+    return;
+  }
+  const from = await readAddressSide(values, 'from', { defaultText: DEFAULT_FROM_ADDRESS_TEXT });
+  const addressErrors = { ...to.errors, ...from.errors };
+  if (Object.keys(addressErrors).length > 0) {
+    await ack({ response_action: 'errors', errors: addressErrors });
+    return;
+  }
+  const addressWarnings = { to: to.warnings, from: from.warnings };
+
+  // Customs (only validated when crossing a border)
+  const { customs, errors: customsErrors } = readCustomsInputs(values, from.country !== to.country);
+  if (Object.keys(customsErrors).length > 0) {
+    await ack({ response_action: 'errors', errors: customsErrors });
+    return;
+  }
+
+  // Package(s): each parcel is a named preset or custom dimensions
+  const { parcels, errors: parcelErrors } = readParcelInputs(values, Number(meta.parcelCount) || 1, await readPackagePresets());
+  if (Object.keys(parcelErrors).length > 0) {
+    await ack({ response_action: 'errors', errors: parcelErrors });
+    return;
+  }
+
+  const { fields, errors: flowErrors } = spec.readFlowInputs(values, meta, from);
+  if (Object.keys(flowErrors).length > 0) {
+    await ack({ response_action: 'errors', errors: flowErrors });
+    return;
+  }
+
+  // Build shipment used for rating and (later) purchase
+  const shipment = buildShipmentBody({
+    addressFrom: buildShipmentAddress(from.parsed, { country: from.country, fallback: CARISMO_ADDRESS, ...from.contactInputs }),
+    addressTo: buildShipmentAddress(to.parsed, { country: to.country, fallback: spec.shipToFallback, ...to.contactInputs }),
+    parcels,
+    requireSignature: readSignatureRequirement(values)
+  });
+
+  const serviceMode = values['service_mode_block']?.['service_mode']?.selected_option?.value || 'default';
+
+  // Label file format; "Make this my default" saves it for this user's labels of this kind
+  const formatInputs = readLabelFormatInputs(values);
+  const labelFormatValue = formatInputs.labelFormat || (await labelFormatFor(flow, body.user?.id)).value;
+
+  // Everything below talks to Shippo, which may be slow or retrying. Ack now with
+  // a loading modal and swap in the review (or the outcome) when it's done.
+  await ack({
+    response_action: 'update',
+    view: statusView(spec.title, '⏳ Checking addresses and fetching rates from Shippo…')
+  });
+  const showModal = async (modal) => {
+    try {
+      await client.views.update({ view_id: view.id, view: modal });
+    } catch (e) {
+      log.error?.(`Failed to update ${spec.noun} modal:`, e?.stack || e?.message || e);
+    }
+  };
+  const progress = shippoProgressReporter({ client, channel: channelId || ephemeralChannelId, threadTs, user: ephemeralUserId, logger });
+  const shippoOptions = { onRetry: progress.onRetry };
+  // Failures show in the modal and, with the details, as an ephemeral in the thread
+  const fail = async (what, detail) => {
+    await showModal(statusView(spec.title, `❌ ${what}. Details are in the thread.`));
+    try {
+      await client.chat.postEphemeral({
+        channel: ephemeralChannelId,
+        user: ephemeralUserId,
+        text: `❌ ${what}: \`${detail}\``,
+        thread_ts: threadTs
+      });
+    } catch {}
+  };
+
+  if (formatInputs.remember) {
+    try {
+      await saveUserLabelFormat(body.user?.id, flow, labelFormatValue);
+    } catch (e) {
+      log.warn?.('Failed to save default label format:', e?.message || e);
+    }
+  }
+
+  try {
+    await spec.prepareShipment(shipment, fields);
+  } catch (e) {
+    log.error?.(`Failed to prepare the ${spec.noun}:`, e?.stack || e?.message || e);
+    await fail(`Failed to prepare the ${spec.noun}`, e?.message || e);
+    return;
+  }
+
+  // Validate a typed Ship To / custom Ship From before rating. Suggestions are applied
+  // to the rated shipment; the originals stay in addressChecks for the review modal.
+  const addressChecks = await checkShipmentAddresses(shipment, { to: to.custom, from: from.custom }, logger, shippoOptions);
+
+  // International: create the customs declaration and attach it before rating
+  if (customs) {
+    try {
+      const declaration = await createShippoCustomsDeclaration(customs, shipment.address_from.name, logger, shippoOptions);
+      shipment.customs_declaration = declaration.object_id;
+    } catch (e) {
+      await progress.done(false);
+      await fail('Failed to create the Shippo customs declaration', e?.message || e);
+      return;
+    }
+  }
+
+  let rates;
+  let shipmentId = null;
+  try {
+    const rated = await createShipmentAndGetRates(shipment, logger, shippoOptions);
+    rates = rated.rates || [];
+    shipmentId = rated.shipment?.object_id || null;
+  } catch (e) {
+    await progress.done(false);
+    await fail('Failed to fetch shipping services from Shippo', e?.message || e);
+    return;
+  }
+
+  await progress.done();
+
+  if (!Array.isArray(rates) || rates.length === 0) {
+    await showModal(statusView(spec.title, '❌ No shipping services returned. Please verify addresses and package dimensions.'));
+    try {
+      await client.chat.postEphemeral({
+        channel: ephemeralChannelId,
+        user: ephemeralUserId,
+        text: `❌ No shipping services returned for this shipment. Please verify addresses and package dimensions.`,
+        thread_ts: threadTs
+      });
+    } catch {}
+    return;
+  }
+
+  // Default mode: the flow's rate policy picks the service (UPS Ground unless
+  // configured otherwise); if it can't, fall back to the choose flow.
+  const picked = serviceMode === 'choose' ? null : await pickRateByPolicy(flow, userChannelId || channelId, rates, meta.service);
+  const pickedRateId = picked?.rate?.object_id || null;
+  // An auto-bought pick whose addresses were corrected, unverified or parsed with
+  // warnings needs a human look first.
+  const flagged = Boolean(pickedRateId) && spec.autoBuy && !meta.review &&
+    (addressChecksNeedReview(addressChecks) || addressWarnings.to.length > 0 || addressWarnings.from.length > 0);
+  const autoBuy = Boolean(pickedRateId) && spec.autoBuy && !meta.review && !flagged;
+  const buyer = body.user?.id || ephemeralUserId;
+  const pickState = !pickedRateId
+    ? {}
+    : flagged
+      ? { chooserRateIds: [pickedRateId] }
+      : { state: autoBuy ? 'purchasing' : 'reviewing', stateBy: buyer, rateId: pickedRateId };
+
+  // Keep the rated flow server-side; buttons and the review modal only carry its id.
+  let pending;
+  try {
+    pending = await createPendingFlow({
+      flow,
+      channelId,
+      userChannelId,
+      userId: userIdFromMeta,
+      threadTs: meta.threadTs || null,
+      shipment,
+      shipmentId,
+      customs,
+      addressChecks,
+      addressWarnings,
+      rates: rates.map(toSelectedRate),
+      labelFormat: labelFormatValue,
+      ...fields,
+      policyPick: pickedRateId
+        ? { rateId: pickedRateId, policy: { name: picked.policy.name, reason: picked.reason } }
+        : null,
+      ...pickState
+    });
+  } catch (e) {
+    log.error?.(`Failed to store pending ${spec.noun} flow:`, e?.stack || e?.message || e);
+    await showModal(statusView(spec.title, `❌ Failed to save this label flow: \`${e?.message || e}\``));
+    return;
+  }
+
+  // If user wants to choose, present the options and stop here.
+  if (serviceMode === 'choose') {
+    await showModal(statusView(spec.title, '✅ Rates are ready. Pick a shipping service in the thread.'));
+
+    // Post a normal message in the same thread instead of an ephemeral,
+    // so it works even if WATCH_CHANNEL_ID != the slash command channel.
+    const postChannel = channelId || ephemeralChannelId;
+
+    try {
+      const posted = await client.chat.postMessage({
+        channel: postChannel,
+        blocks: buildRateBlocks(pending, pending.rates, userIdFromMeta || ephemeralUserId),
+        text: 'Select a shipping service',
+        thread_ts: threadTs
+      });
+      await addPendingFlowChooser(pending.id, { channel: posted.channel || postChannel, ts: posted.ts });
+    } catch (e) {
+      try {
+        await client.chat.postMessage({
+          channel: postChannel,
+          text: `❌ Failed to post shipping options: \`${e?.message || e}\``,
+          thread_ts: threadTs
+        });
+      } catch {}
+    }
+    return;
+  }
+
+  if (!pickedRateId || flagged) {
+    const prompt = flagged
+      ? {
+        modal: '⚠️ The Ship From address needs a review before buying. Open it from the thread.',
+        text: '⚠️ The Ship From address needs a review before buying.',
+        section: '⚠️ The Ship From address was flagged (address validation or parsing), so the label was not bought automatically. Open the review to check it before buying.',
+        rates: chooserRates(pending)
+      }
+      : {
+        modal: `The *${picked.policy.name}* policy couldn’t pick a service. Pick one in the thread.`,
+        text: `${picked.reason} Please choose a service from the options below.`,
+        section: `*${picked.policy.name}* policy: ${picked.reason} Please choose a service from the options below.`,
+        rates: pending.rates
+      };
+    await showModal(statusView(spec.title, prompt.modal));
+    try {
+      await client.chat.postEphemeral({
+        channel: ephemeralChannelId,
+        user: ephemeralUserId,
+        text: prompt.text,
+        blocks: [
+          { type: 'section', text: { type: 'mrkdwn', text: prompt.section } },
+          ...buildRateBlocks(pending, prompt.rates, userIdFromMeta || ephemeralUserId)
+        ],
+        thread_ts: threadTs
+      });
+    } catch (e) {
+      try {
+        await client.chat.postEphemeral({
+          channel: ephemeralChannelId,
+          user: ephemeralUserId,
+          text: `❌ Failed to post shipping options: \`${e?.message || e}\``,
+          thread_ts: threadTs
+        });
+      } catch {}
+    }
+    return;
+  }
+
+  // Buy the policy's pick right away. No review here, so the channel's default
+  // printer (if any) prints it.
+  if (autoBuy) {
+    await showModal(statusView(spec.title, `⏳ Buying the ${spec.noun}…`));
+    const printer = defaultPrinterFor(await readPrinters(), [userChannelId, channelId], labelFormatValue);
+    const label = await purchasePendingFlowLabel({
+      client,
+      record: pending,
+      selectedRate: pendingFlowRate(pending, pickedRateId),
+      buyer,
+      userId: userIdFromMeta,
+      printerId: printer?.id || null,
+      logger
+    });
+    await showModal(statusView(
+      spec.title,
+      label ? `✅ Bought the ${spec.noun}. It’s in the thread.` : `⚠️ No ${spec.noun} yet. Details are in the thread.`
+    ));
+    return;
+  }
+
+  // Review the rate the policy picked
+  await showModal(buildReviewView(pending, pendingFlowRate(pending, pickedRateId), {
+    userId: userIdFromMeta,
+    ...(await reviewPrinterOptions(pending))
+  }));
+}
+
+slackApp.view('shippinglabel_edit_modal', submitLabelEdit);
+slackApp.view('returnlabel_edit_modal', submitLabelEdit);
+
+/**
+ * Button handler: user picks a specific shipping service option.
+ * Opens the appropriate Review modal (shipping or return) with the chosen rate.
+ */
+slackApp.action('service_option_select', async ({ ack, body, client, logger }) => {
+  await ack();
+
+  const log = logger || console;
+  const action = body?.actions?.[0];
+  let payload;
+  try {
+    payload = action?.value ? JSON.parse(action.value) : null;
+  } catch (e) {
+    payload = null;
+  }
+
+  const clicker = body.user?.id;
+  const channel = body.channel?.id || body.container?.channel_id;
+  const threadTs = body.message?.thread_ts || body.container?.thread_ts || undefined;
+  const existing = await getPendingFlow(payload?.flowId);
+  const selectedRate = existing ? pendingFlowRate(existing, payload.rateId) : null;
+
+  if (!existing || !selectedRate) {
+    log.warn?.('Unknown, expired or tampered service selection.', payload);
+    try {
+      await client.chat.postEphemeral({
+        channel,
+        user: clicker,
+        text: '⚠️ This shipping option has expired or was already used. Please start the label again.',
+        thread_ts: threadTs
+      });
+    } catch {}
+    return;
+  }
+
+  // Remember this chooser so it can show who picked/bought what. Ephemeral
+  // ones can only be replaced through the click's response_url.
+  await addPendingFlowChooser(
+    existing.id,
+    body.container?.is_ephemeral
+      ? (body.response_url ? { responseUrl: body.response_url } : null)
+      : (body.container?.message_ts ? { channel, ts: body.container.message_ts } : null)
+  );
+
+  const kindText = existing.flow === 'shippinglabel' ? 'shipping label' : 'return label';
+  const { ok, record } = await transitionPendingFlow(existing.id, 'reviewing', { by: clicker, rateId: selectedRate.id });
+  if (!ok) {
+    try {
+      await client.chat.postEphemeral({
+        channel,
+        user: clicker,
+        text: pendingFlowConflictText(record, kindText, clicker),
+        thread_ts: threadTs
+      });
+    } catch {}
+    if (record) await refreshPendingFlowChoosers(client, record, log);
+    return;
+  }
+
+  try {
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildReviewView(record, selectedRate, { userId: clicker, close: 'Cancel', ...(await reviewPrinterOptions(record)) })
+    });
+  } catch (e) {
+    log.error?.('Failed to open review modal after service select:', e?.stack || e?.message || e);
+    await transitionPendingFlow(record.id, 'rated', { by: clicker, rateId: selectedRate.id });
+    try {
+      await client.chat.postMessage({
+        channel: record.channelId,
+        text: `<@${clicker}> ❌ Failed to open Review modal: \`${e?.message || e}\``,
+        thread_ts: record.threadTs || undefined
+      });
+    } catch {}
+    return;
+  }
+
+  await refreshPendingFlowChoosers(client, record, log);
+});
+
+/**
+ * The review modal was closed without buying: give the flow back to "rated"
+ * and bring its chooser buttons back. Only the current review counts (closing an
+ * older, out-of-date review modal changes nothing).
+ */
+async function releaseClosedReview({ ack, body, view, client, logger }) {
+  await ack();
+  let meta = {};
+  try {
+    meta = view.private_metadata ? JSON.parse(view.private_metadata) : {};
+  } catch {}
+  const { ok, record } = await transitionPendingFlow(meta.flowId, 'rated', { by: body.user?.id, rateId: meta.rateId });
+  if (ok) await refreshPendingFlowChoosers(client, record, logger || console);
+}
+
+slackApp.view({ callback_id: 'shippinglabel_review_modal', type: 'view_closed' }, releaseClosedReview);
+slackApp.view({ callback_id: 'returnlabel_review_modal', type: 'view_closed' }, releaseClosedReview);
+
+/**
+ * Buy the chosen rate of a pending flow that was already moved to "purchasing":
+ * re-check the rate with Shippo, let the flow settle what it needs right before
+ * buying (beforePurchase; a re-rate at a new price stops for a new review), apply
+ * the review's address choices (`values`), buy that rate, record it in the
+ * ledger (plus the flow's afterPurchase, e.g. the return's RMA), settle the flow
+ * and upload the label into the thread with carrier/service/ETA. Failures are
+ * posted in the thread. A purchase Shippo hasn't confirmed keeps the flow
+ * "purchasing" with a "Check again" button (purchase_status_check). Returns the
+ * label or null.
+ */
+async function purchasePendingFlowLabel({ client, record, selectedRate, buyer, userId, values = null, printerId = null, logger }) {
+  const log = logger || console;
+  const spec = LABEL_FLOWS[record.flow];
+  const { channelId, addressChecks } = record;
+  const threadTs = record.threadTs || null;
+  let shipment = record.shipment;
+
+  let label;
+  let labelRecord = null;
+  let buying = false;
+  const progress = shippoProgressReporter({ client, channel: channelId, threadTs, user: userId, logger });
+  const shippoOptions = { onRetry: progress.onRetry };
+
+  try {
+    await verifyPendingFlowRate(record, selectedRate.id, shippoOptions);
+
+    // What the flow settles right before buying (the return's RMA number). Should
+    // that change the rated shipment, the flow is rated again, and a new price
+    // stops the purchase so the new rate gets reviewed first.
+    if (spec.beforePurchase) {
+      const reviewed = selectedRate;
+      record = await spec.beforePurchase(record, {
+        rerate: async (changedShipment, patch, reason) => {
+          ({ record, selectedRate } = await rerateFlowShipment(record, changedShipment, selectedRate, patch, logger, shippoOptions));
+          if (Number(selectedRate.amount) !== Number(reviewed.amount) || selectedRate.currency !== reviewed.currency) {
+            throw Object.assign(
+              new Error(`The ${spec.noun} was rated again because ${reason}, and ${selectedRate.provider} ${selectedRate.service} ` +
+                `now costs ${formatSelectedRatePrice(selectedRate)} instead of ${formatSelectedRatePrice(reviewed)}.`),
+              { rereview: true }
+            );
+          }
+          return record;
+        }
+      });
+      shipment = record.shipment;
+    }
+
+    // Picking an original address over the suggested one means re-rating the same service
+    let changed;
+    ({ shipment, changed } = applyAddressChoices(shipment, addressChecks, values));
+    if (changed) selectedRate = await rerateForService(shipment, selectedRate, logger, shippoOptions);
+
+    const parcelCount = Array.isArray(shipment.parcels) ? shipment.parcels.length : 1;
+    buying = true;
+    label = await buyLabelForRate(selectedRate.id, logger, { ...shippoOptions, parcelCount, labelFormat: record.labelFormat });
+    await progress.done();
+    labelRecord = await recordFlowLabel(record, { label, selectedRate, shipment, userId });
+  } catch (e) {
+    const msg = e?.message || String(e);
+    if (!label) await progress.done(false);
+    console.error(`Failed to create Shippo ${spec.noun}:`, e?.stack || msg);
+
+    // Failing before the purchase went out buys nothing; after that, only Shippo's
+    // rejection is certain. Otherwise the label may be bought, so the flow stays
+    // "purchasing" until someone checks again.
+    const purchase = label ? null : buying ? e?.purchase || 'pending' : 'not_sent';
+    await settlePendingFlowPurchase(client, record, { by: buyer, label, labelRecord, purchase, logger: log });
+    if (e?.rereview) {
+      await offerPendingFlowRereview(client, await getPendingFlow(record.id) || record, `⚠️ ${msg}`, { userId, logger: log });
+      return null;
+    }
+    if (purchase === 'pending') {
+      await updatePendingFlow(record.id, { purchase: { selectedRate, shipment, userId, printerId, at: new Date().toISOString() } });
+      try {
+        const text = `${userId ? `<@${userId}> ` : ''}⏳ Shippo hasn't confirmed the ${spec.noun} purchase yet (\`${msg}\`). ` +
+          'Nothing else can be bought for this label until it settles.';
+        await client.chat.postMessage({
+          channel: channelId,
+          text,
+          blocks: [
+            { type: 'section', text: { type: 'mrkdwn', text } },
+            {
+              type: 'actions',
+              elements: [{
+                type: 'button',
+                action_id: 'purchase_status_check',
+                text: { type: 'plain_text', text: 'Check again', emoji: true },
+                value: record.id
+              }]
+            }
+          ],
+          thread_ts: threadTs || undefined
+        });
+      } catch {}
+      return null;
+    }
+
+    try {
+      await client.chat.postMessage({
+        channel: channelId,
+        text: `${userId ? `<@${userId}> ` : ''}❌ Failed to create Shippo ${spec.noun}: \`${msg}\``,
+        thread_ts: threadTs || undefined
+      });
+    } catch {}
+    return null;
+  }
+
+  await settlePendingFlowPurchase(client, record, { by: buyer, label, labelRecord, logger: log });
+  await deliverFlowLabel({ client, record, label, labelRecord, selectedRate, shipment, userId, printerId, logger: log });
+  return label;
+}
+
+/** Ledger record for a label bought through a pending flow (recordLabelPurchase). */
+function recordFlowLabel(record, { label, selectedRate, shipment, userId }) {
+  return recordLabelPurchase({
+    flow: record.flow,
+    label,
+    selectedRate,
+    shipment,
+    userId,
+    shipmentId: selectedRate?.shipmentId || record.shipmentId || null,
+    channelId: record.channelId,
+    threadTs: record.threadTs || null,
+    orderNumber: record.orderNumber || null,
+    shopifyOrderId: record.shopifyOrderId || null,
+    ...LABEL_FLOWS[record.flow].ledgerFields?.(record)
+  });
+}
+
+/**
+ * After a flow's label is bought and recorded: the flow's afterPurchase (e.g.
+ * the return's RMA), the Parcel reminder DM and the label upload into the thread.
+ */
+async function deliverFlowLabel({ client, record, label, labelRecord, selectedRate, shipment, userId, printerId, logger }) {
+  const spec = LABEL_FLOWS[record.flow];
+  await spec.afterPurchase?.(record, labelRecord);
+
+  // Send Parcel reminder DM to the user (if we know who to DM)
+  if (userId) {
+    await sendParcelReminderDm(client, userId, shipment, label.trackingNumber, spec.kind);
+  }
+
+  await deliverLabelToSlack({
+    client,
+    logger,
+    kind: spec.kind,
+    channelId: record.channelId,
+    threadTs: record.threadTs || undefined,
+    userId,
+    label,
+    labelRecord,
+    carrier: selectedRate.provider || null,
+    service: selectedRate.service || null,
+    etaDays: typeof selectedRate.etaDays === 'number' ? selectedRate.etaDays : null,
+    printerId
+  });
+}
+
+/**
+ * Button handler: "Check again" on a purchase Shippo hadn't confirmed. Looks the
+ * rate's transaction up without buying: a bought label is recorded and delivered
+ * like any other, a purchase Shippo has no trace of hands the flow back to
+ * "rated", and a queued one stays pending.
+ */
+slackApp.action('purchase_status_check', async ({ ack, body, client, logger }) => {
+  await ack();
+
+  const log = logger || console;
+  const clicker = body.user?.id || null;
+  const record = await getPendingFlow(body?.actions?.[0]?.value);
+  const tell = async (text) => {
+    try {
+      await client.chat.postEphemeral({
+        channel: body.channel?.id || record?.channelId,
+        user: clicker,
+        text,
+        thread_ts: body.message?.thread_ts || record?.threadTs || undefined
+      });
+    } catch {}
+  };
+
+  if (record?.state !== 'purchasing' || !record.purchase) {
+    await tell(record ? `Nothing left to check. ${pendingFlowStatusText(record) || ''}`.trim() : '⚠️ This label flow has expired.');
+    return;
+  }
+  const spec = LABEL_FLOWS[record.flow];
+  const { selectedRate, shipment, userId, printerId } = record.purchase;
+
+  let transaction;
+  try {
+    transaction = await shippo.findTransactionForRate(selectedRate.id);
+  } catch (e) {
+    await tell(`❌ Couldn't check with Shippo: \`${e?.message || e}\``);
+    return;
+  }
+
+  if (transaction && transaction.status !== 'SUCCESS') {
+    await tell(`⏳ Shippo is still processing the ${spec.noun} (${transaction.status}). Check again in a minute.`);
+    return;
+  }
+
+  if (!transaction) {
+    // The purchase may still be going through at Shippo; only give up on it once
+    // it had time to show up.
+    const since = Date.parse(record.purchase.at || record.stateAt || 0);
+    if (Date.now() - since < SHIPPO_LOOKUP_GRACE_MS) {
+      await tell(`⏳ Shippo doesn't list the ${spec.noun} yet. Check again in a couple of minutes.`);
+      return;
+    }
+    const result = await transitionPendingFlow(record.id, 'rated', { by: clicker, patch: { purchase: null } });
+    if (!result.ok) return;
+    await refreshPendingFlowChoosers(client, result.record, log);
+    try {
+      await client.chat.postMessage({
+        channel: record.channelId,
+        text: `Shippo never bought the ${spec.noun}, so nothing was charged. ` +
+          (record.choosers?.length ? 'Pick a service again above.' : 'Please start the label again.'),
+        thread_ts: record.threadTs || undefined
+      });
+    } catch {}
+    return;
+  }
+
+  let label;
+  try {
+    label = await labelFromTransaction(transaction, selectedRate.id, log, {
+      parcelCount: Array.isArray(shipment.parcels) ? shipment.parcels.length : 1,
+      labelFormat: record.labelFormat
+    });
+  } catch (e) {
+    await tell(`❌ Couldn't read the label from Shippo: \`${e?.message || e}\``);
+    return;
+  }
+  // Claim the flow first so two clicks can't both deliver the label
+  const claim = await transitionPendingFlow(record.id, 'purchased', {
+    by: record.stateBy || clicker,
+    patch: { trackingNumber: label.trackingNumber || null, labelId: label.transactionId || null, purchase: null }
+  });
+  if (!claim.ok) return;
+  await refreshPendingFlowChoosers(client, claim.record, log);
+
+  const labelRecord = await recordFlowLabel(record, { label, selectedRate, shipment, userId });
+  await deliverFlowLabel({ client, record, label, labelRecord, selectedRate, shipment, userId, printerId, logger: log });
+});
+
+/**
+ * View submission handler for both "Review" modals (shippinglabel_review_modal
+ * and returnlabel_review_modal): claims the pending flow and buys the reviewed
+ * rate (purchasePendingFlowLabel).
+ */
+async function submitLabelReview({ ack, body, view, client, logger }) {
+  await ack();
+
+  const log = logger || console;
+
+  let meta = {};
+  try {
+    meta = view.private_metadata ? JSON.parse(view.private_metadata) : {};
+  } catch (e) {
+    log.error?.('Failed to parse private_metadata in review modal:', e?.stack || e?.message || e);
+  }
+
+  // Move the flow to "purchasing" so a double submit (or a second reviewer)
+  // can't buy it twice; it goes back to "rated" if Shippo surely bought nothing.
+  const buyer = body.user?.id || meta.userId || null;
+  const claim = await transitionPendingFlow(meta.flowId, 'purchasing', { by: buyer, rateId: meta.rateId });
+  const record = claim.record;
+  const selectedRate = claim.ok ? pendingFlowRate(record, meta.rateId) : null;
+
+  if (!claim.ok || !selectedRate) {
+    const noun = view.callback_id === 'returnlabel_review_modal' ? 'return label' : 'shipping label';
+    log.warn?.(`Review submitted for an unknown, expired or already used ${noun} flow.`, meta, record?.state);
+    try {
+      await client.chat.postMessage({
+        channel: body.user?.id,
+        text: pendingFlowConflictText(record, noun, buyer)
+      });
+    } catch {}
+    return;
+  }
+  await refreshPendingFlowChoosers(client, record, log);
+
+  await purchasePendingFlowLabel({
+    client,
+    record,
+    selectedRate,
+    buyer,
+    userId: meta.userId || record.userId || null,
+    values: view.state?.values,
+    printerId: readPrinterChoice(view.state?.values),
+    logger
+  });
+}
+
+slackApp.view('shippinglabel_review_modal', submitLabelReview);
+slackApp.view('returnlabel_review_modal', submitLabelReview);
+
+/** The label files of a purchase or ledger record: one per parcel. */
+function labelPieces(label) {
+  return Array.isArray(label.pieces) && label.pieces.length > 0
+    ? label.pieces
+    : [{ transactionId: label.transactionId, trackingNumber: label.trackingNumber, labelUrl: label.labelUrl }];
+}
+
+/** Download label files ({ labelUrl } pieces) into Buffers, in order. */
+async function downloadLabelFiles(pieces) {
+  const buffers = [];
+  for (const piece of pieces) {
+    const res = await fetch(piece.labelUrl);
+    if (!res.ok) {
+      const txt = await res.text();
+      throw new Error(`Download failed ${res.status}: ${txt}`);
+    }
+    buffers.push(Buffer.from(await res.arrayBuffer()));
+  }
+  return buffers;
+}
+
+/**
+ * Download every label file of a purchase (one per parcel for multi-piece
+ * shipments) and upload them into the flow's thread with a single summary.
+ * Falls back to a plain message with the tracking details when the download
+ * or upload fails, then runs the post-purchase follow-ups. With a `printerId`
+ * the files are also sent to that printer (printLabelFiles).
+ */
+async function deliverLabelToSlack({ client, logger, kind, channelId, threadTs, userId, label, labelRecord, carrier, service, etaDays, printerId = null }) {
+  const log = logger || console;
+  const mention = userId ? `<@${userId}> ` : '';
+  const title = kind === 'return' ? 'Return' : 'Shipping';
+  const pieces = labelPieces(label);
+  const isMultiPiece = pieces.length > 1;
+  const format = resolveLabelFormat(label.labelFormat, labelRecord?.labelFormat);
+  const fileWord = format.extension.toUpperCase();
+
+  const etaDescription =
+    typeof etaDays === 'number'
+      ? `${etaDays} business day${etaDays === 1 ? '' : 's'} (estimated)`
+      : 'N/A';
+
+  const trackingLines = isMultiPiece
+    ? [
+        `*Master tracking number:* ${label.trackingNumber || 'N/A'}`,
+        ...pieces.map((p, idx) => `  ◦ Parcel ${idx + 1}: ${p.trackingNumber || 'N/A'}`)
+      ]
+    : [`*Tracking number:* ${label.trackingNumber || 'N/A'}`];
+
+  const detailsText = (bullet) => [
+    ...trackingLines.map((l) => (l.startsWith('  ') ? l : `${bullet}${l}`)),
+    `${bullet}*Carrier:* ${carrier || 'N/A'}`,
+    `${bullet}*Service:* ${service || 'N/A'}`,
+    `${bullet}*ETA:* ${etaDescription}`,
+    `${bullet}*Format:* ${format.name}`,
+    ...(labelRecord?.ratePolicy ? [`${bullet}*Picked by:* ${labelRecord.ratePolicy.name} policy — ${labelRecord.ratePolicy.reason}`] : []),
+    ...(labelRecord?.rmaNumber ? [`${bullet}*RMA:* ${labelRecord.rmaNumber} (look it up with \`/rma ${labelRecord.rmaNumber}\`)`] : [])
+  ].join('\n');
+
+  const fallbackText = (what, err) =>
+    `${mention}✅ Created Shippo ${kind} label${isMultiPiece ? 's' : ''}, but failed to ${what}.\n` +
+    `${detailsText('')}\n` +
+    `Tracking URL: ${label.trackingUrl || 'N/A'}\n` +
+    `${what.startsWith('download') ? `Error downloading ${fileWord}` : 'Upload error'}: \`${err}\``;
+
+  let buffers;
+  try {
+    buffers = await downloadLabelFiles(pieces);
+  } catch (e) {
+    const msg = e?.message || String(e);
+    log.error?.(`Failed to download Shippo ${kind} label ${fileWord}:`, e?.stack || msg);
+    try {
+      await client.chat.postMessage({
+        channel: channelId,
+        text: fallbackText(`download the ${fileWord}${isMultiPiece ? 's' : ''}`, msg),
+        thread_ts: threadTs
+      });
+    } catch {}
+    await followUpPurchasedLabel(client, labelRecord, log);
+    return;
+  }
+
+  // Slack derives the filetype from the extension; ZPL is uploaded as text
+  const files = buffers.map((buf, i) => ({
+    file: buf,
+    filename: labelFilename(kind, format, { piece: i + 1, pieces: pieces.length }),
+    ...(format.snippetType ? { snippet_type: format.snippetType } : {})
+  }));
+
+  const initialComment =
+    `${mention}📦 *${title} label${isMultiPiece ? `s created* (${pieces.length} parcels)` : ' created*'}\n` +
+    detailsText('• ');
+
+  try {
+    await client.files.uploadV2({
+      channel_id: channelId,
+      ...(isMultiPiece ? { file_uploads: files } : files[0]),
+      initial_comment: initialComment,
+      thread_ts: threadTs
+    });
+  } catch (e) {
+    const msg = e?.message || String(e);
+    log.error?.(`Failed to upload ${kind} label ${fileWord} to Slack:`, e?.stack || msg);
+    try {
+      await client.chat.postMessage({
+        channel: channelId,
+        text: fallbackText(`upload the ${fileWord} to Slack`, msg),
+        thread_ts: threadTs
+      });
+    } catch {}
+  }
+
+  if (printerId && labelRecord) {
+    await printLabelFiles({ client, record: labelRecord, buffers, printerId, userId, logger: log });
+  }
+
+  await followUpPurchasedLabel(client, labelRecord, log);
+}
+
+/* =========================
+   Label Actions (void / refund)
+========================= */
+
+const REFUND_STATUS_TO_LABEL_STATUS = {
+  QUEUED: 'refund_pending',
+  PENDING: 'refund_pending',
+  SUCCESS: 'refunded',
+  ERROR: 'refund_failed'
+};
+
+/**
+ * Blocks for the per-label actions message posted under the uploaded label.
+ * The Void button disappears once a refund is pending or complete; "Print again"
+ * shows while the label is live and some printer can take it (`canPrint`).
+ */
+function buildLabelActionBlocks(record, { canPrint = false } = {}) {
+  const tracking = record.trackingNumber || 'N/A';
+  const statusLine = {
+    refund_pending: `⏳ Refund requested${record.voidedBy ? ` by <@${record.voidedBy}>` : ''} — status *${record.refundStatus || 'PENDING'}*`,
+    refunded: `🚫 Label voided${record.voidedBy ? ` by <@${record.voidedBy}>` : ''} — refund *SUCCESS*`,
+    refund_failed: `⚠️ Refund request failed — status *${record.refundStatus || 'ERROR'}*. You can try again.`
+  }[record.status];
+
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*Label* \`${tracking}\` — ${record.carrier || 'N/A'} ${record.service || ''}`.trim() +
+          (statusLine ? `\n${statusLine}` : '')
+      }
+    }
+  ];
+
+  const elements = [];
+  if (record.status === 'purchased' || record.status === 'refund_failed') {
+    elements.push({
+      type: 'button',
+      action_id: 'void_label',
+      style: 'danger',
+      text: { type: 'plain_text', text: 'Void label', emoji: true },
+      value: record.id,
+      confirm: {
+        title: { type: 'plain_text', text: 'Void this label?' },
+        text: {
+          type: 'mrkdwn',
+          text: `This asks Shippo to refund label \`${tracking}\`. A voided label can no longer be used.`
+        },
+        confirm: { type: 'plain_text', text: 'Void label' },
+        deny: { type: 'plain_text', text: 'Keep it' },
+        style: 'danger'
+      }
+    });
+  }
+  if (canPrint && record.status === 'purchased' && record.labelUrl) {
+    elements.push({
+      type: 'button',
+      action_id: 'print_label_again',
+      text: { type: 'plain_text', text: '🖨️ Print again', emoji: true },
+      value: record.id
+    });
+  }
+  if (record.status === 'refund_pending') {
+    elements.push({
+      type: 'button',
+      action_id: 'refund_status_check',
+      text: { type: 'plain_text', text: 'Check refund status', emoji: true },
+      value: record.id
+    });
+  }
+  if (elements.length > 0) {
+    blocks.push({ type: 'actions', block_id: 'label_actions_block', elements });
+  }
+
+  return blocks;
+}
+
+/** Can any configured printer take this label's format? */
+async function labelCanBePrinted(record) {
+  const { printers } = await readPrinters();
+  return printers.some((p) => printerSupports(p, record.labelFormat || 'PDF_4x6'));
+}
+
+/**
+ * Post the label actions message (Void button, etc.) into the label's thread
+ * and remember its ts on the ledger record so it can be updated later.
+ */
+async function postLabelActionsMessage(client, record, logger) {
+  const log = logger || console;
+  if (!client || !record || !record.channelId) return;
+
+  try {
+    const res = await client.chat.postMessage({
+      channel: record.channelId,
+      thread_ts: record.threadTs || undefined,
+      text: `Label actions for ${record.trackingNumber || 'this label'}`,
+      blocks: buildLabelActionBlocks(record, { canPrint: await labelCanBePrinted(record) })
+    });
+    if (res?.ts) {
+      await updateLabelRecord(record.id, { actionsMessageTs: res.ts });
+    }
+  } catch (e) {
+    log.warn?.('Failed to post label actions message:', e?.stack || e?.message || e);
+  }
+}
+
+/**
+ * Re-render the actions message and the flow's root message for a record
+ * whose refund state changed, so the whole channel can see the label is dead
+ * (or, with `revived`, live again after a void that never reached Shippo).
+ */
+async function refreshLabelMessages(client, record, logger, { revived = false } = {}) {
+  const log = logger || console;
+  if (!client || !record?.channelId) return;
+
+  if (record.actionsMessageTs) {
+    try {
+      await client.chat.update({
+        channel: record.channelId,
+        ts: record.actionsMessageTs,
+        text: `Label actions for ${record.trackingNumber || 'this label'}`,
+        blocks: buildLabelActionBlocks(record, { canPrint: await labelCanBePrinted(record) })
+      });
+    } catch (e) {
+      log.warn?.('Failed to update label actions message:', e?.stack || e?.message || e);
+    }
+  }
+
+  if (record.threadTs && (revived || record.status === 'refund_pending' || record.status === 'refunded')) {
+    const kind = record.flow === 'returnlabel' ? 'Return' : 'Shipping';
+    const starter = record.purchasedBy ? ` by <@${record.purchasedBy}>` : '';
+    const suffix = record.status === 'refunded' ? 'voided (refund complete)' : 'voided (refund pending)';
+    try {
+      await client.chat.update({
+        channel: record.channelId,
+        ts: record.threadTs,
+        text: revived
+          ? `📦 ${kind} label flow started${starter}`
+          : `🚫 ~${kind} label flow started${starter}~ — label \`${record.trackingNumber || 'N/A'}\` ${suffix}`
+      });
+    } catch (e) {
+      log.warn?.('Failed to update root thread message after void:', e?.stack || e?.message || e);
+    }
+  }
+}
+
+/**
+ * Void a ledger label via Shippo refunds and report the outcome in its thread.
+ * The label is claimed (marked refund_pending) under the ledger lock first and
+ * only rolled back when Shippo rejects the refund; a timeout or 5xx leaves it
+ * pending without a refundId, since the refund may have gone through, until
+ * "Check refund status" finds out (recoverLostRefund).
+ * Returns { ok, text } where text is suitable for an ephemeral reply.
+ */
+async function voidLabelRecord({ client, record: given, userId, logger }) {
+  const log = logger || console;
+
+  const claim = await claimLabelVoid(given.id, userId);
+  const record = claim.record || given;
+  if (!claim.ok) {
+    const text = {
+      missing: `Label \`${record.trackingNumber || 'N/A'}\` is no longer in the label ledger.`,
+      refunded: `Label \`${record.trackingNumber}\` is already voided.`,
+      refund_pending: `A refund for \`${record.trackingNumber}\` is already pending (${record.refundStatus || 'PENDING'}); use *Check refund status* on the label.`,
+      no_transaction: `Label \`${record.trackingNumber || 'N/A'}\` has no Shippo transaction id; void it in the Shippo dashboard.`
+    }[claim.reason];
+    return { ok: false, text };
+  }
+
+  let refund;
+  try {
+    refund = await requestShippoRefund(record.transactionId, log);
+  } catch (e) {
+    const rejected = e?.status >= 400 && e?.status < 500 && e.status !== 429;
+    if (rejected) {
+      await releaseLabelVoid(record.id, { by: userId || null, note: 'refund rejected by Shippo' });
+      return { ok: false, text: `❌ Shippo refused the refund for \`${record.trackingNumber}\`: \`${e?.message || e}\`` };
+    }
+    const text = `⚠️ <@${userId}> asked to void label \`${record.trackingNumber}\`, but Shippo didn't confirm the refund ` +
+      `(\`${e?.message || e}\`). The label stays marked refund pending until Shippo shows what happened: ` +
+      'use *Check refund status* on the label.';
+    const updated = await updateLabelRecord(record.id, { refundStatus: 'UNKNOWN' }) || record;
+    if (record.channelId) {
+      try {
+        await client.chat.postMessage({ channel: record.channelId, thread_ts: record.threadTs || undefined, text });
+      } catch (err) {
+        log.warn?.('Failed to post void result in thread:', err?.stack || err?.message || err);
+      }
+    }
+    await refreshLabelMessages(client, updated, log);
+    return { ok: false, text };
+  }
+
+  // Multi-piece shipments: every parcel label is its own transaction and must be refunded too.
+  const failedPieces = [];
+  for (const piece of record.pieces || []) {
+    if (!piece.transactionId || piece.transactionId === record.transactionId) continue;
+    try {
+      await requestShippoRefund(piece.transactionId, log);
+    } catch (e) {
+      failedPieces.push(piece.trackingNumber || piece.transactionId);
+    }
+  }
+
+  const refundStatus = refund?.status || 'PENDING';
+  const updated = await updateLabelRecord(
+    record.id,
+    {
+      status: REFUND_STATUS_TO_LABEL_STATUS[refundStatus] || 'refund_pending',
+      refundId: refund?.object_id || null,
+      refundStatus,
+      voidedBy: userId || null
+    },
+    { by: userId || null, refundStatus }
+  ) || record;
+
+  const text = refundStatus === 'ERROR'
+    ? `⚠️ <@${userId}> tried to void label \`${record.trackingNumber}\`, but Shippo reported a refund error.`
+    : `🚫 <@${userId}> voided label \`${record.trackingNumber}\` — refund status: *${refundStatus}*` +
+      (failedPieces.length ? `\n⚠️ Refund failed for parcel label(s): ${failedPieces.join(', ')}` : '');
+
+  if (record.channelId) {
+    try {
+      await client.chat.postMessage({
+        channel: record.channelId,
+        thread_ts: record.threadTs || undefined,
+        text
+      });
+    } catch (e) {
+      log.warn?.('Failed to post void result in thread:', e?.stack || e?.message || e);
+    }
+  }
+
+  await refreshLabelMessages(client, updated, log);
+
+  return { ok: refundStatus !== 'ERROR', text };
+}
+
+/**
+ * /voidlabel <tracking number>
+ * Looks the label up in the ledger and requests a Shippo refund.
+ */
+slackApp.command('/voidlabel', async ({ ack, body, client, logger }) => {
+  await ack();
+
+  const trackingNumber = (body.text || '').trim();
+
+  await appendCommandLog({
+    type: 'voidlabel',
+    userId: body.user_id,
+    userName: body.user_name,
+    channelId: body.channel_id,
+    teamId: body.team_id,
+    text: trackingNumber,
+    ts: new Date().toISOString()
+  });
+
+  const reply = async (text) => {
+    try {
+      await client.chat.postEphemeral({ channel: body.channel_id, user: body.user_id, text });
+    } catch (e) {
+      logger?.error?.('Failed to post /voidlabel reply:', e?.stack || e?.message || e);
+    }
+  };
+
+  if (!trackingNumber) {
+    await reply('Usage: `/voidlabel <tracking number>`');
+    return;
+  }
+
+  const record = await findLabelByTracking(trackingNumber);
+  if (!record) {
+    await reply(`No label with tracking number \`${trackingNumber}\` was found in the label ledger.`);
+    return;
+  }
+
+  const result = await voidLabelRecord({ client, record, userId: body.user_id, logger });
+  await reply(result.text);
+});
+
+/**
+ * Button handler: "Void label" on the label actions message.
+ */
+slackApp.action('void_label', async ({ ack, body, client, logger }) => {
+  await ack();
+
+  const recordId = body?.actions?.[0]?.value;
+  const labels = await readLabelLedger();
+  const record = labels.find((l) => l.id === recordId);
+  if (!record) {
+    logger?.error?.('void_label: no ledger record for', recordId);
+    return;
+  }
+
+  const result = await voidLabelRecord({ client, record, userId: body.user?.id, logger });
+  if (!result.ok && body.channel?.id) {
+    try {
+      await client.chat.postEphemeral({
+        channel: body.channel.id,
+        user: body.user?.id,
+        thread_ts: record.threadTs || undefined,
+        text: result.text
+      });
+    } catch {}
+  }
+});
+
+/**
+ * "Check refund status" on a void whose refund request got no answer (no
+ * refundId): look the refund up by transaction. Found, it's tracked like any
+ * other; still missing once Shippo had time to process the request
+ * (SHIPPO_LOOKUP_GRACE_MS), the void is released and the label can be voided again.
+ */
+async function recoverLostRefund({ client, record, userId, logger }) {
+  const log = logger || console;
+  const tracking = record.trackingNumber || 'N/A';
+  const tell = async (text, { thread = false } = {}) => {
+    try {
+      if (thread) {
+        await client.chat.postMessage({ channel: record.channelId, thread_ts: record.threadTs || undefined, text });
+      } else {
+        await client.chat.postEphemeral({ channel: record.channelId, user: userId, thread_ts: record.threadTs || undefined, text });
+      }
+    } catch {}
+  };
+
+  let refund;
+  try {
+    refund = await shippo.findRefundForTransaction(record.transactionId);
+  } catch (e) {
+    log.error?.('Shippo error while looking up a refund:', e?.stack || e?.message || e);
+    await tell(`❌ Failed to look up the refund: \`${e?.message || e}\``);
+    return;
+  }
+
+  if (refund) {
+    const refundStatus = refund.status || 'PENDING';
+    const updated = await updateLabelRecord(
+      record.id,
+      { status: REFUND_STATUS_TO_LABEL_STATUS[refundStatus] || 'refund_pending', refundId: refund.object_id, refundStatus },
+      { by: userId || null, refundStatus }
+    ) || record;
+    await tell(`Shippo has the refund for \`${tracking}\` after all: *${refundStatus}*.`, { thread: true });
+    await refreshLabelMessages(client, updated, log);
+    return;
+  }
+
+  if (Date.now() - Date.parse(record.refundRequestedAt || record.updatedAt || 0) < SHIPPO_LOOKUP_GRACE_MS) {
+    await tell(`Shippo doesn't list a refund for \`${tracking}\` yet. Check again in a couple of minutes.`);
+    return;
+  }
+
+  const released = await releaseLabelVoid(record.id, { by: userId || null, note: 'no refund at Shippo' });
+  if (!released) return;
+  await tell(`Shippo never received the refund for \`${tracking}\`; the label is still live and can be voided again.`, { thread: true });
+  await refreshLabelMessages(client, released, log, { revived: true });
+}
+
+/**
+ * Button handler: poll Shippo for a pending refund and update the thread.
+ */
+slackApp.action('refund_status_check', async ({ ack, body, client, logger }) => {
+  await ack();
+
+  const log = logger || console;
+  const recordId = body?.actions?.[0]?.value;
+  const labels = await readLabelLedger();
+  const record = labels.find((l) => l.id === recordId);
+  if (!record?.refundId) {
+    if (record?.status === 'refund_pending') await recoverLostRefund({ client, record, userId: body.user?.id, logger: log });
+    return;
+  }
+
+  let refund;
+  try {
+    refund = await getShippoRefund(record.refundId, log);
+  } catch (e) {
+    try {
+      await client.chat.postEphemeral({
+        channel: record.channelId,
+        user: body.user?.id,
+        thread_ts: record.threadTs || undefined,
+        text: `❌ Failed to fetch refund status: \`${e?.message || e}\``
+      });
+    } catch {}
+    return;
+  }
+
+  const refundStatus = refund?.status || record.refundStatus;
+  const updated = await updateLabelRecord(
+    record.id,
+    { status: REFUND_STATUS_TO_LABEL_STATUS[refundStatus] || record.status, refundStatus },
+    { by: body.user?.id || null, refundStatus }
+  ) || record;
+
+  if (updated.status !== record.status) {
+    try {
+      await client.chat.postMessage({
+        channel: record.channelId,
+        thread_ts: record.threadTs || undefined,
+        text: `Refund for \`${record.trackingNumber}\` is now *${refundStatus}*.`
+      });
+    } catch {}
+  } else {
+    try {
+      await client.chat.postEphemeral({
+        channel: record.channelId,
+        user: body.user?.id,
+        thread_ts: record.threadTs || undefined,
+        text: `Refund for \`${record.trackingNumber}\` is still *${refundStatus}*.`
+      });
+    } catch {}
+  }
+
+  await refreshLabelMessages(client, updated, log);
+});
+
+/**
+ * Download a ledger label again and send it to a printer (printLabelFiles).
+ * A failed download is reported in the label's thread.
+ */
+async function reprintLabelRecord({ client, record, printerId, userId, logger }) {
+  const log = logger || console;
+  let buffers;
+  try {
+    buffers = await downloadLabelFiles(labelPieces(record));
+  } catch (e) {
+    log.error?.('Failed to download label for printing:', e?.stack || e?.message || e);
+    try {
+      await client.chat.postMessage({
+        channel: record.channelId,
+        thread_ts: record.threadTs || undefined,
+        text: `❌ Couldn't download label \`${record.trackingNumber || 'N/A'}\` to print it: \`${e?.message || e}\``
+      });
+    } catch {}
+    return false;
+  }
+  return printLabelFiles({ client, record, buffers, printerId, userId, logger: log });
+}
+
+/**
+ * Button handler: "Print again" on the label actions message. Prints on the
+ * printer the label was last printed on, else the channel's default, else the
+ * only printer that can take the format; otherwise asks which one in a modal.
+ */
+slackApp.action('print_label_again', async ({ ack, body, client, logger }) => {
+  await ack();
+
+  const recordId = body?.actions?.[0]?.value;
+  const labels = await readLabelLedger();
+  const record = labels.find((l) => l.id === recordId);
+  if (!record) {
+    logger?.error?.('print_label_again: no ledger record for', recordId);
+    return;
+  }
+
+  const config = await readPrinters();
+  const format = record.labelFormat || 'PDF_4x6';
+  const usable = config.printers.filter((p) => printerSupports(p, format));
+  const printer =
+    usable.find((p) => p.id === record.lastPrint?.printerId) ||
+    defaultPrinterFor(config, [body.channel?.id, record.channelId], format) ||
+    (usable.length === 1 ? usable[0] : null);
+
+  if (printer) {
+    await reprintLabelRecord({ client, record, printerId: printer.id, userId: body.user?.id, logger });
+    return;
+  }
+
+  if (usable.length === 0) {
+    try {
+      await client.chat.postEphemeral({
+        channel: body.channel?.id || record.channelId,
+        user: body.user?.id,
+        thread_ts: record.threadTs || undefined,
+        text: `No configured printer can print ${resolveLabelFormat(format).name} labels.`
+      });
+    } catch {}
+    return;
+  }
+
+  try {
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: {
+        type: 'modal',
+        callback_id: 'print_label_modal',
+        private_metadata: JSON.stringify({ recordId: record.id }),
+        title: { type: 'plain_text', text: 'Print Label', emoji: true },
+        submit: { type: 'plain_text', text: 'Print', emoji: true },
+        close: { type: 'plain_text', text: 'Cancel', emoji: true },
+        blocks: [
+          {
+            type: 'section',
+            text: { type: 'mrkdwn', text: `*Label* \`${record.trackingNumber || 'N/A'}\` — ${record.carrier || 'N/A'} ${record.service || ''}`.trim() }
+          },
+          ...printerChoiceBlocks(usable, format, null, { allowNone: false })
+        ]
+      }
+    });
+  } catch (e) {
+    logger?.error?.('Failed to open print modal:', e?.stack || e?.message || e);
+  }
+});
+
+/**
+ * View submission handler for the "Print Label" modal ("Print again" without a default printer).
+ */
+slackApp.view('print_label_modal', async ({ ack, body, view, client, logger }) => {
+  await ack();
+
+  let meta = {};
+  try {
+    meta = view.private_metadata ? JSON.parse(view.private_metadata) : {};
+  } catch {}
+  const labels = await readLabelLedger();
+  const record = labels.find((l) => l.id === meta.recordId);
+  const printerId = readPrinterChoice(view.state?.values);
+  if (!record || !printerId) return;
+
+  await reprintLabelRecord({ client, record, printerId, userId: body.user?.id, logger });
+});
+
+/* =========================
+   Tracking Updates
+========================= */
+
+// Shippo carrier tokens for the provider names that show up on rates.
+const CARRIER_TOKENS = {
+  ups: 'ups',
+  usps: 'usps',
+  fedex: 'fedex',
+  'dhl express': 'dhl_express',
+  'dhl ecommerce': 'dhl_ecommerce',
+  'canada post': 'canada_post',
+  ontrac: 'ontrac',
+  lasership: 'lasership',
+  shippo: 'shippo'
+};
+
+const TRACKING_DISPLAY = {
+  pre_transit: { emoji: 'hourglass_flowing_sand', label: 'Pre-transit' },
+  in_transit: { emoji: 'truck', label: 'In transit' },
+  out_for_delivery: { emoji: 'runner', label: 'Out for delivery' },
+  delivered: { emoji: 'white_check_mark', label: 'Delivered' },
+  returned: { emoji: 'leftwards_arrow_with_hook', label: 'Returned to sender' },
+  exception: { emoji: 'warning', label: 'Exception' }
+};
+
+const TRACKING_FINAL_STATES = new Set(['delivered', 'returned']);
+
+function carrierTokenForLabel(record) {
+  const provider = String(record?.carrier || '').trim().toLowerCase();
+  if (CARRIER_TOKENS[provider]) return CARRIER_TOKENS[provider];
+  // Servicelevel tokens are prefixed with the carrier token (e.g. "ups_ground", "dhl_express_worldwide").
+  const token = String(record?.servicelevelToken || '').toLowerCase();
+  const known = Object.values(CARRIER_TOKENS).sort((a, b) => b.length - a.length);
+  const fromToken = known.find((t) => token === t || token.startsWith(`${t}_`));
+  if (fromToken) return fromToken;
+  return provider ? provider.replace(/\s+/g, '_') : null;
+}
 
-  const nowIso = new Date().toISOString();
-  const targetChannel = WATCH_CHANNEL_ID || body.channel_id;
+/**
+ * Collapse Shippo's tracking_status (status + substatus) into the handful of
+ * states we announce. Returns null for UNKNOWN / unrecognized states.
+ */
+function normalizeTrackingState(trackingStatus) {
+  const status = String(trackingStatus?.status || '').toUpperCase();
+  const substatus = String(trackingStatus?.substatus?.code || '').toLowerCase();
+  switch (status) {
+    case 'PRE_TRANSIT':
+      return 'pre_transit';
+    case 'TRANSIT':
+      return substatus === 'out_for_delivery' ? 'out_for_delivery' : 'in_transit';
+    case 'DELIVERED':
+      return 'delivered';
+    case 'RETURNED':
+      return 'returned';
+    case 'FAILURE':
+      return 'exception';
+    default:
+      return null;
+  }
+}
 
-  const entry = {
-    type: 'shippinglabel',
-    userId: body.user_id,
-    userName: body.user_name,
-    channelId: body.channel_id,
-    teamId: body.team_id,
-    text: (body.text || '').trim(),
-    ts: nowIso
-  };
+/**
+ * Record a tracking status for a ledger label and, when the normalized state
+ * changed, announce it in the label's thread and swap the root message reaction.
+ */
+async function applyTrackingStatus(client, record, trackingStatus, logger) {
+  const log = logger || console;
+  const state = normalizeTrackingState(trackingStatus);
+  if (!record || !state || state === record.trackingState) return record;
+
+  const updated = await updateLabelRecord(record.id, {
+    trackingState: state,
+    trackingStatus: trackingStatus?.status || null,
+    trackingStatusDetails: trackingStatus?.status_details || null,
+    trackingUpdatedAt: trackingStatus?.status_date || new Date().toISOString()
+  }) || record;
+
+  if (!client || !record.channelId) return updated;
+
+  const display = TRACKING_DISPLAY[state];
+  const loc = trackingStatus?.location || {};
+  const where = [loc.city, loc.state, loc.country && loc.country !== 'US' ? loc.country : '']
+    .filter(Boolean)
+    .join(', ');
+  const lines = [
+    `:${display.emoji}: *${display.label}* — \`${record.trackingNumber}\``,
+    trackingStatus?.status_details ? `> ${trackingStatus.status_details}` : null,
+    where ? `_${where}_` : null
+  ].filter(Boolean);
 
   try {
-    await appendCommandLog(entry);
+    await client.chat.postMessage({
+      channel: record.channelId,
+      thread_ts: record.threadTs || undefined,
+      text: lines.join('\n')
+    });
   } catch (e) {
-    logger?.warn?.('Failed to log /shippinglabel command:', e);
+    log.warn?.('Failed to post tracking update:', e?.stack || e?.message || e);
   }
 
-  // Post a root message so everything else can live in this thread
-  let threadTs = null;
+  if (record.threadTs) {
+    const previous = record.trackingState && TRACKING_DISPLAY[record.trackingState];
+    if (previous && previous.emoji !== display.emoji) {
+      try {
+        await client.reactions.remove({ channel: record.channelId, timestamp: record.threadTs, name: previous.emoji });
+      } catch {}
+    }
+    try {
+      await client.reactions.add({ channel: record.channelId, timestamp: record.threadTs, name: display.emoji });
+    } catch (e) {
+      if (e?.data?.error !== 'already_reacted') {
+        log.warn?.('Failed to add tracking reaction:', e?.stack || e?.message || e);
+      }
+    }
+  }
+
+  return updated;
+}
+
+/**
+ * Register a freshly purchased label with Shippo tracking and announce its
+ * initial state. Failures are logged only; the poller will retry later.
+ */
+async function startTrackingLabel(client, record, logger) {
+  const log = logger || console;
+  const carrierToken = carrierTokenForLabel(record);
+  if (!record?.trackingNumber || !carrierToken) return;
+
   try {
-    const rootMessage = await client.chat.postMessage({
-      channel: targetChannel,
-      text: `📦 Shipping label flow started by <@${body.user_id}>`
+    const track = await registerShippoTrack(
+      carrierToken,
+      record.trackingNumber,
+      `label:${record.id}`,
+      log
+    );
+    const current = await updateLabelRecord(record.id, { carrierToken, trackingRegistered: true }) || record;
+    await applyTrackingStatus(client, current, track?.tracking_status, log);
+  } catch (e) {
+    await updateLabelRecord(record.id, { carrierToken, trackingRegistered: false });
+    log.warn?.('Failed to register tracking with Shippo:', e?.stack || e?.message || e);
+  }
+}
+
+/**
+ * Everything that happens in a label's thread right after it was bought:
+ * the actions message (Void, ...), tracking registration and, for Shopify
+ * orders, the fulfillment.
+ */
+async function followUpPurchasedLabel(client, record, logger) {
+  if (!record) return;
+  await postLabelActionsMessage(client, record, logger);
+  await startTrackingLabel(client, record, logger);
+  await fulfillShopifyOrder(client, record, logger);
+}
+
+/**
+ * Poll Shippo for every active label (not voided, not delivered, < 60 days old).
+ * Runs sequentially so a large ledger doesn't burst the Shippo API.
+ */
+let trackingPollRunning = false;
+
+async function pollTrackingUpdates(client) {
+  if (trackingPollRunning) return;
+  trackingPollRunning = true;
+  try {
+    const cutoff = Date.now() - 60 * 24 * 60 * 60 * 1000;
+    const labels = await readLabelLedger();
+    const active = labels.filter((l) =>
+      l.status === 'purchased' &&
+      l.trackingNumber &&
+      !TRACKING_FINAL_STATES.has(l.trackingState) &&
+      Date.parse(l.createdAt || 0) >= cutoff
+    );
+
+    for (const record of active) {
+      const carrierToken = record.carrierToken || carrierTokenForLabel(record);
+      if (!carrierToken) continue;
+      try {
+        const track = record.trackingRegistered === false
+          ? await registerShippoTrack(carrierToken, record.trackingNumber, `label:${record.id}`)
+          : await getShippoTrack(carrierToken, record.trackingNumber);
+        if (record.trackingRegistered === false) {
+          await updateLabelRecord(record.id, { trackingRegistered: true });
+        }
+        await applyTrackingStatus(client, record, track?.tracking_status);
+      } catch (e) {
+        console.warn(`⚠️ Tracking poll failed for ${record.trackingNumber}:`, e?.message || e);
+      }
+    }
+  } catch (e) {
+    console.error('⚠️ Tracking poll crashed:', e?.stack || e?.message || e);
+  } finally {
+    trackingPollRunning = false;
+  }
+}
+
+function startTrackingPoller(client) {
+  const minutes = TRACKING_POLL_MINUTES == null || String(TRACKING_POLL_MINUTES).trim() === ''
+    ? 30
+    : Number(TRACKING_POLL_MINUTES);
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    console.log('ℹ️ Tracking poller disabled (TRACKING_POLL_MINUTES=0).');
+    return;
+  }
+  setInterval(() => pollTrackingUpdates(client), minutes * 60 * 1000).unref();
+  console.log(`🔎 Tracking poller running every ${minutes} minute(s).`);
+}
+
+/* =========================
+   Shopify Orders
+========================= */
+
+/**
+ * Look up a Shopify order by number for the label modals. Returns
+ * readShopifyOrder's summary, or null when the store has no such order.
+ * Throws when Shopify can't be reached (or isn't configured).
+ */
+async function lookupShopifyOrder(orderNumber) {
+  if (!shopify) throw new Error('Shopify is not configured (SHOPIFY_STORE_DOMAIN / SHOPIFY_ADMIN_TOKEN).');
+  const order = await shopify.findOrder(orderNumber);
+  return order ? readShopifyOrder(order) : null;
+}
+
+/** Context lines about the order for the top of the edit modal. */
+function shopifyOrderNotes(info) {
+  const items = info.items.map((it) => `${it.quantity} × ${it.title}`).join(', ');
+  return [
+    `🛍️ Shopify order *${info.name}*: ${items || 'no shippable items'}` +
+      (info.weightLb != null ? ` — ${info.weightLb} lb of contents` : ''),
+    ...(info.missingWeights.length > 0 ? [`⚠️ No weight in Shopify for: ${info.missingWeights.join(', ')}`] : [])
+  ];
+}
+
+/**
+ * After a shipping label for a Shopify order is bought: fulfill what's still
+ * open on the order with the tracking number and say so in the label's thread.
+ * Return labels leave the order alone.
+ */
+async function fulfillShopifyOrder(client, record, logger) {
+  if (!shopify || !record?.shopifyOrderId || record.flow !== 'shippinglabel' || !record.trackingNumber) return;
+  const log = logger || console;
+  const orderName = record.orderNumber ? `#${record.orderNumber}` : String(record.shopifyOrderId);
+
+  let text;
+  try {
+    const fulfillment = await shopify.fulfillOrder(record.shopifyOrderId, {
+      trackingNumber: record.trackingNumber,
+      trackingUrl: record.trackingUrl,
+      company: record.carrier,
+      notifyCustomer: SHOPIFY_NOTIFY_CUSTOMER === 'true'
     });
-    threadTs = rootMessage.ts || null;
+    await updateLabelRecord(record.id, { shopifyFulfillmentId: fulfillment?.id || null });
+    text = `🛍️ Shopify order *${orderName}* marked fulfilled with tracking \`${record.trackingNumber}\`.`;
   } catch (e) {
-    logger?.error?.('Failed to post root message for /shippinglabel:', e?.stack || e?.message || e);
+    log.warn?.('Failed to fulfill Shopify order:', e?.message || e);
+    text = e?.nothingToFulfill
+      ? `🛍️ Shopify order *${orderName}* has nothing left to fulfill, so tracking \`${record.trackingNumber}\` was not added there.`
+      : `⚠️ Couldn't mark Shopify order *${orderName}* fulfilled: \`${e?.message || e}\``;
+  }
+  if (!record.channelId) return;
+  try {
+    await client.chat.postMessage({ channel: record.channelId, thread_ts: record.threadTs || undefined, text });
+  } catch (e) {
+    log.warn?.('Failed to post Shopify fulfillment update:', e?.data?.error || e?.message || e);
   }
+}
 
-  const privateMetadata = JSON.stringify({
-    channelId: targetChannel,
-    userChannelId: body.channel_id,
+/* =========================
+   Label Ledger Commands
+========================= */
+
+function formatMoney(amount, currency) {
+  const n = amount != null ? Number(amount) : NaN;
+  if (Number.isNaN(n)) return 'N/A';
+  return !currency || currency === 'USD' ? `$${n.toFixed(2)}` : `${n.toFixed(2)} ${currency}`;
+}
+
+/**
+ * /labels [query]
+ * Ephemeral search over the label ledger (tracking number, name, company, city, ZIP).
+ * With no query, lists the most recent labels. Includes a spend total for the results.
+ */
+slackApp.command('/labels', async ({ ack, body, client, logger }) => {
+  await ack();
+
+  const query = (body.text || '').trim();
+
+  await appendCommandLog({
+    type: 'labels',
     userId: body.user_id,
-    threadTs
+    userName: body.user_name,
+    channelId: body.channel_id,
+    teamId: body.team_id,
+    text: query,
+    ts: new Date().toISOString()
   });
 
+  let matches = [];
   try {
-    await client.views.open({
-      trigger_id: body.trigger_id,
-      view: {
-        type: 'modal',
-        callback_id: 'shippinglabel_edit_modal',
-        private_metadata: privateMetadata,
-        title: {
-          type: 'plain_text',
-          text: 'Create Shipping Label',
-          emoji: true
-        },
-        submit: {
-          type: 'plain_text',
-          text: 'Next',
-          emoji: true
-        },
-        close: {
-          type: 'plain_text',
-          text: 'Cancel',
-          emoji: true
-        },
-        blocks: [
-          /* Ship To section heading + content */
-          {
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text: '*Ship To Address*'
-            }
-          },
-          {
-            type: 'input',
-            block_id: 'to_address_multiline_block',
-            label: { type: 'plain_text', text: 'Ship To (multi-line address)', emoji: true },
-            element: {
-              type: 'plain_text_input',
-              action_id: 'to_address_multiline',
-              multiline: true
-            },
-            hint: {
-              type: 'plain_text',
-              text: 'Lines: Name, Company (optional), Street 1, Street 2 (Optional), City, ST ZIP.'
-            },
-            optional: false
-          },
-
-          { type: 'divider' },
-          { type: 'divider' },
-
-          /* Ship From section heading + content */
-          {
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text: '*Ship From Address*'
-            }
-          },
-          {
-            type: 'section',
-            block_id: 'from_address_mode_block',
-            text: { type: 'mrkdwn', text: '*Ship From mode*' },
-            accessory: {
-              type: 'radio_buttons',
-              action_id: 'from_address_mode',
-              initial_option: {
-                text: { type: 'plain_text', text: 'Use default Carismo address', emoji: true },
-                value: 'default'
-              },
-              options: [
-                {
-                  text: { type: 'plain_text', text: 'Use default Carismo address', emoji: true },
-                  value: 'default'
-                },
-                {
-                  text: { type: 'plain_text', text: 'Enter a custom address', emoji: true },
-                  value: 'custom'
-                }
-              ]
-            }
-          },
-          {
-            type: 'input',
-            block_id: 'from_address_multiline_block',
-            label: { type: 'plain_text', text: 'Custom Ship From (multi-line)', emoji: true },
-            element: {
-              type: 'plain_text_input',
-              action_id: 'from_address_multiline',
-              multiline: true,
-              initial_value: ''
-            },
-            hint: {
-              type: 'plain_text',
-              text: 'Lines: Name, Company (optional), Street 1, Street 2 (Optional), City, ST ZIP.'
-            },
-            optional: true
-          },
+    matches = await searchLabels(query, 20);
+  } catch (e) {
+    logger?.error?.('Failed to search label ledger:', e?.stack || e?.message || e);
+  }
 
-          { type: 'divider' },
-          { type: 'divider' },
+  const lines = matches.map((l) => {
+    const to = l.addressTo || {};
+    const who = [to.name, to.company].filter(Boolean).join(' / ') || 'N/A';
+    const where = [to.city, to.state].filter(Boolean).join(', ');
+    const day = (l.createdAt || '').slice(0, 10);
+    return `• \`${l.trackingNumber || 'N/A'}\` — ${l.carrier || '?'} ${l.service || ''} — ${formatMoney(l.amount, l.currency)} — ${who}${where ? ` (${where})` : ''}${l.orderNumber ? ` — order ${l.orderNumber}` : ''}${l.rmaNumber ? ` — ${l.rmaNumber}` : ''} — ${l.flow === 'returnlabel' ? 'return' : 'shipping'} — *${l.status}* — ${day}`;
+  });
 
-          /* Package section heading + content */
-          {
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text: '*Package Info*'
-            }
-          },
-          {
-            type: 'section',
-            block_id: 'parcel_mode_block',
-            text: { type: 'mrkdwn', text: '*Package mode*' },
-            accessory: {
-              type: 'radio_buttons',
-              action_id: 'parcel_mode',
-              initial_option: {
-                text: { type: 'plain_text', text: 'Use default package (17" x 17" x 7", 8 lb)', emoji: true },
-                value: 'default'
-              },
-              options: [
-                {
-                  text: { type: 'plain_text', text: 'Use default package (17" x 17" x 7", 8 lb)', emoji: true },
-                  value: 'default'
-                },
-                {
-                  text: { type: 'plain_text', text: 'Enter custom package dimensions', emoji: true },
-                  value: 'custom'
-                }
-              ]
-            }
-          },
-          {
-            type: 'input',
-            block_id: 'parcel_length_block',
-            label: { type: 'plain_text', text: 'Custom Package Length (in)', emoji: true },
-            element: { type: 'plain_text_input', action_id: 'parcel_length', initial_value: '' },
-            optional: true
-          },
-          {
-            type: 'input',
-            block_id: 'parcel_width_block',
-            label: { type: 'plain_text', text: 'Custom Package Width (in)', emoji: true },
-            element: { type: 'plain_text_input', action_id: 'parcel_width', initial_value: '' },
-            optional: true
-          },
-          {
-            type: 'input',
-            block_id: 'parcel_height_block',
-            label: { type: 'plain_text', text: 'Custom Package Height (in)', emoji: true },
-            element: { type: 'plain_text_input', action_id: 'parcel_height', initial_value: '' },
-            optional: true
-          },
-          {
-            type: 'input',
-            block_id: 'parcel_weight_block',
-            label: { type: 'plain_text', text: 'Custom Package Weight (lb)', emoji: true },
-            element: { type: 'plain_text_input', action_id: 'parcel_weight', initial_value: '' },
-            optional: true
-          },
+  const total = matches
+    .filter((l) => l.status !== 'refunded')
+    .reduce((sum, l) => sum + (Number(l.amount) || 0), 0);
 
-          { type: 'divider' },
-          { type: 'divider' },
+  const heading = query
+    ? `*Labels matching "${query}"* (${matches.length}${matches.length === 20 ? '+' : ''})`
+    : '*Most recent labels*';
 
-          /* Shipping Service section heading + content */
-          {
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text: '*Shipping Service*'
-            }
-          },
-          {
-            type: 'section',
-            block_id: 'service_mode_block',
-            text: { type: 'mrkdwn', text: '*Service mode*' },
-            accessory: {
-              type: 'radio_buttons',
-              action_id: 'service_mode',
-              initial_option: {
-                text: { type: 'plain_text', text: 'Use default (UPS Ground if available)', emoji: true },
-                value: 'default'
-              },
-              options: [
-                {
-                  text: { type: 'plain_text', text: 'Use default (UPS Ground if available)', emoji: true },
-                  value: 'default'
-                },
-                {
-                  text: { type: 'plain_text', text: 'Choose from available services', emoji: true },
-                  value: 'choose'
-                }
-              ]
-            }
-          },
-          {
-            type: 'input',
-            block_id: 'signature_block',
-            label: {
-              type: 'plain_text',
-              text: 'Remove Signature Requirement?',
-              emoji: true
-            },
-            element: {
-              type: 'checkboxes',
-              action_id: 'signature_toggle',
-              options: [
-                {
-                  text: {
-                    type: 'plain_text',
-                    text: 'Check to REMOVE signature requirement (required by default)',
-                    emoji: true
-                  },
-                  value: 'no_signature'
-                }
-              ]
-            },
-            optional: true
-          }
-        ]
-      }
+  try {
+    await client.chat.postEphemeral({
+      channel: body.channel_id,
+      user: body.user_id,
+      text: lines.length
+        ? `${heading}\n${lines.join('\n')}\n*Total (excluding refunded):* ${formatMoney(total, 'USD')}`
+        : `${heading}\n_No labels found._`
     });
   } catch (e) {
-    console.error('Failed to open /shippinglabel edit modal:', e?.stack || e?.message || e);
+    logger?.error?.('Failed to post /labels results:', e?.stack || e?.message || e);
   }
 });
 
+/* =========================
+   Return Authorization Commands
+========================= */
+
+const RMA_STATUS_DISPLAY = {
+  open: '📦 Open — on its way back',
+  received: '📥 Received',
+  closed: '✅ Closed'
+};
+
+function rmaListBlocks(rmas, heading) {
+  const blocks = [{ type: 'section', text: { type: 'mrkdwn', text: heading } }];
+  if (rmas.length === 0) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: '_No returns found._' } });
+    return blocks;
+  }
+
+  for (const rma of rmas) {
+    const lastNote = [...(rma.history || [])].reverse().find((h) => h.note);
+    const lines = [
+      `*${rma.number}* — ${RMA_STATUS_DISPLAY[rma.status] || rma.status}` +
+        `${rma.orderNumber ? ` — order ${rma.orderNumber}` : ''}${rma.customer ? ` — ${rma.customer}` : ''}`,
+      `Reason: ${rmaReason(rma.reason)?.label || 'N/A'} · Expected condition: ${rmaCondition(rma.condition)?.label || 'N/A'}`,
+      ...(rma.items?.length ? [`Items: ${rma.items.join('; ')}`] : []),
+      `Label: \`${rma.trackingNumber || 'N/A'}\`${rma.carrier ? ` (${rma.carrier})` : ''} · ${(rma.createdAt || '').slice(0, 10)}` +
+        `${rma.createdBy ? ` by <@${rma.createdBy}>` : ''}`,
+      ...(lastNote ? [`_${lastNote.status} note: ${lastNote.note}_`] : [])
+    ];
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') } });
+
+    const buttons = [];
+    if (rma.status === 'open') {
+      buttons.push({
+        type: 'button',
+        action_id: 'rma_mark_received',
+        text: { type: 'plain_text', text: 'Mark received', emoji: true },
+        style: 'primary',
+        value: rma.number
+      });
+    }
+    if (rma.status !== 'closed') {
+      buttons.push({
+        type: 'button',
+        action_id: 'rma_close',
+        text: { type: 'plain_text', text: 'Close', emoji: true },
+        value: rma.number,
+        confirm: {
+          title: { type: 'plain_text', text: 'Close return?' },
+          text: {
+            type: 'mrkdwn',
+            text: rma.status === 'open'
+              ? `*${rma.number}* hasn't been received yet. Close it anyway?`
+              : `Close *${rma.number}*? Nothing more can be recorded on it.`
+          },
+          confirm: { type: 'plain_text', text: 'Close' },
+          deny: { type: 'plain_text', text: 'Cancel' }
+        }
+      });
+    }
+    if (buttons.length > 0) blocks.push({ type: 'actions', elements: buttons });
+  }
+  return blocks;
+}
+
 /**
- * /returnlabel handler
- * Now:
- *  - Acks promptly
- *  - Logs command usage into ./data/commands-log.json
- *  - Opens a "Create Return Label" modal with address + package + shipping service mode
+ * Mark an RMA received or closed and say so in its label's thread.
+ * Returns { ok, rma, text } where text is the reply for whoever asked.
  */
-slackApp.command('/returnlabel', async ({ ack, body, client, logger }) => {
+async function applyRmaStatus(client, number, to, { by, note = '', logger } = {}) {
+  const log = logger || console;
+  const { ok, rma } = await updateRmaStatus(number, to, { by, note });
+  if (!rma) return { ok: false, rma: null, text: `No return found with RMA number *${number}*.` };
+  if (!ok) return { ok: false, rma, text: `*${number}* is already ${rma.status}.` };
+
+  const text = `${to === 'received' ? '📥' : '✅'} *${number}* marked ${to} by <@${by}>${note ? `: ${note}` : '.'}`;
+  if (rma.channelId) {
+    try {
+      await client.chat.postMessage({ channel: rma.channelId, thread_ts: rma.threadTs || undefined, text });
+    } catch (e) {
+      log.warn?.('Failed to post RMA update in the label thread:', e?.data?.error || e?.message || e);
+    }
+  }
+  return { ok: true, rma, text };
+}
+
+/**
+ * /rma                            → returns still open or received
+ * /rma <RMA / order / tracking #> → that return (or the customer/items matching the text)
+ * /rma received <RMA> [note]      → the box arrived
+ * /rma close <RMA> [note]         → reconciled; nothing left to do
+ * Ephemeral; listed returns have Mark received / Close buttons.
+ */
+slackApp.command('/rma', async ({ ack, body, client, logger }) => {
   await ack();
 
-  const nowIso = new Date().toISOString();
-  const targetChannel = WATCH_CHANNEL_ID || body.channel_id;
+  const text = (body.text || '').trim();
 
-  const entry = {
-    type: 'returnlabel',
+  await appendCommandLog({
+    type: 'rma',
     userId: body.user_id,
     userName: body.user_name,
     channelId: body.channel_id,
     teamId: body.team_id,
-    text: (body.text || '').trim(),
-    ts: nowIso
+    text,
+    ts: new Date().toISOString()
+  });
+
+  const reply = async (message) => {
+    try {
+      await client.chat.postEphemeral({ channel: body.channel_id, user: body.user_id, ...message });
+    } catch (e) {
+      logger?.error?.('Failed to post /rma reply:', e?.stack || e?.message || e);
+    }
   };
 
+  const command = text.match(/^(receive|received|close|closed)\s+(RMA[-\s]?\d{4}[-\s]?\d{1,6})\b\s*([\s\S]*)$/i);
+  if (command) {
+    const to = /^receive/i.test(command[1]) ? 'received' : 'closed';
+    const number = normalizeRmaNumber(command[2]);
+    try {
+      const result = await applyRmaStatus(client, number, to, { by: body.user_id, note: command[3].trim(), logger });
+      await reply({
+        text: result.text,
+        ...(result.rma ? { blocks: rmaListBlocks([result.rma], result.text) } : {})
+      });
+    } catch (e) {
+      logger?.error?.('Failed to update RMA:', e?.stack || e?.message || e);
+      await reply({ text: `❌ Failed to update *${number}*: \`${e?.message || e}\`` });
+    }
+    return;
+  }
+  if (/^(receive|received|close|closed)\b/i.test(text)) {
+    await reply({ text: 'Usage: `/rma received RMA-2026-0001 [note]` or `/rma close RMA-2026-0001 [note]`' });
+    return;
+  }
+
+  let matches = [];
   try {
-    await appendCommandLog(entry);
+    matches = searchRmas((await readRmaStore()).rmas, text, 20);
   } catch (e) {
-    logger?.warn?.('Failed to log /returnlabel command:', e);
+    logger?.error?.('Failed to search RMAs:', e?.stack || e?.message || e);
   }
+  await reply({
+    text: 'Returns',
+    blocks: rmaListBlocks(matches, text ? `*Returns matching "${text}"* (${matches.length})` : `*Open returns* (${matches.length})`)
+  });
+});
 
-  // Post a root message so everything else can live in this thread
-  let threadTs = null;
+async function rmaButtonHandler({ ack, body, client, respond, logger }, to) {
+  await ack();
+  const number = body?.actions?.[0]?.value;
   try {
-    const rootMessage = await client.chat.postMessage({
-      channel: targetChannel,
-      text: `📦 Return label flow started by <@${body.user_id}>`
+    const result = await applyRmaStatus(client, number, to, { by: body.user?.id, logger });
+    await respond({
+      response_type: 'ephemeral',
+      replace_original: true,
+      text: result.text,
+      blocks: result.rma ? rmaListBlocks([result.rma], result.text) : undefined
     });
-    threadTs = rootMessage.ts || null;
   } catch (e) {
-    logger?.error?.('Failed to post root message for /returnlabel:', e?.stack || e?.message || e);
+    logger?.error?.('Failed to update RMA:', e?.stack || e?.message || e);
+  }
+}
+
+slackApp.action('rma_mark_received', (args) => rmaButtonHandler(args, 'received'));
+slackApp.action('rma_close', (args) => rmaButtonHandler(args, 'closed'));
+
+/* =========================
+   Address Book Commands
+========================= */
+
+/**
+ * Options loader for the "saved contact" external_selects in both label modals.
+ */
+async function addressBookOptions({ ack, options }) {
+  let matches = [];
+  try {
+    matches = await searchAddressBook(options?.value || '', 100);
+  } catch (e) {
+    console.error('⚠️ Failed to search address book:', e?.stack || e?.message || e);
   }
-
-  const privateMetadata = JSON.stringify({
-    channelId: targetChannel,
-    userChannelId: body.channel_id,
-    userId: body.user_id,
-    threadTs
+  await ack({
+    options: matches.map((entry) => ({
+      text: { type: 'plain_text', text: addressBookEntryLabel(entry).slice(0, 75) },
+      value: entry.id
+    }))
   });
+}
 
-  try {
-    await client.views.open({
-      trigger_id: body.trigger_id,
-      view: {
-        type: 'modal',
-        callback_id: 'returnlabel_edit_modal',
-        private_metadata: privateMetadata,
-        title: {
-          type: 'plain_text',
-          text: 'Create Return Label',
-          emoji: true
-        },
-        submit: {
-          type: 'plain_text',
-          text: 'Next',
-          emoji: true
-        },
-        close: {
-          type: 'plain_text',
-          text: 'Cancel',
-          emoji: true
-        },
-        blocks: [
-          /* Ship From section heading + content */
-          {
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text: '*Ship From Address*'
-            }
-          },
-          {
-            type: 'section',
-            block_id: 'from_address_mode_block',
-            text: { type: 'mrkdwn', text: '*Ship From mode*' },
-            accessory: {
-              type: 'radio_buttons',
-              action_id: 'from_address_mode',
-              initial_option: {
-                text: { type: 'plain_text', text: 'Use default Carismo address', emoji: true },
-                value: 'default'
-              },
-              options: [
-                {
-                  text: { type: 'plain_text', text: 'Use default Carismo address', emoji: true },
-                  value: 'default'
-                },
-                {
-                  text: { type: 'plain_text', text: 'Enter a custom address', emoji: true },
-                  value: 'custom'
-                }
-              ]
-            }
-          },
-          {
-            type: 'input',
-            block_id: 'from_address_multiline_block',
-            label: { type: 'plain_text', text: 'Custom Ship From (multi-line)', emoji: true },
-            element: {
-              type: 'plain_text_input',
-              action_id: 'from_address_multiline',
-              multiline: true,
-              initial_value: ''
-            },
-            hint: {
-              type: 'plain_text',
-              text: 'Lines: Name, Company (optional), Street 1, Street 2 (Optional), City, ST ZIP.'
-            },
-            optional: true
-          },
+slackApp.options('to_address_book', addressBookOptions);
+slackApp.options('from_address_book', addressBookOptions);
 
-          /* (Ship To fixed is hidden from the UI but still used in the backend) */
+function addressBookEntryView(entry) {
+  const field = (blockId, label, value, optional = true) => ({
+    type: 'input',
+    block_id: `ab_${blockId}_block`,
+    label: { type: 'plain_text', text: label, emoji: true },
+    element: { type: 'plain_text_input', action_id: `ab_${blockId}`, initial_value: value || '' },
+    optional
+  });
 
-          { type: 'divider' },
-          { type: 'divider' },
+  return {
+    type: 'modal',
+    callback_id: 'addressbook_entry_modal',
+    private_metadata: JSON.stringify({ id: entry?.id || null }),
+    title: { type: 'plain_text', text: entry ? 'Edit Contact' : 'Add Contact', emoji: true },
+    submit: { type: 'plain_text', text: 'Save', emoji: true },
+    close: { type: 'plain_text', text: 'Cancel', emoji: true },
+    blocks: [
+      field('name', 'Name', entry?.name),
+      field('company', 'Company', entry?.company),
+      field('street1', 'Street 1', entry?.street1, false),
+      field('street2', 'Street 2', entry?.street2),
+      field('city', 'City', entry?.city, false),
+      field('state', 'State / Province', entry?.state),
+      field('zip', 'ZIP / Postal code', entry?.zip),
+      countrySelectBlock('ab_country_block', 'ab_country', 'Country', entry?.country || 'US'),
+      field('phone', 'Phone', entry?.phone),
+      field('email', 'Email', entry?.email)
+    ]
+  };
+}
 
-          /* Package section heading + content */
-          {
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text: '*Package Info*'
-            }
-          },
-          {
-            type: 'section',
-            block_id: 'parcel_mode_block',
-            text: { type: 'mrkdwn', text: '*Package mode*' },
-            accessory: {
-              type: 'radio_buttons',
-              action_id: 'parcel_mode',
-              initial_option: {
-                text: { type: 'plain_text', text: 'Use default package (17" x 17" x 7", 8 lb)', emoji: true },
-                value: 'default'
-              },
-              options: [
-                {
-                  text: { type: 'plain_text', text: 'Use default package (17" x 17" x 7", 8 lb)', emoji: true },
-                  value: 'default'
-                },
-                {
-                  text: { type: 'plain_text', text: 'Enter custom package dimensions', emoji: true },
-                  value: 'custom'
-                }
-              ]
-            }
-          },
-          {
-            type: 'input',
-            block_id: 'parcel_length_block',
-            label: { type: 'plain_text', text: 'Custom Package Length (in)', emoji: true },
-            element: { type: 'plain_text_input', action_id: 'parcel_length', initial_value: '' },
-            optional: true
-          },
-          {
-            type: 'input',
-            block_id: 'parcel_width_block',
-            label: { type: 'plain_text', text: 'Custom Package Width (in)', emoji: true },
-            element: { type: 'plain_text_input', action_id: 'parcel_width', initial_value: '' },
-            optional: true
-          },
-          {
-            type: 'input',
-            block_id: 'parcel_height_block',
-            label: { type: 'plain_text', text: 'Custom Package Height (in)', emoji: true },
-            element: { type: 'plain_text_input', action_id: 'parcel_height', initial_value: '' },
-            optional: true
-          },
-          {
-            type: 'input',
-            block_id: 'parcel_weight_block',
-            label: { type: 'plain_text', text: 'Custom Package Weight (lb)', emoji: true },
-            element: { type: 'plain_text_input', action_id: 'parcel_weight', initial_value: '' },
-            optional: true
-          },
+function addressBookListBlocks(entries, query) {
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: query
+          ? `*Address book — matches for "${query}"* (${entries.length})`
+          : `*Address book* (${entries.length} shown)`
+      },
+      accessory: {
+        type: 'button',
+        action_id: 'addressbook_add',
+        text: { type: 'plain_text', text: 'Add contact', emoji: true },
+        style: 'primary',
+        value: 'add'
+      }
+    }
+  ];
 
-          { type: 'divider' },
-          { type: 'divider' },
+  if (entries.length === 0) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: '_No contacts found._' } });
+    return blocks;
+  }
 
-          /* Shipping Service section heading + content */
+  for (const entry of entries) {
+    const lines = [
+      `*${addressBookEntryLabel(entry)}*`,
+      [entry.street1, entry.street2].filter(Boolean).join(', '),
+      [entry.city, entry.state, entry.zip, entry.country].filter(Boolean).join(' ')
+    ].filter(Boolean);
+    blocks.push(
+      { type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') } },
+      {
+        type: 'actions',
+        elements: [
           {
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text: '*Shipping Service*'
-            }
+            type: 'button',
+            action_id: 'addressbook_edit',
+            text: { type: 'plain_text', text: 'Edit', emoji: true },
+            value: entry.id
           },
           {
-            type: 'section',
-            block_id: 'service_mode_block',
-            text: { type: 'mrkdwn', text: '*Service mode*' },
-            accessory: {
-              type: 'radio_buttons',
-              action_id: 'service_mode',
-              initial_option: {
-                text: { type: 'plain_text', text: 'Use default (UPS Ground if available)', emoji: true },
-                value: 'default'
-              },
-              options: [
-                {
-                  text: { type: 'plain_text', text: 'Use default (UPS Ground if available)', emoji: true },
-                  value: 'default'
-                },
-                {
-                  text: { type: 'plain_text', text: 'Choose from available services', emoji: true },
-                  value: 'choose'
-                }
-              ]
+            type: 'button',
+            action_id: 'addressbook_delete',
+            style: 'danger',
+            text: { type: 'plain_text', text: 'Delete', emoji: true },
+            value: entry.id,
+            confirm: {
+              title: { type: 'plain_text', text: 'Delete contact?' },
+              text: { type: 'mrkdwn', text: `Remove *${addressBookEntryLabel(entry)}* from the address book?` },
+              confirm: { type: 'plain_text', text: 'Delete' },
+              deny: { type: 'plain_text', text: 'Cancel' },
+              style: 'danger'
             }
-          },
-          {
-            type: 'input',
-            block_id: 'signature_block',
-            label: {
-              type: 'plain_text',
-              text: 'Remove Signature Requirement?',
-              emoji: true
-            },
-            element: {
-              type: 'checkboxes',
-              action_id: 'signature_toggle',
-              options: [
-                {
-                  text: {
-                    type: 'plain_text',
-                    text: 'Check to REMOVE signature requirement (required by default)',
-                    emoji: true
-                  },
-                  value: 'no_signature'
-                }
-              ]
-            },
-            optional: true
           }
         ]
       }
-    });
-  } catch (e) {
-    console.error('Failed to open /returnlabel edit modal:', e?.stack || e?.message || e);
+    );
   }
-});
+
+  return blocks;
+}
 
 /**
- * View submission handler for the "Edit Details" modal (shippinglabel).
- * Same behavior as returnlabel_edit_modal, but:
- *  - Ship To is required multi-line input (parsed)
- *  - Ship From uses Carismo default with optional custom override
+ * /addressbook                → list contacts (with Add / Edit / Delete buttons)
+ * /addressbook add            → open the "Add Contact" modal
+ * /addressbook <search terms> → list contacts matching name/company/city
  */
-slackApp.view('shippinglabel_edit_modal', async ({ ack, body, view, client, logger }) => {
-  const log = logger || console;
+slackApp.command('/addressbook', async ({ ack, body, client, logger }) => {
+  await ack();
 
-  // Recover metadata (channelId, userChannelId, userId, threadTs)
-  let channelId = null;
-  let userChannelId = null;
-  let userIdFromMeta = null;
-  let threadTsFromMeta = null;
-  try {
-    const meta = view.private_metadata ? JSON.parse(view.private_metadata) : {};
-    channelId = meta.channelId || null;
-    userChannelId = meta.userChannelId || null;
-    userIdFromMeta = meta.userId || null;
-    threadTsFromMeta = meta.threadTs || null;
-  } catch (e) {
-    log.error?.('Failed to parse private_metadata in shipping edit modal:', e?.stack || e?.message || e);
-  }
+  const text = (body.text || '').trim();
 
-  const threadTs = threadTsFromMeta || undefined;
-  // We want ephemerals in the same channel as the root thread, if available
-  const ephemeralChannelId = channelId || userChannelId || body.channel?.id || body.team?.id || undefined;
-  const ephemeralUserId = userIdFromMeta || body.user?.id;
+  await appendCommandLog({
+    type: 'addressbook',
+    userId: body.user_id,
+    userName: body.user_name,
+    channelId: body.channel_id,
+    teamId: body.team_id,
+    text,
+    ts: new Date().toISOString()
+  });
 
-  const values = view.state.values;
-  const getVal = (b, a) => values[b]?.[a]?.value || '';
-
-  // Ship To (required, multi-line; no default)
-  const toAddressInputRaw = getVal('to_address_multiline_block', 'to_address_multiline') || '';
-  const toAddressTrimmed = toAddressInputRaw.trim();
-  if (!toAddressTrimmed) {
-    await ack({
-      response_action: 'errors',
-      errors: {
-        to_address_multiline_block: 'Ship To address is required.'
-      }
-    });
-    return;
-  }
-  const toRawText = toAddressTrimmed;
-
-  // Ship From mode and raw input (Carismo default with optional custom override)
-  const fromMode = values['from_address_mode_block']?.['from_address_mode']?.selected_option?.value || 'default';
-  const fromAddressInputRaw = getVal('from_address_multiline_block', 'from_address_multiline') || '';
-  const fromAddressTrimmed = fromAddressInputRaw.trim();
-
-  // If user typed anything, treat it as "custom" regardless of radio selection
-  const fromModeResolved = fromAddressTrimmed.length > 0 ? 'custom' : fromMode;
-
-  // Backend default is Carismo unless they typed something
-  const fromRawText =
-    fromModeResolved === 'default'
-      ? DEFAULT_FROM_ADDRESS_TEXT
-      : (fromAddressTrimmed || DEFAULT_FROM_ADDRESS_TEXT);
-
-  // Parse addresses
-  const parsedFrom = parseAddressMultiline(fromRawText);
-  const parsedTo = parseAddressMultiline(toRawText);
-
-  // Package mode & values (same logic as returnlabel)
-  const parcelMode = values['parcel_mode_block']?.['parcel_mode']?.selected_option?.value || 'default';
-  const parcelLengthRaw = getVal('parcel_length_block', 'parcel_length').trim();
-  const parcelWidthRaw  = getVal('parcel_width_block',  'parcel_width').trim();
-  const parcelHeightRaw = getVal('parcel_height_block', 'parcel_height').trim();
-  const parcelWeightRaw = getVal('parcel_weight_block', 'parcel_weight').trim();
-
-  const hasAnyParcelInput =
-    parcelLengthRaw.length > 0 ||
-    parcelWidthRaw.length > 0 ||
-    parcelHeightRaw.length > 0 ||
-    parcelWeightRaw.length > 0;
-
-  const parcelModeResolved = hasAnyParcelInput ? 'custom' : parcelMode;
-
-  if (parcelModeResolved === 'custom') {
-    const errors = {};
-    if (!parcelLengthRaw) errors['parcel_length_block'] = 'Required when using custom package info.';
-    if (!parcelWidthRaw)  errors['parcel_width_block']  = 'Required when using custom package info.';
-    if (!parcelHeightRaw) errors['parcel_height_block'] = 'Required when using custom package info.';
-    if (!parcelWeightRaw) errors['parcel_weight_block'] = 'Required when using custom package info.';
-    if (Object.keys(errors).length > 0) {
-      await ack({ response_action: 'errors', errors });
-      return;
+  if (/^add$/i.test(text)) {
+    try {
+      await client.views.open({ trigger_id: body.trigger_id, view: addressBookEntryView(null) });
+    } catch (e) {
+      logger?.error?.('Failed to open address book modal:', e?.stack || e?.message || e);
     }
+    return;
   }
 
-  const parcelLength = parcelModeResolved === 'default' ? DEFAULT_PARCEL.length : (parcelLengthRaw || DEFAULT_PARCEL.length);
-  const parcelWidth  = parcelModeResolved === 'default' ? DEFAULT_PARCEL.width  : (parcelWidthRaw  || DEFAULT_PARCEL.width);
-  const parcelHeight = parcelModeResolved === 'default' ? DEFAULT_PARCEL.height : (parcelHeightRaw || DEFAULT_PARCEL.height);
-  const parcelWeight = parcelModeResolved === 'default' ? DEFAULT_PARCEL.weight : (parcelWeightRaw || DEFAULT_PARCEL.weight);
-
-  // Signature requirement:
-  const signatureSelection =
-    values['signature_block']?.['signature_toggle']?.selected_options || [];
-  const requireSignature = !Array.isArray(signatureSelection) || signatureSelection.length === 0;
+  const query = text.replace(/^(list|search)\b\s*/i, '');
+  // Each contact takes two blocks; Slack messages cap at 50 blocks.
+  const entries = await searchAddressBook(query, 20);
 
-  // Build shipment used for rating and (later) purchase
-  const shipment = {
-    address_from: {
-      name: parsedFrom.name || 'Carismo Design',
-      company: parsedFrom.company || '',
-      street1: parsedFrom.street1 || '71 Winant Place (Suite B)',
-      street2: parsedFrom.street2 || '',
-      city: parsedFrom.city || 'Staten Island',
-      state: parsedFrom.state || 'NY',
-      zip: parsedFrom.zip || '10309',
-      country: 'US',
-      phone: '+1 646 374 8865',
-      email: 'shop@carismodesign.com'
-    },
-    address_to: {
-      name: parsedTo.name || '',
-      company: parsedTo.company || '',
-      street1: parsedTo.street1 || '',
-      street2: parsedTo.street2 || '',
-      city: parsedTo.city || '',
-      state: parsedTo.state || '',
-      zip: parsedTo.zip || '',
-      country: 'US',
-      phone: '+1 555 111 2222',
-      email: 'test-recipient@example.com'
-    },
-    parcels: [
-      {
-        length: parcelLength,
-        width: parcelWidth,
-        height: parcelHeight,
-        distance_unit: 'in',
-        weight: parcelWeight,
-        mass_unit: 'lb'
-      }
-    ],
-    async: false
-  };
+  try {
+    await client.chat.postEphemeral({
+      channel: body.channel_id,
+      user: body.user_id,
+      text: 'Address book',
+      blocks: addressBookListBlocks(entries, query)
+    });
+  } catch (e) {
+    logger?.error?.('Failed to post address book list:', e?.stack || e?.message || e);
+  }
+});
 
-  if (requireSignature) {
-    shipment.extra = {
-      signature_confirmation: 'STANDARD'
-    };
+slackApp.action('addressbook_add', async ({ ack, body, client, logger }) => {
+  await ack();
+  try {
+    await client.views.open({ trigger_id: body.trigger_id, view: addressBookEntryView(null) });
+  } catch (e) {
+    logger?.error?.('Failed to open address book modal:', e?.stack || e?.message || e);
   }
+});
 
-  // Service mode
-  const serviceMode = values['service_mode_block']?.['service_mode']?.selected_option?.value || 'default';
+slackApp.action('addressbook_edit', async ({ ack, body, client, logger }) => {
+  await ack();
+  const entry = await getAddressBookEntry(body?.actions?.[0]?.value);
+  if (!entry) return;
+  try {
+    await client.views.open({ trigger_id: body.trigger_id, view: addressBookEntryView(entry) });
+  } catch (e) {
+    logger?.error?.('Failed to open address book edit modal:', e?.stack || e?.message || e);
+  }
+});
 
-    // Helper to format rates into blocks (list + buttons) – SHIPPING FLOW
-  function buildRateBlocks(ratesArr, userIdTag) {
-    const lines = ratesArr.map((r, idx) => {
-      const provider = r.provider || r.carrier || (r.carrier_account && r.carrier_account.carrier) || 'Unknown';
-      const service  = (r.servicelevel && r.servicelevel.name) || r.servicelevel_name || r.service || 'Unknown';
-      const amountNum = r.amount ? Number(r.amount) : null;
-      const price = amountNum != null && !Number.isNaN(amountNum)
-        ? (r.currency === 'USD' ? `$${amountNum.toFixed(2)}` : `${amountNum.toFixed(2)} ${r.currency || ''}`.trim())
-        : 'N/A';
-      const eta = typeof r.estimated_days === 'number'
-        ? `${r.estimated_days} business day${r.estimated_days === 1 ? '' : 's'}`
-        : 'ETA N/A';
-      return `${idx + 1}. *${provider}* — ${service} — ${price} — ${eta}`;
+slackApp.action('addressbook_delete', async ({ ack, body, respond, logger }) => {
+  await ack();
+  const id = body?.actions?.[0]?.value;
+  const entry = await getAddressBookEntry(id);
+  try {
+    await deleteAddressBookEntry(id);
+    await respond({
+      response_type: 'ephemeral',
+      replace_original: true,
+      text: entry ? `🗑️ Deleted *${addressBookEntryLabel(entry)}* from the address book.` : 'Contact already deleted.'
     });
+  } catch (e) {
+    logger?.error?.('Failed to delete address book entry:', e?.stack || e?.message || e);
+  }
+});
 
-    const actionBlocks = [];
+slackApp.view('addressbook_entry_modal', async ({ ack, body, view, client, logger }) => {
+  const values = view.state.values;
+  const getVal = (field) => (values[`ab_${field}_block`]?.[`ab_${field}`]?.value || '').trim();
 
-    for (const r of ratesArr) {
-      const provider = r.provider || r.carrier || (r.carrier_account && r.carrier_account.carrier) || 'Unknown';
-      const service  = (r.servicelevel && r.servicelevel.name) || r.servicelevel_name || r.service || 'Unknown';
-      const valuePayload = {
-        flow: 'shippinglabel',
-        channelId,
-        shipment,
-        selectedRate: {
-          id: r.object_id,
-          provider,
-          service,
-          amount: r.amount || null,
-          currency: r.currency || 'USD',
-          etaDays: typeof r.estimated_days === 'number' ? r.estimated_days : null
-        },
-        threadTs: threadTsFromMeta || null
-      };
+  const fields = {};
+  for (const f of ADDRESS_FIELDS) {
+    fields[f] = f === 'country'
+      ? (values['ab_country_block']?.['ab_country']?.selected_option?.value || 'US')
+      : getVal(f);
+  }
 
-      actionBlocks.push({
-        type: 'actions',
-        elements: [
-          {
-            type: 'button',
-            action_id: 'service_option_select',
-            text: { type: 'plain_text', text: `${provider} – ${service}`, emoji: true },
-            value: JSON.stringify(valuePayload)
-          }
-        ]
-      });
-    }
+  const errors = {};
+  if (!fields.name && !fields.company) errors['ab_name_block'] = 'Enter a name or a company.';
+  if (fields.country === 'US' && !/^\d{5}(-\d{4})?$/.test(fields.zip)) errors['ab_zip_block'] = 'Enter a 5-digit ZIP (or ZIP+4).';
+  if (fields.country === 'US' && !/^[A-Za-z]{2}$/.test(fields.state)) errors['ab_state_block'] = 'Enter the 2-letter state code.';
+  if (fields.email && !isValidEmail(fields.email)) errors['ab_email_block'] = 'Enter a valid email address.';
+  if (fields.phone) {
+    if (normalizePhone(fields.phone)) fields.phone = normalizePhone(fields.phone);
+    else errors['ab_phone_block'] = 'Enter a phone number with 7–15 digits.';
+  }
+  if (Object.keys(errors).length > 0) {
+    await ack({ response_action: 'errors', errors });
+    return;
+  }
+  if (fields.country === 'US') fields.state = fields.state.toUpperCase();
 
-    const headingText = userIdTag
-      ? `*Select a shipping service for this shipping label, <@${userIdTag}>:*`
-      : '*Select a shipping service for this shipping label:*';
+  await ack();
 
-    return [
-      {
-        type: 'section',
-        text: { type: 'mrkdwn', text: headingText }
-      },
-      {
-        type: 'section',
-        text: { type: 'mrkdwn', text: lines.join('\n') || '_No services available._' }
-      },
-      ...actionBlocks
-    ];
-  }
+  let id = null;
+  try {
+    id = JSON.parse(view.private_metadata || '{}').id || null;
+  } catch {}
 
-  // Get rates once (used by both branches)
-  let rates;
   try {
-    const rated = await createShipmentAndGetRates(shipment, logger);
-    rates = rated.rates || [];
+    const saved = await saveAddressBookEntry({ ...fields, id }, body.user?.id);
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: `📇 Saved *${addressBookEntryLabel(saved)}* to the address book.`
+    });
   } catch (e) {
-    await ack(); // close modal
-    try {
-      await client.chat.postEphemeral({
-        channel: ephemeralChannelId,
-        user: ephemeralUserId,
-        text: `❌ Failed to fetch shipping services from Shippo: \`${e?.message || e}\``,
-        thread_ts: threadTs
-      });
-    } catch {}
-    return;
+    logger?.error?.('Failed to save address book entry:', e?.stack || e?.message || e);
   }
+});
 
-  if (!Array.isArray(rates) || rates.length === 0) {
-    await ack(); // close modal
-    try {
-      await client.chat.postEphemeral({
-        channel: ephemeralChannelId,
-        user: ephemeralUserId,
-        text: `❌ No shipping services returned for this shipment. Please verify addresses and package dimensions.`,
-        thread_ts: threadTs
-      });
-    } catch {}
-    return;
-  }
+/* =========================
+   Package Preset Commands
+========================= */
 
-  // If user wants to choose, present the options and stop here.
-  if (serviceMode === 'choose') {
-    await ack(); // close modal
+function isPackageAdmin(userId) {
+  const admins = String(PACKAGE_ADMIN_USER_IDS || '')
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean);
+  return admins.length === 0 || admins.includes(userId);
+}
 
-    // Post a normal message in the same thread instead of an ephemeral,
-    // so it works even if WATCH_CHANNEL_ID != the slash command channel.
-    const postChannel = channelId || ephemeralChannelId;
+function packagePresetView(preset) {
+  const field = (key, label, value, optional = false, hint) => ({
+    type: 'input',
+    block_id: `pkg_${key}_block`,
+    label: { type: 'plain_text', text: label, emoji: true },
+    element: { type: 'plain_text_input', action_id: `pkg_${key}`, initial_value: value || '' },
+    ...(hint ? { hint: { type: 'plain_text', text: hint } } : {}),
+    optional
+  });
 
-    try {
-      await client.chat.postMessage({
-        channel: postChannel,
-        blocks: buildRateBlocks(rates, userIdFromMeta || ephemeralUserId),
-        text: 'Select a shipping service',
-        thread_ts: threadTs
-      });
-    } catch (e) {
-      try {
-        await client.chat.postMessage({
-          channel: postChannel,
-          text: `❌ Failed to post shipping options: \`${e?.message || e}\``,
-          thread_ts: threadTs
-        });
-      } catch {}
+  return {
+    type: 'modal',
+    callback_id: 'package_preset_modal',
+    private_metadata: JSON.stringify({ id: preset?.id || null }),
+    title: { type: 'plain_text', text: preset ? 'Edit Package Preset' : 'Add Package Preset', emoji: true },
+    submit: { type: 'plain_text', text: 'Save', emoji: true },
+    close: { type: 'plain_text', text: 'Cancel', emoji: true },
+    blocks: [
+      field('name', 'Name', preset?.name, false, 'Shown in the label modals, e.g. "Wheel box" or "Small mirror box".'),
+      field('length', 'Length (in)', preset?.length),
+      field('width', 'Width (in)', preset?.width),
+      field('height', 'Height (in)', preset?.height),
+      field('boxWeight', 'Empty box weight (lb)', preset?.boxWeight, true),
+      field('defaultContentsWeight', 'Default contents weight (lb)', preset?.defaultContentsWeight, true,
+        'Used when the label modal weight is left blank.'),
+      field('template', 'Carrier parcel template (optional)', preset?.template, true,
+        'Shippo template token, e.g. USPS_MediumFlatRateBox1 or FedEx_Box_Small_1.')
+    ]
+  };
+}
+
+function packagePresetListBlocks(presets) {
+  const blocks = [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: `*Package presets* (${presets.length}) — the first one is the default.` },
+      accessory: {
+        type: 'button',
+        action_id: 'package_preset_add',
+        text: { type: 'plain_text', text: 'Add preset', emoji: true },
+        style: 'primary',
+        value: 'add'
+      }
     }
-    return;
+  ];
+
+  // Two blocks per preset; Slack messages cap at 50 blocks.
+  for (const preset of presets.slice(0, 24)) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: packagePresetLabel(preset) },
+      accessory: {
+        type: 'overflow',
+        action_id: 'package_preset_manage',
+        options: [
+          plainOption(`edit:${preset.id}`, 'Edit'),
+          plainOption(`default:${preset.id}`, 'Make default'),
+          plainOption(`delete:${preset.id}`, 'Delete')
+        ]
+      }
+    });
   }
 
-  // Default mode: try UPS Ground (but NOT UPS Ground Saver) first; if missing, fall back to choose flow.
-  const upsGround = rates.find((r) => {
-    const provider = (r.provider || r.carrier || (r.carrier_account && r.carrier_account.carrier) || '').toLowerCase();
-    const service  = ((r.servicelevel && r.servicelevel.name) || r.servicelevel_name || r.service || '').toLowerCase();
+  return blocks;
+}
+
+/**
+ * /packagepresets       → list presets with Add / Edit / Make default / Delete
+ * /packagepresets add   → open the "Add Package Preset" modal
+ * Restricted to PACKAGE_ADMIN_USER_IDS when that is set.
+ */
+slackApp.command('/packagepresets', async ({ ack, body, client, logger }) => {
+  await ack();
+
+  const text = (body.text || '').trim();
 
-    return provider === 'ups' && service.includes('ground') && !service.includes('saver');
+  await appendCommandLog({
+    type: 'packagepresets',
+    userId: body.user_id,
+    userName: body.user_name,
+    channelId: body.channel_id,
+    teamId: body.team_id,
+    text,
+    ts: new Date().toISOString()
   });
 
-  if (!upsGround) {
-    await ack(); // close modal
+  if (!isPackageAdmin(body.user_id)) {
     try {
       await client.chat.postEphemeral({
-        channel: ephemeralChannelId,
-        user: ephemeralUserId,
-        text: 'UPS Ground not available for this shipment. Please choose a service from the options below.',
-        blocks: buildRateBlocks(rates, userIdFromMeta || ephemeralUserId),
-        thread_ts: threadTs
+        channel: body.channel_id,
+        user: body.user_id,
+        text: '⛔ Only package admins can manage package presets.'
       });
-    } catch (e) {
-      try {
-        await client.chat.postEphemeral({
-          channel: ephemeralChannelId,
-          user: ephemeralUserId,
-          text: `❌ Failed to post shipping options: \`${e?.message || e}\``,
-          thread_ts: threadTs
-        });
-      } catch {}
-    }
+    } catch {}
     return;
   }
 
-  // Build review with the preselected UPS Ground
-  const selectedRate = {
-    id: upsGround.object_id,
-    provider: upsGround.provider || upsGround.carrier || (upsGround.carrier_account && upsGround.carrier_account.carrier) || 'UPS',
-    service: (upsGround.servicelevel && upsGround.servicelevel.name) || upsGround.servicelevel_name || upsGround.service || 'Ground',
-    amount: upsGround.amount || null,
-    currency: upsGround.currency || 'USD',
-    etaDays: typeof upsGround.estimated_days === 'number' ? upsGround.estimated_days : null
-  };
+  try {
+    if (/^add$/i.test(text)) {
+      await client.views.open({ trigger_id: body.trigger_id, view: packagePresetView(null) });
+      return;
+    }
+    await client.chat.postEphemeral({
+      channel: body.channel_id,
+      user: body.user_id,
+      text: 'Package presets',
+      blocks: packagePresetListBlocks(await readPackagePresets())
+    });
+  } catch (e) {
+    logger?.error?.('Failed to handle /packagepresets:', e?.stack || e?.message || e);
+  }
+});
+
+slackApp.action('package_preset_add', async ({ ack, body, client, logger }) => {
+  await ack();
+  if (!isPackageAdmin(body.user?.id)) return;
+  try {
+    await client.views.open({ trigger_id: body.trigger_id, view: packagePresetView(null) });
+  } catch (e) {
+    logger?.error?.('Failed to open package preset modal:', e?.stack || e?.message || e);
+  }
+});
+
+slackApp.action('package_preset_manage', async ({ ack, body, client, respond, logger }) => {
+  await ack();
+  if (!isPackageAdmin(body.user?.id)) return;
+
+  const [op, id] = String(body?.actions?.[0]?.selected_option?.value || '').split(':');
+  const presets = await readPackagePresets();
+  const preset = presets.find((p) => p.id === id);
+  if (!preset) return;
 
-  const priceStr = selectedRate.amount
-    ? (selectedRate.currency === 'USD'
-        ? `$${Number(selectedRate.amount).toFixed(2)}`
-        : `${Number(selectedRate.amount).toFixed(2)} ${selectedRate.currency}`)
-    : 'N/A';
-  const etaStr =
-    selectedRate.etaDays != null
-      ? `${selectedRate.etaDays} business day${selectedRate.etaDays === 1 ? '' : 's'}`
-      : 'N/A';
+  try {
+    if (op === 'edit') {
+      await client.views.open({ trigger_id: body.trigger_id, view: packagePresetView(preset) });
+      return;
+    }
 
-    const reviewMetadata = JSON.stringify({
-    channelId,
-    shipment,
-    selectedRate,
-    threadTs: threadTsFromMeta || null,
-    userId: userIdFromMeta || null
-  });
+    if (op === 'delete') {
+      await deletePackagePreset(id);
+    } else if (op === 'default') {
+      await withFileLock(PACKAGE_PRESETS_PATH, async () => {
+        const current = await readPackagePresets();
+        const reordered = [preset, ...current.filter((p) => p.id !== id)];
+        await ensureDataDir();
+        await writeJsonAtomic(PACKAGE_PRESETS_PATH, reordered);
+      });
+    }
 
-  const fromLines = [
-    `Name: ${shipment.address_from.name || 'N/A'}`,
-    `Company: ${shipment.address_from.company || 'N/A'}`,
-    `Street: ${shipment.address_from.street1 || 'N/A'}`,
-    `Street 2: ${shipment.address_from.street2 || 'N/A'}`,
-    `City: ${shipment.address_from.city || 'N/A'}`,
-    `State: ${shipment.address_from.state || 'N/A'}`,
-    `ZIP: ${shipment.address_from.zip || 'N/A'}`
-  ];
+    await respond({
+      response_type: 'ephemeral',
+      replace_original: true,
+      text: 'Package presets',
+      blocks: packagePresetListBlocks(await readPackagePresets())
+    });
+  } catch (e) {
+    logger?.error?.('Failed to manage package preset:', e?.stack || e?.message || e);
+  }
+});
 
-  const toLines = [
-    `Name: ${shipment.address_to.name || 'N/A'}`,
-    `Company: ${shipment.address_to.company || 'N/A'}`,
-    `Street: ${shipment.address_to.street1 || 'N/A'}`,
-    `Street 2: ${shipment.address_to.street2 || 'N/A'}`,
-    `City: ${shipment.address_to.city || 'N/A'}`,
-    `State: ${shipment.address_to.state || 'N/A'}`,
-    `ZIP: ${shipment.address_to.zip || 'N/A'}`
-  ];
+slackApp.view('package_preset_modal', async ({ ack, body, view, client, logger }) => {
+  const values = view.state.values;
+  const getVal = (key) => (values[`pkg_${key}_block`]?.[`pkg_${key}`]?.value || '').trim();
+
+  const fields = {
+    name: getVal('name'),
+    length: getVal('length'),
+    width: getVal('width'),
+    height: getVal('height'),
+    boxWeight: getVal('boxWeight') || '0',
+    defaultContentsWeight: getVal('defaultContentsWeight') || '0',
+    template: getVal('template')
+  };
 
-  const parcelLines = [
-    `${shipment.parcels[0].length}" x ${shipment.parcels[0].width}" x ${shipment.parcels[0].height}" (${shipment.parcels[0].weight} lb)`
-  ];
+  const errors = {};
+  for (const key of ['length', 'width', 'height']) {
+    if (!(Number(fields[key]) > 0)) errors[`pkg_${key}_block`] = 'Must be a positive number.';
+  }
+  for (const key of ['boxWeight', 'defaultContentsWeight']) {
+    if (!(Number(fields[key]) >= 0)) errors[`pkg_${key}_block`] = 'Must be a number (0 or more).';
+  }
+  if ((Number(fields.boxWeight) || 0) + (Number(fields.defaultContentsWeight) || 0) <= 0) {
+    errors['pkg_defaultContentsWeight_block'] = 'Box weight plus default contents weight must be above 0.';
+  }
+  if (fields.template && !/^[A-Za-z0-9_]+$/.test(fields.template)) {
+    errors['pkg_template_block'] = 'Template tokens only contain letters, digits and underscores.';
+  }
+  if (Object.keys(errors).length > 0) {
+    await ack({ response_action: 'errors', errors });
+    return;
+  }
 
-  const serviceLines = [
-    `${selectedRate.provider} — ${selectedRate.service} — ${priceStr} — ETA: ${etaStr}`
-  ];
+  await ack();
 
-  await ack({
-    response_action: 'update',
-    view: {
-      type: 'modal',
-      callback_id: 'shippinglabel_review_modal',
-      private_metadata: reviewMetadata,
-      title: { type: 'plain_text', text: 'Review Shipping Label', emoji: true },
-      submit: { type: 'plain_text', text: 'Create Label', emoji: true },
-      close:  { type: 'plain_text', text: 'Back', emoji: true },
-      blocks: [
-        { type: 'section', text: { type: 'mrkdwn', text: 'Please review the details below.' } },
-        { type: 'divider' },
+  if (!isPackageAdmin(body.user?.id)) return;
 
-        /* Ship From section */
-        { type: 'section', text: { type: 'mrkdwn', text: '*Ship From Address*' } },
-        { type: 'section', text: { type: 'mrkdwn', text: fromLines.join('\n') } },
+  let id = null;
+  try {
+    id = JSON.parse(view.private_metadata || '{}').id || null;
+  } catch {}
 
-        { type: 'divider' },
-        { type: 'divider' },
+  try {
+    const saved = await savePackagePreset({ ...fields, id }, body.user?.id);
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: `📦 Saved package preset *${packagePresetLabel(saved)}*.`
+    });
+  } catch (e) {
+    logger?.error?.('Failed to save package preset:', e?.stack || e?.message || e);
+  }
+});
 
-        /* Ship To section */
-        { type: 'section', text: { type: 'mrkdwn', text: '*Ship To Address*' } },
-        { type: 'section', text: { type: 'mrkdwn', text: toLines.join('\n') } },
+/* =========================
+   Bulk Labels (/bulklabels)
+========================= */
 
-        { type: 'divider' },
-        { type: 'divider' },
+const MAX_BULK_CSV_BYTES = 1024 * 1024;
+const BULK_PREVIEW_ROWS = 20;
+const BULK_BATCH_POLL_ATTEMPTS = 30;
+const BULK_BATCH_POLL_MS = 2000;
 
-        /* Package section */
-        { type: 'section', text: { type: 'mrkdwn', text: '*Package Info*' } },
-        { type: 'section', text: { type: 'mrkdwn', text: parcelLines.join('\n') } },
+function bulkUploadView(privateMetadata) {
+  return {
+    type: 'modal',
+    callback_id: 'bulklabels_upload_modal',
+    private_metadata: privateMetadata,
+    title: { type: 'plain_text', text: 'Bulk Labels', emoji: true },
+    submit: { type: 'plain_text', text: 'Get rates', emoji: true },
+    close: { type: 'plain_text', text: 'Cancel', emoji: true },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'bulk_file_block',
+        label: { type: 'plain_text', text: 'CSV file', emoji: true },
+        element: { type: 'file_input', action_id: 'bulk_file', filetypes: ['csv'], max_files: 1 }
+      },
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text:
+              `One row per shipment, up to ${MAX_BULK_ROWS}. Columns: name, company, street1, street2, city, state, zip, ` +
+              'country, phone, email (or one `address` column), then `preset` or length/width/height/weight, ' +
+              '`service` (e.g. `ups/ground`; blank uses the rate policy), `signature` (yes/no) and `reference`.'
+          }
+        ]
+      },
+      {
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: 'Every row is rated first. Nothing is bought until someone confirms the preview in the thread.' }]
+      }
+    ]
+  };
+}
 
-        { type: 'divider' },
-        { type: 'divider' },
+/** A Slack file id from /bulklabels text: a file permalink or a bare F… id. */
+function slackFileIdFrom(text) {
+  const match = String(text || '').match(/(?:\/files\/[^/\s]+\/|\b)(F[A-Z0-9]{8,})\b/);
+  return match ? match[1] : null;
+}
 
-        /* Service section */
-        { type: 'section', text: { type: 'mrkdwn', text: '*Shipping Service*' } },
-        { type: 'section', text: { type: 'mrkdwn', text: serviceLines.join('\n') } }
-      ]
-    }
-  });
-});
+/**
+ * Download a CSV shared in Slack with the bot token (needs the files:read scope;
+ * without it Slack answers with its login page instead of the file).
+ */
+async function downloadSlackCsv(file) {
+  const url = file?.url_private_download || file?.url_private;
+  if (!url) throw new Error('Slack gave no download link for this file.');
+  if (file.size > MAX_BULK_CSV_BYTES) throw new Error(`The file is ${Math.ceil(file.size / 1024)} KB; the limit is 1 MB.`);
+  const res = await fetch(url, { headers: { Authorization: `Bearer ${SLACK_BOT_TOKEN}` } });
+  if (!res.ok) throw new Error(`Download failed ${res.status}: ${await res.text()}`);
+  const text = await res.text();
+  if (/^\s*<!DOCTYPE html/i.test(text)) throw new Error('Slack sent a web page instead of the file. Does the app have the files:read scope?');
+  return text;
+}
 
 /**
- * View submission handler for the "Edit Details" modal (returnlabel).
- *
- * IMPORTANT CHANGES:
- *  - We ACK IMMEDIATELY so Slack never shows "We had some trouble connecting".
- *  - For service_mode = "choose": we fetch rates and post an ephemeral chooser
- *    (re-using your existing `service_option_select` action handler).
- *  - For service_mode = "default": we auto-pick UPS Ground (if available),
- *    buy the label, download the PDF, and upload it directly to the target channel
- *    (no review modal; the label message itself is the confirmation).
+ * Rate one CSV row the way /shippinglabel would: from Carismo to the row's
+ * address, Ship To checked with Shippo first, then the row's service (or the
+ * channel's rate policy) picks the rate. Returns the job row: status 'ready'
+ * with `rate` and the rated `shipment`, or 'skipped' with an `error`.
  */
-slackApp.view('returnlabel_edit_modal', async ({ ack, body, view, client, logger }) => {
-  const log = logger || console;
+async function rateBulkRow(row, policy, logger, options = {}) {
+  const base = { line: row.line, reference: row.reference, address: row.address, service: row.service, warnings: row.warnings };
+  if (row.errors.length > 0) return { ...base, status: 'skipped', error: row.errors.join(' ') };
+  if (row.address.country !== 'US') {
+    return { ...base, status: 'skipped', error: 'International shipments need customs details; use /shippinglabel for this one.' };
+  }
 
-  // 1) ACK IMMEDIATELY so Slack doesn't time out this view submission.
-  await ack();
+  const shipment = buildShipmentBody({
+    addressFrom: buildShipmentAddress(CARISMO_ADDRESS, { country: 'US', fallback: CARISMO_ADDRESS }),
+    addressTo: buildShipmentAddress(row.address, { country: row.address.country, fallback: COMPANY_CONTACT_FALLBACK }),
+    parcels: [row.parcel],
+    requireSignature: row.requireSignature
+  });
+  const { to: check } = await checkShipmentAddresses(shipment, { to: true }, logger, options);
+  const warnings = [...row.warnings];
+  if (check.status === 'corrected') warnings.push(`Shippo corrected the ${check.changes.join(', ')}.`);
+  if (check.status === 'unverifiable') {
+    warnings.push(`Shippo couldn't verify this address${check.messages.length ? `: ${check.messages.join('; ')}` : ''}.`);
+  }
 
-  // 2) Recover metadata (channelId, userChannelId, userId, threadTs)
-  let channelId = null;
-  let userChannelId = null;
-  let userIdFromMeta = null;
-  let threadTsFromMeta = null;
+  let rates;
   try {
-    const meta = view.private_metadata ? JSON.parse(view.private_metadata) : {};
-    channelId = meta.channelId || null;
-    userChannelId = meta.userChannelId || null;
-    userIdFromMeta = meta.userId || null;
-    threadTsFromMeta = meta.threadTs || null;
+    ({ rates } = await createShipmentAndGetRates(shipment, logger, options));
   } catch (e) {
-    log.error?.('Failed to parse private_metadata in return edit modal:', e?.stack || e?.message || e);
+    return { ...base, warnings, status: 'skipped', error: `Shippo couldn't rate this shipment: ${e?.message || e}` };
   }
+  if (rates.length === 0) return { ...base, warnings, status: 'skipped', error: 'Shippo offered no services for this shipment.' };
 
-  const threadTs = threadTsFromMeta || undefined;
-  const ephemeralChannelId =
-    channelId || userChannelId || body.channel?.id || body.team?.id || undefined;
-  const ephemeralUserId = userIdFromMeta || body.user?.id;
-
-  const values = view.state.values;
-  const getVal = (b, a) => values[b]?.[a]?.value || '';
-
-  // 3) Ship From mode and raw input
-  const fromMode =
-    values['from_address_mode_block']?.['from_address_mode']?.selected_option?.value || 'default';
-  const fromAddressInputRaw =
-    getVal('from_address_multiline_block', 'from_address_multiline') || '';
-  const fromAddressTrimmed = fromAddressInputRaw.trim();
-
-  const fromModeResolved = fromAddressTrimmed.length > 0 ? 'custom' : fromMode;
-
-  const fromRawText =
-    fromModeResolved === 'default'
-      ? DEFAULT_FROM_ADDRESS_TEXT
-      : (fromAddressTrimmed || DEFAULT_FROM_ADDRESS_TEXT);
-
-  // 4) Ship To fixed (returns back to Carismo)
-  const toRawText = DEFAULT_TO_ADDRESS_TEXT;
-
-  // Parse addresses
-  const parsedFrom = parseAddressMultiline(fromRawText);
-  const parsedTo = parseAddressMultiline(toRawText);
-
-  // 5) Package mode & values
-  const parcelMode =
-    values['parcel_mode_block']?.['parcel_mode']?.selected_option?.value || 'default';
-  const parcelLengthRaw = getVal('parcel_length_block', 'parcel_length').trim();
-  const parcelWidthRaw = getVal('parcel_width_block', 'parcel_width').trim();
-  const parcelHeightRaw = getVal('parcel_height_block', 'parcel_height').trim();
-  const parcelWeightRaw = getVal('parcel_weight_block', 'parcel_weight').trim();
-
-  const hasAnyParcelInput =
-    parcelLengthRaw.length > 0 ||
-    parcelWidthRaw.length > 0 ||
-    parcelHeightRaw.length > 0 ||
-    parcelWeightRaw.length > 0;
-
-  const parcelModeResolved = hasAnyParcelInput ? 'custom' : parcelMode;
-
-  const parcelLength =
-    parcelModeResolved === 'default'
-      ? DEFAULT_PARCEL.length
-      : (parcelLengthRaw || DEFAULT_PARCEL.length);
-  const parcelWidth =
-    parcelModeResolved === 'default'
-      ? DEFAULT_PARCEL.width
-      : (parcelWidthRaw || DEFAULT_PARCEL.width);
-  const parcelHeight =
-    parcelModeResolved === 'default'
-      ? DEFAULT_PARCEL.height
-      : (parcelHeightRaw || DEFAULT_PARCEL.height);
-  const parcelWeight =
-    parcelModeResolved === 'default'
-      ? DEFAULT_PARCEL.weight
-      : (parcelWeightRaw || DEFAULT_PARCEL.weight);
-
-  // 6) Signature requirement:
-  const signatureSelection =
-    values['signature_block']?.['signature_toggle']?.selected_options || [];
-  const requireSignature =
-    !Array.isArray(signatureSelection) || signatureSelection.length === 0;
-
-  // 7) Build shipment used for rating and (later) purchase
-  const shipment = {
-    address_from: {
-      name: parsedFrom.name || 'Carismo Design',
-      company: parsedFrom.company || '',
-      street1: parsedFrom.street1 || '71 Winant Place (Suite B)',
-      street2: parsedFrom.street2 || '',
-      city: parsedFrom.city || 'Staten Island',
-      state: parsedFrom.state || 'NY',
-      zip: parsedFrom.zip || '10309',
-      country: 'US',
-      phone: '+1 646 374 8865',
-      email: 'shop@carismodesign.com'
-    },
-    address_to: {
-      name: parsedTo.name || 'Returns Department',
-      company: parsedTo.company || 'Carismo Design',
-      street1: parsedTo.street1 || '71 Winant Place (Suite B)',
-      street2: parsedTo.street2 || '',
-      city: parsedTo.city || 'Staten Island',
-      state: parsedTo.state || 'NY',
-      zip: parsedTo.zip || '10309',
-      country: 'US',
-      phone: '+1 646 374 8865',
-      email: 'shop@carismodesign.com'
-    },
-    parcels: [
-      {
-        length: parcelLength,
-        width: parcelWidth,
-        height: parcelHeight,
-        distance_unit: 'in',
-        weight: parcelWeight,
-        mass_unit: 'lb'
-      }
-    ],
-    async: false
+  const rowPolicy = row.service ? normalizeRatePolicy({ name: row.service, preferred: [row.service] }) : policy;
+  const picked = selectRate(rates, rowPolicy);
+  if (!picked.rate) {
+    const error = row.service ? `No ${row.service} rate for this shipment.` : `${policy.name} policy: ${picked.reason}`;
+    return { ...base, warnings, status: 'skipped', error };
+  }
+  return {
+    ...base,
+    warnings,
+    shipment,
+    addressStatus: check.status,
+    rate: { ...toSelectedRate(picked.rate), carrierAccount: picked.rate.carrier_account || null, reason: picked.reason },
+    status: 'ready'
   };
+}
 
-  if (requireSignature) {
-    shipment.extra = {
-      signature_confirmation: 'STANDARD'
-    };
+function bulkJobTotal(job) {
+  const priced = (job.rows || []).filter((r) => r.rate && (r.status === 'ready' || r.status === 'purchased'));
+  const amount = priced.reduce((sum, r) => sum + (Number(r.rate.amount) || 0), 0);
+  return { count: priced.length, amount, currency: priced[0]?.rate.currency || 'USD' };
+}
+
+function bulkRowLine(row) {
+  const a = row.address || {};
+  const where = [[a.city, a.state].filter(Boolean).join(', '), a.zip].filter(Boolean).join(' ');
+  const who = `Row ${row.line}${row.reference ? ` (${row.reference})` : ''} · ${a.name || a.company || 'N/A'}${where ? `, ${where}` : ''}`;
+  const service = row.rate ? `${row.rate.provider} ${row.rate.service}` : '';
+  switch (row.status) {
+    case 'ready':
+      return `• ${who} — ${service} *${formatMoney(row.rate.amount, row.rate.currency)}*` +
+        (row.warnings?.length ? `\n    ⚠️ ${row.warnings[0]}` : '');
+    case 'purchased':
+      return `• ${who} — ✅ ${service} \`${row.trackingNumber || 'N/A'}\``;
+    default:
+      return `• ${who} — ❌ ${row.error || 'Not bought.'}`;
   }
+}
 
-  // 8) Service mode
-  const serviceMode =
-    values['service_mode_block']?.['service_mode']?.selected_option?.value || 'default';
-
-    // Helper to format rates into blocks (list + buttons) – RETURN FLOW
-  function buildRateBlocks(ratesArr, userIdTag) {
-    const lines = ratesArr.map((r, idx) => {
-      const provider =
-        r.provider || r.carrier || (r.carrier_account && r.carrier_account.carrier) || 'Unknown';
-      const service =
-        (r.servicelevel && r.servicelevel.name) ||
-        r.servicelevel_name ||
-        r.service ||
-        'Unknown';
-      const amountNum = r.amount ? Number(r.amount) : null;
-      const price =
-        amountNum != null && !Number.isNaN(amountNum)
-          ? (r.currency === 'USD'
-              ? `$${amountNum.toFixed(2)}`
-              : `${amountNum.toFixed(2)} ${r.currency || ''}`.trim())
-          : 'N/A';
-      const eta =
-        typeof r.estimated_days === 'number'
-          ? `${r.estimated_days} business day${
-              r.estimated_days === 1 ? '' : 's'
-            }`
-          : 'ETA N/A';
-      return `${idx + 1}. *${provider}* — ${service} — ${price} — ${eta}`;
-    });
+/**
+ * The bulk job's thread message: summary and total, the first rows, and either
+ * the Buy / Cancel buttons (while previewed) or where the job stands.
+ */
+function buildBulkJobBlocks(job) {
+  const rows = job.rows || [];
+  const { count, amount, currency } = bulkJobTotal(job);
+  const skipped = rows.filter((r) => r.status === 'skipped').length;
+  const failed = rows.filter((r) => r.status === 'failed').length;
+  const by = job.history?.[job.history.length - 1]?.by;
+  const total = formatMoney(amount, currency);
+
+  const summary =
+    job.status === 'purchased'
+      ? `*${count}* of ${rows.length} label${rows.length === 1 ? '' : 's'} bought · total *${total}*`
+      : `*${count}* of ${rows.length} row${rows.length === 1 ? '' : 's'} ready · total *${total}*`;
+  const extras = [skipped ? `${skipped} skipped` : null, failed ? `${failed} failed` : null].filter(Boolean);
+
+  const lines = rows.slice(0, BULK_PREVIEW_ROWS).map(bulkRowLine);
+  if (rows.length > BULK_PREVIEW_ROWS) lines.push(`_…and ${rows.length - BULK_PREVIEW_ROWS} more in the CSV below._`);
+  const rowBlocks = [];
+  for (let i = 0; i < lines.length; i += 10) {
+    rowBlocks.push({ type: 'section', text: { type: 'mrkdwn', text: lines.slice(i, i + 10).join('\n') } });
+  }
 
-    const actionBlocks = [];
-
-    for (const r of ratesArr) {
-      const provider =
-        r.provider || r.carrier || (r.carrier_account && r.carrier_account.carrier) || 'Unknown';
-      const service =
-        (r.servicelevel && r.servicelevel.name) ||
-        r.servicelevel_name ||
-        r.service ||
-        'Unknown';
-      const valuePayload = {
-        flow: 'returnlabel',
-        channelId,
-        shipment,
-        selectedRate: {
-          id: r.object_id,
-          provider,
-          service,
-          amount: r.amount || null,
-          currency: r.currency || 'USD',
-          etaDays: typeof r.estimated_days === 'number' ? r.estimated_days : null
-        },
-        threadTs: threadTsFromMeta || null
-      };
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `📦 *Bulk labels* from \`${job.fileName}\` — uploaded by <@${job.userId}>\n${summary}${extras.length ? ` · ${extras.join(' · ')}` : ''}`
+      }
+    },
+    {
+      type: 'context',
+      elements: [
+        { type: 'mrkdwn', text: `Rows without a service use the *${job.policyName}* policy · Labels: ${resolveLabelFormat(job.labelFormat).name}` }
+      ]
+    },
+    ...rowBlocks
+  ];
 
-      actionBlocks.push({
-        type: 'actions',
-        elements: [
-          {
-            type: 'button',
-            action_id: 'service_option_select',
-            text: { type: 'plain_text', text: `${provider} – ${service}`, emoji: true },
-            value: JSON.stringify(valuePayload)
+  if (job.status === 'previewed' && count > 0) {
+    blocks.push({
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          action_id: 'bulk_buy',
+          style: 'primary',
+          text: { type: 'plain_text', text: `Buy ${count} label${count === 1 ? '' : 's'} (${total})`, emoji: true },
+          value: job.id,
+          confirm: {
+            title: { type: 'plain_text', text: 'Buy these labels?' },
+            text: {
+              type: 'mrkdwn',
+              text: `This buys ${count} label${count === 1 ? '' : 's'} for *${total}* as one Shippo batch.${skipped ? ` ${skipped} skipped row${skipped === 1 ? ' is' : 's are'} left out.` : ''}`
+            },
+            confirm: { type: 'plain_text', text: 'Buy labels' },
+            deny: { type: 'plain_text', text: 'Not yet' }
           }
-        ]
-      });
-    }
+        },
+        {
+          type: 'button',
+          action_id: 'bulk_cancel',
+          text: { type: 'plain_text', text: 'Cancel', emoji: true },
+          value: job.id
+        }
+      ]
+    });
+  } else {
+    const status = {
+      previewed: 'Nothing to buy. Fix the rows and upload the CSV again.',
+      purchasing: `⏳ Buying ${count} label${count === 1 ? '' : 's'} as a Shippo batch${job.purchasedBy ? ` for <@${job.purchasedBy}>` : ''}…`,
+      purchased: `✅ Bought${job.purchasedBy ? ` by <@${job.purchasedBy}>` : ''}. The labels and bulk-results.csv are in this thread; void single labels with \`/voidlabel <tracking>\`.`,
+      failed: `❌ Nothing was bought: ${job.error || 'the batch failed.'}`,
+      cancelled: `🚫 Cancelled${by ? ` by <@${by}>` : ''}.`
+    }[job.status];
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: status }] });
+  }
+  return blocks;
+}
 
-    const headingText = userIdTag
-      ? `*Select a shipping service for this return label, <@${userIdTag}>:*`
-      : '*Select a shipping service for this return label:*';
+async function refreshBulkJobMessage(client, job, logger) {
+  if (!job?.previewTs) return;
+  try {
+    await client.chat.update({
+      channel: job.channelId,
+      ts: job.previewTs,
+      text: `Bulk labels from ${job.fileName}`,
+      blocks: buildBulkJobBlocks(job)
+    });
+  } catch (e) {
+    (logger || console).warn?.('Failed to update bulk label message:', e?.data || e?.message || e);
+  }
+}
 
-    return [
-      {
-        type: 'section',
-        text: { type: 'mrkdwn', text: headingText }
-      },
-      {
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: lines.join('\n') || '_No services available._'
-        }
-      },
-      ...actionBlocks
-    ];
+async function postBulkThreadMessage(client, job, text, logger) {
+  try {
+    await client.chat.postMessage({ channel: job.channelId, thread_ts: job.threadTs || undefined, text });
+  } catch (e) {
+    (logger || console).warn?.('Failed to post bulk label update:', e?.data || e?.message || e);
   }
+}
 
-   // 9) If user explicitly wants to choose a service, just fetch rates and post the chooser.
-  if (serviceMode === 'choose') {
-    const postChannel = channelId || ephemeralChannelId;
+async function startBulkThread(client, channelId, userId, logger) {
+  try {
+    const root = await client.chat.postMessage({ channel: channelId, text: `📦 Bulk label run started by <@${userId}>` });
+    return root.ts || null;
+  } catch (e) {
+    (logger || console).error?.('Failed to post root message for /bulklabels:', e?.stack || e?.message || e);
+    return null;
+  }
+}
 
-    let rates;
+/**
+ * Read an uploaded CSV, rate every row and turn one status message in the
+ * thread into the preview, then attach bulk-preview.csv with every row's rate
+ * or problem. Never throws.
+ */
+async function processBulkUpload({ client, file, channelId, userChannelId, userId, threadTs, logger }) {
+  const log = logger || console;
+  let fileName = file.name || 'the CSV';
+  let statusTs = null;
+  const say = async (text) => {
     try {
-      const rated = await createShipmentAndGetRates(shipment, logger);
-      rates = rated.rates || [];
-    } catch (e) {
-      try {
-        await client.chat.postMessage({
-          channel: postChannel,
-          text: `❌ Failed to fetch shipping services from Shippo: \`${e?.message || e}\``,
-          thread_ts: threadTs
-        });
-      } catch (e2) {
-        log.error?.('Failed to post Shippo error to Slack (choose mode):', e2?.stack || e2?.message || e2);
+      if (statusTs) {
+        await client.chat.update({ channel: channelId, ts: statusTs, text });
+      } else {
+        const res = await client.chat.postMessage({ channel: channelId, thread_ts: threadTs || undefined, text });
+        statusTs = res?.ts || null;
       }
-      return;
+    } catch (e) {
+      log.warn?.('Failed to post bulk label progress:', e?.data || e?.message || e);
     }
+  };
 
-    if (!Array.isArray(rates) || rates.length === 0) {
-      try {
-        await client.chat.postMessage({
-          channel: postChannel,
-          text:
-            '❌ No shipping services returned for this shipment. Please verify addresses and package dimensions.',
-          thread_ts: threadTs
-        });
-      } catch (e2) {
-        log.error?.('Failed to post "no services" message (choose mode):', e2?.stack || e2?.message || e2);
-      }
+  await say(`⏳ Reading \`${fileName}\`…`);
+  let rows;
+  try {
+    const info = file.url_private_download ? file : (await client.files.info({ file: file.id })).file;
+    fileName = info?.name || fileName;
+    const parsed = readBulkRows(await downloadSlackCsv(info), { presets: await readPackagePresets() });
+    if (parsed.errors.length > 0) {
+      await say(`❌ Can't use \`${fileName}\`:\n${parsed.errors.map((e) => `• ${e}`).join('\n')}`);
       return;
     }
-
-    try {
-      await client.chat.postMessage({
-        channel: postChannel,
-        blocks: buildRateBlocks(rates, userIdFromMeta || ephemeralUserId),
-        text: 'Select a shipping service',
-        thread_ts: threadTs
-      });
-    } catch (e2) {
-      log.error?.('Failed to post shipping options (choose mode):', e2?.stack || e2?.message || e2);
-      try {
-        await client.chat.postMessage({
-          channel: postChannel,
-          text: `❌ Failed to post shipping options: \`${e2?.message || e2}\``,
-          thread_ts: threadTs
-        });
-      } catch {}
-    }
+    rows = parsed.rows;
+  } catch (e) {
+    log.error?.('Failed to read bulk label CSV:', e?.stack || e?.message || e);
+    await say(`❌ Couldn't read \`${fileName}\`: ${e?.data?.error || e?.message || e}`);
     return;
   }
 
-  // 10) Default mode: try UPS Ground (but NOT UPS Ground Saver) first.
-  let rates;
+  const policy = await ratePolicyFor('shippinglabel', userChannelId || channelId);
+  const progress = shippoProgressReporter({ client, channel: channelId, threadTs, user: userId, logger });
+  const rated = [];
+  for (const row of rows) {
+    if (rated.length % 5 === 0) await say(`⏳ Rating \`${fileName}\`: ${rated.length} of ${rows.length} rows…`);
+    rated.push(await rateBulkRow(row, policy, log, { onRetry: progress.onRetry }));
+  }
+  await progress.done();
+
+  // Shippo merges a batch's labels into PDFs, so other formats fall back to PDF 4×6
+  const preferred = await labelFormatFor('shippinglabel', userId);
+  const batchFormat = preferred.extension === 'pdf' ? preferred : resolveLabelFormat();
+
+  let job;
   try {
-    const rated = await createShipmentAndGetRates(shipment, logger);
-    rates = rated.rates || [];
+    job = await createBulkJob({
+      fileName,
+      userId,
+      channelId,
+      userChannelId,
+      threadTs,
+      previewTs: statusTs,
+      policyName: policy.name,
+      labelFormat: batchFormat.value,
+      rows: rated
+    });
   } catch (e) {
-    try {
-      await client.chat.postEphemeral({
-        channel: ephemeralChannelId,
-        user: ephemeralUserId,
-        text: `❌ Failed to fetch shipping services from Shippo: \`${e?.message || e}\``,
-        thread_ts: threadTs
-      });
-    } catch (e2) {
-      log.error?.('Failed to post Shippo error to Slack (default mode):', e2?.stack || e2?.message || e2);
-    }
+    log.error?.('Failed to store bulk label job:', e?.stack || e?.message || e);
+    await say(`❌ Failed to save this bulk run: \`${e?.message || e}\``);
     return;
   }
+  await refreshBulkJobMessage(client, job, log);
 
-  if (!Array.isArray(rates) || rates.length === 0) {
-    try {
-      await client.chat.postEphemeral({
-        channel: ephemeralChannelId,
-        user: ephemeralUserId,
-        text:
-          '❌ No shipping services returned for this shipment. Please verify addresses and package dimensions.',
-        thread_ts: threadTs
-      });
-    } catch (e2) {
-      log.error?.('Failed to post "no services" message (default mode):', e2?.stack || e2?.message || e2);
-    }
-    return;
+  try {
+    await client.files.uploadV2({
+      channel_id: channelId,
+      thread_ts: threadTs || undefined,
+      file: Buffer.from(bulkResultsCsv(rated)),
+      filename: 'bulk-preview.csv',
+      initial_comment: 'Rates and problems for every row:'
+    });
+  } catch (e) {
+    log.warn?.('Failed to upload bulk-preview.csv:', e?.data || e?.message || e);
   }
+}
 
-  const upsGround = rates.find((r) => {
-    const provider =
-      (r.provider || r.carrier || (r.carrier_account && r.carrier_account.carrier) || '').toLowerCase();
-    const service =
-      ((r.servicelevel && r.servicelevel.name) ||
-        r.servicelevel_name ||
-        r.service ||
-        '').toLowerCase();
+async function waitForBatch(batch, pendingStatus, options) {
+  let current = batch;
+  for (let i = 0; i < BULK_BATCH_POLL_ATTEMPTS && current?.status === pendingStatus; i++) {
+    await new Promise((resolve) => setTimeout(resolve, BULK_BATCH_POLL_MS));
+    current = await shippo.getBatch(batch.object_id, { results: MAX_BULK_ROWS }, options);
+  }
+  return current;
+}
 
-    return provider === 'ups' && service.includes('ground') && !service.includes('saver');
-  });
+function batchShipmentError(entry) {
+  const messages = (entry?.messages || []).map((m) => m.text || m.code).filter(Boolean);
+  return messages.length > 0 ? messages.join('; ') : null;
+}
 
-  if (!upsGround) {
-    try {
-      await client.chat.postEphemeral({
-        channel: ephemeralChannelId,
-        user: ephemeralUserId,
-        text:
-          'UPS Ground not available for this shipment. Please choose a service from the options below.',
-        blocks: buildRateBlocks(rates, userIdFromMeta || ephemeralUserId),
-        thread_ts: threadTs
-      });
-    } catch (e2) {
-      log.error?.('Failed to post shipping options fallback (no UPS Ground):', e2?.stack || e2?.message || e2);
-      try {
-        await client.chat.postEphemeral({
-          channel: ephemeralChannelId,
-          user: ephemeralUserId,
-          text: `❌ Failed to post shipping options: \`${e2?.message || e2}\``,
-          thread_ts: threadTs
-        });
-      } catch {}
-    }
-    return;
-  }
+/**
+ * Buy a job's ready rows as one Shippo batch: create it, wait until Shippo has
+ * validated it, purchase, wait for the labels, then finish the job. When Shippo
+ * is still buying after the polling window (or we lose track of it once the
+ * purchase was sent), the batch_purchased webhook finishes the job instead.
+ */
+async function purchaseBulkJob(client, job, logger) {
+  const log = logger || console;
+  const ready = job.rows.filter((r) => r.status === 'ready');
 
-  // 11) We have UPS Ground — buy label immediately and upload the PDF (NO review modal).
-  const selectedRate = {
-    id: upsGround.object_id,
-    provider:
-      upsGround.provider ||
-      upsGround.carrier ||
-      (upsGround.carrier_account && upsGround.carrier_account.carrier) ||
-      'UPS',
-    service:
-      (upsGround.servicelevel && upsGround.servicelevel.name) ||
-      upsGround.servicelevel_name ||
-      upsGround.service ||
-      'Ground',
-    amount: upsGround.amount || null,
-    currency: upsGround.currency || 'USD',
-    etaDays: typeof upsGround.estimated_days === 'number' ? upsGround.estimated_days : null
+  const fail = async (error, rows = job.rows) => {
+    const { job: failed } = await updateBulkJob(job.id, { to: 'failed', patch: { error, rows } });
+    await refreshBulkJobMessage(client, failed || job, log);
   };
+  // The preview shows no Buy button then, but a crafted click can still get here
+  if (ready.length === 0) {
+    await fail('no row was ready to buy. Fix the rows and upload the CSV again.');
+    return;
+  }
 
-  let trackingNumber, labelUrl, trackingUrl;
-  let carrierOut = selectedRate.provider || null;
-  let serviceOut = selectedRate.service || null;
-  let etaDaysOut = typeof selectedRate.etaDays === 'number' ? selectedRate.etaDays : null;
+  const progress = shippoProgressReporter({ client, channel: job.channelId, threadTs: job.threadTs, logger });
+  const options = { onRetry: progress.onRetry };
 
+  let batch;
+  let purchaseSent = false;
   try {
-    const tx = await buyLabelForRate(selectedRate.id, logger);
-    trackingNumber = tx.trackingNumber;
-    labelUrl = tx.labelUrl;
-    trackingUrl = tx.trackingUrl;
+    batch = await shippo.createBatch({
+      default_carrier_account: ready[0].rate.carrierAccount,
+      default_servicelevel_token: ready[0].rate.servicelevelToken,
+      label_filetype: job.labelFormat,
+      metadata: `bulk:${job.id}`,
+      batch_shipments: ready.map((r) => ({
+        shipment: r.shipment,
+        carrier_account: r.rate.carrierAccount,
+        servicelevel_token: r.rate.servicelevelToken,
+        metadata: `row ${r.line}`
+      }))
+    }, options);
+    await updateBulkJob(job.id, { patch: { batchId: batch.object_id } });
+
+    batch = await waitForBatch(batch, 'VALIDATING', options);
+    if (batch.status === 'INVALID') {
+      const byRow = new Map((batch.batch_shipments?.results || []).map((s) => [s.metadata, s]));
+      const rows = job.rows.map((r) => {
+        const entry = r.status === 'ready' ? byRow.get(`row ${r.line}`) : null;
+        return entry && entry.status !== 'VALID'
+          ? { ...r, status: 'failed', error: batchShipmentError(entry) || `Shippo marked this shipment ${entry.status}.` }
+          : r;
+      });
+      const rejected = rows.filter((r) => r.status === 'failed').length;
+      await progress.done(false);
+      await fail(`Shippo rejected ${rejected} shipment${rejected === 1 ? '' : 's'} in the batch (see the rows above). Fix them and upload again.`, rows);
+      return;
+    }
+    if (batch.status !== 'VALID') {
+      await progress.done(false);
+      await fail(`Shippo was still validating batch \`${batch.object_id}\` after ${Math.round((BULK_BATCH_POLL_ATTEMPTS * BULK_BATCH_POLL_MS) / 1000)}s.`);
+      return;
+    }
+
+    purchaseSent = true;
+    batch = await shippo.purchaseBatch(batch.object_id, options);
+    batch = await waitForBatch(batch, 'PURCHASING', options);
   } catch (e) {
-    const msg = e?.message || String(e);
-    log.error?.('Failed to create Shippo return label (UPS Ground default):', e?.stack || msg);
+    await progress.done(false);
+    log.error?.('Bulk label batch failed:', e?.stack || e?.message || e);
+    if (!purchaseSent) {
+      await fail(`Shippo error: ${e?.message || e}`);
+      return;
+    }
+    await postBulkThreadMessage(
+      client,
+      job,
+      `⚠️ Lost track of Shippo batch \`${batch?.object_id || 'N/A'}\` while it was being bought (\`${e?.message || e}\`). ` +
+        'The labels will be posted here when Shippo reports the batch as purchased.',
+      log
+    );
+    return;
+  }
+  await progress.done();
+
+  if (batch.status !== 'PURCHASED') {
+    await postBulkThreadMessage(
+      client,
+      job,
+      `⏳ Shippo is still buying batch \`${batch.object_id}\` (${batch.status}). The labels will be posted here when it's done.`,
+      log
+    );
+    return;
+  }
+  await finishBulkJob(client, job.id, batch, log);
+}
+
+/**
+ * Record and deliver a purchased batch, exactly once: the first caller (the
+ * buyer's polling or the batch_purchased webhook) moves the job to "purchased",
+ * adds every label to the ledger, then posts the merged label PDF(s) with
+ * bulk-results.csv (tracking numbers per row) in the thread.
+ */
+async function finishBulkJob(client, jobId, batch, logger) {
+  const log = logger || console;
+  const claimed = await updateBulkJob(jobId, { to: 'purchased' });
+  if (!claimed.ok) return;
+  let job = claimed.job;
+
+  const byRow = new Map((batch.batch_shipments?.results || []).map((s) => [s.metadata, s]));
+  const rows = [];
+  for (const row of job.rows) {
+    if (row.status !== 'ready') {
+      rows.push(row);
+      continue;
+    }
+    const entry = byRow.get(`row ${row.line}`);
+    let tx = null;
     try {
-      await client.chat.postMessage({
-        channel: channelId,
-        text: `<@${userIdFromMeta}> ❌ Failed to create Shippo return label: \`${msg}\``,
-        thread_ts: threadTs
+      tx = entry?.transaction ? await shippo.getTransaction(entry.transaction) : null;
+    } catch (e) {
+      log.warn?.(`Failed to fetch bulk transaction for row ${row.line}:`, e?.message || e);
+    }
+    if (tx?.status !== 'SUCCESS') {
+      const messages = (tx?.messages || []).map((m) => m.text || m.code).filter(Boolean).join('; ');
+      rows.push({ ...row, status: 'failed', error: messages || batchShipmentError(entry) || 'Shippo did not buy this label.' });
+      continue;
+    }
+
+    const label = {
+      transactionId: tx.object_id,
+      rateId: tx.rate || null,
+      trackingNumber: tx.tracking_number || null,
+      trackingUrl: tx.tracking_url_provider || null,
+      labelUrl: tx.label_url || null,
+      labelFormat: batch.label_filetype || job.labelFormat
+    };
+    if (!(await findLabelByTransaction(tx.object_id))) {
+      await recordLabelPurchase({
+        flow: 'shippinglabel',
+        label,
+        selectedRate: row.rate,
+        shipment: row.shipment,
+        userId: job.purchasedBy,
+        // The batch buys each row on a shipment of its own, not the one we rated
+        shipmentId: entry?.shipment || null,
+        channelId: job.channelId,
+        threadTs: job.threadTs,
+        batchId: batch.object_id
       });
-    } catch {}
-    return;
+    }
+    rows.push({ ...row, status: 'purchased', transactionId: tx.object_id, trackingNumber: label.trackingNumber, trackingUrl: label.trackingUrl });
   }
 
-  // Send Parcel reminder DM to the user
-  await sendParcelReminderDm(client, userIdFromMeta, shipment, trackingNumber, 'return');
-
-  const etaDescription =
-    typeof etaDaysOut === 'number'
-      ? `${etaDaysOut} business day${etaDaysOut === 1 ? '' : 's'} (estimated)`
-      : 'N/A';
+  job = (await updateBulkJob(jobId, { patch: { rows, labelUrls: batch.label_url || [] } })).job || job;
+  await refreshBulkJobMessage(client, job, log);
 
-  // 12) Download the PDF from Shippo
-  let pdfBuffer;
+  const bought = rows.filter((r) => r.status === 'purchased').length;
+  const failed = rows.filter((r) => r.status === 'failed').length;
+  const { amount, currency } = bulkJobTotal(job);
+  const urls = Array.isArray(batch.label_url) ? batch.label_url : [batch.label_url].filter(Boolean);
+  let pdfs = [];
+  let downloadError = null;
   try {
-    const pdfRes = await fetch(labelUrl);
-    if (!pdfRes.ok) {
-      const txt = await pdfRes.text();
-      throw new Error(`Download failed ${pdfRes.status}: ${txt}`);
-    }
-    const pdfArrayBuf = await pdfRes.arrayBuffer();
-    pdfBuffer = Buffer.from(pdfArrayBuf);
+    pdfs = await downloadLabelFiles(urls.map((labelUrl) => ({ labelUrl })));
   } catch (e) {
-    const msg = e?.message || String(e);
-    log.error?.('Failed to download Shippo return label PDF:', e?.stack || msg);
-    try {
-      await client.chat.postMessage({
-        channel: channelId,
-          text:
-          `<@${userIdFromMeta}> ✅ Created Shippo return label, but failed to download the PDF.\n` +
-          `*Tracking number:* ${trackingNumber || 'N/A'}\n` +
-          `*Carrier:* ${carrierOut || 'N/A'}\n` +
-          `*Service:* ${serviceOut || 'N/A'}\n` +
-          `*ETA:* ${etaDescription}\n` +
-          `Tracking URL: ${trackingUrl || 'N/A'}\n` +
-          `Error downloading PDF: \`${msg}\``,
-        thread_ts: threadTs
-      });
-    } catch {}
-    return;
+    downloadError = e?.message || String(e);
+    log.error?.('Failed to download bulk label PDFs:', e?.stack || downloadError);
   }
 
-  // 13) Upload the PDF into Slack
+  const files = [
+    ...pdfs.map((buf, i) => ({ file: buf, filename: pdfs.length > 1 ? `bulk-labels-${i + 1}-of-${pdfs.length}.pdf` : 'bulk-labels.pdf' })),
+    { file: Buffer.from(bulkResultsCsv(rows)), filename: 'bulk-results.csv' }
+  ];
+  const comment =
+    `${job.purchasedBy ? `<@${job.purchasedBy}> ` : ''}📦 *${bought} bulk label${bought === 1 ? '' : 's'} bought* for ${formatMoney(amount, currency)}` +
+    `${failed ? ` · ❌ ${failed} failed (see bulk-results.csv)` : ''}` +
+    `${downloadError ? `\n⚠️ Couldn't download the label PDF: \`${downloadError}\`. Links: ${urls.join(' ')}` : ''}`;
   try {
     await client.files.uploadV2({
-      channel_id: channelId,
-      filename: 'return-label.pdf',
-      file: pdfBuffer,
-            initial_comment:
-        `<@${userIdFromMeta}> 📦 *Return label created*\n` +
-        `• *Tracking number:* ${trackingNumber || 'N/A'}\n` +
-        `• *Carrier:* ${carrierOut || 'N/A'}\n` +
-        `• *Service:* ${serviceOut || 'N/A'}\n` +
-        `• *ETA:* ${etaDescription}`,
-      thread_ts: threadTs
+      channel_id: job.channelId,
+      thread_ts: job.threadTs || undefined,
+      file_uploads: files,
+      initial_comment: comment
     });
   } catch (e) {
-    const msg = e?.message || String(e);
-    log.error?.('Failed to upload return label PDF to Slack:', e?.stack || msg);
-    try {
-      await client.chat.postMessage({
-        channel: channelId,
-                text:
-          `<@${userIdFromMeta}> ✅ Created Shippo return label, but failed to upload the PDF to Slack.\n` +
-          `*Tracking number:* ${trackingNumber || 'N/A'}\n` +
-          `*Carrier:* ${carrierOut || 'N/A'}\n` +
-          `*Service:* ${serviceOut || 'N/A'}\n` +
-          `*ETA:* ${etaDescription}\n` +
-          `Tracking URL: ${trackingUrl || 'N/A'}\n` +
-          `Upload error: \`${msg}\``,
-        thread_ts: threadTs
-      });
-    } catch {}
+    log.error?.('Failed to upload bulk labels to Slack:', e?.stack || e?.message || e);
+    await postBulkThreadMessage(client, job, `${comment}\n⚠️ Upload to Slack failed: \`${e?.message || e}\`. Labels: ${urls.join(' ')}`, log);
   }
-});
+}
 
 /**
- * Button handler: user picks a specific shipping service option.
- * Opens the appropriate Review modal (shipping or return) with the chosen rate.
+ * /bulklabels               → open the upload modal (a CSV file input)
+ * /bulklabels <file link>   → use a CSV already shared in Slack
+ * Every row is validated and rated, then a preview with per-row rates and the
+ * total is posted in a thread; "Buy" purchases the ready rows as one Shippo batch.
  */
-slackApp.action('service_option_select', async ({ ack, body, client, logger }) => {
+slackApp.command('/bulklabels', async ({ ack, body, client, logger }) => {
   await ack();
 
-  const log = logger || console;
-  const action = body?.actions?.[0];
-  let payload;
-  try {
-    payload = action?.value ? JSON.parse(action.value) : null;
-  } catch (e) {
-    payload = null;
-  }
+  const text = (body.text || '').trim();
+  await appendCommandLog({
+    type: 'bulklabels',
+    userId: body.user_id,
+    userName: body.user_name,
+    channelId: body.channel_id,
+    teamId: body.team_id,
+    text,
+    ts: new Date().toISOString()
+  });
 
-  if (!payload || !payload.channelId || !payload.shipment || !payload.selectedRate) {
-    log.error?.('Malformed service selection payload.', payload);
+  const targetChannel = WATCH_CHANNEL_ID || body.channel_id;
+  const fileId = slackFileIdFrom(text);
+  if (!fileId) {
+    try {
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: bulkUploadView(JSON.stringify({ channelId: targetChannel, userChannelId: body.channel_id }))
+      });
+    } catch (e) {
+      console.error('Failed to open /bulklabels modal:', e?.stack || e?.message || e);
+    }
     return;
   }
 
-  const flow = payload.flow || 'returnlabel';
-  const { channelId, shipment, selectedRate } = payload;
-  const threadTs = payload.threadTs || null;
-
-  const priceStr = selectedRate.amount
-    ? (selectedRate.currency === 'USD'
-        ? `$${Number(selectedRate.amount).toFixed(2)}`
-        : `${Number(selectedRate.amount).toFixed(2)} ${selectedRate.currency}`)
-    : 'N/A';
-  const etaStr =
-    selectedRate.etaDays != null
-      ? `${selectedRate.etaDays} business day${selectedRate.etaDays === 1 ? '' : 's'}`
-      : 'N/A';
-
-    const reviewMetadata = JSON.stringify({
-    channelId,
-    shipment,
-    selectedRate,
+  const threadTs = await startBulkThread(client, targetChannel, body.user_id, logger);
+  await processBulkUpload({
+    client,
+    file: { id: fileId },
+    channelId: targetChannel,
+    userChannelId: body.channel_id,
+    userId: body.user_id,
     threadTs,
-    userId: body.user?.id || null
+    logger
   });
+});
 
-  const fromLines = [
-    `Name: ${shipment.address_from.name || 'N/A'}`,
-    `Company: ${shipment.address_from.company || 'N/A'}`,
-    `Street: ${shipment.address_from.street1 || 'N/A'}`,
-    `Street 2: ${shipment.address_from.street2 || 'N/A'}`,
-    `City: ${shipment.address_from.city || 'N/A'}`,
-    `State: ${shipment.address_from.state || 'N/A'}`,
-    `ZIP: ${shipment.address_from.zip || 'N/A'}`
-  ];
-
-  const toLines = [
-    `Name: ${shipment.address_to.name || 'N/A'}`,
-    `Company: ${shipment.address_to.company || 'N/A'}`,
-    `Street: ${shipment.address_to.street1 || 'N/A'}`,
-    `Street 2: ${shipment.address_to.street2 || 'N/A'}`,
-    `City: ${shipment.address_to.city || 'N/A'}`,
-    `State: ${shipment.address_to.state || 'N/A'}`,
-    `ZIP: ${shipment.address_to.zip || 'N/A'}`
-  ];
-
-  const parcelLines = [
-    `${shipment.parcels[0].length}" x ${shipment.parcels[0].width}" x ${shipment.parcels[0].height}" (${shipment.parcels[0].weight} lb)`
-  ];
+slackApp.view('bulklabels_upload_modal', async ({ ack, body, view, client, logger }) => {
+  const files = view.state.values?.['bulk_file_block']?.['bulk_file']?.files || [];
+  if (files.length === 0) {
+    await ack({ response_action: 'errors', errors: { bulk_file_block: 'Upload a CSV file.' } });
+    return;
+  }
+  let meta = {};
+  try {
+    meta = view.private_metadata ? JSON.parse(view.private_metadata) : {};
+  } catch {}
+  const channelId = meta.channelId || meta.userChannelId;
+  await ack({
+    response_action: 'update',
+    view: statusView('Bulk Labels', `⏳ Rating every row with Shippo. The preview will be posted in <#${channelId}>.`)
+  });
 
-  const serviceLines = [
-    `${selectedRate.provider} — ${selectedRate.service} — ${priceStr} — ETA: ${etaStr}`
-  ];
+  const userId = body.user?.id;
+  const threadTs = await startBulkThread(client, channelId, userId, logger);
+  await processBulkUpload({ client, file: files[0], channelId, userChannelId: meta.userChannelId, userId, threadTs, logger });
+});
 
-  const reviewCallbackId =
-    flow === 'shippinglabel' ? 'shippinglabel_review_modal' : 'returnlabel_review_modal';
-  const reviewTitleText =
-    flow === 'shippinglabel'
-      ? 'Review Shipping Label'
-      : 'Review Return Label';
+slackApp.action('bulk_buy', async ({ ack, body, client, logger }) => {
+  await ack();
+  const userId = body.user?.id;
+  const { ok, job } = await updateBulkJob(body.actions?.[0]?.value, { to: 'purchasing', by: userId, patch: { purchasedBy: userId } });
+  if (!ok) {
+    const text = !job
+      ? '⚠️ This bulk run no longer exists. Please upload the CSV again.'
+      : job.status === 'previewed'
+        ? '⚠️ These rates have expired. Please upload the CSV again.'
+        : `⚠️ This bulk run is already ${job.status}.`;
+    try {
+      await client.chat.postEphemeral({ channel: body.channel?.id, user: userId, thread_ts: body.message?.thread_ts, text });
+    } catch {}
+    return;
+  }
+  await refreshBulkJobMessage(client, job, logger);
+  await purchaseBulkJob(client, job, logger);
+});
 
+slackApp.action('bulk_cancel', async ({ ack, body, client, logger }) => {
+  await ack();
+  const userId = body.user?.id;
+  const { ok, job } = await updateBulkJob(body.actions?.[0]?.value, { to: 'cancelled', by: userId });
+  if (ok) {
+    await refreshBulkJobMessage(client, job, logger);
+    return;
+  }
   try {
-    await client.views.open({
-      trigger_id: body.trigger_id,
-      view: {
-        type: 'modal',
-        callback_id: reviewCallbackId,
-        private_metadata: reviewMetadata,
-        title: { type: 'plain_text', text: reviewTitleText, emoji: true },
-        submit: { type: 'plain_text', text: 'Create Label', emoji: true },
-        close:  { type: 'plain_text', text: 'Cancel', emoji: true },
-        blocks: [
-          { type: 'section', text: { type: 'mrkdwn', text: 'Please review the details below.' } },
-          { type: 'divider' },
-
-          /* Ship From section */
-          { type: 'section', text: { type: 'mrkdwn', text: '*Ship From Address*' } },
-          { type: 'section', text: { type: 'mrkdwn', text: fromLines.join('\n') } },
+    await client.chat.postEphemeral({
+      channel: body.channel?.id,
+      user: userId,
+      thread_ts: body.message?.thread_ts,
+      text: job ? `⚠️ This bulk run is already ${job.status}.` : '⚠️ This bulk run no longer exists.'
+    });
+  } catch {}
+});
 
-          { type: 'divider' },
-          { type: 'divider' },
+/* =========================
+   Express HTTP server
+   (healthcheck + Shippo webhooks)
+========================= */
 
-          /* Ship To section */
-          { type: 'section', text: { type: 'mrkdwn', text: '*Ship To Address*' } },
-          { type: 'section', text: { type: 'mrkdwn', text: toLines.join('\n') } },
+const webApp = express();
+webApp.use(express.json({ limit: '5mb' })); // batch_* webhook payloads can be large
 
-          { type: 'divider' },
-          { type: 'divider' },
+// Simple healthcheck for uptime monitoring / Kubernetes / etc.
+webApp.get('/health', (req, res) => {
+  res.status(200).json({
+    ok: true,
+    app: 'shipping-label-maker-bot',
+    status: 'healthy',
+    time: new Date().toISOString()
+  });
+});
 
-          /* Package section */
-          { type: 'section', text: { type: 'mrkdwn', text: '*Package Info*' } },
-          { type: 'section', text: { type: 'mrkdwn', text: parcelLines.join('\n') } },
+function webhookTokenMatches(provided) {
+  if (!SHIPPO_WEBHOOK_TOKEN || !provided) return false;
+  const a = Buffer.from(String(provided));
+  const b = Buffer.from(String(SHIPPO_WEBHOOK_TOKEN));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
 
-          { type: 'divider' },
-          { type: 'divider' },
+/**
+ * Stable identity for a webhook delivery. Shippo redelivers the same payload
+ * on timeouts/5xx, so event + object + last-modified is enough to spot repeats.
+ */
+function webhookEventKey(event, data) {
+  const objectId = data?.object_id || data?.tracking_number || '';
+  const version =
+    data?.object_updated ||
+    data?.tracking_status?.object_updated ||
+    data?.tracking_status?.status_date ||
+    data?.status ||
+    data?.object_status ||
+    '';
+  return `${event}:${objectId}:${version}`;
+}
 
-          /* Service section */
-          { type: 'section', text: { type: 'mrkdwn', text: '*Shipping Service*' } },
-          { type: 'section', text: { type: 'mrkdwn', text: serviceLines.join('\n') } }
-        ]
-      }
-    });
-  } catch (e) {
-    log.error?.('Failed to open review modal after service select:', e?.stack || e?.message || e);
-    try {
-      await client.chat.postMessage({
-        channel: channelId,
-        text: `<@${body.user?.id}> ❌ Failed to open Review modal: \`${e?.message || e}\``,
-        thread_ts: threadTs || undefined
-      });
-    } catch {}
-  }
-});
+async function webhookEventSeen(key) {
+  const seen = await readJson(WEBHOOK_EVENTS_PATH, []);
+  return Array.isArray(seen) && seen.some((e) => e.key === key);
+}
 
 /**
- * View submission handler for the "Review" modal (shippinglabel).
- * If a selectedRate is present, buys that exact rate; else uses fallback createReturnLabelWithShippo.
- * Then downloads the PDF and uploads it to Slack with carrier/service/ETA.
+ * Record a processed event. Returns true if the key was newly recorded, false
+ * if it was already seen. Keeps the most recent 2000 keys in ./data/webhook-events.json.
  */
-slackApp.view('shippinglabel_review_modal', async ({ ack, body, view, client, logger }) => {
-  await ack();
-
-  const log = logger || console;
+async function rememberWebhookEvent(key, event) {
+  await ensureDataDir();
+  return withFileLock(WEBHOOK_EVENTS_PATH, async () => {
+    const seen = await readJson(WEBHOOK_EVENTS_PATH, []);
+    const list = Array.isArray(seen) ? seen : [];
+    if (list.some((e) => e.key === key)) return false;
+    list.push({ key, event, receivedAt: new Date().toISOString() });
+    const MAX_RECORDS = 2000;
+    await writeJsonAtomic(WEBHOOK_EVENTS_PATH, list.length > MAX_RECORDS ? list.slice(list.length - MAX_RECORDS) : list);
+    return true;
+  });
+}
 
-    let channelId = null;
-  let shipment = null;
-  let selectedRate = null;
-  let threadTs = null;
-  let userIdForDm = null;
+// Shippo transaction object_status → ledger status
+const TRANSACTION_STATUS_TO_LABEL_STATUS = {
+  REFUNDPENDING: 'refund_pending',
+  REFUNDED: 'refunded',
+  REFUNDREJECTED: 'refund_failed'
+};
 
-  try {
-    const meta = view.private_metadata ? JSON.parse(view.private_metadata) : {};
-    channelId = meta.channelId || null;
-    shipment = meta.shipment || null;
-    selectedRate = meta.selectedRate || null;
-    threadTs = meta.threadTs || null;
-    userIdForDm = meta.userId || null;
-  } catch (e) {
-    log.error?.('Failed to parse private_metadata in shipping review modal:', e?.stack || e?.message || e);
+async function handleTrackUpdatedWebhook(client, data) {
+  const record = await findLabelByTracking(data?.tracking_number);
+  if (!record) {
+    console.log(`ℹ️ track_updated for unknown tracking number ${data?.tracking_number || 'N/A'}; ignoring.`);
+    return;
   }
+  await applyTrackingStatus(client, record, data?.tracking_status);
+}
 
-  if (!channelId || !shipment) {
-    log.error?.('Missing channelId or shipment data in shipping review modal.');
+async function handleTransactionWebhook(client, event, data) {
+  const record = await findLabelByTransaction(data?.object_id);
+  if (!record) {
+    console.log(`ℹ️ ${event} for transaction ${data?.object_id || 'N/A'} not in the ledger; ignoring.`);
     return;
   }
 
-  let trackingNumber, labelUrl, trackingUrl;
-  let carrierOut = null, serviceOut = null, etaDaysOut = null;
+  const patch = {};
+  if (data?.tracking_number && !record.trackingNumber) patch.trackingNumber = data.tracking_number;
+  if (data?.label_url && !record.labelUrl) patch.labelUrl = data.label_url;
 
-  try {
-    if (selectedRate?.id) {
-      const tx = await buyLabelForRate(selectedRate.id, logger);
-      trackingNumber = tx.trackingNumber;
-      labelUrl = tx.labelUrl;
-      trackingUrl = tx.trackingUrl;
-      carrierOut = selectedRate.provider || null;
-      serviceOut = selectedRate.service || null;
-      etaDaysOut = typeof selectedRate.etaDays === 'number' ? selectedRate.etaDays : null;
-    } else {
-      const label = await createReturnLabelWithShippo(shipment, logger);
-      trackingNumber = label.trackingNumber;
-      labelUrl = label.labelUrl;
-      trackingUrl = label.trackingUrl;
-      carrierOut = label.carrierName || null;
-      serviceOut = label.serviceName || null;
-      etaDaysOut = typeof label.etaDays === 'number' ? label.etaDays : null;
-    }
-  } catch (e) {
-    const msg = e?.message || String(e);
-    console.error('Failed to create Shippo shipping label:', e?.stack || msg);
-    try {
-      await client.chat.postMessage({
-        channel: channelId,
-        text: `${userIdForDm ? `<@${userIdForDm}> ` : ''}❌ Failed to create Shippo shipping label: \`${msg}\``,
-        thread_ts: threadTs || undefined
-      });
-    } catch {}
-    return;
+  const txStatus = String(data?.object_status || data?.status || '').toUpperCase();
+  const newStatus = TRANSACTION_STATUS_TO_LABEL_STATUS[txStatus];
+  if (newStatus && newStatus !== record.status) {
+    patch.status = newStatus;
+    patch.refundStatus = txStatus;
   }
 
-  // Send Parcel reminder DM to the user (if we know who to DM)
-  if (userIdForDm) {
-    await sendParcelReminderDm(client, userIdForDm, shipment, trackingNumber, 'shipping');
+  if (Object.keys(patch).length === 0) {
+    if (data?.tracking_status) await applyTrackingStatus(client, record, data.tracking_status);
+    return;
   }
 
-  const etaDescription =
-    typeof etaDaysOut === 'number'
-      ? `${etaDaysOut} business day${etaDaysOut === 1 ? '' : 's'} (estimated)`
-      : 'N/A';
+  const updated = await updateLabelRecord(record.id, patch, { by: 'shippo-webhook', event }) || record;
 
-  let pdfBuffer;
-  try {
-    const pdfRes = await fetch(labelUrl);
-    if (!pdfRes.ok) {
-      const txt = await pdfRes.text();
-      throw new Error(`Download failed ${pdfRes.status}: ${txt}`);
-    }
-    const pdfArrayBuf = await pdfRes.arrayBuffer();
-    pdfBuffer = Buffer.from(pdfArrayBuf);
-  } catch (e) {
-    const msg = e?.message || String(e);
-    console.error('Failed to download Shippo shipping label PDF:', e?.stack || msg);
+  if (patch.status && record.channelId) {
     try {
       await client.chat.postMessage({
-        channel: channelId,
-                text:
-          `${userIdForDm ? `<@${userIdForDm}> ` : ''}✅ Created Shippo shipping label, but failed to download the PDF.\n` +
-          `*Tracking number:* ${trackingNumber || 'N/A'}\n` +
-          `*Carrier:* ${carrierOut || 'N/A'}\n` +
-          `*Service:* ${serviceOut || 'N/A'}\n` +
-          `*ETA:* ${etaDescription}\n` +
-          `Tracking URL: ${trackingUrl || 'N/A'}\n` +
-          `Error downloading PDF: \`${msg}\``,
-        thread_ts: threadTs || undefined
+        channel: record.channelId,
+        thread_ts: record.threadTs || undefined,
+        text: `ℹ️ Shippo reports label \`${updated.trackingNumber || 'N/A'}\` is now *${txStatus}*.`
       });
-    } catch {}
-    return;
+    } catch (e) {
+      console.warn('⚠️ Failed to post transaction webhook update:', e?.stack || e?.message || e);
+    }
+    await refreshLabelMessages(client, updated);
   }
 
+  if (data?.tracking_status) await applyTrackingStatus(client, updated, data.tracking_status);
+}
+
+async function handleBatchWebhook(client, event, data) {
+  // A bulk run that was still being bought when its buyer stopped polling
+  if (event === 'batch_purchased') {
+    const job = await findBulkJobByBatch(data?.object_id);
+    if (job?.status === 'purchasing') {
+      await finishBulkJob(client, job.id, await shippo.getBatch(data.object_id, { results: MAX_BULK_ROWS }));
+      return;
+    }
+  }
+
+  const labels = await readLabelLedger();
+  const related = labels.filter((l) => l.batchId && l.batchId === data?.object_id);
+  if (related.length === 0) {
+    console.log(`ℹ️ ${event} for batch ${data?.object_id || 'N/A'} with no ledger labels; ignoring.`);
+    return;
+  }
+  const { channelId, threadTs } = related[0];
+  if (!channelId) return;
   try {
-    await client.files.uploadV2({
-      channel_id: channelId,
-      filename: 'shipping-label.pdf',
-      file: pdfBuffer,
-        initial_comment:
-        `${userIdForDm ? `<@${userIdForDm}> ` : ''}📦 *Shipping label created*\n` +
-        `• *Tracking number:* ${trackingNumber || 'N/A'}\n` +
-        `• *Carrier:* ${carrierOut || 'N/A'}\n` +
-        `• *Service:* ${serviceOut || 'N/A'}\n` +
-        `• *ETA:* ${etaDescription}`,
-      thread_ts: threadTs || undefined
+    await client.chat.postMessage({
+      channel: channelId,
+      thread_ts: threadTs || undefined,
+      text: `ℹ️ Shippo batch \`${data.object_id}\` is now *${data?.status || event}*.`
     });
   } catch (e) {
-    const msg = e?.message || String(e);
-    console.error('Failed to upload shipping label PDF to Slack:', e?.stack || msg);
-    try {
-      await client.chat.postMessage({
-        channel: channelId,
-                text:
-          `${userIdForDm ? `<@${userIdForDm}> ` : ''}✅ Created Shippo shipping label, but failed to upload the PDF to Slack.\n` +
-          `*Tracking number:* ${trackingNumber || 'N/A'}\n` +
-          `*Carrier:* ${carrierOut || 'N/A'}\n` +
-          `*Service:* ${serviceOut || 'N/A'}\n` +
-          `*ETA:* ${etaDescription}\n` +
-          `Tracking URL: ${trackingUrl || 'N/A'}\n` +
-          `Upload error: \`${msg}\``,
-        thread_ts: threadTs || undefined
-      });
-    } catch {}
+    console.warn('⚠️ Failed to post batch webhook update:', e?.stack || e?.message || e);
   }
-});
+}
+
+// Keys of events being processed right now, so a redelivery that arrives
+// meanwhile isn't processed twice
+const webhookEventsInFlight = new Set();
 
 /**
- * View submission handler for the "Review" modal (returnlabel).
- * If a selectedRate is present, buys that exact rate; else uses fallback createReturnLabelWithShippo.
- * Then downloads the PDF and uploads it to Slack with carrier/service/ETA.
+ * Shippo webhook receiver.
+ * Configure in Shippo as https://<host>/webhooks/shippo?token=<SHIPPO_WEBHOOK_TOKEN>.
+ * We authenticate, dedupe and route the event. It is only marked seen once it
+ * was processed; a failure answers 500 so Shippo's redelivery is processed again.
  */
-slackApp.view('returnlabel_review_modal', async ({ ack, body, view, client, logger }) => {
-  await ack();
+webApp.post('/webhooks/shippo', async (req, res) => {
+  if (!SHIPPO_WEBHOOK_TOKEN) {
+    res.status(503).json({ ok: false, error: 'Webhook not configured' });
+    return;
+  }
 
-  const log = logger || console;
+  const provided =
+    req.query?.token ||
+    req.get('x-webhook-token') ||
+    (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  if (!webhookTokenMatches(provided)) {
+    res.status(401).json({ ok: false, error: 'Unauthorized' });
+    return;
+  }
 
-  let channelId = null;
-  let shipment = null;
-  let selectedRate = null;
-  let threadTs = null;
-  let userIdForDm = null;
+  const event = String(req.body?.event || '');
+  const data = req.body?.data || {};
+  const supported =
+    event === 'track_updated' ||
+    event === 'transaction_created' ||
+    event === 'transaction_updated' ||
+    event.startsWith('batch_');
+  if (!supported) {
+    res.status(200).json({ ok: true, ignored: true });
+    return;
+  }
 
+  const key = webhookEventKey(event, data);
+  let seen = webhookEventsInFlight.has(key);
   try {
-    const meta = view.private_metadata ? JSON.parse(view.private_metadata) : {};
-    channelId = meta.channelId || null;
-    shipment = meta.shipment || null;
-    selectedRate = meta.selectedRate || null;
-    threadTs = meta.threadTs || null;
-    userIdForDm = meta.userId || null;
+    seen = seen || await webhookEventSeen(key);
   } catch (e) {
-    log.error?.('Failed to parse private_metadata in review modal:', e?.stack || e?.message || e);
+    console.warn('⚠️ Failed to read seen webhook events; processing anyway:', e?.stack || e?.message || e);
   }
-
-  if (!channelId || !shipment) {
-    log.error?.('Missing channelId or shipment data in review modal.');
+  if (seen) {
+    res.status(200).json({ ok: true, duplicate: true });
     return;
   }
 
-  let trackingNumber, labelUrl, trackingUrl;
-  let carrierOut = null, serviceOut = null, etaDaysOut = null;
-
+  webhookEventsInFlight.add(key);
   try {
-    if (selectedRate?.id) {
-      const tx = await buyLabelForRate(selectedRate.id, logger);
-      trackingNumber = tx.trackingNumber;
-      labelUrl = tx.labelUrl;
-      trackingUrl = tx.trackingUrl;
-      carrierOut = selectedRate.provider || null;
-      serviceOut = selectedRate.service || null;
-      etaDaysOut = typeof selectedRate.etaDays === 'number' ? selectedRate.etaDays : null;
+    const client = slackApp.client;
+    if (event === 'track_updated') {
+      await handleTrackUpdatedWebhook(client, data);
+    } else if (event === 'transaction_created' || event === 'transaction_updated') {
+      await handleTransactionWebhook(client, event, data);
     } else {
-      const label = await createReturnLabelWithShippo(shipment, logger);
-      trackingNumber = label.trackingNumber;
-      labelUrl = label.labelUrl;
-      trackingUrl = label.trackingUrl;
-      carrierOut = label.carrierName || null;
-      serviceOut = label.serviceName || null;
-      etaDaysOut = typeof label.etaDays === 'number' ? label.etaDays : null;
+      await handleBatchWebhook(client, event, data);
     }
-  } catch (e) {
-    const msg = e?.message || String(e);
-    console.error('Failed to create Shippo return label:', e?.stack || msg);
     try {
-      await client.chat.postMessage({
-        channel: channelId,
-        text: `${userIdForDm ? `<@${userIdForDm}> ` : ''}❌ Failed to create Shippo return label: \`${msg}\``,
-        thread_ts: threadTs || undefined
-      });
-    } catch {}
-    return;
-  }
-
-  // DM the user a Parcel reminder if we know who they are
-  if (userIdForDm) {
-    await sendParcelReminderDm(client, userIdForDm, shipment, trackingNumber, 'return');
-  }
-
-  const etaDescription =
-    typeof etaDaysOut === 'number'
-      ? `${etaDaysOut} business day${etaDaysOut === 1 ? '' : 's'} (estimated)`
-      : 'N/A';
-
-  // Download the PDF
-  let pdfBuffer;
-  try {
-    const pdfRes = await fetch(labelUrl);
-    if (!pdfRes.ok) {
-      const txt = await pdfRes.text();
-      throw new Error(`Download failed ${pdfRes.status}: ${txt}`);
+      await rememberWebhookEvent(key, event);
+    } catch (e) {
+      console.warn('⚠️ Failed to record webhook event:', e?.stack || e?.message || e);
     }
-    const pdfArrayBuf = await pdfRes.arrayBuffer();
-    pdfBuffer = Buffer.from(pdfArrayBuf);
   } catch (e) {
-    const msg = e?.message || String(e);
-    console.error('Failed to download Shippo label PDF:', e?.stack || msg);
-    try {
-      await client.chat.postMessage({
-        channel: channelId,
-        text:
-          `${userIdForDm ? `<@${userIdForDm}> ` : ''}✅ Created Shippo return label, but failed to download the PDF.\n` +
-          `*Tracking number:* ${trackingNumber || 'N/A'}\n` +
-          `*Carrier:* ${carrierOut || 'N/A'}\n` +
-          `*Service:* ${serviceOut || 'N/A'}\n` +
-          `*ETA:* ${etaDescription}\n` +
-          `Tracking URL: ${trackingUrl || 'N/A'}\n` +
-          `Error downloading PDF: \`${msg}\``,
-        thread_ts: threadTs || undefined
-      });
-    } catch {}
+    console.error(`⚠️ Failed to process Shippo ${event} webhook:`, e?.stack || e?.message || e);
+    res.status(500).json({ ok: false, error: 'Processing failed' });
     return;
+  } finally {
+    webhookEventsInFlight.delete(key);
   }
 
-  // Upload the PDF and tag the user in the thread
-  try {
-    await client.files.uploadV2({
-      channel_id: channelId,
-      filename: 'return-label.pdf',
-      file: pdfBuffer,
-      initial_comment:
-        `${userIdForDm ? `<@${userIdForDm}> ` : ''}📦 *Return label created*\n` +
-        `• *Tracking number:* ${trackingNumber || 'N/A'}\n` +
-        `• *Carrier:* ${carrierOut || 'N/A'}\n` +
-        `• *Service:* ${serviceOut || 'N/A'}\n` +
-        `• *ETA:* ${etaDescription}`,
-      thread_ts: threadTs || undefined
-    });
-  } catch (e) {
-    const msg = e?.message || String(e);
-    console.error('Failed to upload label PDF to Slack:', e?.stack || msg);
-    try {
-      await client.chat.postMessage({
-        channel: channelId,
-        text:
-          `${userIdForDm ? `<@${userIdForDm}> ` : ''}✅ Created Shippo return label, but failed to upload the PDF to Slack.\n` +
-          `*Tracking number:* ${trackingNumber || 'N/A'}\n` +
-          `*Carrier:* ${carrierOut || 'N/A'}\n` +
-          `*Service:* ${serviceOut || 'N/A'}\n` +
-          `*ETA:* ${etaDescription}\n` +
-          `Tracking URL: ${trackingUrl || 'N/A'}\n` +
-          `Upload error: \`${msg}\``,
-        thread_ts: threadTs || undefined
-      });
-    } catch {}
-  }
-});
-
-/* =========================
-   Express HTTP server
-   (healthcheck + future webhooks)
-========================= */
-
-const webApp = express();
-webApp.use(express.json());
-
-// Simple healthcheck for uptime monitoring / Kubernetes / etc.
-webApp.get('/health', (req, res) => {
-  res.status(200).json({
-    ok: true,
-    app: 'shipping-label-maker-bot',
-    status: 'healthy',
-    time: new Date().toISOString()
-  });
+  res.status(200).json({ ok: true });
 });
 
 // Catch-all 404 for any other paths (so non-matching routes don't hang)
@@ -2336,7 +6379,13 @@ webApp.use((req, res) => {
    Start
 ========================= */
 
-(async () => {
+// Tests import the module to drive the handlers (slackApp.processEvent) and the
+// webhook routes without connecting to Slack; only `node index.js` starts it.
+export { slackApp, webApp };
+
+const isMain = import.meta.url === pathToFileURL(process.argv[1] || '').href;
+
+if (isMain) (async () => {
   try {
     await ensureDataDir();
   } catch (e) {
@@ -2362,6 +6411,7 @@ webApp.use((req, res) => {
   try {
     await slackApp.start();
     console.log('✅ shipping-label-maker-bot running (Socket Mode)');
+    startTrackingPoller(slackApp.client);
   } catch (e) {
     console.error('❌ Failed to start Slack Bolt app:', e?.stack || e?.message || e);
     process.exit(1);
@@ -0,0 +1,620 @@
+/**
+ * Address text parsing: pasted multi-line / single-line addresses and the
+ * phone/email details that come with them. Pure functions, no Slack or Shippo.
+ */
+
+/* =========================
+   Contact details (phone / email)
+========================= */
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export function isValidEmail(value) {
+  return EMAIL_RE.test(String(value || '').trim());
+}
+
+/**
+ * Normalize a typed phone number. Keeps a leading "+", digits and an
+ * extension ("x123"); returns '' unless there are 7–15 digits.
+ */
+export function normalizePhone(value) {
+  const raw = String(value || '').trim();
+  const extMatch = raw.match(/\s*(?:x|ext\.?|extension)\s*(\d{1,6})$/i);
+  const main = extMatch ? raw.slice(0, extMatch.index) : raw;
+  if (/[^\d\s()+.\-]/.test(main)) return '';
+  const digits = main.replace(/\D/g, '');
+  if (digits.length < 7 || digits.length > 15) return '';
+  const plus = main.startsWith('+') ? '+' : '';
+  return `${plus}${digits}${extMatch ? ` x${extMatch[1]}` : ''}`;
+}
+
+/**
+ * Pull phone/email lines out of a pasted address ("Phone: 555-123-4567",
+ * "jane@example.com", "Tel (212) 555-0100"). Returns { lines, phone, email }
+ * with the contact lines removed.
+ */
+export function extractContactLines(lines) {
+  let phone = '';
+  let email = '';
+  const rest = [];
+  for (const line of lines) {
+    const labelled = line.match(/^(phone|tel|telephone|mobile|cell|ph|email|e-mail)\s*[:.#-]?\s*(.+)$/i);
+    const value = labelled ? labelled[2].trim() : line;
+    if (!email && isValidEmail(value)) {
+      email = value;
+      continue;
+    }
+    const asPhone = normalizePhone(value);
+    // An unlabelled line only counts as a phone when it has no letters (not "123 Main St")
+    if (!phone && asPhone && (labelled || !/[a-z]/i.test(value.replace(/\b(x|ext)\b/i, '')))) {
+      phone = asPhone;
+      continue;
+    }
+    rest.push(line);
+  }
+  return { lines: rest, phone, email };
+}
+
+/**
+ * Read the optional phone/email inputs of one address in an edit modal.
+ * Returns { phone, email, errors } with errors keyed by block_id.
+ */
+export function readContactInputs(values, side) {
+  const phoneRaw = (values[`${side}_phone_block`]?.[`${side}_phone`]?.value || '').trim();
+  const emailRaw = (values[`${side}_email_block`]?.[`${side}_email`]?.value || '').trim();
+  const errors = {};
+  const phone = phoneRaw ? normalizePhone(phoneRaw) : '';
+  if (phoneRaw && !phone) errors[`${side}_phone_block`] = 'Enter a phone number with 7–15 digits (e.g. +1 212 555 0100).';
+  if (emailRaw && !isValidEmail(emailRaw)) errors[`${side}_email_block`] = 'Enter a valid email address.';
+  return { phone, email: emailRaw, errors };
+}
+
+/* =========================
+   Address parsing (pasted multi-line addresses)
+========================= */
+
+const US_STATE_NAMES = {
+  ALABAMA: 'AL', ALASKA: 'AK', ARIZONA: 'AZ', ARKANSAS: 'AR', CALIFORNIA: 'CA', COLORADO: 'CO',
+  CONNECTICUT: 'CT', DELAWARE: 'DE', 'DISTRICT OF COLUMBIA': 'DC', FLORIDA: 'FL', GEORGIA: 'GA',
+  HAWAII: 'HI', IDAHO: 'ID', ILLINOIS: 'IL', INDIANA: 'IN', IOWA: 'IA', KANSAS: 'KS', KENTUCKY: 'KY',
+  LOUISIANA: 'LA', MAINE: 'ME', MARYLAND: 'MD', MASSACHUSETTS: 'MA', MICHIGAN: 'MI', MINNESOTA: 'MN',
+  MISSISSIPPI: 'MS', MISSOURI: 'MO', MONTANA: 'MT', NEBRASKA: 'NE', NEVADA: 'NV', 'NEW HAMPSHIRE': 'NH',
+  'NEW JERSEY': 'NJ', 'NEW MEXICO': 'NM', 'NEW YORK': 'NY', 'NORTH CAROLINA': 'NC', 'NORTH DAKOTA': 'ND',
+  OHIO: 'OH', OKLAHOMA: 'OK', OREGON: 'OR', PENNSYLVANIA: 'PA', 'RHODE ISLAND': 'RI',
+  'SOUTH CAROLINA': 'SC', 'SOUTH DAKOTA': 'SD', TENNESSEE: 'TN', TEXAS: 'TX', UTAH: 'UT', VERMONT: 'VT',
+  VIRGINIA: 'VA', WASHINGTON: 'WA', 'WEST VIRGINIA': 'WV', WISCONSIN: 'WI', WYOMING: 'WY',
+  'PUERTO RICO': 'PR', GUAM: 'GU', 'VIRGIN ISLANDS': 'VI', 'AMERICAN SAMOA': 'AS', 'NORTHERN MARIANA ISLANDS': 'MP'
+};
+const US_STATE_CODES = new Set([...Object.values(US_STATE_NAMES), 'AA', 'AE', 'AP']);
+
+const CA_PROVINCE_NAMES = {
+  ALBERTA: 'AB', 'BRITISH COLUMBIA': 'BC', MANITOBA: 'MB', 'NEW BRUNSWICK': 'NB',
+  'NEWFOUNDLAND AND LABRADOR': 'NL', NEWFOUNDLAND: 'NL', 'NOVA SCOTIA': 'NS', 'NORTHWEST TERRITORIES': 'NT',
+  NUNAVUT: 'NU', ONTARIO: 'ON', 'PRINCE EDWARD ISLAND': 'PE', QUEBEC: 'QC', 'QUÉBEC': 'QC',
+  SASKATCHEWAN: 'SK', YUKON: 'YT'
+};
+const CA_PROVINCE_CODES = new Set(Object.values(CA_PROVINCE_NAMES));
+
+const STREET_SUFFIXES = new Set([
+  'st', 'street', 'ave', 'av', 'avenue', 'blvd', 'boulevard', 'rd', 'road', 'dr', 'drive', 'ln', 'lane',
+  'ter', 'terrace', 'way', 'hwy', 'highway', 'pkwy', 'parkway', 'ct', 'court', 'cir', 'circle', 'pl', 'place',
+  'sq', 'square', 'trl', 'trail', 'loop', 'row', 'plz', 'plaza', 'aly', 'alley', 'expy', 'expressway',
+  'fwy', 'freeway', 'tpke', 'turnpike', 'pike', 'crescent', 'cres', 'xing', 'crossing', 'walk', 'path', 'broadway'
+]);
+
+const COMPANY_HINTS = new Set([
+  'inc', 'llc', 'ltd', 'corp', 'corporation', 'co', 'company', 'gmbh', 'plc', 'llp', 'lp', 'group', 'labs',
+  'holdings', 'enterprises', 'industries', 'partners', 'studio', 'studios'
+]);
+
+const UNIT_DESIGNATOR = '(?:(?:apt|apartment|ste|suite|unit|fl|floor|bldg|building|rm|room|dept|lot|spc|space|trlr|pmb)\\b\\.?|#)';
+const UNIT_LINE_RE = new RegExp(`^${UNIT_DESIGNATOR}\\s*#?\\s*[\\w-]+$`, 'i');
+const TRAILING_UNIT_RE = new RegExp(`^(.*\\S)\\s*,?\\s+(${UNIT_DESIGNATOR}\\s*#?\\s*[\\w-]+)$`, 'i');
+const PO_BOX_RE = /^(?:p\.?\s*o\.?\s*box|post\s+office\s+box|box)\s*#?\s*\w+/i;
+const CA_POSTAL_RE = /([A-Za-z]\d[A-Za-z])[\s-]?(\d[A-Za-z]\d)$/;
+const US_ZIP_RE = /(\d{5})(?:[\s-]?(\d{4}))?$/;
+// "SW1A 2AA", "M1 1AE", "EC1A1BB" at the end of "London SW1A 2AA"
+const UK_POSTCODE_END_RE = /^(.*?)[\s,]+([A-Z]{1,2}\d[A-Z\d]?)\s*(\d[A-Z]{2})$/i;
+// Postcodes outside the US/Canada: 75001, 1010, 113 51, 1012 AB, 00-950, D-10115
+const INTL_POSTCODE = '(?:[A-Z]{1,2}-)?(?:\\d{4}\\s?[A-Z]{2}(?![A-Z])|\\d{4,5}|\\d{3}\\s\\d{2}|\\d{2}-\\d{3})';
+const POSTCODE_FIRST_RE = new RegExp(`^(${INTL_POSTCODE})\\s+(\\D.*)$`, 'i');
+const POSTCODE_LAST_RE = new RegExp(`^(\\D.*?)[\\s,]+(${INTL_POSTCODE})$`, 'i');
+
+// Country lines at the end of a pasted address ("France", "UK", "Deutschland")
+const COUNTRY_NAMES = {
+  US: ['US', 'USA', 'UNITED STATES', 'UNITED STATES OF AMERICA'],
+  CA: ['CA', 'CANADA'],
+  GB: ['UK', 'GB', 'UNITED KINGDOM', 'GREAT BRITAIN', 'ENGLAND', 'SCOTLAND', 'WALES', 'NORTHERN IRELAND'],
+  IE: ['IRELAND'],
+  DE: ['GERMANY', 'DEUTSCHLAND'],
+  FR: ['FRANCE'],
+  IT: ['ITALY', 'ITALIA'],
+  ES: ['SPAIN', 'ESPAÑA', 'ESPANA'],
+  PT: ['PORTUGAL'],
+  NL: ['NETHERLANDS', 'THE NETHERLANDS', 'HOLLAND', 'NEDERLAND'],
+  BE: ['BELGIUM', 'BELGIQUE', 'BELGIË'],
+  LU: ['LUXEMBOURG'],
+  AT: ['AUSTRIA', 'ÖSTERREICH'],
+  CH: ['SWITZERLAND', 'SCHWEIZ', 'SUISSE'],
+  DK: ['DENMARK', 'DANMARK'],
+  SE: ['SWEDEN', 'SVERIGE'],
+  NO: ['NORWAY', 'NORGE'],
+  FI: ['FINLAND', 'SUOMI'],
+  PL: ['POLAND', 'POLSKA'],
+  CZ: ['CZECH REPUBLIC', 'CZECHIA'],
+  GR: ['GREECE'],
+  AU: ['AUSTRALIA'],
+  NZ: ['NEW ZEALAND'],
+  MX: ['MEXICO', 'MÉXICO'],
+  JP: ['JAPAN']
+};
+const COUNTRY_BY_NAME = new Map(
+  Object.entries(COUNTRY_NAMES).flatMap(([code, names]) => names.map((n) => [n, code]))
+);
+
+/** "France" / "U.K." / "Deutschland" on a line of its own → ISO code ('' otherwise). */
+function countryFromLine(line) {
+  return COUNTRY_BY_NAME.get(String(line || '').toUpperCase().replace(/\./g, '').replace(/\s+/g, ' ').trim()) || '';
+}
+
+const isIntlCountry = (country) => Boolean(country) && country !== 'US' && country !== 'CA';
+
+function lineWords(line) {
+  return line.toLowerCase().replace(/[.,()]/g, ' ').split(/\s+/).filter(Boolean);
+}
+
+function hasCompanyHint(line) {
+  return lineWords(line).some((w) => COMPANY_HINTS.has(w));
+}
+
+/** "NY" / "new york" / "Ontario" → { code, country } (or null). */
+function resolveRegion(text) {
+  const key = String(text || '').toUpperCase().replace(/\./g, '').replace(/\s+/g, ' ').trim();
+  if (!key) return null;
+  if (US_STATE_CODES.has(key)) return { code: key, country: 'US' };
+  if (CA_PROVINCE_CODES.has(key)) return { code: key, country: 'CA' };
+  if (US_STATE_NAMES[key]) return { code: US_STATE_NAMES[key], country: 'US' };
+  if (CA_PROVINCE_NAMES[key]) return { code: CA_PROVINCE_NAMES[key], country: 'CA' };
+  return null;
+}
+
+/**
+ * Split "City, ST" / "City ST" / "Kansas City, Missouri" into city + region.
+ * Prefers the last comma; otherwise tries the longest trailing run of words
+ * (up to 4) that names a state or province.
+ */
+function splitCityRegion(text) {
+  const rest = text.replace(/[\s,]+$/, '').trim();
+  const comma = rest.lastIndexOf(',');
+  if (comma !== -1) {
+    const region = resolveRegion(rest.slice(comma + 1));
+    if (region) return { city: rest.slice(0, comma).trim(), region, regionRaw: rest.slice(comma + 1).trim() };
+  }
+  const words = rest.replace(/,/g, ' ').split(/\s+/).filter(Boolean);
+  for (let k = Math.min(4, words.length - 1); k >= 1; k--) {
+    const region = resolveRegion(words.slice(words.length - k).join(' '));
+    if (region) return { city: words.slice(0, words.length - k).join(' '), region, regionRaw: words.slice(words.length - k).join(' ') };
+  }
+  // Unknown region: keep the last word as the raw state so it's visible in review
+  if (comma !== -1) return { city: rest.slice(0, comma).trim(), region: null, regionRaw: rest.slice(comma + 1).trim() };
+  if (words.length >= 2) return { city: words.slice(0, -1).join(' '), region: null, regionRaw: words[words.length - 1] };
+  return { city: rest, region: null, regionRaw: '' };
+}
+
+/**
+ * The city line of an address outside the US and Canada: postcode first
+ * ("75001 Paris", "10115 Berlin", "1012 AB Amsterdam"), postcode last
+ * ("London SW1A 2AA", "Dublin, D02"), or just the city. There is no state;
+ * null when the rest reads like a street rather than a city.
+ */
+function parseIntlCityLine(text, country) {
+  const uk = text.match(UK_POSTCODE_END_RE);
+  const first = text.match(POSTCODE_FIRST_RE);
+  const last = text.match(POSTCODE_LAST_RE);
+  const [city, zip] = uk
+    ? [uk[1], `${uk[2]} ${uk[3]}`]
+    : first
+      ? [first[2], first[1]]
+      : last
+        ? [last[1], last[2]]
+        : [text, ''];
+  const cleanCity = city.replace(/^[\s,]+|[\s,]+$/g, '');
+  if (!cleanCity || streetScore(cleanCity, { country }) > 0) return null;
+  return { city: cleanCity, state: '', zip: zip.toUpperCase(), country, regionKnown: false };
+}
+
+/**
+ * Parse the city line. US and Canada: "City, ST ZIP" (ZIP+4, Canadian "A1A 1A1",
+ * full state or province names). With another `country` (picked in the modal or
+ * named on the address's last line) the line is read the way that country
+ * writes it (see parseIntlCityLine); a UK postcode is recognised either way.
+ * Returns null when the line has no region and no postcode.
+ */
+export function parseCityLine(line, { country = '' } = {}) {
+  const text = line.trim();
+  if (isIntlCountry(country)) return parseIntlCityLine(text, country);
+
+  const ca = text.match(CA_POSTAL_RE);
+  if (ca && ca.index > 0) {
+    const { city, region, regionRaw } = splitCityRegion(text.slice(0, ca.index));
+    return {
+      city,
+      state: region ? region.code : regionRaw.toUpperCase(),
+      zip: `${ca[1]} ${ca[2]}`.toUpperCase(),
+      country: 'CA',
+      regionKnown: region?.country === 'CA'
+    };
+  }
+
+  const us = text.match(US_ZIP_RE);
+  if (us && us.index > 0) {
+    const { city, region, regionRaw } = splitCityRegion(text.slice(0, us.index));
+    return {
+      city,
+      state: region ? region.code : regionRaw.toUpperCase(),
+      zip: us[2] ? `${us[1]}-${us[2]}` : us[1],
+      country: 'US',
+      regionKnown: region?.country === 'US'
+    };
+  }
+
+  const { city, region } = splitCityRegion(text);
+  if (region) return { city, state: region.code, zip: '', country: region.country, regionKnown: true };
+
+  return UK_POSTCODE_END_RE.test(text) ? parseIntlCityLine(text, 'GB') : null;
+}
+
+/**
+ * Score how much a line looks like street line 1:
+ *  3 = PO box or "123 Main St", 2 = numbered street without a suffix ("1 Broadway",
+ *  "350 Fifth") or, outside the US and Canada (`country`), with the number last as
+ *  in most of Europe ("Musterstraße 5"), 1 = street word without a number ("Main
+ *  Street"), 0 = not a street. At home "Dock 3" or "Building 2" is no street.
+ * Company-looking lines ("127 Labs Inc") never score as streets.
+ */
+function streetScore(line, { country = '' } = {}) {
+  if (PO_BOX_RE.test(line)) return 3;
+  if (hasCompanyHint(line) || UNIT_LINE_RE.test(line)) return 0;
+  const words = lineWords(line);
+  const startsWithNumber = /^\d+[a-z]?(?:[-/]\d+[a-z]?)?\s+\S/i.test(line);
+  const hasSuffix = words.slice(1).some((w) => STREET_SUFFIXES.has(w)) || words[0] === 'broadway';
+  if (startsWithNumber && hasSuffix) return 3;
+  if (startsWithNumber) return 2;
+  if (isIntlCountry(country) && /^[^\d,]+\s\d+[a-z]?(?:[-/]\d+[a-z]?)?$/i.test(line) && words.length <= 4) return 2;
+  if (hasSuffix) return 1;
+  return 0;
+}
+
+/** "Unit 4 / 200 Queen St W", "123 Main St, Apt 4B", "123 Main St #4" → { street, unit }. */
+function splitUnitFromStreet(line) {
+  const segments = line.split(/\s*[/,]\s*/).filter(Boolean);
+  if (segments.length > 1) {
+    const units = segments.filter((seg) => UNIT_LINE_RE.test(seg));
+    const others = segments.filter((seg) => !UNIT_LINE_RE.test(seg));
+    if (units.length > 0 && others.length === 1) return { street: others[0], unit: units.join(', ') };
+  }
+  const trailing = line.match(TRAILING_UNIT_RE);
+  if (trailing && streetScore(trailing[1]) >= 2) return { street: trailing[1], unit: trailing[2] };
+  return { street: line, unit: '' };
+}
+
+/**
+ * Multi-line address parser (US and Canada, plus the usual European city lines).
+ *
+ * Heuristics:
+ *  - Phone/email lines are pulled out first; a trailing country line ("USA", "Canada",
+ *    "France", "UK", …) sets the country and is dropped.
+ *  - The last line is "City, ST ZIP" (also ZIP+4, full state names, "Toronto, ON M5V 2T6").
+ *    For other countries (`country`, or the country line) it is "75001 Paris",
+ *    "London SW1A 2AA" and the like, with no state.
+ *  - Street line 1 is the best-scoring line (see streetScore): PO boxes, "123 Main St",
+ *    numbered-only streets like "1 Broadway". Unit designators (Apt, Ste, Unit, #, Fl, Bldg)
+ *    and PMB numbers, on the same line or on their own line, go to street2.
+ *  - Lines before street1 are name, then company; a single line with a company
+ *    suffix (Inc, LLC, …) is treated as the company.
+ *
+ * Besides the address fields, returns `country` ('US' / 'CA' / ''), per-field
+ * `confidence` ('high' | 'medium' | 'low') and human-readable `warnings`.
+ */
+export function parseAddressMultiline(raw, { country: selectedCountry = '' } = {}) {
+  const empty = {
+    name: '',
+    company: '',
+    street1: '',
+    street2: '',
+    city: '',
+    state: '',
+    zip: '',
+    phone: '',
+    email: '',
+    country: '',
+    confidence: {},
+    warnings: []
+  };
+
+  if (!raw || typeof raw !== 'string') {
+    return empty;
+  }
+
+  // Phone/email lines can sit anywhere in a pasted address
+  const extracted = extractContactLines(
+    raw
+      .split('\n')
+      .map((l) => l.trim())
+      .filter((l) => l.length > 0)
+  );
+  const { phone, email } = extracted;
+  const lines = extracted.lines;
+
+  let countryHint = lines.length > 1 ? countryFromLine(lines[lines.length - 1]) : '';
+  if (countryHint) lines.pop();
+  // A country picked in the modal counts when the address doesn't name one
+  if (!countryHint && isIntlCountry(selectedCountry)) countryHint = selectedCountry;
+
+  if (lines.length === 0) {
+    return { ...empty, phone, email };
+  }
+
+  const confidence = {};
+  const warnings = [];
+
+  // --- City / state / ZIP from the last line ---
+  const cityLine = lines[lines.length - 1];
+  const cityParsed = parseCityLine(cityLine, { country: countryHint });
+  let city = '';
+  let state = '';
+  let zip = '';
+  let country = countryHint;
+  let head = lines.slice(0, -1);
+
+  if (cityParsed) {
+    ({ city, state, zip } = cityParsed);
+    country = countryHint || cityParsed.country;
+    const intl = isIntlCountry(country);
+    confidence.city = city ? 'high' : 'low';
+    confidence.state = cityParsed.regionKnown || intl ? 'high' : 'low';
+    confidence.zip = zip ? 'high' : 'low';
+    if (!city) warnings.push('No city found before the state/ZIP.');
+    if (!cityParsed.regionKnown && !intl) warnings.push(`State/province "${state || '?'}" was not recognized.`);
+    if (!zip) warnings.push('No ZIP/postal code found.');
+  } else {
+    // No recognizable city line; keep every line for the street/name logic
+    head = lines;
+    confidence.city = 'low';
+    confidence.state = 'low';
+    confidence.zip = 'low';
+    warnings.push(isIntlCountry(country) ? 'Could not find the postcode and city line.' : 'Could not find a "City, ST ZIP" line.');
+  }
+
+  if (head.length === 0) {
+    confidence.street1 = 'low';
+    warnings.push('No street line found.');
+    return { ...empty, city, state, zip, phone, email, country, confidence, warnings };
+  }
+
+  // --- Street line 1 ---
+  const scores = head.map((l) => streetScore(splitUnitFromStreet(l).street, { country }));
+  let streetIndex = scores.findIndex((sc) => sc >= 2);
+  if (streetIndex === -1) streetIndex = scores.findIndex((sc) => sc === 1);
+  if (streetIndex === -1) {
+    streetIndex = head.length - 1;
+    confidence.street1 = 'low';
+    warnings.push(`No line looked like a street; using "${head[streetIndex]}" as Street 1.`);
+  } else {
+    confidence.street1 = scores[streetIndex] === 3 ? 'high' : 'medium';
+  }
+
+  const { street: street1, unit } = splitUnitFromStreet(head[streetIndex]);
+
+  // Unit-only lines before the street (e.g. "Apt 4B" above "123 Main St") belong to street2 too
+  const before = head.slice(0, streetIndex).filter((l) => !UNIT_LINE_RE.test(l));
+  const unitsBefore = head.slice(0, streetIndex).filter((l) => UNIT_LINE_RE.test(l));
+  const street2 = [unit, ...unitsBefore, ...head.slice(streetIndex + 1)].filter(Boolean).join(', ');
+
+  // --- Name / company ---
+  let name = '';
+  let company = '';
+  if (before.length === 1) {
+    if (hasCompanyHint(before[0])) company = before[0];
+    else name = before[0];
+  } else if (before.length >= 2) {
+    name = before[0];
+    company = before.slice(1).join(', ');
+  }
+  if (name) confidence.name = 'high';
+  if (company) confidence.company = before.length === 1 ? 'high' : 'medium';
+
+  return {
+    name,
+    company,
+    street1,
+    street2,
+    city,
+    state,
+    zip,
+    phone,
+    email,
+    country,
+    confidence,
+    warnings
+  };
+}
+
+// Labels CS copies along with addresses from Shopify emails and customer messages
+const ADDRESS_HEADER_ONLY_RE = /^(?:(?:shipping|billing|delivery|mailing)\s+address|ship(?:ping)?\s+to|deliver\s+to|address)\s*:?$/i;
+const ADDRESS_LABEL_RE = /^(?:(?:shipping|billing|delivery|mailing)\s+address|ship(?:ping)?\s+to|deliver\s+to|address|recipient|customer|name)\s*[:-]\s*/i;
+const ATTENTION_RE = /^(?:attn|attention)\s*[:.]?\s+/i;
+const COUNTRY_SEGMENT_RE = /^(?:usa|u\.s\.a\.?|u\.s\.|united states(?: of america)?|canada)$/i;
+const COMPANY_SUFFIX_SEGMENT_RE = /^(?:inc|llc|ltd|corp|co|gmbh|plc|llp)\.?$/i;
+
+/**
+ * Free-form address extraction on top of parseAddressMultiline:
+ *  - strips "Ship to:", "Shipping address", "Name:" style labels;
+ *  - "Attn: Jane Doe" becomes the name (the other pre-street line becomes the company);
+ *  - a single comma-separated line is split into address lines, regrouping the
+ *    trailing "City, ST ZIP" pieces;
+ *  - phone/email anywhere are picked up (see extractContactLines).
+ * When any of that kicked in, `freeform` is true and the warnings list every
+ * field the parser wasn't sure about, so review shows what to double-check.
+ */
+export function parseAddressText(raw, { country = '' } = {}) {
+  if (!raw || typeof raw !== 'string') return parseAddressMultiline(raw, { country });
+
+  let attention = '';
+  let relabelled = false;
+  const lines = [];
+  for (const rawLine of raw.split('\n')) {
+    let line = rawLine.trim();
+    if (!line) continue;
+    if (ADDRESS_HEADER_ONLY_RE.test(line)) {
+      relabelled = true;
+      continue;
+    }
+    if (ADDRESS_LABEL_RE.test(line)) {
+      line = line.replace(ADDRESS_LABEL_RE, '').trim();
+      relabelled = true;
+    }
+    const attn = line.match(ATTENTION_RE);
+    if (attn) {
+      attention = line.slice(attn[0].length).trim();
+      relabelled = true;
+      continue;
+    }
+    if (line) lines.push(line);
+  }
+
+  const singleLine = extractContactLines(lines).lines.length === 1 && lines.some((l) => l.includes(','));
+  let text = lines.join('\n');
+
+  if (singleLine) {
+    const segments = [];
+    for (const seg of lines.flatMap((l) => l.split(/\s*[,;]\s*/)).filter(Boolean)) {
+      // "Acme, Inc." stays one segment
+      if (segments.length > 0 && COMPANY_SUFFIX_SEGMENT_RE.test(seg)) segments[segments.length - 1] += `, ${seg}`;
+      else segments.push(seg);
+    }
+    const { lines: parts, phone, email } = extractContactLines(segments);
+    // A bare "CA" segment is California here ("Los Angeles, CA"), not Canada
+    const lastPart = parts[parts.length - 1] || '';
+    const countryLine = parts.length > 1 && (COUNTRY_SEGMENT_RE.test(lastPart) || isIntlCountry(countryFromLine(lastPart)))
+      ? parts.pop()
+      : '';
+
+    // Smallest tail that reads as "City, ST [ZIP]" ("New York" + "NY 10001", "Toronto" + "ON" + "M5V 2T6")
+    let tail = 1;
+    for (let n = 1; n <= Math.min(3, parts.length); n++) {
+      const parsed = parseCityLine(parts.slice(-n).join(', '));
+      if (parsed?.city && parsed.regionKnown) {
+        tail = n;
+        break;
+      }
+    }
+    text = [...parts.slice(0, -tail), parts.slice(-tail).join(', '), countryLine, phone, email]
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  const result = parseAddressMultiline(text, { country });
+
+  if (attention) {
+    result.company = [result.name, result.company].filter(Boolean).join(', ');
+    result.name = attention;
+    result.confidence = { ...result.confidence, name: 'high', ...(result.company ? { company: 'medium' } : {}) };
+  }
+
+  const freeform = singleLine || relabelled;
+  if (freeform) {
+    const labels = { name: 'Name', street1: 'Street', city: 'City', state: 'State', zip: 'ZIP' };
+    const unsure = Object.keys(labels).filter((f) => result.confidence[f] && result.confidence[f] !== 'high');
+    result.warnings = [
+      'Extracted from free-form text; check each field above.',
+      ...(unsure.length > 0 ? [`Least sure about: ${unsure.map((f) => labels[f]).join(', ')}.`] : []),
+      ...result.warnings
+    ];
+  }
+  return { ...result, freeform };
+}
+
+/**
+ * Edit-modal errors for a pasted address that is missing something Shippo needs
+ * (street, city, ZIP/postcode for US and Canada). Keyed by the address input's
+ * block_id; the message shows the city line format for the address's country.
+ */
+export function parsedAddressErrors(parsed, blockId, country) {
+  const missing = [];
+  if (!parsed.street1) missing.push('street');
+  if (!parsed.city) missing.push('city');
+  if ((country === 'US' || country === 'CA') && !parsed.zip) missing.push(country === 'CA' ? 'postal code' : 'ZIP');
+  if (missing.length === 0) return {};
+  const format = isIntlCountry(country)
+    ? 'Last line should be the postcode and city ("75001 Paris", "London SW1A 2AA"), with the country on its own line or picked below.'
+    : 'Last line should be "City, ST ZIP".';
+  return { [blockId]: `Couldn't find the ${missing.join(', ')} in this address. ${format}` };
+}
+
+/** Country for a pasted address: an explicit non-US pick wins, then what the parser detected. */
+export function resolveAddressCountry(selectedCountry, parsed) {
+  if (selectedCountry && selectedCountry !== 'US') return selectedCountry;
+  return parsed?.country || selectedCountry || 'US';
+}
+
+/* =========================
+   Addresses inside messages
+========================= */
+
+// Slack formatting around a line: quotes, bullets, *bold*/_italic_/`code`
+function cleanMessageLine(line) {
+  return line.replace(/^[\s>•·◦‣-]+/, '').replace(/^[*_~`]+|[*_~`]+$/g, '').trim();
+}
+
+// "Hi team, can we ship this today?" — prose rather than a name/company line
+function isChatter(line) {
+  return /[?!:]$/.test(line) || line.split(/\s+/).length > 6;
+}
+
+/**
+ * Find an address inside a longer message (a Slack message from sales or
+ * support: greetings, the address, "thanks!"). Looks for the first
+ * "City, ST ZIP" line with a street line at most three lines above it and
+ * returns those lines, the name/company lines just above the street and the
+ * phone/email/country lines just below, as text for parseAddressText. A
+ * one-line "Name, Street, City, ST ZIP" (optionally after "Ship to:") works too.
+ * Returns '' when nothing looks like an address.
+ */
+export function findAddressInText(text) {
+  const lines = String(text || '').split('\n').map(cleanMessageLine);
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line) continue;
+
+    // One line, maybe after a short lead-in ("Please ship to: …")
+    const colon = line.indexOf(':');
+    const oneLine = colon !== -1 && line.slice(0, colon).split(/\s+/).length <= 5 ? line.slice(colon + 1).trim() : line;
+    if (oneLine.split(',').length >= 3) {
+      const parsed = parseAddressText(oneLine);
+      if (parsed.street1 && parsed.city && parsed.zip && streetScore(parsed.street1) >= 2) return oneLine;
+    }
+
+    const cityLine = parseCityLine(line);
+    if (!cityLine?.city || !cityLine.zip || !cityLine.regionKnown) continue;
+
+    let street = -1;
+    for (let j = i - 1; j >= Math.max(i - 3, 0) && lines[j]; j--) {
+      if (streetScore(splitUnitFromStreet(lines[j]).street) >= 2) {
+        street = j;
+        break;
+      }
+    }
+    if (street === -1) continue;
+
+    let start = street;
+    while (start > Math.max(street - 2, 0) && lines[start - 1] && !isChatter(lines[start - 1])) start--;
+    let end = i + 1;
+    while (end < Math.min(i + 4, lines.length) && lines[end] &&
+      (COUNTRY_SEGMENT_RE.test(lines[end]) || extractContactLines([lines[end]]).lines.length === 0)) end++;
+
+    return lines.slice(start, end).join('\n');
+  }
+  return '';
+}
@@ -0,0 +1,252 @@
+/**
+ * Bulk label CSVs: parsing the uploaded sheet into validated rows and writing
+ * the preview/results CSVs back. One row per shipment; the header names the
+ * columns (any order, case and spacing don't matter):
+ *
+ *   name, company, street1, street2, city, state, zip, country, phone, email
+ *       or a single "address" column with the whole address (as pasted in the modal)
+ *   preset                      package preset id or name (default: the first preset)
+ *       or length, width, height, weight (inches / lb; with a preset, weight is the contents)
+ *   service                     "ups/ground", "usps", "usps_priority", … (blank: the rate policy)
+ *   signature                   yes / no (default: yes, like the label modals)
+ *   reference                   order number or note, echoed in the results CSV
+ *
+ * Pure functions, no Slack or Shippo calls.
+ */
+
+import { isValidEmail, normalizePhone, parseAddressText, parsedAddressErrors, resolveAddressCountry } from './address-parser.js';
+import { SEED_PACKAGE_PRESETS, findPackagePreset, parcelBlockId, readParcelInputs } from './shipment.js';
+
+export const MAX_BULK_ROWS = 100;
+
+/* =========================
+   CSV text
+========================= */
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, newlines inside
+ * quotes, CRLF or LF). A leading BOM is dropped. Spreadsheets exported with
+ * ";" or tabs work too: the delimiter is whichever of , ; \t the header uses most.
+ * Returns an array of rows, each an array of strings.
+ */
+export function parseCsv(text) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const headerLine = src.split(/\r?\n/, 1)[0];
+  const [best] = [',', ';', '\t']
+    .map((d) => [d, headerLine.split(d).length])
+    .sort((a, b) => b[1] - a[1]);
+  const delimiter = best[1] > 1 ? best[0] : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"' && field === '') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * CSV text for rows of values (null/undefined → empty). Fields with commas,
+ * quotes or newlines are quoted; lines end in CRLF like spreadsheet exports.
+ */
+export function toCsv(rows) {
+  const cell = (value) => {
+    const s = value == null ? '' : String(value);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return rows.map((r) => r.map(cell).join(',')).join('\r\n') + '\r\n';
+}
+
+/* =========================
+   Rows
+========================= */
+
+// Normalized header (lowercase, letters/digits only) → field
+const COLUMN_ALIASES = {
+  name: 'name', recipient: 'name', fullname: 'name', recipientname: 'name', shiptoname: 'name',
+  company: 'company', companyname: 'company', organization: 'company',
+  street1: 'street1', address1: 'street1', addressline1: 'street1', street: 'street1',
+  street2: 'street2', address2: 'street2', addressline2: 'street2', apt: 'street2', suite: 'street2', unit: 'street2',
+  city: 'city', town: 'city',
+  state: 'state', province: 'state', region: 'state', stateprovince: 'state',
+  zip: 'zip', zipcode: 'zip', postalcode: 'zip', postcode: 'zip', postal: 'zip',
+  country: 'country', countrycode: 'country',
+  phone: 'phone', phonenumber: 'phone', tel: 'phone',
+  email: 'email', emailaddress: 'email',
+  address: 'address', fulladdress: 'address', shipto: 'address',
+  preset: 'preset', package: 'preset', packagepreset: 'preset', box: 'preset',
+  length: 'length', width: 'width', height: 'height',
+  weight: 'weight', weightlb: 'weight', weightlbs: 'weight',
+  service: 'service', shippingservice: 'service', servicelevel: 'service',
+  signature: 'signature', requiresignature: 'signature', signaturerequired: 'signature',
+  reference: 'reference', ref: 'reference', order: 'reference', ordernumber: 'reference', orderid: 'reference'
+};
+
+const YES = new Set(['yes', 'y', 'true', '1', 'required', 'standard']);
+const NO = new Set(['no', 'n', 'false', '0', 'none']);
+
+function columnField(header) {
+  return COLUMN_ALIASES[String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '')] || null;
+}
+
+/**
+ * Address of one row: the split columns when street1 is filled in, otherwise the
+ * "address" column run through the same parser as the modals. Returns
+ * { address, warnings, errors }; address carries the country and phone/email.
+ */
+function readRowAddress(get) {
+  const errors = [];
+  let parsed;
+  let warnings = [];
+  if (get('street1') || !get('address')) {
+    parsed = {
+      name: get('name'), company: get('company'), street1: get('street1'), street2: get('street2'),
+      city: get('city'), state: get('state').toUpperCase(), zip: get('zip'), phone: '', email: ''
+    };
+  } else {
+    parsed = parseAddressText(get('address'), { country: get('country').toUpperCase() });
+    warnings = (parsed.warnings || []).filter((w) => !w.startsWith('Extracted from free-form text'));
+    if (get('name')) parsed = { ...parsed, name: get('name') };
+    if (get('company')) parsed = { ...parsed, company: get('company') };
+  }
+  const country = get('country') ? get('country').toUpperCase() : resolveAddressCountry('US', parsed);
+  const missing = Object.values(parsedAddressErrors(parsed, 'address', country))[0];
+  if (missing) errors.push(missing.replace(' in this address', '').replace(/ Last line .*$/, ''));
+  if (!parsed.name && !parsed.company) errors.push('Missing the recipient name.');
+
+  const phoneRaw = get('phone') || parsed.phone || '';
+  const phone = phoneRaw ? normalizePhone(phoneRaw) : '';
+  if (phoneRaw && !phone) errors.push(`Phone "${phoneRaw}" needs 7–15 digits.`);
+  const email = get('email') || parsed.email || '';
+  if (email && !isValidEmail(email)) errors.push(`Email "${email}" is not valid.`);
+
+  const address = {
+    name: parsed.name || '', company: parsed.company || '', street1: parsed.street1 || '', street2: parsed.street2 || '',
+    city: parsed.city || '', state: parsed.state || '', zip: parsed.zip || '', country, phone, email
+  };
+  return { address, warnings, errors };
+}
+
+/**
+ * Parcel of one row, read like the edit modal's package inputs (a preset plus an
+ * optional contents weight, or custom dimensions). Returns { parcel, errors }.
+ */
+function readRowParcel(get, presets) {
+  const presetText = get('preset');
+  const preset = presetText ? findPackagePreset(presets, presetText) : null;
+  if (presetText && !preset) return { parcel: null, errors: [`Unknown package preset "${presetText}".`] };
+
+  const values = {};
+  if (preset) values[parcelBlockId(0, 'preset')] = { parcel_preset: { selected_option: { value: preset.id } } };
+  for (const field of ['length', 'width', 'height', 'weight']) {
+    values[parcelBlockId(0, field)] = { [`parcel_${field}`]: { value: get(field) } };
+  }
+  const { parcels, errors } = readParcelInputs(values, 1, presets);
+  const messages = Object.entries(errors).map(([blockId, message]) => {
+    const field = ['length', 'width', 'height', 'weight'].find((f) => blockId === parcelBlockId(0, f));
+    return `${field[0].toUpperCase()}${field.slice(1)}: ${message.replace('custom package info', 'custom dimensions')}`;
+  });
+  return { parcel: messages.length ? null : parcels[0], errors: messages };
+}
+
+/**
+ * Read an uploaded bulk CSV. Every data row (blank rows are skipped) becomes
+ *   { line, reference, address, parcel, service, requireSignature, warnings, errors }
+ * where `line` is the spreadsheet row number (header = 1) and `errors` lists what
+ * stops that row from being rated. File-level problems (no data, missing address
+ * columns, too many rows) come back in `errors` with no rows.
+ */
+export function readBulkRows(text, { presets = SEED_PACKAGE_PRESETS, maxRows = MAX_BULK_ROWS } = {}) {
+  const [header = [], ...body] = parseCsv(text);
+  const fields = header.map(columnField);
+  const has = (f) => fields.includes(f);
+
+  const errors = [];
+  if (!has('street1') && !has('address')) {
+    errors.push('The header needs either an "address" column or "street1", "city", "state" and "zip" columns.');
+  }
+  const data = body
+    .map((cells, i) => ({ cells, line: i + 2 }))
+    .filter(({ cells }) => cells.some((c) => String(c).trim() !== ''));
+  if (data.length === 0) errors.push('The CSV has no data rows.');
+  if (data.length > maxRows) errors.push(`The CSV has ${data.length} rows; the limit is ${maxRows} per upload.`);
+  if (errors.length > 0) return { rows: [], errors };
+
+  const rows = data.map(({ cells, line }) => {
+    const get = (field) => {
+      const i = fields.indexOf(field);
+      return i === -1 ? '' : String(cells[i] ?? '').trim();
+    };
+    const address = readRowAddress(get);
+    const parcel = readRowParcel(get, presets);
+
+    const rowErrors = [...address.errors, ...parcel.errors];
+    const signature = get('signature').toLowerCase();
+    if (signature && !YES.has(signature) && !NO.has(signature)) rowErrors.push(`Signature "${get('signature')}" should be yes or no.`);
+
+    return {
+      line,
+      reference: get('reference'),
+      address: address.address,
+      parcel: parcel.parcel,
+      service: get('service'),
+      requireSignature: !NO.has(signature),
+      warnings: address.warnings,
+      errors: rowErrors
+    };
+  });
+  return { rows, errors: [] };
+}
+
+/* =========================
+   Preview / results CSV
+========================= */
+
+export const BULK_RESULT_COLUMNS = [
+  'row', 'reference', 'name', 'company', 'city', 'state', 'zip', 'country',
+  'carrier', 'service', 'amount', 'currency', 'status', 'tracking_number', 'tracking_url', 'error'
+];
+
+/**
+ * The CSV posted with the preview and, after the purchase, with the labels.
+ * Each row is { line, reference, address, rate: { provider, service, amount, currency },
+ * status, trackingNumber, trackingUrl, error }.
+ */
+export function bulkResultsCsv(rows) {
+  return toCsv([
+    BULK_RESULT_COLUMNS,
+    ...rows.map((r) => [
+      r.line, r.reference, r.address?.name, r.address?.company, r.address?.city, r.address?.state, r.address?.zip, r.address?.country,
+      r.rate?.provider, r.rate?.service, r.rate?.amount, r.rate?.currency, r.status, r.trackingNumber, r.trackingUrl, r.error
+    ])
+  ]);
+}
@@ -0,0 +1,108 @@
+/**
+ * Arguments of /shippinglabel and /returnlabel. Flags preset the edit modal;
+ * everything else is the address (Ship To for shipping labels, the custom
+ * Ship From for returns), pasted the same way as into the modal:
+ *
+ *   --box=<preset>         package preset id or name (quote names with spaces)
+ *   --service=<service>    "ups/ground", "usps", "usps_priority", … (a rate policy matcher)
+ *   --no-signature         remove the signature requirement
+ *   --order=<number>       order number, kept on the label and sent to Shippo as metadata
+ *                          (a lone "#1042" works too; with Shopify set up the order's
+ *                          address and weight fill in whatever wasn't typed)
+ *   --reason=<code>        return reason ("damaged", "fitment", …; /returnlabel only)
+ *
+ * e.g. /shippinglabel --box=flat --order=1042 Jane Doe, 1 Main St, Austin, TX 78701
+ *
+ * Pure functions, no Slack or Shippo calls.
+ */
+
+import { parseAddressText, parsedAddressErrors, resolveAddressCountry } from './address-parser.js';
+import { rmaReason } from './rma.js';
+import { findPackagePreset } from './shipment.js';
+
+const VALUE_FLAGS = ['box', 'service', 'order', 'reason'];
+const SWITCH_FLAGS = ['no-signature'];
+const FLAG_EXAMPLES = { box: 'default', service: 'ups/ground', order: '1042', reason: 'damaged' };
+
+// --flag, --flag=value, --flag="two words"; Slack's smart punctuation may turn
+// "--" into an em/en dash and straight quotes into curly ones.
+const FLAG_RE = /(^|\s)(?:--|[—–])([a-z][a-z-]*)(?:=(?:"([^"]*)"|“([^”]*)”|'([^']*)'|(\S*)))?(?=\s|$)/gi;
+
+/**
+ * Undo Slack's escaping of command or message text: &amp; &lt; &gt; and auto-linked
+ * <mailto:a@b.co|a@b.co> / <tel:…|…> / <https://…|label> become plain text.
+ */
+export function slackPlainText(text) {
+  return String(text || '')
+    .replace(/<([^<>|]+)(?:\|([^<>]*))?>/g, (_, target, label) => label || target.replace(/^(mailto|tel):/, ''))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Split the command text into flags and the address text. Returns
+ *   { address, box, service, requireSignature, order, reason, errors }
+ * where missing flags are null (requireSignature: true) and `errors` lists
+ * unknown flags and flags missing their value. A later repeat of a flag wins.
+ */
+export function parseLabelCommandText(text) {
+  const args = { address: '', box: null, service: null, requireSignature: true, order: null, reason: null, errors: [] };
+
+  const rest = slackPlainText(text).replace(FLAG_RE, (whole, lead, rawName, dq, cq, sq, bare) => {
+    const name = rawName.toLowerCase();
+    const hasValue = [dq, cq, sq, bare].some((v) => v !== undefined);
+    const value = [dq, cq, sq, bare].find((v) => v !== undefined)?.trim() || '';
+
+    if (SWITCH_FLAGS.includes(name)) {
+      if (hasValue) args.errors.push(`--${name} doesn't take a value.`);
+      else args.requireSignature = false;
+    } else if (VALUE_FLAGS.includes(name)) {
+      if (!value) args.errors.push(`--${name} needs a value, e.g. --${name}=${FLAG_EXAMPLES[name]}.`);
+      else args[name] = name === 'order' ? value.replace(/^#/, '') : value;
+    } else {
+      args.errors.push(`Unknown option --${name}. Use --box, --service, --no-signature, --order or --reason.`);
+    }
+    return lead;
+  });
+
+  args.address = rest
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .join('\n');
+  // "/shippinglabel #1042": just an order number
+  if (!args.order && /^#\d+$/.test(args.address)) {
+    args.order = args.address.slice(1);
+    args.address = '';
+  }
+  return args;
+}
+
+/**
+ * What the edit modal can be prefilled with: the parsed args plus the matched
+ * package `preset` (null when --box was not given or unknown) and `complete`,
+ * true when nothing is left to ask for — an address that parses with a street,
+ * city and ZIP, a known --box and no bad flags — so the modal can be skipped.
+ * Unknown --box and --reason values are added to `errors`; `reason` is the
+ * matched reason code. `address` (e.g. from the Shopify order) is used when
+ * the text has none.
+ */
+export function labelCommandPrefill(text, presets, { address = '' } = {}) {
+  const parsedArgs = parseLabelCommandText(text);
+  const args = { ...parsedArgs, address: parsedArgs.address || address };
+  const errors = [...args.errors];
+
+  const preset = args.box ? findPackagePreset(presets, args.box) : null;
+  if (args.box && !preset) errors.push(`Unknown package preset "${args.box}".`);
+  const reason = args.reason ? rmaReason(args.reason) : null;
+  if (args.reason && !reason) errors.push(`Unknown return reason "${args.reason}".`);
+
+  let addressOk = false;
+  if (args.address) {
+    const parsed = parseAddressText(args.address);
+    addressOk = Object.keys(parsedAddressErrors(parsed, 'address', resolveAddressCountry('US', parsed))).length === 0;
+  }
+
+  return { ...args, reason: reason?.value || null, preset, errors, complete: addressOk && Boolean(preset) && errors.length === 0 };
+}
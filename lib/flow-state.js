@@ -0,0 +1,66 @@
+/**
+ * Pending label flow states: rated → reviewing → purchasing → purchased.
+ *
+ *  - rated:      rates offered, nothing picked yet (chooser buttons live)
+ *  - reviewing:  someone picked a rate and has the review modal open
+ *  - purchasing: the review was submitted and the label is being bought
+ *  - purchased:  done; the flow can't buy again
+ *
+ * Closing the review goes back to rated, and so does a purchase Shippo rejected
+ * (or that never went out). Any other failed purchase may still have bought a
+ * label, so it stays purchasing until someone checks again.
+ * Pure functions over the flow records kept in data/pending-flows.json.
+ */
+
+export const FLOW_STATES = ['rated', 'reviewing', 'purchasing', 'purchased'];
+
+export const FLOW_TRANSITIONS = Object.freeze({
+  rated: ['reviewing'],
+  reviewing: ['reviewing', 'rated', 'purchasing'],
+  purchasing: ['purchased', 'rated'],
+  purchased: []
+});
+
+// Someone who opened a review and walked away (or whose Slack never sent the
+// close event) stops blocking everybody else after this long.
+export const REVIEW_LOCK_MS = 15 * 60 * 1000;
+
+/**
+ * Can `by` move the flow from its current state to `to`? Re-opening a review is
+ * only allowed for the same person, or once their review lock went stale. Leaving
+ * a review (buying or closing it) only counts for the reviewer and the rate they
+ * are reviewing: an older review modal for another rate is out of date.
+ */
+export function canTransition(record, to, { by = null, rateId, now = Date.now() } = {}) {
+  const from = record?.state || 'rated';
+  if (!(FLOW_TRANSITIONS[from] || []).includes(to)) return false;
+  if (from === 'reviewing' && to === 'reviewing' && record.stateBy && by !== record.stateBy) {
+    return now - Date.parse(record.stateAt) > REVIEW_LOCK_MS;
+  }
+  if (from === 'reviewing' && (to === 'purchasing' || to === 'rated')) {
+    if (record.stateBy && by !== record.stateBy) return false;
+    if (record.rateId && rateId !== record.rateId) return false;
+  }
+  return true;
+}
+
+/**
+ * Move a flow record to `to`. Returns { ok, record }: a copy with the new state,
+ * who moved it (`stateBy`) and a history entry, or — when the move isn't allowed —
+ * the record unchanged so the caller can tell the user who holds it.
+ * `rateId` records the rate being reviewed/bought; `patch` adds other fields.
+ */
+export function transitionFlow(record, to, { by = null, rateId, patch = {}, now = Date.now() } = {}) {
+  if (!canTransition(record, to, { by, rateId, now })) return { ok: false, record };
+  const at = new Date(now).toISOString();
+  const next = {
+    ...record,
+    ...patch,
+    state: to,
+    stateBy: by,
+    stateAt: at,
+    history: [...(record.history || []), { at, state: to, by, ...(rateId ? { rateId } : {}) }]
+  };
+  if (rateId !== undefined) next.rateId = rateId;
+  return { ok: true, record: next };
+}
@@ -0,0 +1,84 @@
+/**
+ * Label file formats (Shippo's label_file_type) and how the files are named when
+ * they are uploaded to Slack. files.uploadV2 no longer takes a filetype: Slack
+ * derives it from the filename extension, so the extension is what matters.
+ * ZPL goes up as a plain-text file that can be sent to a Zebra printer as-is.
+ *
+ * Defaults live in data/label-formats.json:
+ *
+ *   {
+ *     "default": "PDF_4x6",
+ *     "flows": { "shippinglabel": "ZPLII", "returnlabel": "PDF" },
+ *     "users": { "U0123": { "shippinglabel": "PDF_4x6" } }
+ *   }
+ *
+ * Pure functions, no Slack or Shippo calls.
+ */
+
+const PDF = { extension: 'pdf', contentType: 'application/pdf' };
+
+export const LABEL_FORMATS = [
+  { value: 'PDF_4x6', name: 'PDF 4×6 (thermal)', aliases: ['4x6', 'pdf4x6'], ...PDF },
+  { value: 'PDF', name: 'PDF letter (8.5×11)', aliases: ['letter', 'pdf_letter'], ...PDF },
+  { value: 'PDF_A4', name: 'PDF A4', aliases: ['a4'], ...PDF },
+  { value: 'PNG', name: 'PNG image', aliases: [], extension: 'png', contentType: 'image/png' },
+  { value: 'ZPLII', name: 'ZPL II (Zebra printers)', aliases: ['zpl', 'zpl2'], extension: 'zpl', contentType: 'text/plain', snippetType: 'text' }
+];
+
+export const DEFAULT_LABEL_FORMAT = 'PDF_4x6';
+
+/**
+ * Look a format up by its Shippo value or a friendly alias ("letter", "zpl",
+ * "4x6"), case-insensitively. Returns the format or null.
+ */
+export function labelFormat(value) {
+  const v = String(value ?? '').trim().toLowerCase();
+  if (!v) return null;
+  return LABEL_FORMATS.find((f) => f.value.toLowerCase() === v || f.aliases.includes(v)) || null;
+}
+
+/**
+ * The first known format among `candidates` (most specific first), else PDF_4x6.
+ */
+export function resolveLabelFormat(...candidates) {
+  for (const candidate of candidates) {
+    const format = labelFormat(candidate);
+    if (format) return format;
+  }
+  return labelFormat(DEFAULT_LABEL_FORMAT);
+}
+
+/**
+ * Default format for a flow and user, most specific first:
+ * users[userId][flow] → flows[flow] → default → PDF_4x6. Unknown values are skipped.
+ */
+export function defaultLabelFormat(config, flow, userId) {
+  return resolveLabelFormat(
+    userId ? config?.users?.[userId]?.[flow] : null,
+    config?.flows?.[flow],
+    config?.default
+  );
+}
+
+/**
+ * Slack filename for a label file: "shipping-label.zpl", or
+ * "shipping-label-2-of-3.pdf" for one piece of a multi-parcel shipment.
+ */
+export function labelFilename(kind, format, { piece = 1, pieces = 1 } = {}) {
+  const ext = (format || labelFormat(DEFAULT_LABEL_FORMAT)).extension;
+  return pieces > 1 ? `${kind}-label-${piece}-of-${pieces}.${ext}` : `${kind}-label.${ext}`;
+}
+
+/**
+ * Read the label format inputs of an edit modal.
+ * Returns { labelFormat, remember }: the chosen Shippo value (null when the
+ * select is missing) and whether to save it as the user's default.
+ */
+export function readLabelFormatInputs(values) {
+  const chosen = values?.['label_format_block']?.['label_format']?.selected_option?.value;
+  const remember = values?.['label_format_default_block']?.['label_format_default']?.selected_options || [];
+  return {
+    labelFormat: labelFormat(chosen)?.value || null,
+    remember: Array.isArray(remember) && remember.length > 0
+  };
+}
@@ -0,0 +1,335 @@
+/**
+ * Network label printers: raw TCP ("JetDirect", port 9100) for ZPL printers and
+ * IPP Print-Job over HTTP for PDF/PNG printers. Configured in data/printers.json:
+ *
+ *   {
+ *     "printers": [
+ *       { "id": "zebra", "name": "Warehouse Zebra", "type": "raw", "host": "10.0.0.50", "port": 9100 },
+ *       { "id": "laser", "name": "Office laser", "type": "ipp", "url": "ipp://10.0.0.60/ipp/print", "formats": ["PDF", "PDF_A4"] }
+ *     ],
+ *     "channels": { "C0123": "zebra" }   // default printer per Slack channel
+ *   }
+ *
+ * `formats` (label_file_type values) defaults to ZPLII for raw printers and the
+ * PDF/PNG formats for IPP ones. dev/fake-printer.js stands in for both kinds.
+ */
+
+import net from 'net';
+import { labelFormat } from './label-format.js';
+
+export const PRINTER_TYPES = ['raw', 'ipp'];
+
+const DEFAULT_PRINTER_FORMATS = {
+  raw: ['ZPLII'],
+  ipp: ['PDF_4x6', 'PDF', 'PDF_A4', 'PNG']
+};
+
+/* =========================
+   Config
+========================= */
+
+/**
+ * Check one printer from the config file and fill in defaults.
+ * Throws an Error naming the printer and the bad field.
+ */
+export function normalizePrinter(raw = {}) {
+  const id = String(raw.id || '').trim();
+  if (!id) throw new Error('Printer without an "id".');
+  const where = `Printer "${id}"`;
+
+  const type = raw.type || 'raw';
+  if (!PRINTER_TYPES.includes(type)) {
+    throw new Error(`${where}: unknown type "${type}" (use ${PRINTER_TYPES.join(' or ')}).`);
+  }
+
+  const formats = raw.formats != null ? (Array.isArray(raw.formats) ? raw.formats : [raw.formats]) : DEFAULT_PRINTER_FORMATS[type];
+  const badFormat = formats.find((f) => !labelFormat(f));
+  if (badFormat) throw new Error(`${where}: unknown label format "${badFormat}".`);
+
+  const printer = {
+    id,
+    name: String(raw.name || id).trim(),
+    type,
+    formats: formats.map((f) => labelFormat(f).value)
+  };
+
+  if (type === 'raw') {
+    const port = raw.port == null || raw.port === '' ? 9100 : Number(raw.port);
+    if (!raw.host) throw new Error(`${where}: raw printers need a "host".`);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) throw new Error(`${where}: port must be 1-65535.`);
+    return { ...printer, host: String(raw.host).trim(), port };
+  }
+
+  let url;
+  try {
+    url = new URL(String(raw.url || ''));
+  } catch {
+    throw new Error(`${where}: IPP printers need a "url" like ipp://host/ipp/print.`);
+  }
+  if (!['ipp:', 'ipps:', 'http:', 'https:'].includes(url.protocol)) {
+    throw new Error(`${where}: unsupported URL scheme "${url.protocol}".`);
+  }
+  return { ...printer, url: url.href };
+}
+
+/**
+ * Parse data/printers.json. A bad printer is dropped (and reported) instead of
+ * disabling all printing. Returns { printers, channels, errors }.
+ */
+export function parsePrinterConfig(config) {
+  const printers = [];
+  const errors = [];
+  for (const raw of Array.isArray(config?.printers) ? config.printers : []) {
+    try {
+      const printer = normalizePrinter(raw);
+      if (printers.some((p) => p.id === printer.id)) throw new Error(`Printer "${printer.id}" is listed twice.`);
+      printers.push(printer);
+    } catch (e) {
+      errors.push(e.message);
+    }
+  }
+
+  const channels = {};
+  for (const [channelId, printerId] of Object.entries(config?.channels || {})) {
+    if (printers.some((p) => p.id === printerId)) channels[channelId] = printerId;
+    else errors.push(`channels.${channelId}: unknown printer "${printerId}".`);
+  }
+  return { printers, channels, errors };
+}
+
+export function printerSupports(printer, format) {
+  const value = labelFormat(format)?.value;
+  return Boolean(printer && value && printer.formats.includes(value));
+}
+
+/**
+ * The default printer for the first of `channelIds` that has one, if it can
+ * print `format`. Returns the printer or null.
+ */
+export function defaultPrinterFor(config, channelIds, format) {
+  for (const channelId of [].concat(channelIds || [])) {
+    const printerId = channelId ? config?.channels?.[channelId] : null;
+    if (!printerId) continue;
+    const printer = (config.printers || []).find((p) => p.id === printerId);
+    return printerSupports(printer, format) ? printer : null;
+  }
+  return null;
+}
+
+/* =========================
+   IPP messages
+========================= */
+
+export const IPP_PRINT_JOB = 0x0002;
+
+const TAG = {
+  operation: 0x01,
+  job: 0x02,
+  end: 0x03,
+  printer: 0x04,
+  integer: 0x21,
+  boolean: 0x22,
+  enum: 0x23,
+  text: 0x41,
+  name: 0x42,
+  keyword: 0x44,
+  uri: 0x45,
+  charset: 0x47,
+  language: 0x48,
+  mimeType: 0x49
+};
+
+function ippAttribute(tag, name, value) {
+  const nameBuf = Buffer.from(name, 'utf8');
+  let valueBuf;
+  if (tag === TAG.integer || tag === TAG.enum) {
+    valueBuf = Buffer.alloc(4);
+    valueBuf.writeInt32BE(value);
+  } else {
+    valueBuf = Buffer.from(String(value), 'utf8');
+  }
+  const head = Buffer.alloc(3);
+  head.writeUInt8(tag, 0);
+  head.writeUInt16BE(nameBuf.length, 1);
+  const len = Buffer.alloc(2);
+  len.writeUInt16BE(valueBuf.length, 0);
+  return Buffer.concat([head, nameBuf, len, valueBuf]);
+}
+
+/**
+ * Encode an IPP/1.1 message. `groups` is [{ tag: 'operation'|'job'|..., attributes: [[tag, name, value]] }];
+ * `code` is the operation id (requests) or status code (responses).
+ */
+export function encodeIppMessage({ code, requestId = 1, groups = [], data = null }) {
+  const header = Buffer.alloc(8);
+  header.writeUInt8(1, 0);
+  header.writeUInt8(1, 1);
+  header.writeUInt16BE(code, 2);
+  header.writeUInt32BE(requestId, 4);
+  const parts = [header];
+  for (const group of groups) {
+    parts.push(Buffer.from([TAG[group.tag]]));
+    for (const [tag, name, value] of group.attributes) parts.push(ippAttribute(TAG[tag], name, value));
+  }
+  parts.push(Buffer.from([TAG.end]));
+  if (data) parts.push(data);
+  return Buffer.concat(parts);
+}
+
+/**
+ * Decode an IPP message. Returns { code, requestId, attributes, data }: attributes
+ * flattened by name across groups (multi-valued ones become arrays), integers and
+ * enums as numbers, and whatever follows end-of-attributes as `data`.
+ */
+export function decodeIppMessage(buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < 9) throw new Error('IPP message too short.');
+  const code = buf.readUInt16BE(2);
+  const requestId = buf.readUInt32BE(4);
+  const attributes = {};
+  let offset = 8;
+  let lastName = null;
+
+  while (offset < buf.length) {
+    const tag = buf.readUInt8(offset);
+    offset += 1;
+    if (tag === TAG.end) break;
+    if (tag < 0x10) continue; // group delimiter
+
+    const nameLength = buf.readUInt16BE(offset);
+    const name = buf.toString('utf8', offset + 2, offset + 2 + nameLength);
+    offset += 2 + nameLength;
+    const valueLength = buf.readUInt16BE(offset);
+    const raw = buf.subarray(offset + 2, offset + 2 + valueLength);
+    offset += 2 + valueLength;
+    if (offset > buf.length) throw new Error('IPP message truncated.');
+
+    const value = (tag === TAG.integer || tag === TAG.enum) && raw.length === 4
+      ? raw.readInt32BE(0)
+      : tag === TAG.boolean ? raw[0] === 1 : raw.toString('utf8');
+
+    if (name) {
+      lastName = name;
+      attributes[name] = value;
+    } else if (lastName) {
+      attributes[lastName] = [].concat(attributes[lastName], value);
+    }
+  }
+  return { code, requestId, attributes, data: buf.subarray(offset) };
+}
+
+/** Build a Print-Job request for a printer-uri ("ipp://host/ipp/print"). */
+export function ippPrintJobRequest({ printerUri, data, documentFormat, jobName, userName, requestId = 1 }) {
+  return encodeIppMessage({
+    code: IPP_PRINT_JOB,
+    requestId,
+    groups: [
+      {
+        tag: 'operation',
+        attributes: [
+          ['charset', 'attributes-charset', 'utf-8'],
+          ['language', 'attributes-natural-language', 'en'],
+          ['uri', 'printer-uri', printerUri],
+          ['name', 'requesting-user-name', userName || 'label-bot'],
+          ['name', 'job-name', jobName || 'Shipping label'],
+          ['mimeType', 'document-format', documentFormat || 'application/octet-stream']
+        ]
+      }
+    ],
+    data
+  });
+}
+
+/* =========================
+   Sending jobs
+========================= */
+
+/** ipp://host/path → http://host:631/path (ipps → https). */
+export function ippHttpUrl(printerUrl) {
+  const url = new URL(printerUrl);
+  if (url.protocol === 'ipp:' || url.protocol === 'ipps:') {
+    const secure = url.protocol === 'ipps:';
+    return `${secure ? 'https' : 'http'}://${url.hostname}:${url.port || 631}${url.pathname}${url.search}`;
+  }
+  return url.href;
+}
+
+/**
+ * Send bytes to a raw TCP printer. Raw printers give no job status, so success
+ * means the printer accepted the connection and all bytes were written.
+ */
+export function sendRawJob(printer, data, { timeoutMs = 10000 } = {}) {
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const socket = net.connect({ host: printer.host, port: printer.port });
+    const fail = (err) => {
+      socket.destroy();
+      if (settled) return;
+      settled = true;
+      reject(err);
+    };
+    socket.setTimeout(timeoutMs, () => {
+      if (settled) socket.destroy();
+      else fail(new Error(`Printer ${printer.host}:${printer.port} timed out after ${Math.round(timeoutMs / 1000)}s.`));
+    });
+    socket.on('error', (e) => fail(new Error(`Printer ${printer.host}:${printer.port}: ${e.code || e.message}`)));
+    socket.on('connect', () => {
+      socket.end(data, () => {
+        if (settled) return;
+        settled = true;
+        resolve({ jobId: null, state: 'sent', bytes: data.length });
+      });
+    });
+  });
+}
+
+const IPP_JOB_STATES = { 3: 'pending', 4: 'held', 5: 'processing', 6: 'stopped', 7: 'canceled', 8: 'aborted', 9: 'completed' };
+
+/**
+ * Send a Print-Job to an IPP printer. Resolves with { jobId, state } or throws
+ * with the printer's status message.
+ */
+export async function sendIppJob(printer, data, { documentFormat, jobName, userName, timeoutMs = 20000, fetchImpl = fetch } = {}) {
+  const body = ippPrintJobRequest({ printerUri: printer.url, data, documentFormat, jobName, userName });
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  let res;
+  try {
+    res = await fetchImpl(ippHttpUrl(printer.url), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/ipp' },
+      body,
+      signal: controller.signal
+    });
+  } catch (e) {
+    if (controller.signal.aborted) throw new Error(`Printer ${printer.name} timed out after ${Math.round(timeoutMs / 1000)}s.`);
+    throw new Error(`Printer ${printer.name}: ${e?.cause?.code || e?.message || e}`);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (!res.ok) throw new Error(`Printer ${printer.name} returned HTTP ${res.status}.`);
+  const reply = decodeIppMessage(Buffer.from(await res.arrayBuffer()));
+  if (reply.code >= 0x0100) {
+    const message = reply.attributes['status-message'] || `IPP status 0x${reply.code.toString(16).padStart(4, '0')}`;
+    throw new Error(`Printer ${printer.name} refused the job: ${message}`);
+  }
+  return {
+    jobId: typeof reply.attributes['job-id'] === 'number' ? reply.attributes['job-id'] : null,
+    state: IPP_JOB_STATES[reply.attributes['job-state']] || 'sent'
+  };
+}
+
+/**
+ * Print one label file. `format` is the label's label_file_type. Resolves with
+ * { jobId, state } (jobId is null for raw printers); throws when the printer
+ * can't take the format or the job fails.
+ */
+export async function printLabel(printer, { data, format, jobName, userName, timeoutMs } = {}) {
+  const f = labelFormat(format);
+  if (!printerSupports(printer, f?.value)) {
+    throw new Error(`${printer?.name || 'That printer'} can't print ${f?.name || 'this label format'}.`);
+  }
+  if (printer.type === 'raw') return sendRawJob(printer, data, { timeoutMs });
+  const documentFormat = f.value === 'ZPLII' ? 'application/octet-stream' : f.contentType;
+  return sendIppJob(printer, data, { documentFormat, jobName, userName, timeoutMs });
+}
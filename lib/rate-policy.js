@@ -0,0 +1,269 @@
+/**
+ * Rate selection policies: which Shippo rate the "default" service mode picks.
+ * Policies are plain JSON (data/rate-policies.json) so they can be set per flow
+ * and per channel without a deploy:
+ *
+ *   {
+ *     "name": "UPS Ground",
+ *     "strategy": "preferred",          // or "cheapest"
+ *     "preferred": ["ups/ground"],      // in order: "carrier", "carrier/service" or a servicelevel token
+ *     "exclude": ["ups/ground saver"],  // never picked, same matchers
+ *     "maxDays": 5,                     // only rates that arrive within N business days
+ *     "maxPrice": 40,                   // only rates at or under this amount
+ *     "tieBreakers": ["price", "days"], // order among equally good rates ("price", "days", "preferred")
+ *     "fallback": "choose"              // when nothing preferred is left: "choose" (manual) or "cheapest"
+ *   }
+ *
+ * Pure functions, no Slack or Shippo calls.
+ */
+
+import { rateProvider, rateServiceName } from './shipment.js';
+
+export const RATE_POLICY_STRATEGIES = ['preferred', 'cheapest'];
+export const RATE_POLICY_TIE_BREAKERS = ['price', 'days', 'preferred'];
+export const RATE_POLICY_FALLBACKS = ['choose', 'cheapest'];
+
+// What the bot always did: UPS Ground (never Ground Saver), else a manual choice.
+export const DEFAULT_RATE_POLICY = Object.freeze({
+  name: 'UPS Ground',
+  strategy: 'preferred',
+  preferred: ['ups/ground'],
+  exclude: [],
+  maxDays: null,
+  maxPrice: null,
+  tieBreakers: ['price', 'days'],
+  fallback: 'choose'
+});
+
+const FLOWS = ['shippinglabel', 'returnlabel'];
+
+/* =========================
+   Policy config
+========================= */
+
+function positiveNumberOrNull(value, field, name) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) {
+    throw new Error(`Rate policy "${name}": ${field} must be a non-negative number.`);
+  }
+  return n;
+}
+
+function stringList(value) {
+  if (value == null) return [];
+  return (Array.isArray(value) ? value : [value]).map((v) => String(v).trim()).filter(Boolean);
+}
+
+/**
+ * Fill in defaults and check a policy from the config file.
+ * Throws an Error naming the policy and the bad field.
+ */
+export function normalizeRatePolicy(raw = {}) {
+  const strategy = raw.strategy || DEFAULT_RATE_POLICY.strategy;
+  const preferred = raw.preferred != null ? stringList(raw.preferred) : strategy === 'preferred' ? [...DEFAULT_RATE_POLICY.preferred] : [];
+  const name = String(raw.name || (strategy === 'cheapest' ? 'Cheapest' : preferred.join(', ') || 'Default')).trim();
+
+  if (!RATE_POLICY_STRATEGIES.includes(strategy)) {
+    throw new Error(`Rate policy "${name}": unknown strategy "${strategy}" (use ${RATE_POLICY_STRATEGIES.join(' or ')}).`);
+  }
+  const tieBreakers = raw.tieBreakers != null ? stringList(raw.tieBreakers) : [...DEFAULT_RATE_POLICY.tieBreakers];
+  const badTieBreaker = tieBreakers.find((t) => !RATE_POLICY_TIE_BREAKERS.includes(t));
+  if (badTieBreaker) {
+    throw new Error(`Rate policy "${name}": unknown tie-breaker "${badTieBreaker}".`);
+  }
+  const fallback = raw.fallback || DEFAULT_RATE_POLICY.fallback;
+  if (!RATE_POLICY_FALLBACKS.includes(fallback)) {
+    throw new Error(`Rate policy "${name}": unknown fallback "${fallback}".`);
+  }
+  if (strategy === 'preferred' && preferred.length === 0) {
+    throw new Error(`Rate policy "${name}": the preferred strategy needs at least one preferred service.`);
+  }
+
+  return {
+    name,
+    strategy,
+    preferred,
+    exclude: stringList(raw.exclude),
+    maxDays: positiveNumberOrNull(raw.maxDays, 'maxDays', name),
+    maxPrice: positiveNumberOrNull(raw.maxPrice, 'maxPrice', name),
+    tieBreakers,
+    fallback
+  };
+}
+
+/**
+ * Pick the policy for a flow, most specific first:
+ * channels[channelId][flow] → channels[channelId].default → flows[flow] → default → DEFAULT_RATE_POLICY.
+ * `config` is the parsed data/rate-policies.json ({ default, flows, channels }).
+ */
+export function resolveRatePolicy(config, flow, channelId) {
+  const channel = channelId ? config?.channels?.[channelId] : null;
+  const raw =
+    channel?.[flow] ||
+    channel?.default ||
+    config?.flows?.[flow] ||
+    config?.default ||
+    DEFAULT_RATE_POLICY;
+  return normalizeRatePolicy(raw);
+}
+
+/**
+ * Check every policy in a config file. Returns a list of error messages
+ * (empty when the whole file is usable).
+ */
+export function validateRatePolicyConfig(config) {
+  const errors = [];
+  const check = (raw, where) => {
+    if (!raw) return;
+    try {
+      normalizeRatePolicy(raw);
+    } catch (e) {
+      errors.push(`${where}: ${e.message}`);
+    }
+  };
+  check(config?.default, 'default');
+  for (const flow of FLOWS) check(config?.flows?.[flow], `flows.${flow}`);
+  for (const [channelId, channel] of Object.entries(config?.channels || {})) {
+    check(channel?.default, `channels.${channelId}.default`);
+    for (const flow of FLOWS) check(channel?.[flow], `channels.${channelId}.${flow}`);
+  }
+  return errors;
+}
+
+/* =========================
+   Matching & selection
+========================= */
+
+const normalizeName = (value) =>
+  String(value || '')
+    .toLowerCase()
+    .replace(/[®™*]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Does a rate match "ups", "ups/ground" or "usps_priority"?
+ * "carrier/service" compares the whole service name (with or without the carrier
+ * in front), so "ups/ground" matches UPS Ground but never UPS Ground Saver.
+ */
+export function rateMatches(rate, matcher) {
+  const m = normalizeName(matcher);
+  if (!m || !rate) return false;
+  const provider = normalizeName(rateProvider(rate));
+  const token = normalizeName(rate.servicelevel?.token);
+
+  const slash = m.indexOf('/');
+  if (slash === -1) return m === provider || (token !== '' && m === token);
+
+  const carrier = m.slice(0, slash).trim();
+  const service = m.slice(slash + 1).trim();
+  if (carrier !== provider) return false;
+  let name = normalizeName(rateServiceName(rate));
+  if (name.startsWith(`${provider} `)) name = name.slice(provider.length + 1);
+  return name === service || (token !== '' && token === `${carrier}_${service.replace(/\W+/g, '_')}`);
+}
+
+const rateAmount = (rate) => {
+  const n = Number(rate?.amount);
+  return Number.isFinite(n) ? n : Infinity;
+};
+const rateDays = (rate) => (typeof rate?.estimated_days === 'number' ? rate.estimated_days : Infinity);
+
+function formatAmount(rate) {
+  const n = Number(rate?.amount);
+  if (!Number.isFinite(n)) return 'N/A';
+  return rate.currency && rate.currency !== 'USD' ? `${n.toFixed(2)} ${rate.currency}` : `$${n.toFixed(2)}`;
+}
+
+export function rateLabel(rate) {
+  return `${rateProvider(rate)} ${rateServiceName(rate)} (${formatAmount(rate)})`;
+}
+
+function preferenceIndex(rate, policy) {
+  const i = policy.preferred.findIndex((m) => rateMatches(rate, m));
+  return i === -1 ? Infinity : i;
+}
+
+function compareRates(a, b, policy) {
+  for (const tieBreaker of policy.tieBreakers) {
+    const diff =
+      tieBreaker === 'price' ? rateAmount(a) - rateAmount(b)
+        : tieBreaker === 'days' ? rateDays(a) - rateDays(b)
+          : preferenceIndex(a, policy) - preferenceIndex(b, policy);
+    if (diff !== 0 && !Number.isNaN(diff)) return diff;
+  }
+  return 0;
+}
+
+const ordinal = (n) => (n <= 3 ? ['1st', '2nd', '3rd'][n - 1] : `${n}th`);
+
+/**
+ * One-line summary of a policy for Slack ("ups/ground, else choose manually; within 3 business days").
+ */
+export function describeRatePolicy(policy) {
+  const parts = [
+    policy.strategy === 'cheapest'
+      ? 'cheapest rate'
+      : `${policy.preferred.join(' → ')}, else ${policy.fallback === 'cheapest' ? 'the cheapest rate' : 'choose manually'}`
+  ];
+  if (policy.maxDays != null) parts.push(`within ${policy.maxDays} business day${policy.maxDays === 1 ? '' : 's'}`);
+  if (policy.maxPrice != null) parts.push(`max $${policy.maxPrice.toFixed(2)}`);
+  if (policy.exclude.length > 0) parts.push(`never ${policy.exclude.join(', ')}`);
+  return parts.join('; ');
+}
+
+/**
+ * Apply a policy to Shippo rates.
+ * Returns { rate, reason }: `rate` is null when the policy can't pick one
+ * (the flow then falls back to a manual choice) and `reason` always explains
+ * the outcome in words fit for the review modal or the chooser message.
+ */
+export function selectRate(rates, policy) {
+  const all = Array.isArray(rates) ? rates : [];
+  const skipped = { excluded: 0, slow: 0, pricey: 0 };
+
+  const eligible = all.filter((r) => {
+    if (policy.exclude.some((m) => rateMatches(r, m))) return skipped.excluded++, false;
+    if (policy.maxDays != null && !(rateDays(r) <= policy.maxDays)) return skipped.slow++, false;
+    if (policy.maxPrice != null && !(rateAmount(r) <= policy.maxPrice)) return skipped.pricey++, false;
+    return true;
+  });
+
+  const limits = [];
+  if (policy.maxDays != null) limits.push(`within ${policy.maxDays} business day${policy.maxDays === 1 ? '' : 's'}`);
+  if (policy.maxPrice != null) limits.push(`at or under $${policy.maxPrice.toFixed(2)}`);
+  const limitText = limits.length > 0 ? ` ${limits.join(' and ')}` : '';
+
+  const cheapest = () => [...eligible].sort((a, b) => compareRates(a, b, { ...policy, tieBreakers: ['price', ...policy.tieBreakers] }))[0];
+
+  if (policy.strategy === 'preferred') {
+    for (let i = 0; i < policy.preferred.length; i++) {
+      const matches = eligible.filter((r) => rateMatches(r, policy.preferred[i]));
+      if (matches.length === 0) continue;
+      const rate = [...matches].sort((a, b) => compareRates(a, b, policy))[0];
+      const choice = policy.preferred.length > 1 ? ` (${ordinal(i + 1)} choice)` : '';
+      return { rate, reason: `Preferred service ${policy.preferred[i]}${choice}${limitText}: ${rateLabel(rate)}.` };
+    }
+  }
+
+  const why = [];
+  if (skipped.excluded) why.push(`${skipped.excluded} excluded`);
+  if (skipped.slow) why.push(`${skipped.slow} too slow`);
+  if (skipped.pricey) why.push(`${skipped.pricey} over the price cap`);
+  const whyText = why.length > 0 ? ` (${why.join(', ')})` : '';
+
+  if (policy.strategy === 'cheapest' || policy.fallback === 'cheapest') {
+    const rate = cheapest();
+    if (rate) {
+      const lead = policy.strategy === 'cheapest' ? 'Cheapest rate' : 'No preferred service offered; cheapest rate';
+      return { rate, reason: `${lead}${limitText}: ${rateLabel(rate)}.` };
+    }
+    return { rate: null, reason: `No rate fits the policy${limitText}${whyText}.` };
+  }
+
+  return {
+    rate: null,
+    reason: `None of ${policy.preferred.join(', ')} is available${limitText}${whyText}.`
+  };
+}
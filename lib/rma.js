@@ -0,0 +1,171 @@
+/**
+ * Return authorizations (RMAs) behind /returnlabel and /rma: the reason codes
+ * and expected conditions offered in the return modal, RMA numbers, and the
+ * lifecycle of a return once its label is bought:
+ *
+ *  - open:      label bought, box on its way to Winant Place
+ *  - received:  the box arrived and was checked in
+ *  - closed:    reconciled (refunded, replaced, rejected, …); nothing left to do
+ *
+ * An open return can be closed without being received (e.g. the customer never
+ * shipped it). Pure functions over the records kept in data/rmas.json.
+ */
+
+export const RMA_REASONS = [
+  { value: 'wrong_item', label: 'Wrong item shipped' },
+  { value: 'damaged', label: 'Arrived damaged' },
+  { value: 'defective', label: 'Defective' },
+  { value: 'fitment', label: "Doesn't fit the vehicle" },
+  { value: 'not_as_described', label: 'Not as described' },
+  { value: 'no_longer_wanted', label: 'No longer wanted' },
+  { value: 'warranty', label: 'Warranty claim' },
+  { value: 'other', label: 'Other' }
+];
+
+export const RMA_CONDITIONS = [
+  { value: 'new', label: 'New, unopened' },
+  { value: 'opened', label: 'Opened, unused' },
+  { value: 'used', label: 'Installed / used' },
+  { value: 'damaged', label: 'Damaged' }
+];
+
+export const RMA_STATUSES = ['open', 'received', 'closed'];
+
+export const RMA_TRANSITIONS = Object.freeze({
+  open: ['received', 'closed'],
+  received: ['closed'],
+  closed: []
+});
+
+const findOption = (options, value) => {
+  const wanted = String(value || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (!wanted) return null;
+  return options.find((o) => o.value === wanted || o.label.toLowerCase().replace(/[\s-]+/g, '_') === wanted) || null;
+};
+
+/** Reason code by value or label ("damaged", "Arrived damaged"), or null. */
+export function rmaReason(value) {
+  return findOption(RMA_REASONS, value);
+}
+
+/** Expected condition by value or label, or null. */
+export function rmaCondition(value) {
+  return findOption(RMA_CONDITIONS, value);
+}
+
+/** RMA-2026-0007: the year it was issued and a per-year sequence. */
+export function formatRmaNumber(seq, date = new Date()) {
+  return `RMA-${date.getUTCFullYear()}-${String(seq).padStart(4, '0')}`;
+}
+
+/** "rma-2026-7", "RMA 2026 0007", "RMA-2026-0007" → "RMA-2026-0007" (null otherwise). */
+export function normalizeRmaNumber(value) {
+  const m = String(value || '').trim().match(/^RMA[-\s]?(\d{4})[-\s]?(\d{1,6})$/i);
+  return m ? `RMA-${m[1]}-${m[2].padStart(4, '0')}` : null;
+}
+
+/**
+ * The next RMA number from the per-year counters kept next to the records
+ * ({ [year]: lastSeq }). Returns { number, counters } with the updated counters.
+ * A return is rated with the next number on its label (without storing the
+ * counters) and only takes it when it's bought (claimRmaNumber), so a number is
+ * only skipped when that purchase then fails (e.g. Shippo rejects it).
+ */
+export function nextRmaNumber(counters = {}, date = new Date()) {
+  const year = String(date.getUTCFullYear());
+  const seq = (Number(counters[year]) || 0) + 1;
+  return { number: formatRmaNumber(seq, date), counters: { ...counters, [year]: seq } };
+}
+
+/**
+ * Take `number` (one nextRmaNumber handed out earlier) for a return being bought.
+ * Returns { ok, counters }: ok=false, with the counters unchanged, when another
+ * return already took it or a later number of its year.
+ */
+export function claimRmaNumber(counters = {}, number) {
+  const m = String(normalizeRmaNumber(number) || '').match(/^RMA-(\d{4})-(\d+)$/);
+  if (!m) return { ok: false, counters };
+  const [, year, digits] = m;
+  const seq = Number(digits);
+  if (seq <= (Number(counters[year]) || 0)) return { ok: false, counters };
+  return { ok: true, counters: { ...counters, [year]: seq } };
+}
+
+/**
+ * Read the RMA inputs of the return modal. Returns { rma, errors } where
+ *   rma = { orderNumber, customer, reason, items: [line, ...], condition }
+ * and errors is keyed by block_id (only the reason is required). `customer`
+ * falls back to the given name (the Ship From name) when left blank.
+ */
+export function readRmaInputs(values, { customer: fallbackCustomer = '' } = {}) {
+  const text = (field) => (values?.[`rma_${field}_block`]?.[`rma_${field}`]?.value || '').trim();
+  const selected = (field) => values?.[`rma_${field}_block`]?.[`rma_${field}`]?.selected_option?.value || '';
+
+  const errors = {};
+  const reason = rmaReason(selected('reason'));
+  if (!reason) errors['rma_reason_block'] = 'Pick the reason for this return.';
+
+  const orderNumber = text('order').replace(/^#\s*/, '');
+  if (orderNumber && !/^[A-Za-z0-9-]{1,32}$/.test(orderNumber)) {
+    errors['rma_order_block'] = 'Enter the order number only, e.g. 1042.';
+  }
+
+  return {
+    rma: {
+      orderNumber: orderNumber || null,
+      customer: text('customer') || fallbackCustomer || null,
+      reason: reason?.value || null,
+      items: text('items').split('\n').map((l) => l.trim()).filter(Boolean),
+      condition: rmaCondition(selected('condition'))?.value || null
+    },
+    errors
+  };
+}
+
+/**
+ * Move an RMA record to `to` ('received' or 'closed'). Returns { ok, rma }: a
+ * copy with the new status and a history entry (who, when, optional note), or
+ * — when the move isn't allowed — the record unchanged.
+ */
+export function transitionRma(rma, to, { by = null, note = '', now = Date.now() } = {}) {
+  const from = rma?.status || 'open';
+  if (!(RMA_TRANSITIONS[from] || []).includes(to)) return { ok: false, rma };
+  const at = new Date(now).toISOString();
+  return {
+    ok: true,
+    rma: {
+      ...rma,
+      status: to,
+      [`${to}At`]: at,
+      [`${to}By`]: by,
+      updatedAt: at,
+      history: [...(rma.history || []), { at, status: to, by, ...(note ? { note } : {}) }]
+    }
+  };
+}
+
+/**
+ * RMAs matching a query, newest first: an RMA number, an order number or a
+ * tracking number match exactly; anything else is searched in the customer
+ * and items. With no query, the returns still open or received.
+ */
+export function searchRmas(rmas, query, limit = 20) {
+  const list = Array.isArray(rmas) ? [...rmas].reverse() : [];
+  const q = String(query || '').trim();
+  if (!q) return list.filter((r) => r.status !== 'closed').slice(0, limit);
+
+  const number = normalizeRmaNumber(q);
+  if (number) return list.filter((r) => r.number === number).slice(0, limit);
+
+  const bare = q.replace(/^#\s*/, '').toLowerCase();
+  const exact = list.filter((r) =>
+    String(r.orderNumber || '').toLowerCase() === bare ||
+    String(r.trackingNumber || '').replace(/\s+/g, '').toLowerCase() === bare.replace(/\s+/g, '')
+  );
+  if (exact.length > 0) return exact.slice(0, limit);
+
+  const needle = q.toLowerCase();
+  return list
+    .filter((r) => [r.customer, ...(r.items || [])].filter(Boolean).join(' ').toLowerCase().includes(needle))
+    .slice(0, limit);
+}
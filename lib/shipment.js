@@ -0,0 +1,202 @@
+/**
+ * Shipment building shared by the label flows: parcels from the package inputs,
+ * the signature option, Shippo address/shipment bodies and the default-service
+ * (UPS Ground) rule. Pure functions, no Slack or Shippo calls.
+ */
+
+/* =========================
+   Parcels
+========================= */
+
+export const DEFAULT_PARCEL = {
+  length: '17',
+  width: '17',
+  height: '7',
+  weight: '8'
+};
+
+// Used until someone saves a preset list; mirrors DEFAULT_PARCEL.
+export const SEED_PACKAGE_PRESETS = [
+  {
+    id: 'default',
+    name: 'Standard 17x17x7',
+    length: DEFAULT_PARCEL.length,
+    width: DEFAULT_PARCEL.width,
+    height: DEFAULT_PARCEL.height,
+    boxWeight: '0',
+    defaultContentsWeight: DEFAULT_PARCEL.weight,
+    template: ''
+  }
+];
+
+/** The preset whose id, or else name, matches `value` (case-insensitive), or null. */
+export function findPackagePreset(presets, value) {
+  const v = String(value || '').trim().toLowerCase();
+  return presets.find((p) => String(p.id).toLowerCase() === v) || presets.find((p) => String(p.name).toLowerCase() === v) || null;
+}
+
+export function parcelBlockId(index, field) {
+  return index === 0 ? `parcel_${field}_block` : `parcel_${index + 1}_${field}_block`;
+}
+
+/**
+ * Read the package inputs of an edit modal.
+ *  - Each parcel picks a preset (default: the first preset) or "Custom dimensions".
+ *  - Typing any dimension means custom: all dimensions and the weight are required.
+ *  - With a preset, the weight input is the contents weight (default: the preset's
+ *    default contents weight) and the empty box weight is added on top.
+ *  - Presets with a carrier template (e.g. USPS flat rate) send `template` to Shippo.
+ * Returns { parcels, errors } with errors keyed by block_id.
+ */
+export function readParcelInputs(values, parcelCount = 1, presets = SEED_PACKAGE_PRESETS) {
+  const getVal = (b, a) => (values[b]?.[a]?.value || '').trim();
+  const parcels = [];
+  const errors = {};
+
+  for (let i = 0; i < parcelCount; i++) {
+    const raw = {};
+    for (const field of ['length', 'width', 'height', 'weight']) {
+      raw[field] = getVal(parcelBlockId(i, field), `parcel_${field}`);
+    }
+    const hasAnyDimension = ['length', 'width', 'height'].some((f) => raw[f].length > 0);
+    const presetId =
+      values[parcelBlockId(i, 'preset')]?.['parcel_preset']?.selected_option?.value || presets[0]?.id;
+    const preset = presets.find((p) => p.id === presetId) || null;
+    const isCustom = hasAnyDimension || presetId === 'custom' || !preset;
+
+    if (isCustom) {
+      for (const field of ['length', 'width', 'height', 'weight']) {
+        if (!raw[field]) {
+          errors[parcelBlockId(i, field)] = 'Required when using custom package info.';
+        } else if (!(Number(raw[field]) > 0)) {
+          errors[parcelBlockId(i, field)] = 'Must be a positive number.';
+        }
+      }
+      parcels.push({
+        length: raw.length,
+        width: raw.width,
+        height: raw.height,
+        distance_unit: 'in',
+        weight: raw.weight,
+        mass_unit: 'lb'
+      });
+      continue;
+    }
+
+    if (raw.weight && !(Number(raw.weight) > 0)) {
+      errors[parcelBlockId(i, 'weight')] = 'Must be a positive number.';
+    }
+    const contents = raw.weight ? Number(raw.weight) : Number(preset.defaultContentsWeight) || 0;
+    const total = (Number(preset.boxWeight) || 0) + contents;
+    parcels.push({
+      length: preset.length,
+      width: preset.width,
+      height: preset.height,
+      distance_unit: 'in',
+      weight: String(Math.round(total * 100) / 100),
+      mass_unit: 'lb',
+      ...(preset.template ? { template: preset.template } : {}),
+      metadata: `Preset: ${preset.name}`
+    });
+  }
+
+  return { parcels, errors };
+}
+
+/* =========================
+   Signature
+========================= */
+
+/**
+ * The label modals ask to REMOVE the signature requirement, so a signature is
+ * required unless that checkbox is ticked.
+ */
+export function readSignatureRequirement(values) {
+  const signatureSelection = values?.['signature_block']?.['signature_toggle']?.selected_options || [];
+  return !Array.isArray(signatureSelection) || signatureSelection.length === 0;
+}
+
+/* =========================
+   Shipment bodies
+========================= */
+
+const ADDRESS_KEYS = ['name', 'company', 'street1', 'street2', 'city', 'state', 'zip'];
+
+/**
+ * Shippo address from a parsed address (or saved contact).
+ * Each field falls back to `fallback` (e.g. the Carismo address) when the parse left it empty;
+ * phone/email prefer what was typed in the modal, then the parsed value, then the fallback.
+ */
+export function buildShipmentAddress(parsed, { country, fallback = {}, phone = '', email = '' } = {}) {
+  const address = {};
+  for (const key of ADDRESS_KEYS) {
+    address[key] = parsed?.[key] || fallback[key] || '';
+  }
+  address.country = country || fallback.country || 'US';
+  address.phone = phone || parsed?.phone || fallback.phone || '';
+  address.email = email || parsed?.email || fallback.email || '';
+  return address;
+}
+
+/**
+ * Shipment body used for rating and (later) purchase.
+ */
+export function buildShipmentBody({ addressFrom, addressTo, parcels, requireSignature }) {
+  const shipment = {
+    address_from: addressFrom,
+    address_to: addressTo,
+    parcels,
+    async: false
+  };
+
+  if (requireSignature) {
+    shipment.extra = {
+      signature_confirmation: 'STANDARD'
+    };
+  }
+
+  return shipment;
+}
+
+/* =========================
+   Rates
+========================= */
+
+export function rateProvider(rate) {
+  return rate.provider || rate.carrier || (rate.carrier_account && rate.carrier_account.carrier) || 'Unknown';
+}
+
+export function rateServiceName(rate) {
+  return (rate.servicelevel && rate.servicelevel.name) || rate.servicelevel_name || rate.service || 'Unknown';
+}
+
+/**
+ * The compact rate we keep for a pending flow and show in review:
+ * { id, provider, service, amount, currency, etaDays, servicelevelToken, shipmentId }.
+ */
+export function toSelectedRate(rate) {
+  return {
+    id: rate.object_id,
+    provider: rateProvider(rate),
+    service: rateServiceName(rate),
+    amount: rate.amount || null,
+    currency: rate.currency || 'USD',
+    etaDays: typeof rate.estimated_days === 'number' ? rate.estimated_days : null,
+    servicelevelToken: (rate.servicelevel && rate.servicelevel.token) || null,
+    shipmentId: rate.shipment || null
+  };
+}
+
+/**
+ * Default service: UPS Ground — but never "UPS Ground Saver", which is a different
+ * (slower, consolidated) product that also has "ground" in its name.
+ */
+export function isUpsGroundRate(rate) {
+  const provider = rateProvider(rate).toLowerCase();
+  const service = rateServiceName(rate).toLowerCase();
+  return provider === 'ups' && service.includes('ground') && !service.includes('saver');
+}
+
+export function findUpsGroundRate(rates) {
+  return (Array.isArray(rates) ? rates : []).find(isUpsGroundRate) || null;
+}
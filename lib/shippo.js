@@ -0,0 +1,245 @@
+/**
+ * Shippo REST client: one place for the base URL, the auth header, the error
+ * shape, timeouts and retries. Point SHIPPO_BASE_URL at the bundled fake server
+ * (dev/fake-shippo.js) to develop and test with no network.
+ */
+
+export const DEFAULT_SHIPPO_BASE_URL = 'https://api.goshippo.com';
+
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+const PENDING_TRANSACTION_STATUSES = new Set(['QUEUED', 'WAITING']);
+
+/**
+ * True for errors worth another attempt: 429, 5xx, timeouts and network failures
+ * (no HTTP status at all). 4xx validation errors are final.
+ */
+export function isRetryableShippoError(err) {
+  if (!err) return false;
+  if (err.timeout) return true;
+  if (err.status == null) return true;
+  return RETRYABLE_STATUSES.has(err.status);
+}
+
+/**
+ * Delay before retry number `attempt` (1-based): Retry-After when Shippo sent
+ * one (seconds or HTTP date), otherwise exponential backoff with jitter.
+ */
+export function retryDelayMs(err, attempt, { baseMs = 500, maxMs = 30000, random = Math.random } = {}) {
+  const retryAfter = err?.retryAfter;
+  if (retryAfter != null && retryAfter !== '') {
+    const seconds = Number(retryAfter);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+    if (Number.isFinite(ms)) return Math.min(Math.max(ms, 0), maxMs);
+  }
+  const exp = baseMs * 2 ** (attempt - 1);
+  return Math.min(Math.round(exp + exp * random() * 0.25), maxMs);
+}
+
+/**
+ * Returns an object with one method per Shippo resource we use. Every method
+ * resolves to the parsed JSON body; failures throw an Error whose message reads
+ * "Shippo /shipments failed 400: <body>" (or "... timed out after 20s") and which
+ * carries `status`, `body`, `retryAfter` and `timeout` for callers that branch on them.
+ *
+ * Each call accepts `{ onRetry }`, called with { attempt, maxAttempts, delayMs, error }
+ * before every retry so callers can tell the user Shippo is slow.
+ * Retries: GETs and the idempotent-enough POSTs (shipments, addresses, customs,
+ * tracks) retry on 429/5xx/timeouts; refund and batch create/purchase requests
+ * only on 429 (a second refund for the same label is rejected, a second batch
+ * would be a duplicate). Label purchases go through purchaseLabel, which never
+ * buys twice.
+ */
+export function createShippoClient({
+  token,
+  baseUrl = DEFAULT_SHIPPO_BASE_URL,
+  fetchImpl = globalThis.fetch,
+  timeoutMs = 20000,
+  maxRetries = 3,
+  retryBaseMs = 500,
+  retryMaxMs = 30000,
+  sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+} = {}) {
+  const root = String(baseUrl || DEFAULT_SHIPPO_BASE_URL).replace(/\/+$/, '');
+  const enc = encodeURIComponent;
+
+  async function requestOnce(method, path, { body, query, timeout = timeoutMs } = {}) {
+    const url = new URL(`${root}${path}`);
+    for (const [key, value] of Object.entries(query || {})) {
+      if (value != null) url.searchParams.set(key, String(value));
+    }
+    const label = `${path.replace(/\/$/, '')}${url.search}`;
+
+    const headers = { Authorization: `ShippoToken ${token}` };
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    let res;
+    let txt;
+    try {
+      res = await fetchImpl(url, {
+        method,
+        headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: controller.signal
+      });
+      txt = await res.text();
+    } catch (e) {
+      const timedOut = controller.signal.aborted;
+      const err = new Error(
+        timedOut
+          ? `Shippo ${label} timed out after ${Math.round(timeout / 1000)}s`
+          : `Shippo ${label} request failed: ${e?.message || e}`
+      );
+      err.timeout = timedOut;
+      err.cause = e;
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!res.ok) {
+      const err = new Error(`Shippo ${label} failed ${res.status}: ${txt}`);
+      err.status = res.status;
+      err.body = txt;
+      err.retryAfter = res.headers?.get?.('retry-after') ?? null;
+      throw err;
+    }
+    return txt ? JSON.parse(txt) : null;
+  }
+
+  async function withRetries(fn, { onRetry, retries = maxRetries, rateLimitOnly = false } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await fn(attempt);
+      } catch (err) {
+        const retryable = rateLimitOnly ? err?.status === 429 : isRetryableShippoError(err);
+        if (attempt > retries || !retryable) throw err;
+        const delayMs = retryDelayMs(err, attempt, { baseMs: retryBaseMs, maxMs: retryMaxMs });
+        await onRetry?.({ attempt, maxAttempts: retries + 1, delayMs, error: err });
+        await sleep(delayMs);
+      }
+    }
+  }
+
+  // retry: true (429/5xx/timeouts), 'rate-limit' (429 only: Shippo didn't process it) or false
+  function request(method, path, { body, query, onRetry, retry = true, timeout } = {}) {
+    return withRetries(() => requestOnce(method, path, { body, query, timeout }), {
+      onRetry,
+      retries: retry ? maxRetries : 0,
+      rateLimitOnly: retry === 'rate-limit'
+    });
+  }
+
+  async function findTransactionForRate(rateId, options) {
+    const list = await request('GET', '/transactions/', { query: { rate: rateId, results: 100 }, ...options });
+    const results = list?.results || [];
+    return (
+      results.find((t) => (t.status || t.object_status) === 'SUCCESS') ||
+      results.find((t) => PENDING_TRANSACTION_STATUSES.has(t.status || t.object_status)) ||
+      null
+    );
+  }
+
+  // Polls a queued purchase until it settles. Still queued after that: the
+  // outcome isn't known yet, so throw instead of returning a failed purchase.
+  async function waitForTransaction(transaction, options) {
+    let tx = transaction;
+    for (let i = 0; i < 10 && PENDING_TRANSACTION_STATUSES.has(tx?.status); i++) {
+      await sleep(Math.min(1000 * (i + 1), 5000));
+      tx = await request('GET', `/transactions/${enc(tx.object_id)}`, options);
+    }
+    if (PENDING_TRANSACTION_STATUSES.has(tx?.status)) {
+      const err = new Error(`Shippo is still processing the label purchase (${tx.status}).`);
+      err.transaction = tx;
+      throw err;
+    }
+    return tx;
+  }
+
+  /**
+   * Buy a label (POST /transactions) without ever buying twice. Before every
+   * attempt, the first one included (an earlier run may have lost its response),
+   * we look for an existing transaction for the same rate and return it instead
+   * of buying again. Queued purchases are polled until they settle.
+   *
+   * Errors carry `purchase`, what became of the label:
+   *  - 'rejected': Shippo answered the purchase with a 4xx; nothing was bought
+   *  - 'not_sent': we failed before any purchase request went out
+   *  - 'pending':  the purchase went out but we never saw it settle (still
+   *    queued, timeouts, 5xx); the label may be bought, so don't buy another
+   */
+  async function purchaseLabel(body, { onRetry } = {}) {
+    let sent = 0;
+    let found = false;
+    try {
+      const tx = await withRetries(
+        async () => {
+          const existing = await findTransactionForRate(body.rate, { onRetry, retry: false });
+          if (existing) {
+            found = true;
+            return existing;
+          }
+          sent += 1;
+          try {
+            return await requestOnce('POST', '/transactions/', { body });
+          } catch (err) {
+            // Only the first request's 4xx is final: after a lost one, a 4xx may
+            // just mean Shippo already bought this rate.
+            if (sent === 1 && err.status >= 400 && err.status < 500 && err.status !== 429) err.purchase = 'rejected';
+            throw err;
+          }
+        },
+        { onRetry }
+      );
+      return await waitForTransaction(tx, { onRetry });
+    } catch (err) {
+      err.purchase ??= sent > 0 || found ? 'pending' : 'not_sent';
+      throw err;
+    }
+  }
+
+  return {
+    baseUrl: root,
+    request,
+
+    // Shipments & rates
+    createShipment: (shipment, options) => request('POST', '/shipments/', { body: shipment, ...options }),
+    getShipment: (shipmentId, options) => request('GET', `/shipments/${enc(shipmentId)}`, options),
+    getRate: (rateId, options) => request('GET', `/rates/${enc(rateId)}`, options),
+
+    // Transactions (label purchases)
+    purchaseLabel,
+    findTransactionForRate,
+    getTransaction: (transactionId, options) => request('GET', `/transactions/${enc(transactionId)}`, options),
+    listTransactions: (query, options) => request('GET', '/transactions/', { query, ...options }),
+
+    // Batches (bulk labels): created VALIDATING, purchased as a whole
+    createBatch: (body, options) => request('POST', '/batches/', { body, retry: 'rate-limit', ...options }),
+    getBatch: (batchId, query, options) => request('GET', `/batches/${enc(batchId)}`, { query, ...options }),
+    purchaseBatch: (batchId, options) =>
+      request('POST', `/batches/${enc(batchId)}/purchase`, { retry: 'rate-limit', ...options }),
+
+    // Refunds (voids)
+    createRefund: (transactionId, options) =>
+      request('POST', '/refunds/', { body: { transaction: transactionId, async: false }, retry: 'rate-limit', ...options }),
+    getRefund: (refundId, options) => request('GET', `/refunds/${enc(refundId)}`, options),
+    // A refund whose create response was lost: Shippo can't filter refunds by
+    // transaction, so look through the newest ones.
+    findRefundForTransaction: async (transactionId, options) => {
+      const list = await request('GET', '/refunds/', { query: { results: 100 }, ...options });
+      return (list?.results || []).find((r) => r.transaction === transactionId) || null;
+    },
+
+    // Tracking
+    registerTrack: (carrier, trackingNumber, metadata = '', options) =>
+      request('POST', '/tracks/', { body: { carrier, tracking_number: trackingNumber, metadata }, ...options }),
+    getTrack: (carrier, trackingNumber, options) =>
+      request('GET', `/tracks/${enc(carrier)}/${enc(trackingNumber)}`, options),
+
+    // Addresses & customs
+    validateAddress: (address, options) =>
+      request('POST', '/addresses/', { body: { ...address, validate: true }, ...options }),
+    createCustomsDeclaration: (body, options) => request('POST', '/customs/declarations/', { body, ...options })
+  };
+}
@@ -0,0 +1,231 @@
+/**
+ * Shopify Admin REST client and the order → label mapping. Orders are looked
+ * up by number ("#1042") to prefill the label modals; after a shipping label is
+ * bought its tracking number goes back to the order as a fulfillment. Point
+ * SHOPIFY_BASE_URL at the bundled stand-in (dev/fake-shopify.js) to develop and
+ * test with no store.
+ */
+
+import { retryDelayMs } from './shippo.js';
+
+export const DEFAULT_SHOPIFY_API_VERSION = '2024-07';
+
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+const GRAMS_PER = { g: 1, kg: 1000, lb: 453.59237, oz: 28.349523125 };
+// Fulfillment orders we can still fulfill (not closed, cancelled or on hold)
+const FULFILLABLE_STATUSES = new Set(['open', 'in_progress']);
+
+/* =========================
+   Orders → labels
+========================= */
+
+/** "#1042", "1042", " #1042 " → "1042" (null when it isn't an order number). */
+export function normalizeOrderNumber(value) {
+  const m = String(value || '').trim().match(/^#?\s*([A-Za-z0-9-]{1,32})$/);
+  return m ? m[1] : null;
+}
+
+export function toGrams(weight, unit = 'g') {
+  const factor = GRAMS_PER[String(unit || 'g').toLowerCase()];
+  const n = Number(weight);
+  return factor && n > 0 ? n * factor : 0;
+}
+
+/**
+ * The order's shipping address as the label modals' address text (name, company,
+ * street lines, "City, ST ZIP", country outside the US, then phone and email),
+ * so it goes through the same parser as a pasted address.
+ */
+export function shopifyAddressText(order) {
+  const a = order?.shipping_address;
+  if (!a) return '';
+  const name = a.name || [a.first_name, a.last_name].filter(Boolean).join(' ');
+  const cityLine = [a.city, [a.province_code, a.zip].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+  const country = a.country_code && a.country_code !== 'US' ? a.country || a.country_code : '';
+  const phone = a.phone || order.phone || order.customer?.phone || '';
+  const email = order.email || order.contact_email || order.customer?.email || '';
+  return [name, a.company, a.address1, a.address2, cityLine, country, phone, email]
+    .map((line) => String(line || '').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/** Line items that ship (gift cards and digital goods don't), with their grams per unit. */
+function shippableItems(order) {
+  return (order?.line_items || []).filter((li) => li.requires_shipping !== false && Number(li.quantity) > 0);
+}
+
+/**
+ * What the label flows need from an order:
+ *   { id, name, number, addressText, country, items: [{ title, sku, quantity, grams, price }],
+ *     weightLb, missingWeights }
+ * weightLb is the contents weight of the shippable items (null when none have a
+ * weight); missingWeights lists items with no weight in Shopify.
+ */
+export function readShopifyOrder(order) {
+  const items = shippableItems(order).map((li) => ({
+    title: [li.title, li.variant_title].filter(Boolean).join(' – '),
+    sku: li.sku || '',
+    quantity: Number(li.quantity),
+    grams: Number(li.grams) || 0,
+    price: li.price || '0'
+  }));
+  const grams = items.reduce((sum, it) => sum + it.grams * it.quantity, 0);
+  return {
+    id: order.id,
+    name: order.name || `#${order.order_number}`,
+    number: String(order.order_number ?? normalizeOrderNumber(order.name) ?? ''),
+    addressText: shopifyAddressText(order),
+    country: order.shipping_address?.country_code || 'US',
+    items,
+    weightLb: grams > 0 ? Math.round((grams / GRAMS_PER.lb) * 100) / 100 : null,
+    missingWeights: items.filter((it) => !it.grams).map((it) => it.title)
+  };
+}
+
+/**
+ * Customs lines for the edit modal ("Description | Qty | Value | Weight | HS code | Origin")
+ * from the order's items: total value and weight per line, US origin, no HS code.
+ */
+export function shopifyCustomsText(orderInfo) {
+  return orderInfo.items
+    .filter((it) => it.grams > 0 && Number(it.price) > 0)
+    .map((it) => {
+      const value = (Number(it.price) * it.quantity).toFixed(2);
+      const weight = Math.max(Math.round(((it.grams * it.quantity) / GRAMS_PER.lb) * 100) / 100, 0.01);
+      return `${it.title.replace(/\|/g, '/').slice(0, 50)} | ${it.quantity} | ${value} | ${weight} |  | US`;
+    })
+    .join('\n');
+}
+
+/* =========================
+   Client
+========================= */
+
+/**
+ * Returns an object with the Shopify calls the bot makes. Failures throw an Error
+ * reading "Shopify /orders.json failed 401: <body>" (or "... timed out after 15s")
+ * with `status` and `body`. GETs retry on 429/5xx/timeouts (honouring Retry-After);
+ * creating a fulfillment only on 429, since a second one would be rejected anyway.
+ */
+export function createShopifyClient({
+  shop,
+  token,
+  apiVersion = DEFAULT_SHOPIFY_API_VERSION,
+  baseUrl = null,
+  fetchImpl = globalThis.fetch,
+  timeoutMs = 15000,
+  maxRetries = 2,
+  sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+} = {}) {
+  const root = `${String(baseUrl || `https://${shop}`).replace(/\/+$/, '')}/admin/api/${apiVersion}`;
+
+  async function requestOnce(method, path, { body, query } = {}) {
+    const url = new URL(`${root}${path}`);
+    for (const [key, value] of Object.entries(query || {})) {
+      if (value != null) url.searchParams.set(key, String(value));
+    }
+    const label = `${path}${url.search}`;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    let res;
+    let txt;
+    try {
+      res = await fetchImpl(url, {
+        method,
+        headers: {
+          'X-Shopify-Access-Token': token,
+          Accept: 'application/json',
+          ...(body !== undefined ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: controller.signal
+      });
+      txt = await res.text();
+    } catch (e) {
+      const timedOut = controller.signal.aborted;
+      const err = new Error(
+        timedOut
+          ? `Shopify ${label} timed out after ${Math.round(timeoutMs / 1000)}s`
+          : `Shopify ${label} request failed: ${e?.message || e}`
+      );
+      err.timeout = timedOut;
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+    if (!res.ok) {
+      const err = new Error(`Shopify ${label} failed ${res.status}: ${txt}`);
+      err.status = res.status;
+      err.body = txt;
+      err.retryAfter = res.headers?.get?.('retry-after') ?? null;
+      throw err;
+    }
+    return txt ? JSON.parse(txt) : null;
+  }
+
+  async function request(method, path, { body, query, rateLimitOnly = method !== 'GET' } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await requestOnce(method, path, { body, query });
+      } catch (err) {
+        const retryable = rateLimitOnly
+          ? err.status === 429
+          : err.timeout || err.status == null || RETRYABLE_STATUSES.has(err.status);
+        if (attempt > maxRetries || !retryable) throw err;
+        await sleep(retryDelayMs(err, attempt));
+      }
+    }
+  }
+
+  /**
+   * The order with this number (null when there is none), with `grams` filled in
+   * from the variant for line items Shopify sent without a weight.
+   */
+  async function findOrder(orderNumber) {
+    const number = normalizeOrderNumber(orderNumber);
+    if (!number) return null;
+    const { orders = [] } = await request('GET', '/orders.json', { query: { name: `#${number}`, status: 'any', limit: 5 } });
+    const order = orders.find((o) => String(o.order_number) === number || o.name === `#${number}`) || null;
+    if (!order) return null;
+
+    for (const li of order.line_items || []) {
+      if (Number(li.grams) > 0 || !li.variant_id || li.requires_shipping === false) continue;
+      try {
+        const { variant } = await request('GET', `/variants/${encodeURIComponent(li.variant_id)}.json`);
+        li.grams = Math.round(toGrams(variant?.weight, variant?.weight_unit));
+      } catch {
+        // Deleted variants keep grams 0; readShopifyOrder lists them as missing a weight
+      }
+    }
+    return order;
+  }
+
+  /**
+   * Fulfill everything still open on the order with one tracking number.
+   * Returns the fulfillment; throws when nothing on the order can be fulfilled.
+   */
+  async function fulfillOrder(orderId, { trackingNumber, trackingUrl, company, notifyCustomer = false }) {
+    const { fulfillment_orders: fulfillmentOrders = [] } = await request(
+      'GET', `/orders/${encodeURIComponent(orderId)}/fulfillment_orders.json`
+    );
+    const open = fulfillmentOrders.filter((fo) => FULFILLABLE_STATUSES.has(fo.status));
+    if (open.length === 0) {
+      const err = new Error('Shopify has nothing left to fulfill on this order.');
+      err.nothingToFulfill = true;
+      throw err;
+    }
+    const { fulfillment } = await request('POST', '/fulfillments.json', {
+      body: {
+        fulfillment: {
+          line_items_by_fulfillment_order: open.map((fo) => ({ fulfillment_order_id: fo.id })),
+          tracking_info: { number: trackingNumber, ...(trackingUrl ? { url: trackingUrl } : {}), ...(company ? { company } : {}) },
+          notify_customer: Boolean(notifyCustomer)
+        }
+      }
+    });
+    return fulfillment;
+  }
+
+  return { request, findOrder, fulfillOrder };
+}
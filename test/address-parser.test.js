@@ -0,0 +1,173 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+import {
+  extractContactLines,
+  findAddressInText,
+  normalizePhone,
+  parseAddressMultiline,
+  parseAddressText,
+  parsedAddressErrors,
+  readContactInputs,
+  resolveAddressCountry
+} from '../lib/address-parser.js';
+
+const loadFixtures = (name) => JSON.parse(fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+
+function assertParse(parsed, fixture) {
+  for (const [field, value] of Object.entries(fixture.expected)) {
+    assert.equal(parsed[field], value, `${fixture.title}: ${field}`);
+  }
+  for (const [field, level] of Object.entries(fixture.confidence || {})) {
+    assert.equal(parsed.confidence[field], level, `${fixture.title}: confidence.${field}`);
+  }
+  if (fixture.warnings) {
+    assert.ok(parsed.warnings.length >= fixture.warnings, `${fixture.title}: expected warnings`);
+  }
+}
+
+for (const fixture of loadFixtures('addresses.json')) {
+  test(`parseAddressMultiline: ${fixture.title}`, () => {
+    assertParse(parseAddressMultiline(fixture.input), fixture);
+  });
+}
+
+for (const fixture of loadFixtures('freeform-addresses.json')) {
+  test(`parseAddressText: ${fixture.title}`, () => {
+    const parsed = parseAddressText(fixture.input);
+    assertParse(parsed, fixture);
+    assert.equal(parsed.freeform, true);
+    assert.ok(parsed.warnings.length > 0, 'free-form parses always ask for a check');
+  });
+}
+
+test('parseAddressMultiline: clean addresses have high confidence and no warnings', () => {
+  const parsed = parseAddressMultiline('Jane Doe\n123 Main St\nNew York, NY 10001');
+  assert.deepEqual(parsed.warnings, []);
+  for (const field of ['name', 'street1', 'city', 'state', 'zip']) {
+    assert.equal(parsed.confidence[field], 'high', field);
+  }
+});
+
+test('parseAddressMultiline: empty input', () => {
+  assert.equal(parseAddressMultiline('').street1, '');
+  assert.equal(parseAddressMultiline(null).city, '');
+  assert.equal(parseAddressMultiline('   \n  ').zip, '');
+});
+
+test('parseAddressText: plain multi-line text is not treated as free-form', () => {
+  const parsed = parseAddressText('Carismo Design\n71 Winant Place (Suite B)\nStaten Island, NY 10309');
+  assert.equal(parsed.freeform, false);
+  assert.deepEqual(parsed.warnings, []);
+  assert.equal(parsed.street1, '71 Winant Place (Suite B)');
+});
+
+test('normalizePhone keeps a leading + and extensions, rejects short numbers', () => {
+  assert.equal(normalizePhone('+1 (646) 374-8865'), '+16463748865');
+  assert.equal(normalizePhone('212.555.0100 ext 12'), '2125550100 x12');
+  assert.equal(normalizePhone('12345'), '');
+  assert.equal(normalizePhone('call me maybe'), '');
+});
+
+test('extractContactLines leaves house numbers alone', () => {
+  const { lines, phone, email } = extractContactLines(['123 Main St', 'Tel: 212 555 0100', 'a@b.co']);
+  assert.deepEqual(lines, ['123 Main St']);
+  assert.equal(phone, '2125550100');
+  assert.equal(email, 'a@b.co');
+});
+
+test('readContactInputs validates typed phone and email', () => {
+  const values = {
+    to_phone_block: { to_phone: { value: '12' } },
+    to_email_block: { to_email: { value: 'not-an-email' } }
+  };
+  const { errors } = readContactInputs(values, 'to');
+  assert.ok(errors.to_phone_block);
+  assert.ok(errors.to_email_block);
+
+  const ok = readContactInputs({ from_phone_block: { from_phone: { value: '(718) 555-0199' } } }, 'from');
+  assert.deepEqual(ok, { phone: '7185550199', email: '', errors: {} });
+});
+
+test('parsedAddressErrors flags a missing street, city or ZIP', () => {
+  const noStreet = parsedAddressErrors(parseAddressMultiline('Austin, TX 78701'), 'to_address_multiline_block', 'US');
+  assert.match(noStreet.to_address_multiline_block, /street/);
+  const noCityLine = parsedAddressErrors(parseAddressMultiline('Jane Doe\n1 Main St'), 'to_address_multiline_block', 'US');
+  assert.match(noCityLine.to_address_multiline_block, /city, ZIP/);
+  assert.deepEqual(parsedAddressErrors(parseAddressMultiline('1 Main St\nAustin, TX 78701'), 'x', 'US'), {});
+});
+
+test('European city lines: postcode first, UK postcodes, country line', () => {
+  const fields = (p) => [p.street1, p.city, p.state, p.zip, p.country];
+  const paris = parseAddressMultiline('Marie Curie\n12 Rue de Rivoli\n75001 Paris\nFrance');
+  assert.deepEqual(fields(paris), ['12 Rue de Rivoli', 'Paris', '', '75001', 'FR']);
+  assert.deepEqual(paris.warnings, []);
+
+  const berlin = parseAddressMultiline('Hans Müller\nMusterstraße 5\n10115 Berlin\nGermany');
+  assert.deepEqual(fields(berlin), ['Musterstraße 5', 'Berlin', '', '10115', 'DE']);
+  assert.deepEqual(berlin.warnings, [], 'house number after the street name');
+
+  const london = parseAddressMultiline('John Smith\n10 Downing Street\nLondon SW1A 2AA\nUnited Kingdom');
+  assert.deepEqual(fields(london), ['10 Downing Street', 'London', '', 'SW1A 2AA', 'GB']);
+  assert.equal(parseAddressMultiline('10 Downing Street\nLondon SW1A2AA').country, 'GB', 'UK postcode without a country line');
+
+  assert.deepEqual(fields(parseAddressMultiline('Damrak 1\n1012 AB Amsterdam\nNetherlands')), ['Damrak 1', 'Amsterdam', '', '1012 AB', 'NL']);
+  assert.deepEqual(fields(parseAddressText('Marie Curie, 12 Rue de Rivoli, 75001 Paris, France')).slice(1), ['Paris', '', '75001', 'FR']);
+});
+
+test('the country picked in the modal sets how the city line is read', () => {
+  const parsed = parseAddressText('Marie Curie\n12 Rue de Rivoli\n75001 Paris', { country: 'FR' });
+  assert.deepEqual([parsed.city, parsed.zip, parsed.country], ['Paris', '75001', 'FR']);
+  assert.deepEqual(parsedAddressErrors(parsed, 'x', 'FR'), {});
+  // Without it, "1600 Pennsylvania Ave" style lines are not taken for a postcode
+  assert.equal(parseAddressMultiline('Jane Doe\n75001 Paris').city, '');
+  assert.equal(parseAddressText('Jane Doe, 1 Main St, Los Angeles, CA').state, 'CA', 'a bare CA segment is California');
+});
+
+test('parsedAddressErrors shows the city line format for the country', () => {
+  const us = parsedAddressErrors(parseAddressMultiline('Jane Doe\n1 Main St'), 'b', 'US');
+  assert.match(us.b, /"City, ST ZIP"/);
+  const fr = parsedAddressErrors(parseAddressMultiline('Marie Curie\n12 Rue de Rivoli\nFrance'), 'b', 'FR');
+  assert.match(fr.b, /city/);
+  assert.match(fr.b, /postcode and city \("75001 Paris", "London SW1A 2AA"\)/);
+});
+
+test('resolveAddressCountry: explicit non-US pick wins, otherwise detected country', () => {
+  assert.equal(resolveAddressCountry('US', { country: 'CA' }), 'CA');
+  assert.equal(resolveAddressCountry('GB', { country: 'CA' }), 'GB');
+  assert.equal(resolveAddressCountry('US', { country: '' }), 'US');
+  assert.equal(resolveAddressCountry(undefined, {}), 'US');
+});
+
+test('findAddressInText picks the address out of a chatty message', () => {
+  const message = [
+    'Hey team! Customer just paid, can we get this out today?',
+    '',
+    '*Ship to:*',
+    '> Jane Doe',
+    '> Acme Inc',
+    '> 1 Main St',
+    '> Apt 4',
+    '> Austin, TX 78701',
+    '> (512) 555-0100',
+    '',
+    'Thanks!'
+  ].join('\n');
+  assert.equal(findAddressInText(message), 'Jane Doe\nAcme Inc\n1 Main St\nApt 4\nAustin, TX 78701\n(512) 555-0100');
+  assert.equal(parseAddressText(findAddressInText(message)).phone, '5125550100');
+});
+
+test('findAddressInText stops at prose and reads one-line addresses', () => {
+  assert.equal(
+    findAddressInText('Can you send the spoiler to this customer please?\nJohn Roe\n9 Elm St\nDenver CO 80202\nUSA\nthx'),
+    'John Roe\n9 Elm St\nDenver CO 80202\nUSA'
+  );
+  assert.equal(
+    findAddressInText('Please ship to: Jane Doe, 1 Main St, Austin, TX 78701'),
+    'Jane Doe, 1 Main St, Austin, TX 78701'
+  );
+  assert.equal(findAddressInText('Order 1042 is ready, tracking to follow. Call me at 512-555-0100.'), '');
+  assert.equal(findAddressInText('We moved to Austin, TX 78701 last year'), '', 'a city line needs a street above it');
+  assert.equal(findAddressInText(''), '');
+});
@@ -0,0 +1,494 @@
+import test, { after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { startFakeShippo } from '../dev/fake-shippo.js';
+import { startFakeSlack } from '../dev/fake-slack.js';
+
+// End to end: index.js imported against fake Slack and Shippo servers, with
+// Slack events fed in through slackApp.processEvent and ./data in a temp dir.
+
+// As Shippo's address validation writes it, so it isn't flagged as corrected
+const ADDRESS = 'Jane Doe, 1 MAIN ST, AUSTIN, TX 78701';
+
+let shippo;
+let slack;
+let bot;
+
+before(async () => {
+  shippo = await startFakeShippo({ token: 'shippo_test_fake' });
+  slack = await startFakeSlack();
+  Object.assign(process.env, {
+    SLACK_BOT_TOKEN: 'xoxb-test',
+    SLACK_APP_TOKEN: 'xapp-test',
+    SLACK_API_URL: slack.apiUrl,
+    SHIPPO_API_TOKEN: 'shippo_test_fake',
+    SHIPPO_BASE_URL: shippo.url,
+    SHIPPO_MAX_RETRIES: '0',
+    SHIPPO_TIMEOUT_SECONDS: '2',
+    SHIPPO_WEBHOOK_TOKEN: 'whtoken',
+    TRACKING_POLL_MINUTES: '0'
+  });
+  process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'label-bot-')));
+  fs.mkdirSync('data');
+  bot = await import('../index.js');
+});
+
+after(async () => {
+  await shippo.close();
+  await slack.close();
+});
+
+const readData = (name, fallback = null) => {
+  try {
+    return JSON.parse(fs.readFileSync(path.join('data', name), 'utf8'));
+  } catch {
+    return fallback;
+  }
+};
+const writeData = (name, value) => fs.writeFileSync(path.join('data', name), JSON.stringify(value, null, 2));
+
+/** Feed one Slack event to the app; resolves with what it acked once the handler is done. */
+async function send(body) {
+  let acked;
+  await bot.slackApp.processEvent({ body: { team: { id: 'T1' }, ...body }, ack: async (response) => { acked = response; } });
+  return acked;
+}
+
+const command = (name, text, user = 'U1') =>
+  send({ command: name, text, user_id: user, user_name: 'jane', channel_id: 'C1', team_id: 'T1', trigger_id: 'trigger' });
+
+const submitView = (view, values = {}, user = 'U1') =>
+  send({ type: 'view_submission', user: { id: user }, view: { ...view, state: { values } } });
+
+const callsSince = (mark, method) => slack.state.calls.slice(mark).filter((c) => !method || c.method === method);
+const lastView = (callbackId) =>
+  slack.state.calls.map((c) => c.args.view).filter((v) => v && (!callbackId || v.callback_id === callbackId)).at(-1);
+const postedTexts = (mark) => callsSince(mark).filter((c) => /^chat\.post/.test(c.method)).map((c) => c.args.text);
+
+/** Run a complete /shippinglabel command up to its review modal and buy it. */
+async function buyShippingLabel(text = `--box=default ${ADDRESS}`) {
+  await command('/shippinglabel', text);
+  const review = lastView('shippinglabel_review_modal');
+  assert.ok(review, 'the command opened the review modal');
+  await submitView(review);
+  return readData('labels.json', []).at(-1);
+}
+
+test('a bought label is recorded with the shipment Shippo bought it on', async () => {
+  const label = await buyShippingLabel();
+  assert.equal(label.status, 'purchased');
+  assert.ok(label.shipmentId, 'has a shipment id');
+  assert.equal(shippo.state.transactions.get(label.transactionId).rate, label.rateId);
+  assert.equal(shippo.state.rates.get(label.rateId).shipment, label.shipmentId);
+});
+
+test('a corrupt ledger is left alone instead of being overwritten', async () => {
+  const ledgerPath = path.join('data', 'labels.json');
+  const before = fs.readFileSync(ledgerPath, 'utf8');
+  const corrupt = before.slice(0, -20);
+  fs.writeFileSync(ledgerPath, corrupt);
+
+  const mark = slack.state.calls.length;
+  await command('/shippinglabel', `--box=default ${ADDRESS}`);
+  await submitView(lastView('shippinglabel_review_modal'));
+
+  assert.equal(fs.readFileSync(ledgerPath, 'utf8'), corrupt);
+  assert.ok(callsSince(mark, 'files.completeUploadExternal').length > 0, 'the label still reaches the thread');
+  fs.writeFileSync(ledgerPath, before);
+});
+
+const click = (actionId, value, user = 'U1') =>
+  send({
+    type: 'block_actions',
+    user: { id: user },
+    channel: { id: 'C1' },
+    message: { ts: '1700000000.000100' },
+    trigger_id: 'trigger',
+    actions: [{ type: 'button', action_id: actionId, block_id: 'label_actions_block', value }]
+  });
+
+const ledgerRecord = (id) => readData('labels.json', []).find((l) => l.id === id);
+const patchLedgerRecord = (id, patch) =>
+  writeData('labels.json', readData('labels.json', []).map((l) => (l.id === id ? { ...l, ...patch } : l)));
+const actionIds = (blocks) =>
+  (blocks || []).flatMap((b) => b.elements || []).map((e) => e.action_id).filter(Boolean);
+const lastActionsMessage = (id) => {
+  const label = ledgerRecord(id);
+  const call = slack.state.calls.filter((c) =>
+    (c.method === 'chat.update' && c.args.ts === label.actionsMessageTs) ||
+    (c.method === 'chat.postMessage' && /^Label actions/.test(c.args.text || '') && c.args.text.includes(label.trackingNumber))
+  ).at(-1);
+  return call?.args.blocks;
+};
+const refundsFor = (transactionId) => [...shippo.state.refunds.values()].filter((r) => r.transaction === transactionId);
+
+test('two void clicks on one label request a single refund', async () => {
+  const label = await buyShippingLabel();
+  const mark = slack.state.calls.length;
+  await Promise.all([click('void_label', label.id, 'U1'), click('void_label', label.id, 'U2')]);
+
+  assert.equal(refundsFor(label.transactionId).length, 1);
+  assert.equal(ledgerRecord(label.id).status, 'refund_pending');
+  assert.ok(postedTexts(mark).some((t) => /already pending/.test(t)), 'the second click is told');
+});
+
+test('a refund whose response was lost is found by "Check refund status"', async () => {
+  const label = await buyShippingLabel();
+  shippo.state.faults.push({ method: 'POST', path: '/refunds/', afterProcessing: true, delayMs: 3000 });
+  await click('void_label', label.id);
+
+  let record = ledgerRecord(label.id);
+  assert.equal(record.status, 'refund_pending');
+  assert.equal(record.refundStatus, 'UNKNOWN');
+  assert.equal(record.refundId, null);
+  assert.deepEqual(actionIds(lastActionsMessage(label.id)), ['refund_status_check']);
+
+  await click('refund_status_check', label.id);
+  record = ledgerRecord(label.id);
+  assert.equal(record.refundId, refundsFor(label.transactionId)[0].object_id);
+  assert.equal(record.status, 'refund_pending');
+
+  await click('refund_status_check', label.id);
+  assert.equal(ledgerRecord(label.id).status, 'refunded');
+  assert.equal(refundsFor(label.transactionId).length, 1);
+});
+
+test('a refund Shippo never received makes the label voidable again, but not right away', async () => {
+  const label = await buyShippingLabel();
+  shippo.state.faults.push({ method: 'POST', path: '/refunds/', status: 503 });
+  await click('void_label', label.id);
+  assert.equal(ledgerRecord(label.id).refundStatus, 'UNKNOWN');
+
+  let mark = slack.state.calls.length;
+  await click('refund_status_check', label.id);
+  assert.equal(ledgerRecord(label.id).status, 'refund_pending', 'Shippo may still be processing it');
+  assert.ok(postedTexts(mark).some((t) => /doesn't list a refund .* yet/.test(t)));
+
+  patchLedgerRecord(label.id, { refundRequestedAt: new Date(Date.now() - 10 * 60 * 1000).toISOString() });
+  mark = slack.state.calls.length;
+  await click('refund_status_check', label.id);
+  const record = ledgerRecord(label.id);
+  assert.equal(record.status, 'purchased');
+  assert.equal(record.refundStatus, null);
+  assert.deepEqual(actionIds(lastActionsMessage(label.id)), ['void_label']);
+  assert.ok(callsSince(mark, 'chat.update').some((c) => c.args.ts === record.threadTs && /^📦/.test(c.args.text)));
+
+  await click('void_label', label.id);
+  assert.equal(refundsFor(label.transactionId).length, 1);
+  assert.equal(ledgerRecord(label.id).status, 'refund_pending');
+  assert.ok(ledgerRecord(label.id).refundId);
+});
+
+test('a refund Shippo rejects puts the label back as it was', async () => {
+  const label = await buyShippingLabel();
+  shippo.state.faults.push({ method: 'POST', path: '/refunds/', status: 400 });
+  const mark = slack.state.calls.length;
+  await click('void_label', label.id);
+  const record = ledgerRecord(label.id);
+  assert.equal(record.status, 'purchased');
+  assert.equal(record.voidedBy, null);
+  assert.ok(postedTexts(mark).some((t) => /Shippo refused the refund/.test(t)));
+});
+
+test('a webhook that fails to process is processed again when Shippo redelivers it', async (t) => {
+  const label = await buyShippingLabel();
+  const server = bot.webApp.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  t.after(() => new Promise((done) => server.close(done)));
+  const deliver = () =>
+    fetch(`http://127.0.0.1:${server.address().port}/webhooks/shippo?token=whtoken`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({
+        event: 'transaction_updated',
+        data: { object_id: label.transactionId, object_status: 'REFUNDED', object_updated: '2026-03-01T12:00:00Z' }
+      })
+    }).then(async (res) => ({ status: res.status, body: await res.json() }));
+
+  const ledgerPath = path.join('data', 'labels.json');
+  const ledger = fs.readFileSync(ledgerPath, 'utf8');
+  fs.writeFileSync(ledgerPath, ledger.slice(0, -20));
+  assert.equal((await deliver()).status, 500);
+
+  fs.writeFileSync(ledgerPath, ledger);
+  assert.deepEqual(await deliver(), { status: 200, body: { ok: true } });
+  assert.equal(ledgerRecord(label.id).status, 'refunded');
+  assert.deepEqual(await deliver(), { status: 200, body: { ok: true, duplicate: true } });
+});
+
+/**
+ * The values Slack sends for a view as the user left it: every input at its
+ * initial value, with `inputs` (by action_id) typed in or picked.
+ */
+function viewValues(view, inputs = {}) {
+  const values = {};
+  for (const block of view.blocks || []) {
+    const element = block.element || block.accessory;
+    if (!block.block_id || !element?.action_id) continue;
+    const options = element.options || (element.option_groups || []).flatMap((g) => g.options);
+    const state = { type: element.type };
+    if (element.action_id in inputs) {
+      const input = inputs[element.action_id];
+      if (options.length > 0) state.selected_option = options.find((o) => o.value === input) || null;
+      else state.value = input;
+    } else if (element.initial_option) {
+      state.selected_option = element.initial_option;
+    } else if (element.initial_options) {
+      state.selected_options = element.initial_options;
+    } else if (element.type === 'plain_text_input') {
+      state.value = element.initial_value ?? null;
+    }
+    values[block.block_id] = { [element.action_id]: state };
+  }
+  return values;
+}
+
+// Typed on separate lines, the way the edit modal asks for it
+const MULTILINE_ADDRESS = 'Jane Doe\n1 MAIN ST\nAUSTIN, TX 78701';
+const FLOW_INPUTS = {
+  shippinglabel: { to_address_multiline: MULTILINE_ADDRESS },
+  returnlabel: { from_address_mode: 'custom', from_address_multiline: MULTILINE_ADDRESS, rma_reason: 'damaged', rma_order: '1042' }
+};
+
+/** Open the flow's edit modal with a bare command and submit it; returns the edit ack. */
+async function submitEditModal(flow, inputs = {}) {
+  await command(`/${flow}`, '');
+  const edit = lastView(`${flow}_edit_modal`);
+  return submitView(edit, viewValues(edit, { ...FLOW_INPUTS[flow], ...inputs }));
+}
+
+const pendingFlows = () => Object.values(readData('pending-flows.json', {}));
+const reviewFlow = (review) => readData('pending-flows.json', {})[JSON.parse(review.private_metadata).flowId];
+
+for (const flow of ['shippinglabel', 'returnlabel']) {
+  test(`${flow}: edit → review → purchase`, async () => {
+    const ack = await submitEditModal(flow, { service_mode: 'choose' });
+    assert.equal(ack.response_action, 'update', 'the edit modal turns into a loading modal');
+
+    // "Choose" posts the service chooser in the thread; picking one opens the review
+    const chooser = slack.state.calls.filter((c) => c.method === 'chat.postMessage' && c.args.blocks).at(-1).args;
+    const option = chooser.blocks.flatMap((b) => b.elements || []).find((e) => e.action_id === 'service_option_select');
+    await send({
+      type: 'block_actions',
+      user: { id: 'U1' },
+      channel: { id: 'C1' },
+      container: { type: 'message', channel_id: 'C1', message_ts: '1700000000.000100' },
+      trigger_id: 'trigger',
+      actions: [{ type: 'button', action_id: 'service_option_select', value: option.value }]
+    });
+    const review = lastView(`${flow}_review_modal`);
+    assert.equal(reviewFlow(review).state, 'reviewing');
+
+    const labels = readData('labels.json', []).length;
+    await submitView(review);
+    const label = readData('labels.json', []).at(-1);
+    assert.equal(readData('labels.json', []).length, labels + 1);
+    assert.equal(label.flow, flow);
+    assert.equal(reviewFlow(review).state, 'purchased');
+    if (flow === 'returnlabel') {
+      assert.match(label.rmaNumber, /^RMA-\d{4}-\d{4}$/);
+      assert.equal(label.extra.reference_1, label.rmaNumber);
+      assert.equal(readData('rmas.json').rmas.at(-1).number, label.rmaNumber);
+      assert.equal(label.addressTo.street1, '71 Winant Place (Suite B)', 'returns go to Carismo');
+    } else {
+      assert.equal(label.addressTo.street1, '1 MAIN ST');
+    }
+  });
+}
+
+test('returnlabel: the edit modal buys the policy pick right away', async () => {
+  const labels = readData('labels.json', []).length;
+  await submitEditModal('returnlabel');
+  assert.equal(readData('labels.json', []).length, labels + 1);
+  assert.match(lastView().blocks.map((b) => b.text?.text).join(' '), /Bought the return label/);
+  assert.equal(pendingFlows().at(-1).state, 'purchased');
+});
+
+/** Review a label (command → review modal) and submit it with a Shippo fault queued. */
+async function reviewAndBuy(flow, faults) {
+  await command(`/${flow}`, `--box=default ${flow === 'returnlabel' ? '--reason=damaged ' : ''}${ADDRESS}`);
+  const review = lastView(`${flow}_review_modal`);
+  shippo.state.faults.push(...faults);
+  const mark = slack.state.calls.length;
+  const labels = readData('labels.json', []).length;
+  await submitView(review);
+  return { review, mark, bought: readData('labels.json', []).length - labels };
+}
+
+for (const flow of ['shippinglabel', 'returnlabel']) {
+  test(`${flow}: a purchase that was never sent goes back to rated`, async () => {
+    const { review, mark, bought } = await reviewAndBuy(flow, [{ method: 'GET', path: '/transactions/', status: 503 }]);
+    assert.equal(bought, 0);
+    assert.equal(reviewFlow(review).state, 'rated');
+    assert.ok(postedTexts(mark).some((t) => /❌ Failed to create Shippo/.test(t)));
+  });
+
+  test(`${flow}: a purchase Shippo rejects goes back to rated`, async () => {
+    const { review, mark, bought } = await reviewAndBuy(flow, [{ method: 'POST', path: '/transactions/', status: 400 }]);
+    assert.equal(bought, 0);
+    assert.equal(reviewFlow(review).state, 'rated');
+    assert.ok(postedTexts(mark).some((t) => /❌ Failed to create Shippo/.test(t)));
+  });
+
+  test(`${flow}: an unconfirmed purchase stays purchasing until checked again`, async () => {
+    const { review, mark, bought } = await reviewAndBuy(flow, [
+      { method: 'POST', path: '/transactions/', afterProcessing: true, delayMs: 3000 }
+    ]);
+    assert.equal(bought, 0);
+    const record = reviewFlow(review);
+    assert.equal(record.state, 'purchasing');
+    const notice = callsSince(mark, 'chat.postMessage').find((c) => /Shippo hasn't confirmed/.test(c.args.text));
+    assert.ok(notice, 'tells the thread the purchase is unconfirmed');
+
+    await click('purchase_status_check', record.id);
+    assert.equal(reviewFlow(review).state, 'purchased');
+    const label = readData('labels.json', []).at(-1);
+    assert.equal(label.flow, flow);
+    assert.equal([...shippo.state.transactions.values()].filter((tx) => tx.rate === label.rateId).length, 1);
+  });
+}
+
+/** Rewrite one stored pending flow. */
+function patchPendingFlow(id, patch) {
+  const flows = readData('pending-flows.json', {});
+  writeData('pending-flows.json', { ...flows, [id]: { ...flows[id], ...patch } });
+}
+
+test('an unanswered purchase Shippo doesn\'t list goes back to rated, but not right away', async () => {
+  const { review, bought } = await reviewAndBuy('shippinglabel', [{ method: 'POST', path: '/transactions/', status: 503 }]);
+  assert.equal(bought, 0);
+  const record = reviewFlow(review);
+  assert.equal(record.state, 'purchasing');
+
+  let mark = slack.state.calls.length;
+  await click('purchase_status_check', record.id);
+  assert.equal(reviewFlow(review).state, 'purchasing', 'the purchase may still be going through');
+  assert.ok(postedTexts(mark).some((t) => /doesn't list the shipping label yet/.test(t)));
+
+  patchPendingFlow(record.id, { purchase: { ...record.purchase, at: new Date(Date.now() - 10 * 60 * 1000).toISOString() } });
+  mark = slack.state.calls.length;
+  await click('purchase_status_check', record.id);
+  assert.equal(reviewFlow(review).state, 'rated');
+  assert.ok(postedTexts(mark).some((t) => /Shippo never bought the shipping label/.test(t)));
+});
+
+test('an unconfirmed purchase can still be checked after the flow expired', async () => {
+  const { review } = await reviewAndBuy('shippinglabel', [
+    { method: 'POST', path: '/transactions/', afterProcessing: true, delayMs: 3000 }
+  ]);
+  const record = reviewFlow(review);
+  assert.equal(record.state, 'purchasing');
+  patchPendingFlow(record.id, { expiresAt: new Date(Date.now() - 60 * 1000).toISOString() });
+
+  await click('purchase_status_check', record.id);
+  assert.equal(reviewFlow(review).state, 'purchased');
+  assert.equal(readData('labels.json', []).at(-1).rateId, record.purchase.selectedRate.id);
+});
+
+/** Open the review modal of a /returnlabel command; returns { review, flow }. */
+async function reviewReturn() {
+  await command('/returnlabel', `--box=default --reason=damaged ${ADDRESS}`);
+  const review = lastView('returnlabel_review_modal');
+  return { review, flow: reviewFlow(review) };
+}
+
+/** Another return was bought with `number` (its counter moved past it); returns that year's counter. */
+function takeRmaNumber(number) {
+  const [, year, seq] = number.match(/^RMA-(\d{4})-(\d+)$/);
+  const store = readData('rmas.json', { rmas: [] });
+  writeData('rmas.json', { ...store, counters: { ...store.counters, [year]: Number(seq) } });
+  return () => readData('rmas.json').counters[year];
+}
+
+test('returnlabel: the reviewed rate is bought, with its RMA number already on the shipment', async () => {
+  const { review, flow } = await reviewReturn();
+  assert.match(flow.rma.number, /^RMA-\d{4}-\d{4}$/);
+  assert.equal(flow.shipment.extra.reference_1, flow.rma.number);
+  const shipments = shippo.state.shipments.size;
+
+  await submitView(review);
+  const label = readData('labels.json', []).at(-1);
+  assert.equal(label.rateId, JSON.parse(review.private_metadata).rateId);
+  assert.equal(label.rmaNumber, flow.rma.number);
+  assert.equal(shippo.state.shipments.size, shipments, 'bought without rating it again');
+});
+
+test('returnlabel: an RMA number taken meanwhile is replaced, at the reviewed price', async () => {
+  const { review, flow } = await reviewReturn();
+  const counter = takeRmaNumber(flow.rma.number);
+  const shipments = shippo.state.shipments.size;
+
+  await submitView(review);
+  const label = readData('labels.json', []).at(-1);
+  const rerated = reviewFlow(review);
+  assert.equal(rerated.state, 'purchased');
+  assert.notEqual(label.rmaNumber, flow.rma.number);
+  assert.equal(label.rmaNumber, rerated.rma.number);
+  assert.equal(label.extra.reference_1, label.rmaNumber);
+  assert.equal(label.rateId, rerated.rateId);
+  assert.equal(counter(), Number(label.rmaNumber.slice(-4)));
+  assert.equal(shippo.state.shipments.size, shipments + 1);
+});
+
+test('returnlabel: a re-rate at a new price stops for a new review and reserves no RMA number', async () => {
+  const { review, flow } = await reviewReturn();
+  const counter = takeRmaNumber(flow.rma.number);
+  const taken = counter();
+  // Reviewed at a price Shippo won't quote again
+  const rateId = JSON.parse(review.private_metadata).rateId;
+  patchPendingFlow(flow.id, { rates: flow.rates.map((r) => (r.id === rateId ? { ...r, amount: '1.00' } : r)) });
+  const labels = readData('labels.json', []).length;
+  const mark = slack.state.calls.length;
+
+  await submitView(review);
+  assert.equal(readData('labels.json', []).length, labels);
+  assert.equal(counter(), taken, 'no RMA number reserved');
+  const rerated = reviewFlow(review);
+  assert.equal(rerated.state, 'rated');
+  assert.notEqual(rerated.rma.number, flow.rma.number);
+  assert.equal(rerated.shipment.extra.reference_1, rerated.rma.number);
+  const notice = callsSince(mark, 'chat.postMessage').find((c) => /now costs \$[\d.]+ instead of \$1\.00/.test(c.args.text));
+  assert.ok(notice, 'tells the thread the price changed');
+
+  // Picking the service again reviews the new price and buys exactly that rate
+  const button = notice.args.blocks.flatMap((b) => b.elements || []).find((e) =>
+    e.action_id === 'service_option_select' && JSON.parse(e.value).rateId === rerated.rateId);
+  assert.ok(button, 'the new rate can be picked right there');
+  await click('service_option_select', button.value);
+  const again = lastView('returnlabel_review_modal');
+  assert.equal(JSON.parse(again.private_metadata).rateId, rerated.rateId);
+  await submitView(again);
+  const label = readData('labels.json', []).at(-1);
+  assert.equal(label.rateId, rerated.rateId);
+  assert.equal(label.rmaNumber, rerated.rma.number);
+  assert.equal(counter(), taken + 1);
+});
+
+test('buying a bulk run with no ready rows fails it without calling Shippo', async () => {
+  const at = new Date().toISOString();
+  const job = {
+    id: 'bulk_none_ready',
+    status: 'previewed',
+    channelId: 'C1',
+    userId: 'U1',
+    fileName: 'orders.csv',
+    policyName: 'Cheapest',
+    rows: [{ line: 2, status: 'failed', error: 'Missing address' }],
+    batchId: null,
+    history: [{ at, status: 'previewed', by: 'U1' }],
+    createdAt: at,
+    updatedAt: at,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+  };
+  writeData('bulk-jobs.json', [...readData('bulk-jobs.json', []), job]);
+  const batches = shippo.state.batches.size;
+
+  await click('bulk_buy', job.id);
+  const stored = readData('bulk-jobs.json').find((j) => j.id === job.id);
+  assert.equal(stored.status, 'failed');
+  assert.match(stored.error, /no row was ready/);
+  assert.equal(shippo.state.batches.size, batches);
+});
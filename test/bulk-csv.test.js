@@ -0,0 +1,115 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MAX_BULK_ROWS, bulkResultsCsv, parseCsv, readBulkRows, toCsv } from '../lib/bulk-csv.js';
+
+const PRESETS = [
+  { id: 'default', name: 'Standard 17x17x7', length: '17', width: '17', height: '7', boxWeight: '1', defaultContentsWeight: '8', template: '' },
+  { id: 'flat', name: 'USPS Flat Rate Box', length: '11', width: '8.5', height: '5.5', boxWeight: '0', defaultContentsWeight: '2', template: 'USPS_MediumFlatRateBox1' }
+];
+
+test('parseCsv handles quotes, embedded newlines, CRLF, a BOM and ; exports', () => {
+  assert.deepEqual(parseCsv('\uFEFFname,address\r\n"Doe, Jane","1 Main St\nAustin, TX 78701"\r\n"Say ""hi""",\r\n'), [
+    ['name', 'address'],
+    ['Doe, Jane', '1 Main St\nAustin, TX 78701'],
+    ['Say "hi"', '']
+  ]);
+  assert.deepEqual(parseCsv('name;zip\nJane;78701'), [['name', 'zip'], ['Jane', '78701']]);
+  assert.deepEqual(parseCsv('a\tb\n1\t2'), [['a', 'b'], ['1', '2']]);
+  assert.deepEqual(parseCsv(''), []);
+});
+
+test('toCsv quotes only what needs quoting and round-trips', () => {
+  const rows = [['a', 'b,c', 'say "x"', null], ['line\nbreak', 2, '', undefined]];
+  const csv = toCsv(rows);
+  assert.equal(csv, 'a,"b,c","say ""x""",\r\n"line\nbreak",2,,\r\n');
+  assert.deepEqual(parseCsv(csv.trimEnd()), [['a', 'b,c', 'say "x"', ''], ['line\nbreak', '2', '', '']]);
+});
+
+test('readBulkRows reads split address columns, presets and services', () => {
+  const csv = [
+    'Order #,Name,Company,Address 1,Address 2,City,State,ZIP,Phone,Package,Weight,Service,Signature',
+    '1001,Jane Doe,,1 Main St,Apt 4,Austin,tx,78701,(512) 555-0100,flat,,usps/priority mail,no',
+    '1002,John Roe,Acme Inc,9 Elm St,,Denver,CO,80202,,,3,,',
+    '',
+    '1003,Ann Poe,,22 Oak Ave,,Boston,MA,02108,,,,,yes'
+  ].join('\n');
+  const { rows, errors } = readBulkRows(csv, { presets: PRESETS });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(rows.map((r) => r.line), [2, 3, 5], 'blank rows are skipped, line numbers match the sheet');
+
+  const [jane, john, ann] = rows;
+  assert.deepEqual(jane.address, {
+    name: 'Jane Doe', company: '', street1: '1 Main St', street2: 'Apt 4', city: 'Austin', state: 'TX', zip: '78701',
+    country: 'US', phone: '5125550100', email: ''
+  });
+  assert.equal(jane.reference, '1001');
+  assert.equal(jane.parcel.template, 'USPS_MediumFlatRateBox1');
+  assert.equal(jane.parcel.weight, '2');
+  assert.equal(jane.service, 'usps/priority mail');
+  assert.equal(jane.requireSignature, false);
+  assert.deepEqual(jane.errors, []);
+
+  assert.equal(john.address.company, 'Acme Inc');
+  assert.equal(john.parcel.weight, '4', 'contents weight plus the default preset box weight');
+  assert.equal(john.requireSignature, true);
+  assert.equal(ann.parcel.weight, '9');
+});
+
+test('readBulkRows parses a whole-address column like the modals do', () => {
+  const csv = 'reference,address,length,width,height,weight\nA1,"Ship to: Jane Doe, 1 Main St, Austin, TX 78701",10,8,4,2.5\n';
+  const [row] = readBulkRows(csv, { presets: PRESETS }).rows;
+  assert.equal(row.address.name, 'Jane Doe');
+  assert.equal(row.address.street1, '1 Main St');
+  assert.equal(row.address.city, 'Austin');
+  assert.equal(row.address.zip, '78701');
+  assert.deepEqual(row.parcel, { length: '10', width: '8', height: '4', distance_unit: 'in', weight: '2.5', mass_unit: 'lb' });
+  assert.deepEqual(row.errors, []);
+});
+
+test('readBulkRows reports per-row problems', () => {
+  const csv = [
+    'name,street1,city,state,zip,email,preset,length,weight,signature',
+    ',1 Main St,Austin,TX,,nope,,,,maybe',
+    'Jane Doe,1 Main St,Austin,TX,78701,,huge,,,',
+    'Jane Doe,1 Main St,Austin,TX,78701,,,10,,'
+  ].join('\n');
+  const [noZip, badPreset, partialDims] = readBulkRows(csv, { presets: PRESETS }).rows;
+  assert.deepEqual(noZip.errors, [
+    'Couldn\'t find the ZIP.',
+    'Missing the recipient name.',
+    'Email "nope" is not valid.',
+    'Signature "maybe" should be yes or no.'
+  ]);
+  assert.deepEqual(badPreset.errors, ['Unknown package preset "huge".']);
+  assert.deepEqual(partialDims.errors, [
+    'Width: Required when using custom dimensions.',
+    'Height: Required when using custom dimensions.',
+    'Weight: Required when using custom dimensions.'
+  ]);
+});
+
+test('readBulkRows rejects files it cannot use at all', () => {
+  assert.deepEqual(readBulkRows('name,phone\nJane,5125550100').errors, [
+    'The header needs either an "address" column or "street1", "city", "state" and "zip" columns.'
+  ]);
+  assert.deepEqual(readBulkRows('address\n\n').errors, ['The CSV has no data rows.']);
+  const many = ['address', ...Array(MAX_BULK_ROWS + 1).fill('"Jane Doe, 1 Main St, Austin, TX 78701"')].join('\n');
+  assert.deepEqual(readBulkRows(many).errors, [`The CSV has ${MAX_BULK_ROWS + 1} rows; the limit is ${MAX_BULK_ROWS} per upload.`]);
+});
+
+test('bulkResultsCsv writes one line per row with the rate and tracking', () => {
+  const csv = bulkResultsCsv([
+    {
+      line: 2, reference: '1001', address: { name: 'Jane Doe', city: 'Austin', state: 'TX', zip: '78701', country: 'US' },
+      rate: { provider: 'UPS', service: 'Ground', amount: '12.30', currency: 'USD' },
+      status: 'purchased', trackingNumber: '1Z999', trackingUrl: 'https://t/1Z999'
+    },
+    { line: 3, reference: '', address: { name: 'John, Jr.' }, status: 'skipped', error: 'No rate.' }
+  ]);
+  const [header, first, second] = parseCsv(csv.trimEnd());
+  assert.deepEqual(header.slice(0, 3), ['row', 'reference', 'name']);
+  assert.deepEqual(first, ['2', '1001', 'Jane Doe', '', 'Austin', 'TX', '78701', 'US', 'UPS', 'Ground', '12.30', 'USD', 'purchased', '1Z999', 'https://t/1Z999', '']);
+  assert.equal(second[2], 'John, Jr.');
+  assert.equal(second.at(-1), 'No rate.');
+});
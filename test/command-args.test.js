@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { labelCommandPrefill, parseLabelCommandText, slackPlainText } from '../lib/command-args.js';
+
+const PRESETS = [
+  { id: 'default', name: 'Standard 17x17x7', length: '17', width: '17', height: '7', boxWeight: '0', defaultContentsWeight: '8', template: '' },
+  { id: 'flat', name: 'USPS Flat Rate Box', length: '11', width: '8.5', height: '5.5', boxWeight: '0', defaultContentsWeight: '2', template: 'USPS_MediumFlatRateBox1' }
+];
+
+test('parseLabelCommandText splits flags from the address', () => {
+  const args = parseLabelCommandText('--box=flat Jane Doe, 1 Main St, Austin, TX 78701 --service=usps/priority --no-signature --order=#1042');
+  assert.deepEqual(args, {
+    address: 'Jane Doe, 1 Main St, Austin, TX 78701',
+    box: 'flat',
+    service: 'usps/priority',
+    requireSignature: false,
+    order: '1042',
+    reason: null,
+    errors: []
+  });
+  assert.deepEqual(parseLabelCommandText(''), {
+    address: '', box: null, service: null, requireSignature: true, order: null, reason: null, errors: []
+  });
+});
+
+test('parseLabelCommandText keeps address lines and quoted values', () => {
+  const args = parseLabelCommandText('--box="USPS Flat Rate Box" Jane Doe\n 1 Main St \n\nAustin, TX 78701\n--order=A-7');
+  assert.equal(args.box, 'USPS Flat Rate Box');
+  assert.equal(args.order, 'A-7');
+  assert.equal(args.address, 'Jane Doe\n1 Main St\nAustin, TX 78701');
+  assert.equal(parseLabelCommandText('—box=“USPS Flat Rate Box” –no-signature').box, 'USPS Flat Rate Box', 'smart punctuation');
+  assert.equal(parseLabelCommandText('1 Main St-Rear --order=1').address, '1 Main St-Rear');
+});
+
+test('a lone #number is the order', () => {
+  assert.deepEqual(
+    [parseLabelCommandText(' #1042 ').order, parseLabelCommandText('#1042').address],
+    ['1042', '']
+  );
+  assert.equal(parseLabelCommandText('--order=7 #1042').address, '#1042', '--order wins');
+  assert.equal(parseLabelCommandText('1 Main St #4\nAustin, TX 78701').order, null);
+});
+
+test('parseLabelCommandText reports unknown and empty flags', () => {
+  assert.deepEqual(parseLabelCommandText('--rush --box= --no-signature=yes 1 Main St').errors, [
+    'Unknown option --rush. Use --box, --service, --no-signature, --order or --reason.',
+    '--box needs a value, e.g. --box=default.',
+    '--no-signature doesn\'t take a value.'
+  ]);
+});
+
+test('slackPlainText undoes Slack escaping and auto-links', () => {
+  assert.equal(
+    slackPlainText('Smith &amp; Co &lt;dock&gt; <mailto:jane@example.com|jane@example.com> <tel:5125550100|512-555-0100> <https://x.co>'),
+    'Smith & Co <dock> jane@example.com 512-555-0100 https://x.co'
+  );
+});
+
+test('labelCommandPrefill is complete only with a usable address and a known box', () => {
+  const full = labelCommandPrefill('--box=USPS flat rate box Jane Doe, 1 Main St, Austin, TX 78701', PRESETS);
+  assert.equal(full.preset, null, 'unquoted names stop at the first space');
+
+  const ok = labelCommandPrefill('--box="usps flat rate box" Jane Doe, 1 Main St, Austin, TX 78701', PRESETS);
+  assert.equal(ok.preset.id, 'flat');
+  assert.equal(ok.complete, true);
+
+  assert.equal(labelCommandPrefill('Jane Doe, 1 Main St, Austin, TX 78701', PRESETS).complete, false, 'no --box');
+  assert.equal(labelCommandPrefill('--box=flat Jane Doe, 1 Main St', PRESETS).complete, false, 'no city/ZIP');
+  assert.equal(labelCommandPrefill('--box=flat --rush Jane Doe, 1 Main St, Austin, TX 78701', PRESETS).complete, false);
+
+  const fromOrder = labelCommandPrefill('--box=flat #1001', PRESETS, { address: 'Jane Doe\n1 Main St\nAustin, TX 78701' });
+  assert.equal(fromOrder.order, '1001');
+  assert.equal(fromOrder.complete, true, 'the order supplies the address');
+  assert.equal(labelCommandPrefill('--box=flat 9 Elm St, Denver, CO 80202', PRESETS, { address: 'x' }).address, '9 Elm St, Denver, CO 80202');
+
+  const unknown = labelCommandPrefill('--box=huge', PRESETS);
+  assert.deepEqual(unknown.errors, ['Unknown package preset "huge".']);
+  assert.equal(unknown.complete, false);
+});
+
+test('labelCommandPrefill matches --reason to a return reason code', () => {
+  const ok = labelCommandPrefill('--box=flat --reason="Arrived damaged" Jane Doe, 1 Main St, Austin, TX 78701', PRESETS);
+  assert.equal(ok.reason, 'damaged');
+  assert.equal(ok.complete, true);
+
+  const bad = labelCommandPrefill('--box=flat --reason=bored Jane Doe, 1 Main St, Austin, TX 78701', PRESETS);
+  assert.equal(bad.reason, null);
+  assert.deepEqual(bad.errors, ['Unknown return reason "bored".']);
+  assert.equal(bad.complete, false);
+});
@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { REVIEW_LOCK_MS, canTransition, transitionFlow } from '../lib/flow-state.js';
+
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+const rated = { id: 'pf_1', state: 'rated', history: [] };
+
+test('happy path: rated → reviewing → purchasing → purchased', () => {
+  const reviewing = transitionFlow(rated, 'reviewing', { by: 'U1', rateId: 'r1', now: NOW });
+  assert.equal(reviewing.ok, true);
+  assert.equal(reviewing.record.state, 'reviewing');
+  assert.equal(reviewing.record.stateBy, 'U1');
+  assert.equal(reviewing.record.rateId, 'r1');
+
+  const purchasing = transitionFlow(reviewing.record, 'purchasing', { by: 'U1', rateId: 'r1', now: NOW + 1000 });
+  const purchased = transitionFlow(purchasing.record, 'purchased', { by: 'U1', patch: { trackingNumber: '1Z' }, now: NOW + 2000 });
+  assert.equal(purchased.ok, true);
+  assert.equal(purchased.record.trackingNumber, '1Z');
+  assert.equal(purchased.record.rateId, 'r1', 'keeps the bought rate');
+  assert.deepEqual(purchased.record.history.map((h) => h.state), ['reviewing', 'purchasing', 'purchased']);
+  assert.equal(rated.history.length, 0, 'does not mutate the input');
+});
+
+test('a purchased flow can never be bought again', () => {
+  const purchased = { ...rated, state: 'purchased', stateBy: 'U1' };
+  for (const to of ['reviewing', 'purchasing', 'rated']) {
+    const result = transitionFlow(purchased, to, { by: 'U2' });
+    assert.equal(result.ok, false, to);
+    assert.equal(result.record, purchased);
+  }
+});
+
+test('a second submit while purchasing is rejected', () => {
+  const purchasing = { ...rated, state: 'purchasing', stateBy: 'U1', stateAt: new Date(NOW).toISOString() };
+  assert.equal(canTransition(purchasing, 'purchasing', { by: 'U1' }), false);
+  assert.equal(canTransition(purchasing, 'reviewing', { by: 'U2' }), false);
+  assert.equal(canTransition(purchasing, 'rated'), true, 'a failed purchase frees the flow');
+});
+
+test('only the reviewer can re-open a review until the lock goes stale', () => {
+  const reviewing = { ...rated, state: 'reviewing', stateBy: 'U1', stateAt: new Date(NOW).toISOString() };
+  assert.equal(canTransition(reviewing, 'reviewing', { by: 'U1', now: NOW + 1000 }), true);
+  assert.equal(canTransition(reviewing, 'reviewing', { by: 'U2', now: NOW + 1000 }), false);
+  assert.equal(canTransition(reviewing, 'reviewing', { by: 'U2', now: NOW + REVIEW_LOCK_MS + 1 }), true);
+});
+
+test('records without a state are treated as rated', () => {
+  assert.equal(transitionFlow({ id: 'old' }, 'reviewing', { by: 'U1' }).ok, true);
+  assert.equal(transitionFlow({ id: 'old' }, 'purchasing', { by: 'U1' }).ok, false);
+});
+
+test('only the reviewer can buy or close, and only the rate under review', () => {
+  const reviewing = { ...rated, state: 'reviewing', stateBy: 'U1', stateAt: new Date(NOW).toISOString(), rateId: 'r2' };
+  assert.equal(canTransition(reviewing, 'purchasing', { by: 'U1', rateId: 'r2' }), true);
+  assert.equal(canTransition(reviewing, 'purchasing', { by: 'U2', rateId: 'r2' }), false);
+  assert.equal(canTransition(reviewing, 'purchasing', { by: 'U1', rateId: 'r1' }), false, 'stale review modal');
+  assert.equal(canTransition(reviewing, 'rated', { by: 'U1', rateId: 'r1' }), false, 'closing a stale modal keeps the newer review');
+  assert.equal(canTransition(reviewing, 'rated', { by: 'U1', rateId: 'r2' }), true);
+});
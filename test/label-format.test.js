@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  LABEL_FORMATS,
+  defaultLabelFormat,
+  labelFilename,
+  labelFormat,
+  readLabelFormatInputs,
+  resolveLabelFormat
+} from '../lib/label-format.js';
+
+test('labelFormat accepts Shippo values and friendly aliases', () => {
+  assert.equal(labelFormat('PDF_4x6').value, 'PDF_4x6');
+  assert.equal(labelFormat('pdf_a4').value, 'PDF_A4');
+  assert.equal(labelFormat('letter').value, 'PDF');
+  assert.equal(labelFormat(' ZPL ').value, 'ZPLII');
+  assert.equal(labelFormat('png').value, 'PNG');
+  assert.equal(labelFormat('PNG_2.3x7.5'), null);
+  assert.equal(labelFormat(''), null);
+  assert.equal(labelFormat(undefined), null);
+  assert.deepEqual(LABEL_FORMATS.map((f) => f.value), ['PDF_4x6', 'PDF', 'PDF_A4', 'PNG', 'ZPLII']);
+});
+
+test('resolveLabelFormat takes the first known candidate, else PDF_4x6', () => {
+  assert.equal(resolveLabelFormat(null, 'bogus', 'ZPLII', 'PDF').value, 'ZPLII');
+  assert.equal(resolveLabelFormat().value, 'PDF_4x6');
+});
+
+test('defaultLabelFormat: user per flow → flow → file default → PDF_4x6', () => {
+  const config = {
+    default: 'PDF_A4',
+    flows: { shippinglabel: 'ZPLII', returnlabel: 'nope' },
+    users: { U1: { shippinglabel: 'PNG' } }
+  };
+  assert.equal(defaultLabelFormat(config, 'shippinglabel', 'U1').value, 'PNG');
+  assert.equal(defaultLabelFormat(config, 'shippinglabel', 'U2').value, 'ZPLII');
+  assert.equal(defaultLabelFormat(config, 'returnlabel', 'U1').value, 'PDF_A4', 'unknown flow value is skipped');
+  assert.equal(defaultLabelFormat(null, 'returnlabel', 'U1').value, 'PDF_4x6');
+});
+
+test('labelFilename uses the format extension', () => {
+  assert.equal(labelFilename('shipping', labelFormat('ZPLII')), 'shipping-label.zpl');
+  assert.equal(labelFilename('return', labelFormat('PNG'), { piece: 2, pieces: 3 }), 'return-label-2-of-3.png');
+  assert.equal(labelFilename('return', labelFormat('letter')), 'return-label.pdf');
+  assert.equal(labelFilename('shipping', null), 'shipping-label.pdf');
+});
+
+test('readLabelFormatInputs reads the select and the "make default" checkbox', () => {
+  const values = {
+    label_format_block: { label_format: { selected_option: { value: 'ZPLII' } } },
+    label_format_default_block: { label_format_default: { selected_options: [{ value: 'remember' }] } }
+  };
+  assert.deepEqual(readLabelFormatInputs(values), { labelFormat: 'ZPLII', remember: true });
+  assert.deepEqual(readLabelFormatInputs({}), { labelFormat: null, remember: false });
+  assert.deepEqual(
+    readLabelFormatInputs({ label_format_block: { label_format: { selected_option: { value: 'EPS' } } } }),
+    { labelFormat: null, remember: false }
+  );
+});
@@ -0,0 +1,119 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+
+import {
+  decodeIppMessage,
+  defaultPrinterFor,
+  ippHttpUrl,
+  ippPrintJobRequest,
+  parsePrinterConfig,
+  printLabel,
+  printerSupports
+} from '../lib/printers.js';
+import { startFakePrinter } from '../dev/fake-printer.js';
+
+test('parsePrinterConfig fills defaults and drops bad printers', () => {
+  const { printers, channels, errors } = parsePrinterConfig({
+    printers: [
+      { id: 'zebra', name: 'Warehouse Zebra', host: '10.0.0.50' },
+      { id: 'laser', type: 'ipp', url: 'ipp://10.0.0.60/ipp/print', formats: ['letter', 'PDF_A4'] },
+      { id: 'broken', type: 'ipp', url: 'ftp://x' },
+      { id: 'nohost', type: 'raw' },
+      { id: 'zebra', host: 'dup' }
+    ],
+    channels: { C1: 'zebra', C2: 'broken' }
+  });
+
+  assert.deepEqual(printers[0], { id: 'zebra', name: 'Warehouse Zebra', type: 'raw', formats: ['ZPLII'], host: '10.0.0.50', port: 9100 });
+  assert.deepEqual(printers[1].formats, ['PDF', 'PDF_A4']);
+  assert.equal(printers.length, 2);
+  assert.deepEqual(channels, { C1: 'zebra' });
+  assert.deepEqual(errors, [
+    'Printer "broken": unsupported URL scheme "ftp:".',
+    'Printer "nohost": raw printers need a "host".',
+    'Printer "zebra" is listed twice.',
+    'channels.C2: unknown printer "broken".'
+  ]);
+  assert.deepEqual(parsePrinterConfig(null), { printers: [], channels: {}, errors: [] });
+});
+
+test('channel defaults only apply when the printer takes the label format', () => {
+  const config = parsePrinterConfig({
+    printers: [{ id: 'zebra', host: 'h' }, { id: 'laser', type: 'ipp', url: 'ipp://h/p' }],
+    channels: { C1: 'zebra', C2: 'laser' }
+  });
+  assert.equal(defaultPrinterFor(config, ['C1'], 'ZPLII').id, 'zebra');
+  assert.equal(defaultPrinterFor(config, ['C1'], 'PDF_4x6'), null);
+  assert.equal(defaultPrinterFor(config, [null, 'C9', 'C2'], 'PDF_4x6').id, 'laser');
+  assert.equal(printerSupports(config.printers[1], 'png'), true);
+  assert.equal(printerSupports(config.printers[1], 'ZPLII'), false);
+});
+
+test('IPP Print-Job requests round-trip through the codec', () => {
+  const data = Buffer.from('%PDF-1.4 fake');
+  const msg = decodeIppMessage(ippPrintJobRequest({
+    printerUri: 'ipp://h/ipp/print', data, documentFormat: 'application/pdf', jobName: 'Label 1Z', userName: 'U1', requestId: 7
+  }));
+  assert.equal(msg.code, 0x0002);
+  assert.equal(msg.requestId, 7);
+  assert.equal(msg.attributes['printer-uri'], 'ipp://h/ipp/print');
+  assert.equal(msg.attributes['document-format'], 'application/pdf');
+  assert.equal(msg.attributes['job-name'], 'Label 1Z');
+  assert.deepEqual(msg.data, data);
+
+  assert.equal(ippHttpUrl('ipp://10.0.0.60/ipp/print'), 'http://10.0.0.60:631/ipp/print');
+  assert.equal(ippHttpUrl('ipps://printer.local:8631/p'), 'https://printer.local:8631/p');
+  assert.equal(ippHttpUrl('http://h:8080/p'), 'http://h:8080/p');
+});
+
+test('printing against the fake printer', async (t) => {
+  const fake = await startFakePrinter();
+  t.after(() => fake.close());
+  const { printers } = parsePrinterConfig({
+    printers: [
+      { id: 'zebra', host: '127.0.0.1', port: fake.rawPort },
+      { id: 'laser', type: 'ipp', url: fake.ippUrl }
+    ]
+  });
+  const [zebra, laser] = printers;
+
+  await t.test('raw ZPL reaches the socket byte for byte', async () => {
+    const zpl = Buffer.from('^XA^FO40,40^FDHello^FS^XZ');
+    const result = await printLabel(zebra, { data: zpl, format: 'ZPLII' });
+    assert.equal(result.state, 'sent');
+    await new Promise((r) => setTimeout(r, 50));
+    assert.deepEqual(fake.jobs.at(-1).data, zpl);
+  });
+
+  await t.test('IPP jobs report the job id and document format', async () => {
+    const pdf = Buffer.from('%PDF-1.4 label');
+    const result = await printLabel(laser, { data: pdf, format: 'PDF_4x6', jobName: 'Label', userName: 'U1' });
+    assert.deepEqual(result, { jobId: 1, state: 'completed' });
+    const job = fake.jobs.at(-1);
+    assert.equal(job.attributes['document-format'], 'application/pdf');
+    assert.equal(job.attributes['requesting-user-name'], 'U1');
+    assert.deepEqual(job.data, pdf);
+  });
+
+  await t.test('IPP errors carry the printer status message', async () => {
+    fake.failNext({ status: 0x0507, message: 'Out of labels' });
+    await assert.rejects(printLabel(laser, { data: Buffer.from('x'), format: 'PNG' }), /refused the job: Out of labels/);
+  });
+
+  await t.test('formats the printer cannot take are refused before sending', async () => {
+    const before = fake.jobs.length;
+    await assert.rejects(printLabel(zebra, { data: Buffer.from('x'), format: 'PDF' }), /can't print PDF letter/);
+    assert.equal(fake.jobs.length, before);
+  });
+});
+
+test('raw printing reports refused connections', async () => {
+  const server = net.createServer();
+  await new Promise((r) => server.listen(0, '127.0.0.1', r));
+  const { port } = server.address();
+  await new Promise((r) => server.close(r));
+
+  const { printers } = parsePrinterConfig({ printers: [{ id: 'gone', host: '127.0.0.1', port }] });
+  await assert.rejects(printLabel(printers[0], { data: Buffer.from('^XA^XZ'), format: 'ZPLII' }), /ECONNREFUSED/);
+});
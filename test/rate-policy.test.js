@@ -0,0 +1,138 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DEFAULT_RATE_POLICY,
+  describeRatePolicy,
+  normalizeRatePolicy,
+  rateMatches,
+  resolveRatePolicy,
+  selectRate,
+  validateRatePolicyConfig
+} from '../lib/rate-policy.js';
+
+const rate = (provider, service, amount, days, token) => ({
+  object_id: `${provider}-${service}`,
+  provider,
+  servicelevel: { name: service, token: token ?? `${provider}_${service}`.toLowerCase().replace(/\W+/g, '_') },
+  amount: String(amount),
+  currency: 'USD',
+  estimated_days: days
+});
+
+const RATES = [
+  rate('UPS', 'Ground Saver', '7.00', 5),
+  rate('UPS', 'Ground', '12.00', 3),
+  rate('UPS', '2nd Day Air', '25.00', 2, 'ups_second_day_air'),
+  rate('USPS', 'Ground Advantage', '6.00', 4),
+  rate('USPS', 'Priority Mail', '10.40', 2, 'usps_priority'),
+  rate('FedEx', 'Ground', '10.10', 3)
+];
+
+test('rateMatches: carrier, carrier/service and servicelevel tokens', () => {
+  assert.equal(rateMatches(RATES[1], 'ups/ground'), true);
+  assert.equal(rateMatches(RATES[0], 'ups/ground'), false, 'Ground Saver is not Ground');
+  assert.equal(rateMatches(RATES[0], 'ups/ground saver'), true);
+  assert.equal(rateMatches(RATES[5], 'ups/ground'), false);
+  assert.equal(rateMatches(RATES[3], 'USPS'), true);
+  assert.equal(rateMatches(RATES[4], 'usps_priority'), true);
+  assert.equal(rateMatches({ provider: 'UPS', servicelevel: { name: 'UPS® Ground' } }, 'ups/ground'), true);
+  assert.equal(rateMatches({ carrier_account: { carrier: 'ups' }, servicelevel_name: 'UPS Ground' }, 'ups/ground'), true);
+});
+
+test('the default policy keeps the old UPS Ground (never Ground Saver) rule', () => {
+  const policy = normalizeRatePolicy(DEFAULT_RATE_POLICY);
+  const { rate: picked, reason } = selectRate(RATES, policy);
+  assert.equal(picked.object_id, 'UPS-Ground');
+  assert.match(reason, /ups\/ground/);
+  assert.match(reason, /\$12\.00/);
+
+  const none = selectRate(RATES.filter((r) => r.object_id !== 'UPS-Ground'), policy);
+  assert.equal(none.rate, null);
+  assert.match(none.reason, /None of ups\/ground is available/);
+});
+
+test('preferred carriers are tried in order', () => {
+  const policy = normalizeRatePolicy({ preferred: ['dhl_express', 'fedex/ground', 'ups/ground'] });
+  const { rate: picked, reason } = selectRate(RATES, policy);
+  assert.equal(picked.object_id, 'FedEx-Ground');
+  assert.match(reason, /2nd choice/);
+});
+
+test('a bare carrier preference uses the tie-breakers within that carrier', () => {
+  const cheapestUsps = selectRate(RATES, normalizeRatePolicy({ preferred: ['usps'] }));
+  assert.equal(cheapestUsps.rate.object_id, 'USPS-Ground Advantage');
+  const fastestUsps = selectRate(RATES, normalizeRatePolicy({ preferred: ['usps'], tieBreakers: ['days', 'price'] }));
+  assert.equal(fastestUsps.rate.object_id, 'USPS-Priority Mail');
+});
+
+test('cheapest overall, and cheapest within N business days', () => {
+  assert.equal(selectRate(RATES, normalizeRatePolicy({ strategy: 'cheapest' })).rate.object_id, 'USPS-Ground Advantage');
+
+  const fast = selectRate(RATES, normalizeRatePolicy({ strategy: 'cheapest', maxDays: 2 }));
+  assert.equal(fast.rate.object_id, 'USPS-Priority Mail');
+  assert.match(fast.reason, /^Cheapest rate within 2 business days: USPS Priority Mail \(\$10\.40\)/);
+});
+
+test('price cap, exclusions and unknown ETAs', () => {
+  const capped = selectRate(RATES, normalizeRatePolicy({ preferred: ['ups/2nd day air'], maxPrice: 20 }));
+  assert.equal(capped.rate, null);
+  assert.match(capped.reason, /over the price cap/);
+
+  const excluded = selectRate(RATES, normalizeRatePolicy({ strategy: 'cheapest', exclude: ['usps/ground advantage', 'ups/ground saver'] }));
+  assert.equal(excluded.rate.object_id, 'FedEx-Ground');
+
+  const noEta = [{ ...RATES[3], estimated_days: undefined }];
+  assert.equal(selectRate(noEta, normalizeRatePolicy({ strategy: 'cheapest', maxDays: 5 })).rate, null);
+});
+
+test('fallback "cheapest" when no preferred service is offered', () => {
+  const policy = normalizeRatePolicy({ preferred: ['dhl_express'], fallback: 'cheapest', maxDays: 3 });
+  const { rate: picked, reason } = selectRate(RATES, policy);
+  assert.equal(picked.object_id, 'FedEx-Ground');
+  assert.match(reason, /^No preferred service offered; cheapest rate within 3 business days/);
+});
+
+test('price ties go to the next tie-breaker', () => {
+  const tied = [rate('UPS', 'Ground', '10.00', 4), rate('FedEx', 'Ground', '10.00', 2)];
+  assert.equal(selectRate(tied, normalizeRatePolicy({ strategy: 'cheapest' })).rate.object_id, 'FedEx-Ground');
+  const byPreference = normalizeRatePolicy({ strategy: 'cheapest', preferred: ['ups', 'fedex'], tieBreakers: ['price', 'preferred'] });
+  assert.equal(selectRate(tied, byPreference).rate.object_id, 'UPS-Ground');
+});
+
+test('resolveRatePolicy: channel flow → channel default → flow → file default → built-in', () => {
+  const config = {
+    default: { name: 'House', strategy: 'cheapest' },
+    flows: { returnlabel: { name: 'Returns', preferred: ['usps'] } },
+    channels: {
+      C1: { shippinglabel: { name: 'C1 shipping', preferred: ['fedex'] }, default: { name: 'C1 any', strategy: 'cheapest', maxDays: 2 } }
+    }
+  };
+  assert.equal(resolveRatePolicy(config, 'shippinglabel', 'C1').name, 'C1 shipping');
+  assert.equal(resolveRatePolicy(config, 'returnlabel', 'C1').name, 'C1 any');
+  assert.equal(resolveRatePolicy(config, 'returnlabel', 'C2').name, 'Returns');
+  assert.equal(resolveRatePolicy(config, 'shippinglabel', 'C2').name, 'House');
+  assert.equal(resolveRatePolicy(null, 'shippinglabel', 'C2').name, 'UPS Ground');
+});
+
+test('config validation names the bad policy and field', () => {
+  assert.throws(() => normalizeRatePolicy({ name: 'X', strategy: 'fastest' }), /Rate policy "X": unknown strategy "fastest"/);
+  assert.throws(() => normalizeRatePolicy({ name: 'X', maxPrice: 'lots' }), /maxPrice must be a non-negative number/);
+  assert.throws(() => normalizeRatePolicy({ name: 'X', preferred: [] }), /at least one preferred service/);
+  assert.deepEqual(
+    validateRatePolicyConfig({ flows: { shippinglabel: { tieBreakers: ['speed'] } }, channels: { C1: { default: { fallback: 'nope' } } } }),
+    [
+      'flows.shippinglabel: Rate policy "ups/ground": unknown tie-breaker "speed".',
+      'channels.C1.default: Rate policy "ups/ground": unknown fallback "nope".'
+    ]
+  );
+  assert.deepEqual(validateRatePolicyConfig(null), []);
+});
+
+test('describeRatePolicy summarizes the rules for Slack', () => {
+  assert.equal(describeRatePolicy(normalizeRatePolicy(DEFAULT_RATE_POLICY)), 'ups/ground, else choose manually');
+  assert.equal(
+    describeRatePolicy(normalizeRatePolicy({ strategy: 'cheapest', maxDays: 3, maxPrice: 25, exclude: ['ups/ground saver'] })),
+    'cheapest rate; within 3 business days; max $25.00; never ups/ground saver'
+  );
+});
@@ -0,0 +1,106 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  claimRmaNumber,
+  nextRmaNumber,
+  normalizeRmaNumber,
+  readRmaInputs,
+  rmaCondition,
+  rmaReason,
+  searchRmas,
+  transitionRma
+} from '../lib/rma.js';
+
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+
+test('RMA numbers count up per year', () => {
+  const first = nextRmaNumber({}, new Date(NOW));
+  assert.equal(first.number, 'RMA-2026-0001');
+  const second = nextRmaNumber(first.counters, new Date(NOW));
+  assert.equal(second.number, 'RMA-2026-0002');
+  assert.equal(nextRmaNumber(second.counters, new Date('2027-01-02T00:00:00Z')).number, 'RMA-2027-0001');
+  assert.deepEqual(first.counters, { 2026: 1 }, 'does not mutate the counters');
+
+  assert.equal(normalizeRmaNumber(' rma-2026-7 '), 'RMA-2026-0007');
+  assert.equal(normalizeRmaNumber('RMA 2026 0012'), 'RMA-2026-0012');
+  assert.equal(normalizeRmaNumber('1042'), null);
+});
+
+test('an RMA number handed out for rating can only be claimed once', () => {
+  const counters = { 2026: 6 };
+  const { number } = nextRmaNumber(counters, new Date(NOW));
+  const claimed = claimRmaNumber(counters, number);
+  assert.deepEqual(claimed, { ok: true, counters: { 2026: 7 } });
+  assert.deepEqual(claimRmaNumber(claimed.counters, number), { ok: false, counters: { 2026: 7 } });
+  assert.equal(claimRmaNumber({ 2026: 9 }, 'RMA-2026-0008').ok, false, 'a later number was taken');
+  assert.deepEqual(claimRmaNumber({ 2026: 7 }, 'RMA-2025-0012'), { ok: true, counters: { 2026: 7, 2025: 12 } });
+  assert.equal(claimRmaNumber(counters, null).ok, false);
+});
+
+test('reasons and conditions match by value or label', () => {
+  assert.equal(rmaReason('damaged').value, 'damaged');
+  assert.equal(rmaReason('Wrong item shipped').value, 'wrong_item');
+  assert.equal(rmaReason('no-longer-wanted').value, 'no_longer_wanted');
+  assert.equal(rmaReason('bored'), null);
+  assert.equal(rmaCondition('opened, unused').value, 'opened');
+});
+
+test('readRmaInputs requires a reason and falls back to the Ship From name', () => {
+  const values = {
+    rma_order_block: { rma_order: { value: ' #1042 ' } },
+    rma_customer_block: { rma_customer: { value: '' } },
+    rma_reason_block: { rma_reason: { selected_option: { value: 'fitment' } } },
+    rma_items_block: { rma_items: { value: '1 × Front Lip\n\n 2 × Mounting Kit ' } },
+    rma_condition_block: { rma_condition: { selected_option: { value: 'opened' } } }
+  };
+  const { rma, errors } = readRmaInputs(values, { customer: 'Jane Doe' });
+  assert.deepEqual(errors, {});
+  assert.deepEqual(rma, {
+    orderNumber: '1042',
+    customer: 'Jane Doe',
+    reason: 'fitment',
+    items: ['1 × Front Lip', '2 × Mounting Kit'],
+    condition: 'opened'
+  });
+
+  const missing = readRmaInputs({ rma_order_block: { rma_order: { value: 'order 1042' } } });
+  assert.deepEqual(Object.keys(missing.errors).sort(), ['rma_order_block', 'rma_reason_block']);
+  assert.equal(missing.rma.condition, null);
+});
+
+test('open → received → closed, and closed stays closed', () => {
+  const open = { number: 'RMA-2026-0001', status: 'open', history: [] };
+  const received = transitionRma(open, 'received', { by: 'U1', note: 'box dented', now: NOW });
+  assert.equal(received.ok, true);
+  assert.equal(received.rma.status, 'received');
+  assert.equal(received.rma.receivedBy, 'U1');
+  assert.equal(received.rma.receivedAt, new Date(NOW).toISOString());
+
+  const closed = transitionRma(received.rma, 'closed', { by: 'U2', now: NOW + 1000 });
+  assert.deepEqual(closed.rma.history.map((h) => [h.status, h.by, h.note]), [
+    ['received', 'U1', 'box dented'],
+    ['closed', 'U2', undefined]
+  ]);
+  assert.equal(open.history.length, 0, 'does not mutate the input');
+
+  assert.equal(transitionRma(open, 'closed').ok, true, 'never shipped back');
+  for (const to of ['received', 'closed', 'open']) {
+    const result = transitionRma(closed.rma, to);
+    assert.equal(result.ok, false, to);
+    assert.equal(result.rma, closed.rma);
+  }
+});
+
+test('searchRmas finds by RMA, order or tracking number before free text', () => {
+  const rmas = [
+    { number: 'RMA-2026-0001', status: 'closed', orderNumber: '1001', trackingNumber: '1Z111', customer: 'Jane Doe', items: ['1 × Spoiler'] },
+    { number: 'RMA-2026-0002', status: 'open', orderNumber: '1042', trackingNumber: '1Z222', customer: 'Sam Tremblay', items: ['1 × Front Lip'] },
+    { number: 'RMA-2026-0003', status: 'received', orderNumber: '1001', trackingNumber: '1Z333', customer: 'Jane Doe', items: [] }
+  ];
+  assert.deepEqual(searchRmas(rmas, '').map((r) => r.number), ['RMA-2026-0003', 'RMA-2026-0002']);
+  assert.deepEqual(searchRmas(rmas, 'rma-2026-1').map((r) => r.number), ['RMA-2026-0001']);
+  assert.deepEqual(searchRmas(rmas, '#1001').map((r) => r.number), ['RMA-2026-0003', 'RMA-2026-0001']);
+  assert.deepEqual(searchRmas(rmas, '1z222').map((r) => r.number), ['RMA-2026-0002']);
+  assert.deepEqual(searchRmas(rmas, 'front lip').map((r) => r.number), ['RMA-2026-0002']);
+});
@@ -0,0 +1,174 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DEFAULT_PARCEL,
+  SEED_PACKAGE_PRESETS,
+  buildShipmentAddress,
+  buildShipmentBody,
+  findUpsGroundRate,
+  isUpsGroundRate,
+  parcelBlockId,
+  readParcelInputs,
+  readSignatureRequirement,
+  toSelectedRate
+} from '../lib/shipment.js';
+
+// Slack view_submission state for the parcel inputs of parcel `index`
+function parcelValues(index, { preset, length, width, height, weight } = {}) {
+  const values = {};
+  for (const [field, value] of Object.entries({ length, width, height, weight })) {
+    if (value != null) values[parcelBlockId(index, field)] = { [`parcel_${field}`]: { value } };
+  }
+  if (preset) values[parcelBlockId(index, 'preset')] = { parcel_preset: { selected_option: { value: preset } } };
+  return values;
+}
+
+const PRESETS = [
+  ...SEED_PACKAGE_PRESETS,
+  { id: 'small', name: 'Small 10x8x4', length: '10', width: '8', height: '4', boxWeight: '0.5', defaultContentsWeight: '2', template: '' },
+  { id: 'usps_md', name: 'USPS Medium Flat Rate', length: '11', width: '8.5', height: '5.5', boxWeight: '0', defaultContentsWeight: '3', template: 'USPS_MediumFlatRateBox1' }
+];
+
+test('parcelBlockId keeps the original ids for the first parcel', () => {
+  assert.equal(parcelBlockId(0, 'weight'), 'parcel_weight_block');
+  assert.equal(parcelBlockId(2, 'weight'), 'parcel_3_weight_block');
+});
+
+test('readParcelInputs: nothing typed uses the default preset and its contents weight', () => {
+  const { parcels, errors } = readParcelInputs({}, 1);
+  assert.deepEqual(errors, {});
+  assert.equal(parcels.length, 1);
+  assert.equal(parcels[0].length, DEFAULT_PARCEL.length);
+  assert.equal(parcels[0].width, DEFAULT_PARCEL.width);
+  assert.equal(parcels[0].height, DEFAULT_PARCEL.height);
+  assert.equal(parcels[0].weight, DEFAULT_PARCEL.weight);
+  assert.equal(parcels[0].distance_unit, 'in');
+  assert.equal(parcels[0].mass_unit, 'lb');
+});
+
+test('readParcelInputs: preset weight input is contents weight plus the empty box', () => {
+  const { parcels, errors } = readParcelInputs(parcelValues(0, { preset: 'small', weight: '3.25' }), 1, PRESETS);
+  assert.deepEqual(errors, {});
+  assert.equal(parcels[0].weight, '3.75');
+  assert.equal(parcels[0].metadata, 'Preset: Small 10x8x4');
+  assert.equal(parcels[0].template, undefined);
+});
+
+test('readParcelInputs: carrier template presets send the template', () => {
+  const { parcels } = readParcelInputs(parcelValues(0, { preset: 'usps_md' }), 1, PRESETS);
+  assert.equal(parcels[0].template, 'USPS_MediumFlatRateBox1');
+  assert.equal(parcels[0].weight, '3');
+});
+
+test('readParcelInputs: typing any dimension switches to custom and requires all fields', () => {
+  const { errors } = readParcelInputs(parcelValues(0, { length: '12' }), 1, PRESETS);
+  assert.ok(errors[parcelBlockId(0, 'width')]);
+  assert.ok(errors[parcelBlockId(0, 'height')]);
+  assert.ok(errors[parcelBlockId(0, 'weight')]);
+  assert.equal(errors[parcelBlockId(0, 'length')], undefined);
+});
+
+test('readParcelInputs: custom dimensions must be positive numbers', () => {
+  const { parcels, errors } = readParcelInputs(
+    parcelValues(0, { preset: 'custom', length: '12', width: '-1', height: 'abc', weight: '2' }),
+    1,
+    PRESETS
+  );
+  assert.equal(errors[parcelBlockId(0, 'width')], 'Must be a positive number.');
+  assert.equal(errors[parcelBlockId(0, 'height')], 'Must be a positive number.');
+  assert.equal(parcels[0].metadata, undefined);
+});
+
+test('readParcelInputs: multiple parcels mix presets and custom boxes', () => {
+  const values = {
+    ...parcelValues(0, { preset: 'small' }),
+    ...parcelValues(1, { length: '20', width: '10', height: '10', weight: '12' })
+  };
+  const { parcels, errors } = readParcelInputs(values, 2, PRESETS);
+  assert.deepEqual(errors, {});
+  assert.equal(parcels.length, 2);
+  assert.equal(parcels[0].weight, '2.5');
+  assert.deepEqual(
+    [parcels[1].length, parcels[1].width, parcels[1].height, parcels[1].weight],
+    ['20', '10', '10', '12']
+  );
+});
+
+test('readSignatureRequirement: required unless the remove checkbox is ticked', () => {
+  assert.equal(readSignatureRequirement({}), true);
+  assert.equal(readSignatureRequirement({ signature_block: { signature_toggle: { selected_options: [] } } }), true);
+  assert.equal(
+    readSignatureRequirement({ signature_block: { signature_toggle: { selected_options: [{ value: 'no_signature' }] } } }),
+    false
+  );
+});
+
+test('buildShipmentBody adds STANDARD signature confirmation only when required', () => {
+  const base = { addressFrom: {}, addressTo: {}, parcels: [] };
+  assert.deepEqual(buildShipmentBody({ ...base, requireSignature: true }).extra, { signature_confirmation: 'STANDARD' });
+  assert.equal(buildShipmentBody({ ...base, requireSignature: false }).extra, undefined);
+  assert.equal(buildShipmentBody({ ...base, requireSignature: false }).async, false);
+});
+
+test('buildShipmentAddress: parsed fields win, fallback fills gaps, typed contact wins', () => {
+  const fallback = { name: 'Carismo Design', street1: '71 Winant Place (Suite B)', city: 'Staten Island', state: 'NY', zip: '10309', phone: '+1 646 374 8865', email: 'shop@example.com' };
+  const address = buildShipmentAddress(
+    { name: 'Jane Doe', street1: '1 Main St', city: 'Austin', state: 'TX', zip: '78701', phone: '5125550100' },
+    { country: 'US', fallback, email: 'jane@example.com' }
+  );
+  assert.equal(address.name, 'Jane Doe');
+  assert.equal(address.company, '');
+  assert.equal(address.street1, '1 Main St');
+  assert.equal(address.phone, '5125550100');
+  assert.equal(address.email, 'jane@example.com');
+
+  const fromDefault = buildShipmentAddress({}, { country: 'US', fallback });
+  assert.equal(fromDefault.street1, '71 Winant Place (Suite B)');
+  assert.equal(fromDefault.phone, '+1 646 374 8865');
+});
+
+const rate = (provider, service, amount = '10.00') => ({
+  object_id: `${provider}-${service}`,
+  provider,
+  servicelevel: { name: service, token: service.toLowerCase().replace(/\W+/g, '_') },
+  amount
+});
+
+test('UPS Ground is picked, UPS Ground Saver never is', () => {
+  const rates = [
+    rate('UPS', 'Ground Saver', '7.00'),
+    rate('USPS', 'Ground Advantage', '6.00'),
+    rate('UPS', 'Ground', '12.00'),
+    rate('UPS', '2nd Day Air', '25.00')
+  ];
+  assert.equal(findUpsGroundRate(rates).object_id, 'UPS-Ground');
+  assert.equal(isUpsGroundRate(rate('UPS', 'Ground Saver')), false);
+  assert.equal(isUpsGroundRate(rate('USPS', 'Ground Advantage')), false);
+});
+
+test('findUpsGroundRate returns null when only Ground Saver is offered', () => {
+  assert.equal(findUpsGroundRate([rate('UPS', 'Ground Saver'), rate('FedEx', 'Ground')]), null);
+  assert.equal(findUpsGroundRate(undefined), null);
+});
+
+test('UPS Ground is found on carrier_account-only rates', () => {
+  const r = { object_id: 'r1', carrier_account: { carrier: 'ups' }, servicelevel_name: 'UPS Ground' };
+  assert.equal(findUpsGroundRate([r]), r);
+});
+
+test('toSelectedRate keeps only what review and purchase need', () => {
+  const r = { ...rate('UPS', 'Ground', '12.34'), estimated_days: 3, currency: 'USD', attributes: ['CHEAPEST'], messages: [] };
+  assert.deepEqual(toSelectedRate(r), {
+    id: 'UPS-Ground',
+    provider: 'UPS',
+    service: 'Ground',
+    amount: '12.34',
+    currency: 'USD',
+    etaDays: 3,
+    servicelevelToken: 'ground',
+    shipmentId: null
+  });
+  assert.equal(toSelectedRate({ ...r, shipment: 'shp_1' }).shipmentId, 'shp_1');
+  assert.equal(toSelectedRate({ object_id: 'x', carrier_account: { carrier: 'ups' }, servicelevel_name: 'UPS Ground' }).etaDays, null);
+});
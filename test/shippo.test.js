@@ -0,0 +1,343 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createShippoClient, isRetryableShippoError, retryDelayMs } from '../lib/shippo.js';
+import { buildShipmentAddress, buildShipmentBody, findUpsGroundRate } from '../lib/shipment.js';
+import { parseAddressText } from '../lib/address-parser.js';
+import { startFakeShippo } from '../dev/fake-shippo.js';
+
+const PARCEL = { length: '17', width: '17', height: '7', distance_unit: 'in', weight: '8', mass_unit: 'lb' };
+
+function shipmentFor(text, { parcels = [PARCEL], requireSignature = true } = {}) {
+  return buildShipmentBody({
+    addressFrom: buildShipmentAddress(parseAddressText('Carismo Design\n71 Winant Place (Suite B)\nStaten Island, NY 10309'), { country: 'US' }),
+    addressTo: buildShipmentAddress(parseAddressText(text), { country: 'US', phone: '2125550100' }),
+    parcels,
+    requireSignature
+  });
+}
+
+test('end to end against the fake Shippo server', async (t) => {
+  const fake = await startFakeShippo({ token: 'shippo_test_fake' });
+  t.after(() => fake.close());
+  const shippo = createShippoClient({ token: 'shippo_test_fake', baseUrl: fake.url });
+
+  await t.test('rejects a bad token like Shippo does', async () => {
+    const bad = createShippoClient({ token: 'nope', baseUrl: fake.url });
+    await assert.rejects(bad.createShipment(shipmentFor('Jane Doe\n1 Main St\nAustin, TX 78701')), (err) => {
+      assert.equal(err.status, 401);
+      assert.match(err.message, /^Shippo \/shipments failed 401/);
+      return true;
+    });
+  });
+
+  await t.test('rates, UPS Ground purchase and label download', async () => {
+    const shipment = await shippo.createShipment(shipmentFor('Ship to: Jane Doe, 1 Main St, Austin, TX 78701'));
+    assert.equal(shipment.status, 'SUCCESS');
+    assert.equal(shipment.address_to.city, 'Austin');
+
+    const ground = findUpsGroundRate(shipment.rates);
+    assert.ok(ground, 'UPS Ground offered');
+    assert.equal(ground.servicelevel.token, 'ups_ground');
+    assert.equal((await shippo.getRate(ground.object_id)).object_id, ground.object_id);
+
+    const tx = await shippo.purchaseLabel({ rate: ground.object_id, label_file_type: 'PDF_4x6', async: false });
+    assert.equal(tx.status, 'SUCCESS');
+    assert.match(tx.tracking_number, /^1Z/);
+
+    const res = await fetch(tx.label_url);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'application/pdf');
+    const pdf = Buffer.from(await res.arrayBuffer()).toString('latin1');
+    assert.ok(pdf.startsWith('%PDF-1.4'));
+    assert.ok(pdf.includes(tx.tracking_number));
+  });
+
+  await t.test('multi-parcel purchases produce one transaction per parcel', async () => {
+    const shipment = await shippo.createShipment(
+      shipmentFor('Jane Doe\n1 Main St\nAustin, TX 78701', { parcels: [PARCEL, PARCEL, { ...PARCEL, weight: '3' }] })
+    );
+    const rate = findUpsGroundRate(shipment.rates);
+    const master = await shippo.purchaseLabel({ rate: rate.object_id, label_file_type: 'PDF_4x6', async: false });
+    const list = await shippo.listTransactions({ rate: rate.object_id, results: 100 });
+    assert.equal(list.results.length, 3);
+    assert.ok(list.results.some((tx) => tx.object_id === master.object_id));
+    assert.equal(new Set(list.results.map((tx) => tx.tracking_number)).size, 3);
+  });
+
+  await t.test('refund settles on the first status check', async () => {
+    const shipment = await shippo.createShipment(shipmentFor('Jane Doe\n1 Main St\nAustin, TX 78701'));
+    const tx = await shippo.purchaseLabel({ rate: shipment.rates[0].object_id, async: false });
+    const refund = await shippo.createRefund(tx.object_id);
+    assert.equal(refund.status, 'QUEUED');
+    assert.equal((await shippo.getRefund(refund.object_id)).status, 'SUCCESS');
+  });
+
+  await t.test('tracking advances PRE_TRANSIT → TRANSIT → DELIVERED', async () => {
+    const registered = await shippo.registerTrack('ups', '1ZFAKE', 'label');
+    assert.equal(registered.tracking_status.status, 'PRE_TRANSIT');
+    assert.equal((await shippo.getTrack('ups', '1ZFAKE')).tracking_status.status, 'TRANSIT');
+    assert.equal((await shippo.getTrack('ups', '1ZFAKE')).tracking_status.status, 'DELIVERED');
+    assert.equal((await shippo.getTrack('ups', '1ZFAKE')).tracking_status.status, 'DELIVERED');
+  });
+
+  await t.test('address validation and customs declarations', async () => {
+    const valid = await shippo.validateAddress({ street1: '1 Main St', city: 'Austin', state: 'TX', zip: '78701', country: 'US' });
+    assert.equal(valid.validation_results.is_valid, true);
+    assert.equal(valid.street1, '1 MAIN ST');
+    assert.equal(valid.is_residential, true);
+
+    const invalid = await shippo.validateAddress({ street1: '', city: 'Austin', country: 'US' });
+    assert.equal(invalid.validation_results.is_valid, false);
+
+    const intl = buildShipmentBody({
+      addressFrom: { street1: '1 Main St', city: 'Austin', state: 'TX', zip: '78701', country: 'US' },
+      addressTo: { street1: '200 Queen St W', city: 'Toronto', state: 'ON', zip: 'M5V 2T6', country: 'CA' },
+      parcels: [PARCEL],
+      requireSignature: false
+    });
+    const withoutCustoms = await shippo.createShipment(intl);
+    assert.equal(withoutCustoms.rates.length, 0);
+
+    const declaration = await shippo.createCustomsDeclaration({
+      certify: true,
+      certify_signer: 'Carismo Design',
+      contents_type: 'MERCHANDISE',
+      non_delivery_option: 'RETURN',
+      incoterm: 'DDU',
+      eel_pfc: 'NOEEI_30_37_f',
+      items: [{ description: 'Wheel caps', quantity: 4, net_weight: '2', mass_unit: 'lb', value_amount: '80', value_currency: 'USD', origin_country: 'US' }]
+    });
+    const withCustoms = await shippo.createShipment({ ...intl, customs_declaration: declaration.object_id });
+    assert.ok(withCustoms.rates.length > 0);
+    assert.equal(findUpsGroundRate(withCustoms.rates), null);
+  });
+
+  await t.test('batches validate, purchase and merge their labels into one PDF', async () => {
+    const rate = findUpsGroundRate((await shippo.createShipment(shipmentFor('Jane Doe\n1 Main St\nAustin, TX 78701'))).rates);
+    const entries = ['Jane Doe\n1 Main St\nAustin, TX 78701', 'John Roe\n9 Elm St\nDenver, CO 80202'].map((text, i) => ({
+      shipment: shipmentFor(text),
+      carrier_account: rate.carrier_account,
+      servicelevel_token: 'ups_ground',
+      metadata: `row ${i + 2}`
+    }));
+    const batch = await shippo.createBatch({
+      default_carrier_account: rate.carrier_account,
+      default_servicelevel_token: 'ups_ground',
+      label_filetype: 'PDF_4x6',
+      batch_shipments: entries
+    });
+    assert.equal(batch.status, 'VALIDATING');
+    assert.equal((await shippo.getBatch(batch.object_id)).status, 'VALID');
+    await assert.rejects(shippo.purchaseBatch('nope'), (err) => err.status === 404);
+
+    assert.equal((await shippo.purchaseBatch(batch.object_id)).status, 'PURCHASING');
+    const done = await shippo.getBatch(batch.object_id, { results: 100 });
+    assert.equal(done.status, 'PURCHASED');
+    assert.equal(done.batch_shipments.count, 2);
+    const txs = await Promise.all(done.batch_shipments.results.map((s) => shippo.getTransaction(s.transaction)));
+    assert.deepEqual(txs.map((tx) => tx.metadata), ['row 2', 'row 3']);
+
+    const pdf = Buffer.from(await (await fetch(done.label_url[0])).arrayBuffer()).toString('latin1');
+    assert.ok(pdf.includes('/Count 2'));
+    for (const tx of txs) assert.ok(pdf.includes(tx.tracking_number));
+  });
+
+  await t.test('batches with a service a shipment lacks come back INVALID', async () => {
+    const batch = await shippo.createBatch({
+      default_servicelevel_token: 'ups_ground',
+      batch_shipments: [{ shipment: shipmentFor('Jane Doe\n1 Main St\nAustin, TX 78701'), servicelevel_token: 'dhl_express' }]
+    });
+    const checked = await shippo.getBatch(batch.object_id);
+    assert.equal(checked.status, 'INVALID');
+    assert.match(checked.batch_shipments.results[0].messages[0].text, /dhl_express/);
+    await assert.rejects(shippo.purchaseBatch(batch.object_id), (err) => err.status === 400);
+  });
+});
+
+test('client trims the base URL and passes query parameters', async () => {
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    calls.push({ url: String(url), init });
+    return { ok: true, status: 200, text: async () => '{"results":[]}' };
+  };
+  const shippo = createShippoClient({ token: 't', baseUrl: 'http://example.test/', fetchImpl });
+  await shippo.listTransactions({ rate: 'abc', results: 100 });
+  assert.equal(calls[0].url, 'http://example.test/transactions/?rate=abc&results=100');
+  assert.equal(calls[0].init.headers.Authorization, 'ShippoToken t');
+  assert.equal(calls[0].init.body, undefined);
+});
+
+const noSleep = (delays) => async (ms) => {
+  delays.push(ms);
+};
+
+test('retries 429 and 5xx honoring Retry-After, but not 4xx', async (t) => {
+  const fake = await startFakeShippo({ token: 'shippo_test_fake' });
+  t.after(() => fake.close());
+  const delays = [];
+  const retries = [];
+  const shippo = createShippoClient({ token: 'shippo_test_fake', baseUrl: fake.url, sleep: noSleep(delays) });
+
+  fake.state.faults.push(
+    { method: 'POST', path: '/addresses/', status: 429, retryAfter: 7 },
+    { method: 'POST', path: '/addresses/', status: 502 }
+  );
+  const address = await shippo.validateAddress(
+    { street1: '1 Main St', city: 'Austin', state: 'TX', zip: '78701', country: 'US' },
+    { onRetry: (info) => retries.push(info) }
+  );
+  assert.equal(address.validation_results.is_valid, true);
+  assert.equal(delays[0], 7000);
+  assert.deepEqual(retries.map((r) => [r.attempt, r.maxAttempts, r.error.status]), [[1, 4, 429], [2, 4, 502]]);
+
+  await assert.rejects(shippo.createCustomsDeclaration({ items: [] }), (err) => err.status === 400);
+  assert.equal(delays.length, 2, 'validation errors are not retried');
+
+  fake.state.faults.push(...Array(4).fill({ method: 'GET', path: '/rates/', status: 503 }));
+  await assert.rejects(shippo.getRate('nope'), (err) => err.status === 503);
+  assert.equal(delays.length, 5, 'gives up after maxRetries');
+});
+
+test('purchaseLabel never buys twice when the response is lost', async (t) => {
+  const fake = await startFakeShippo({ token: 'shippo_test_fake' });
+  t.after(() => fake.close());
+  const shippo = createShippoClient({ token: 'shippo_test_fake', baseUrl: fake.url, sleep: noSleep([]), timeoutMs: 200 });
+
+  for (const fault of [
+    { method: 'POST', path: '/transactions/', afterProcessing: true, status: 503 },
+    { method: 'POST', path: '/transactions/', afterProcessing: true, delayMs: 1000 }
+  ]) {
+    const shipment = await shippo.createShipment(shipmentFor('Jane Doe\n1 Main St\nAustin, TX 78701'));
+    const rate = findUpsGroundRate(shipment.rates);
+    fake.state.faults.push(fault);
+    const retries = [];
+    const tx = await shippo.purchaseLabel(
+      { rate: rate.object_id, label_file_type: 'PDF_4x6', async: false },
+      { onRetry: (info) => retries.push(info) }
+    );
+    assert.equal(tx.status, 'SUCCESS');
+    assert.equal(retries.length, 1);
+    const bought = [...fake.state.transactions.values()].filter((x) => x.rate === rate.object_id);
+    assert.equal(bought.length, 1, `one purchase after ${fault.status ? 'a 503' : 'a timeout'}`);
+    assert.equal(bought[0].object_id, tx.object_id);
+  }
+});
+
+test('purchaseLabel reuses a transaction bought earlier for the same rate', async (t) => {
+  const fake = await startFakeShippo({ token: 'shippo_test_fake' });
+  t.after(() => fake.close());
+  const shippo = createShippoClient({ token: 'shippo_test_fake', baseUrl: fake.url, sleep: noSleep([]) });
+
+  const shipment = await shippo.createShipment(shipmentFor('Jane Doe\n1 Main St\nAustin, TX 78701'));
+  const rate = findUpsGroundRate(shipment.rates);
+  const body = { rate: rate.object_id, label_file_type: 'PDF_4x6', async: false };
+  const first = await shippo.purchaseLabel(body);
+  const again = await shippo.purchaseLabel(body);
+  assert.equal(again.object_id, first.object_id);
+  assert.equal([...fake.state.transactions.values()].filter((x) => x.rate === rate.object_id).length, 1);
+});
+
+test('findRefundForTransaction finds a refund whose response was lost', async (t) => {
+  const fake = await startFakeShippo({ token: 'shippo_test_fake' });
+  t.after(() => fake.close());
+  const shippo = createShippoClient({ token: 'shippo_test_fake', baseUrl: fake.url, sleep: noSleep([]), timeoutMs: 200 });
+
+  const buy = async () => {
+    const shipment = await shippo.createShipment(shipmentFor('Jane Doe\n1 Main St\nAustin, TX 78701'));
+    return shippo.purchaseLabel({ rate: findUpsGroundRate(shipment.rates).object_id, label_file_type: 'PDF_4x6', async: false });
+  };
+  const [voided, live] = [await buy(), await buy()];
+
+  fake.state.faults.push({ method: 'POST', path: '/refunds/', afterProcessing: true, delayMs: 1000 });
+  await assert.rejects(shippo.createRefund(voided.object_id), (err) => err.timeout);
+  const refund = await shippo.findRefundForTransaction(voided.object_id);
+  assert.equal(refund.transaction, voided.object_id);
+  assert.equal(fake.state.refunds.size, 1);
+  assert.equal(await shippo.findRefundForTransaction(live.object_id), null);
+});
+
+// Answers by "METHOD /path/"; every request is logged in `calls`.
+function stubShippo(routes, { timeoutMs = 20 } = {}) {
+  const calls = [];
+  const fetchImpl = (url, init) => {
+    const key = `${init.method} ${new URL(url).pathname}`;
+    calls.push(key);
+    const route = routes[key];
+    if (route === 'hang') {
+      return new Promise((resolve, reject) => init.signal.addEventListener('abort', () => reject(new Error('aborted'))));
+    }
+    const [status, body] = route ? route() : [404, { detail: 'Not found.' }];
+    return Promise.resolve({ ok: status < 400, status, text: async () => JSON.stringify(body), headers: new Map() });
+  };
+  const delays = [];
+  const shippo = createShippoClient({ token: 't', baseUrl: 'http://example.test', fetchImpl, timeoutMs, sleep: noSleep(delays) });
+  return { shippo, calls, delays };
+}
+
+test('purchaseLabel reports what became of a purchase it could not finish', async () => {
+  const noneYet = () => [200, { results: [] }];
+  const body = { rate: 'r1', async: false };
+
+  const queued = stubShippo({
+    'GET /transactions/': noneYet,
+    'POST /transactions/': () => [201, { object_id: 'tx1', status: 'QUEUED' }],
+    'GET /transactions/tx1': () => [200, { object_id: 'tx1', status: 'QUEUED' }]
+  });
+  await assert.rejects(queued.shippo.purchaseLabel(body), (err) => {
+    assert.equal(err.purchase, 'pending');
+    assert.equal(err.transaction.status, 'QUEUED');
+    return true;
+  });
+  assert.equal(queued.calls.filter((c) => c === 'GET /transactions/tx1').length, 10, 'kept polling');
+
+  const timedOut = stubShippo({ 'GET /transactions/': noneYet, 'POST /transactions/': 'hang' });
+  await assert.rejects(timedOut.shippo.purchaseLabel(body), (err) => err.timeout && err.purchase === 'pending');
+  assert.deepEqual(
+    timedOut.calls.slice(0, 4),
+    ['GET /transactions/', 'POST /transactions/', 'GET /transactions/', 'POST /transactions/'],
+    'looks for a transaction before every purchase, the first one included'
+  );
+
+  const rejected = stubShippo({ 'GET /transactions/': noneYet, 'POST /transactions/': () => [400, { rate: ['Rate expired.'] }] });
+  await assert.rejects(rejected.shippo.purchaseLabel(body), (err) => err.status === 400 && err.purchase === 'rejected');
+  assert.equal(rejected.calls.filter((c) => c === 'POST /transactions/').length, 1);
+
+  const unreachable = stubShippo({ 'GET /transactions/': () => [503, 'down'] });
+  await assert.rejects(unreachable.shippo.purchaseLabel(body), (err) => err.status === 503 && err.purchase === 'not_sent');
+  assert.ok(!unreachable.calls.includes('POST /transactions/'));
+});
+
+test('timeouts abort the request and are reported as such', async () => {
+  const fetchImpl = (url, init) =>
+    new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+    });
+  const shippo = createShippoClient({ token: 't', baseUrl: 'http://example.test', fetchImpl, timeoutMs: 20, maxRetries: 1, sleep: noSleep([]) });
+  await assert.rejects(shippo.getShipment('s1'), (err) => {
+    assert.equal(err.timeout, true);
+    assert.match(err.message, /^Shippo \/shipments\/s1 timed out/);
+    return true;
+  });
+  assert.equal(isRetryableShippoError({ status: 404 }), false);
+  assert.equal(isRetryableShippoError({ status: 429 }), true);
+});
+
+test('retryDelayMs: Retry-After wins, otherwise exponential backoff', () => {
+  assert.equal(retryDelayMs({ retryAfter: '3' }, 1), 3000);
+  assert.equal(retryDelayMs({ retryAfter: '120' }, 1, { maxMs: 30000 }), 30000);
+  assert.equal(retryDelayMs({}, 1, { random: () => 0 }), 500);
+  assert.equal(retryDelayMs({}, 3, { random: () => 0 }), 2000);
+  assert.equal(retryDelayMs({}, 2, { random: () => 1 }), 1250);
+});
+
+test('refund requests are retried only when rate limited', async () => {
+  let calls = 0;
+  const fetchImpl = async () => {
+    calls++;
+    return { ok: false, status: 503, text: async () => 'down', headers: new Map() };
+  };
+  const shippo = createShippoClient({ token: 't', baseUrl: 'http://example.test', fetchImpl, sleep: noSleep([]) });
+  await assert.rejects(shippo.createRefund('tx1'), (err) => err.status === 503);
+  assert.equal(calls, 1);
+});
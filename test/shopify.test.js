@@ -0,0 +1,113 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  createShopifyClient,
+  normalizeOrderNumber,
+  readShopifyOrder,
+  shopifyAddressText,
+  shopifyCustomsText,
+  toGrams
+} from '../lib/shopify.js';
+import { parseAddressText } from '../lib/address-parser.js';
+import { startFakeShopify } from '../dev/fake-shopify.js';
+
+test('normalizeOrderNumber and toGrams', () => {
+  assert.equal(normalizeOrderNumber(' #1042 '), '1042');
+  assert.equal(normalizeOrderNumber('CA-1042'), 'CA-1042');
+  assert.equal(normalizeOrderNumber('10 42'), null);
+  assert.equal(normalizeOrderNumber(''), null);
+  assert.equal(Math.round(toGrams(1, 'lb')), 454);
+  assert.equal(toGrams(2, 'kg'), 2000);
+  assert.equal(toGrams(3, 'stone'), 0);
+});
+
+test('shopifyAddressText reads back through the modal address parser', () => {
+  const order = {
+    email: 'sam@example.ca',
+    shipping_address: {
+      name: 'Sam Tremblay', company: 'Tremblay Motors Inc', address1: '200 Queen St W', address2: 'Unit 4',
+      city: 'Toronto', province_code: 'ON', zip: 'M5V 2T6', country: 'Canada', country_code: 'CA', phone: '+1 416 555 0199'
+    }
+  };
+  const text = shopifyAddressText(order);
+  assert.equal(text, 'Sam Tremblay\nTremblay Motors Inc\n200 Queen St W\nUnit 4\nToronto, ON M5V 2T6\nCanada\n+1 416 555 0199\nsam@example.ca');
+  const parsed = parseAddressText(text);
+  assert.equal(parsed.street1, '200 Queen St W');
+  assert.equal(parsed.zip, 'M5V 2T6');
+  assert.equal(parsed.country, 'CA');
+  assert.equal(parsed.email, 'sam@example.ca');
+  assert.equal(shopifyAddressText({}), '');
+});
+
+test('readShopifyOrder sums shippable weights and lists items missing one', () => {
+  const info = readShopifyOrder({
+    id: 1,
+    name: '#1001',
+    order_number: 1001,
+    shipping_address: { name: 'Jane Doe', address1: '1 Main St', city: 'Austin', province_code: 'TX', zip: '78701', country_code: 'US' },
+    line_items: [
+      { title: 'Spoiler', variant_title: 'Gloss', quantity: 1, grams: 2948, price: '450.00' },
+      { title: 'Kit', quantity: 2, grams: 227, price: '25.00' },
+      { title: 'Decal', quantity: 1, grams: 0, price: '5.00' },
+      { title: 'Gift Card', quantity: 1, grams: 0, price: '50.00', requires_shipping: false }
+    ]
+  });
+  assert.equal(info.name, '#1001');
+  assert.equal(info.number, '1001');
+  assert.deepEqual(info.items.map((i) => i.title), ['Spoiler – Gloss', 'Kit', 'Decal']);
+  assert.equal(info.weightLb, 7.5);
+  assert.deepEqual(info.missingWeights, ['Decal']);
+  assert.equal(shopifyCustomsText(info), 'Spoiler – Gloss | 1 | 450.00 | 6.5 |  | US\nKit | 2 | 50.00 | 1 |  | US');
+});
+
+test('against the Shopify stand-in', async (t) => {
+  const fake = await startFakeShopify({ token: 'shpat_fake' });
+  t.after(() => fake.close());
+  const shopify = createShopifyClient({ shop: 'carismo.myshopify.com', token: 'shpat_fake', baseUrl: fake.url, sleep: async () => {} });
+
+  await t.test('a bad token is rejected', async () => {
+    const bad = createShopifyClient({ shop: 'x', token: 'nope', baseUrl: fake.url });
+    await assert.rejects(bad.findOrder('1001'), (err) => {
+      assert.equal(err.status, 401);
+      assert.match(err.message, /^Shopify \/orders\.json\?name=%231001.* failed 401/);
+      return true;
+    });
+  });
+
+  await t.test('orders are found by number, unknown ones are null', async () => {
+    const order = await shopify.findOrder('#1001');
+    assert.equal(order.id, 5500000001);
+    assert.equal(readShopifyOrder(order).weightLb, 7.5);
+    assert.equal(await shopify.findOrder('9999'), null);
+  });
+
+  await t.test('missing line item weights come from the variant', async () => {
+    const info = readShopifyOrder(await shopify.findOrder('1002'));
+    assert.deepEqual(info.missingWeights, []);
+    assert.equal(info.weightLb, 10.5);
+    assert.equal(info.country, 'CA');
+  });
+
+  await t.test('GETs retry after a 429', async () => {
+    await fetch(`${fake.url}/_fake/faults`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Shopify-Access-Token': 'shpat_fake' },
+      body: JSON.stringify({ method: 'GET', path: '/orders.json', status: 429, retryAfter: 0 })
+    });
+    assert.equal((await shopify.findOrder('1001')).name, '#1001');
+  });
+
+  await t.test('fulfilling writes the tracking back once', async () => {
+    const fulfillment = await shopify.fulfillOrder(5500000002, {
+      trackingNumber: '1Z999', trackingUrl: 'https://t/1Z999', company: 'UPS'
+    });
+    assert.equal(fulfillment.tracking_number, '1Z999');
+    assert.equal(fulfillment.tracking_company, 'UPS');
+    assert.equal(fulfillment.notify_customer, false);
+    assert.deepEqual(fake.state.orders[1].fulfillment_orders.map((fo) => fo.status), ['closed', 'closed']);
+
+    await assert.rejects(shopify.fulfillOrder(5500000002, { trackingNumber: '1Z999' }), (err) => err.nothingToFulfill === true);
+    await assert.rejects(shopify.fulfillOrder(5500000003, { trackingNumber: '1Z1' }), /nothing left to fulfill/);
+  });
+});